@@ -41,8 +41,18 @@ const INTERNAL_DEFAULT_CONFIG = {
     }
   },
 
-  // 装饰配置（暂时没有）
-  decorations: [{}],
+  // 贴花配置（默认没有），条目示例：
+  // {
+  //   id: '贴花1', index: 'random uuid', type: 'svg', name: 'logo.svg', svg: '<svg ...>...</svg>',
+  //   size: 5, depth: 0.5, angle: 0, effect: 'Embossed', color: '#555555',
+  //   position: [0, 0, 0], rotate: [0, 0, 0], attachmentSurface: 'in0in1100'
+  // }
+  // size 为贴花高度，depth 为凸起高度/内嵌深度，angle 为在表面内的旋转角度（度）
+  // 图片浮雕：type 为 'relief'，image 为图片路径（项目内文件 images/*，旧项目为 data URL），resolution 为高度场分辨率（长边采样数），
+  // invert 为反相（暗处高），base 为埋入表面的底座深度，depth 为最亮处高出表面的距离
+  // 文字和贴花都可附带 anchor（表面锚点，见 SurfaceAnchor），模型重新导入后据此重新贴合，attachmentSurface 为锚点的特征名
+  // center 为保存时的包围盒中心（世界坐标），锚点无法解析时据此就近放置
+  decorations: [],
 
   // 文字配置（示例）
   texts: [
@@ -57,16 +67,77 @@ const INTERNAL_DEFAULT_CONFIG = {
       color: '#ff00ff',
       position: [0, 0, 0],
       rotate: [0, 0, 0],
+      // 排版：对齐方式 'left' | 'center' | 'right'，行高与字间距为字号的倍数，kerning 为是否启用字偶距
+      // 可选 kerningPairs: { 'AV': -0.05 } 自定义字偶距（字号的倍数）
+      align: 'center',
+      lineHeight: 1.2,
+      letterSpacing: 0,
+      kerning: true,
+      // 文字样式：'none' | 'outline' 描边 | 'hollow' 空心 | 'stencil' 镂空 | 'plate' 底板
+      // 非 none 时附带 effectOptions: { strokeWidth, outlineGap, platePadding, plateRadius, plateThickness }
+      textEffect: 'none',
+      // 贴合方式：'surface Project'（自动识别规则曲面，自由曲面投影贴合）| 'project'（强制投影贴合）| 'path'
       wrap: 'surface Project',
+      // 投影方向：'normal' 平均法线 | 'view' 视线方向（附带 projectVector: [x, y, z]，目标网格局部坐标）
+      projectDirection: 'normal',
       attachmentSurface: 'in0in1100'
+      // 保存时附带表面锚点（目标模型局部坐标）：
+      // anchor: { version: 1, target: 'origin', featureName, type: 'plane', area, curvature, direction: [x, y, z], centroid: [x, y, z], uv: [u, v], point: [x, y, z], normal: [x, y, z] }
+      // wrap 为 'path' 时附带路径（目标网格局部坐标）：
+      // path: { points: [[x, y, z], ...], normals: [[x, y, z], ...], curve: 'spline', closed: false, align: 'center', offset: 0 }
     }
   ],
 
+  // 运行时注册的字体（默认没有），文字的 type 按 name 引用，条目示例：
+  // { name: 'MyFont', label: '我的字体', path: 'fonts/MyFont.ttf' }
+  // path 为项目内相对路径（上传的字体文件随项目保存）或网络地址
+  fonts: [],
+
   lookupTable: {},
   faceRepare: '0',
   modelOptimization: '0'
 }
 
+// 文字排版字段的默认值（text 中的换行 '\n' 表示多行）
+const TEXT_LAYOUT_DEFAULTS = {
+  align: 'center',
+  lineHeight: 1.2,
+  letterSpacing: 0,
+  kerning: true
+}
+
+// 文字样式（textEffect 字段；effect 字段表示浮雕/刻字）
+const TEXT_EFFECTS = ['none', 'outline', 'hollow', 'stencil', 'plate']
+
+// 文字贴合方式（wrap 字段）
+const TEXT_WRAPS = ['surface Project', 'project', 'path']
+
+function _normalizeTextLayout(text) {
+  const next = { ...text }
+  if (!['left', 'center', 'right'].includes(next.align)) next.align = TEXT_LAYOUT_DEFAULTS.align
+  const lineHeight = Number(next.lineHeight)
+  next.lineHeight = lineHeight > 0 ? lineHeight : TEXT_LAYOUT_DEFAULTS.lineHeight
+  const letterSpacing = Number(next.letterSpacing)
+  next.letterSpacing = Number.isFinite(letterSpacing) ? letterSpacing : TEXT_LAYOUT_DEFAULTS.letterSpacing
+  next.kerning = next.kerning !== false
+  if (!TEXT_EFFECTS.includes(next.textEffect)) next.textEffect = 'none'
+  if (next.effectOptions !== undefined && (!next.effectOptions || typeof next.effectOptions !== 'object')) {
+    delete next.effectOptions
+  }
+  if (next.kerningPairs !== undefined && (!next.kerningPairs || typeof next.kerningPairs !== 'object')) {
+    delete next.kerningPairs
+  }
+  if (!TEXT_WRAPS.includes(next.wrap)) next.wrap = next.path ? 'path' : 'surface Project'
+  if (next.projectDirection !== undefined && !['normal', 'view'].includes(next.projectDirection)) {
+    delete next.projectDirection
+  }
+  if (next.projectVector !== undefined &&
+      !(Array.isArray(next.projectVector) && next.projectVector.length === 3 && next.projectVector.every(Number.isFinite))) {
+    delete next.projectVector
+  }
+  return next
+}
+
 function _normalizeModelEntry(key, input, fallback) {
   const value = input && typeof input === 'object' ? input : {}
   const base = fallback || { id: key, path: '', config: {} }
@@ -106,6 +177,8 @@ export function normalizeConfig(inputConfig) {
     // v2 internal format
     models: modelsField,
     texts: textsField,
+    decorations: decorationsField,
+    fonts: fontsField,
     ...rest
   } = source
 
@@ -126,6 +199,8 @@ export function normalizeConfig(inputConfig) {
 
   const modelsFromFeatures = {}
   const textsFromFeatures = []
+  const decorationsFromFeatures = []
+  const fontsFromFeatures = []
 
   if (Array.isArray(features)) {
     for (const feature of features) {
@@ -150,6 +225,19 @@ export function normalizeConfig(inputConfig) {
         if (!textIndex) continue
         const { index: _ignored, ...restPayload } = payload
         textsFromFeatures.push({ ...restPayload, index: textIndex })
+        continue
+      }
+
+      if (kind === 'decoration') {
+        const decorationIndex = id || (typeof payload.index === 'string' ? payload.index : null)
+        if (!decorationIndex) continue
+        const { index: _ignored, ...restPayload } = payload
+        decorationsFromFeatures.push({ ...restPayload, index: decorationIndex })
+        continue
+      }
+
+      if (kind === 'font') {
+        fontsFromFeatures.push({ ...payload, name: id || payload.name })
       }
     }
   }
@@ -198,7 +286,15 @@ export function normalizeConfig(inputConfig) {
     },
     texts: Array.isArray(textsField)
       ? textsField
-      : (textsFromFeatures.length > 0 ? textsFromFeatures : base.texts)
+      : (textsFromFeatures.length > 0 ? textsFromFeatures : base.texts),
+    decorations: [
+      ...(Array.isArray(decorationsField) ? decorationsField : []),
+      ...decorationsFromFeatures
+    ],
+    fonts: [
+      ...(Array.isArray(fontsField) ? fontsField : []),
+      ...fontsFromFeatures
+    ]
   }
 
   // 归一化 models（包含未来扩展的未知 key）
@@ -206,20 +302,42 @@ export function normalizeConfig(inputConfig) {
     merged.models[key] = _normalizeModelEntry(key, value, base.models[key])
   }
 
-  // 确保 texts 每一项都有稳定 index（用于后续更新/删除/持久化）
+  // 确保 texts 每一项都有稳定 index（用于后续更新/删除/持久化），并补齐排版字段
   if (Array.isArray(merged.texts)) {
     const now = Date.now()
     merged.texts = merged.texts
       .filter((t) => t && typeof t === 'object')
       .map((t, idx) => {
-        if (typeof t.index === 'string' && t.index) return t
+        const text = _normalizeTextLayout(t)
+        if (typeof text.index === 'string' && text.index) return text
         return {
-          ...t,
+          ...text,
           index: `text_${now}_${idx}_${Math.random().toString(36).slice(2, 10)}`
         }
       })
   }
 
+  // 贴花只保留有 SVG 内容或浮雕图片的条目（旧版本的占位 `[{}]` 会被丢弃），并补齐 index
+  merged.decorations = merged.decorations
+    .filter((d) => d && typeof d === 'object' &&
+      ((typeof d.svg === 'string' && d.svg) || (d.type === 'relief' && typeof d.image === 'string' && d.image)))
+    .map((d, idx) => {
+      if (typeof d.index === 'string' && d.index) return d
+      return {
+        ...d,
+        index: `decoration_${Date.now()}_${idx}_${Math.random().toString(36).slice(2, 10)}`
+      }
+    })
+
+  // 字体只保留有名称和来源路径的条目，同名保留第一个
+  const fontNames = new Set()
+  merged.fonts = merged.fonts.filter((f) => {
+    if (!f || typeof f !== 'object' || typeof f.name !== 'string' || !f.name) return false
+    if (typeof f.path !== 'string' || !f.path || fontNames.has(f.name)) return false
+    fontNames.add(f.name)
+    return true
+  })
+
   // legacy path → models.*.path（仅在新值为空时填充）
   if (typeof originModelPath === 'string' && !merged.models.origin.path) {
     merged.models.origin.path = originModelPath
@@ -258,6 +376,8 @@ export function normalizeConfig(inputConfig) {
  * features 设计：把模型/文字统一成条目，新增一个文字就是新增一个 feature
  * - model feature: { kind:'model', id:'origin|base|final|...', payload:{ path, config } }
  * - text  feature: { kind:'text',  id:'<uuid>', payload:{ ...textConfig(不含 index) } }
+ * - decoration feature: { kind:'decoration', id:'<uuid>', payload:{ ...decorationConfig(不含 index) } }
+ * - font feature: { kind:'font', id:'<字体名称>', payload:{ label, path } }
  */
 export function serializeConfig(inputConfig) {
   const normalized = normalizeConfig(inputConfig)
@@ -287,12 +407,29 @@ export function serializeConfig(inputConfig) {
     })
   }
 
+  const decorationsList = Array.isArray(normalized.decorations) ? normalized.decorations : []
+  for (const decorationConfig of decorationsList) {
+    const { index, ...payload } = decorationConfig
+    nextFeatures.push({
+      kind: 'decoration',
+      id: index,
+      payload
+    })
+  }
+
+  for (const { name, ...payload } of normalized.fonts) {
+    nextFeatures.push({
+      kind: 'font',
+      id: name,
+      payload
+    })
+  }
+
   const persisted = {
     schemaVersion: CONFIG_SCHEMA_VERSION,
     status: normalized.status || 'draft',
     propIdentifier: normalized.propIdentifier || '',
     features: nextFeatures,
-    decorations: normalized.decorations || [],
     lookupTable: normalized.lookupTable || {},
     faceRepare: normalized.faceRepare ?? '0',
     modelOptimization: normalized.modelOptimization ?? '0'
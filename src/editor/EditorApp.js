@@ -7,12 +7,29 @@ import { Viewer } from '../lib/viewer/Viewer.js'
 import { LoaderManager } from '../lib/loaders/LoaderManager.js'
 import { ExportManager } from '../lib/loaders/ExportManager.js'
 import { FacePicker, FacePickingUtils } from '../lib/facePicking/index.js'
-import { SurfaceTextManager } from '../lib/surfaceText/index.js'
+import { SurfaceTextManager, BooleanOperator, textEffects, surfaceAnchor, MIN_ANCHOR_CONFIDENCE } from '../lib/surfaceText/index.js'
 import { ObjectSelectionManager } from '../lib/objectSelection/index.js'
 import { FeatureDetector } from '../lib/facePicking/FeatureDetector.js'
+import { MeshMeasurement } from '../lib/analysis/MeshMeasurement.js'
+import { EngravingAnalyzer } from '../lib/analysis/EngravingAnalyzer.js'
 import { ProjectManager } from './ProjectManager.js'
 import { StateManager } from './StateManager.js'
 
+// 底座顶面相对模型占地尺寸的留边比例
+const BASE_FIT_MARGIN = 1.2
+
+// 烘焙结果缓存数量上限
+const MAX_BAKE_CACHE = 4
+
+// 烘焙并集在布尔运算 Worker 中的任务键（cancelBake 按此取消）
+const BAKE_JOB_KEY = 'bake'
+
+// 场景变化后延迟测量的时间（毫秒），拖动和连续编辑时只测量一次
+const MEASURE_DELAY = 200
+
+// 内嵌文字检查的延迟（毫秒），需要加载字体和射线检测，比测量稍晚执行
+const ENGRAVING_ANALYSIS_DELAY = 400
+
 export class EditorApp {
   constructor(container, options = {}) {
     this.container = container
@@ -37,6 +54,42 @@ export class EditorApp {
     this._selectedTextId = null
     this._textModeEnabled = false
 
+    // 底座：当前底座模型、顶面（{ mesh, plane }，无朝上平面时为 null）、是否自动对齐
+    this._base = null
+    this._baseTop = null
+    this.baseAutoAlign = true
+
+    // 烘焙：propIdentifier → { mesh, signature }，进行中的烘焙任务
+    this._bakeCache = new Map()
+    this._bakePromise = null
+    this._booleanOperator = null
+
+    // 测量：最近一次结果、待执行的延迟测量
+    this._meshMeasurement = new MeshMeasurement()
+    this._measurement = null
+    this._measureTimer = null
+
+    // 内嵌文字检查：最近一次报告、待执行的延迟检查、当前请求序号（新的检查开始后旧结果作废）
+    this._engravingAnalyzer = new EngravingAnalyzer()
+    this._engravingReports = []
+    this._engravingTimer = null
+    this._engravingRequest = 0
+
+    // 整体缩放：代理对象（position 为缩放中心，scale 为相对原始设计的缩放）由 TransformCommand 变换，
+    // 应用后同步到模型、底座和文字；_appliedSceneScale 为已应用到场景的缩放
+    this.sceneTransform = new THREE.Object3D()
+    this.sceneTransform.name = 'sceneTransform'
+    // 文字需要异步重新生成，按命令顺序依次应用（缩放和中心在命令执行时取快照）
+    this.sceneTransform.addEventListener('transformApplied', ({ state }) => {
+      const scale = this.sceneTransform.scale.clone()
+      const pivot = this.sceneTransform.position.clone()
+      this._sceneTransformTask = this._sceneTransformTask
+        .then(() => this._applySceneTransform(scale, pivot, state))
+        .catch(error => console.error('应用整体缩放失败:', error))
+    })
+    this._appliedSceneScale = new THREE.Vector3(1, 1, 1)
+    this._sceneTransformTask = Promise.resolve()
+
     // 视图模式：结果态 / 构造态
     this.viewMode = 'construct' // 'construct' | 'result'
     this._viewModeBusy = false
@@ -44,6 +97,7 @@ export class EditorApp {
     // 初始化
     this._setupEvents()
     this._setupProjectEvents()
+    this._setupAnalysisEvents()
   }
   
   // ==================== 事件连接 ====================
@@ -54,6 +108,11 @@ export class EditorApp {
     this.viewer.events.on('contextmenu', (e) => this._onViewerContextMenu(e))
     this.viewer.events.on('meshAdded', (e) => this._onMeshAdded(e))
     this.viewer.events.on('meshRemoved', (e) => this._onMeshRemoved(e))
+
+    // 完整性检查报告（手动检查或导出前检查）
+    this.exporter.onValidate = (report) => {
+      this.viewer.events.emit('integrityReport', { report })
+    }
   }
   
   _setupProjectEvents() {
@@ -68,6 +127,17 @@ export class EditorApp {
     }
   }
   
+  _setupAnalysisEvents() {
+    // 模型、底座、文字增删和视图切换都会改变最终实体
+    const events = [
+      'modelLoaded', 'meshRemoved', 'baseChanged', 'baseAligned', 'viewModeChanged', 'baked',
+      'textCreated', 'textDeleted', 'decorationCreated', 'decorationDeleted', 'engraveStatusChanged'
+    ]
+    events.forEach(eventName => {
+      this.viewer.events.on(eventName, () => this.scheduleAnalysis())
+    })
+  }
+  
   _onViewerClick(e) {
     // 如果面拾取启用，转发给面拾取器
     if (this._facePicker?.enabled) {
@@ -116,8 +186,18 @@ export class EditorApp {
       ...loaderOptions
     } = options
     
-    // 使用 LoaderManager 加载
-    const result = await this.loader.load(source, loaderOptions)
+    // 项目配置中的修复/简化开关
+    const faceRepare = loaderOptions.faceRepare ?? this.projectManager.config?.faceRepare
+    const modelOptimization = loaderOptions.modelOptimization ?? this.projectManager.config?.modelOptimization
+    
+    // 使用 LoaderManager 加载，简化时保留特征检测得到的平面/圆柱边界
+    const result = await this.loader.load(source, {
+      ...loaderOptions,
+      faceRepare,
+      modelOptimization,
+      featureLabels: loaderOptions.featureLabels ||
+        ((geometry) => this.featureDetector.segmentFaces(geometry, { minAreaRatio: 0.002 }).labels)
+    })
     
     // 添加到场景
     if (addToScene) {
@@ -129,8 +209,15 @@ export class EditorApp {
     }
     
     // 特征检测（业务逻辑）
+    // OBJ/3MF/GLTF 等格式返回 Group，需要逐个网格检测
     if (detectFeatures) {
-      await this.featureDetector.preprocessMesh(result.model)
+      const meshes = []
+      result.model.traverse((child) => {
+        if (child.isMesh && child.geometry) meshes.push(child)
+      })
+      for (const mesh of meshes) {
+        await this.featureDetector.preprocessMesh(mesh)
+      }
     }
     
     this.viewer.events.emit('modelLoaded', {
@@ -168,10 +255,388 @@ export class EditorApp {
     if (meshes.length === 0) {
       throw new Error('场景中没有可导出的网格')
     }
-    await this.exporter.exportAndDownload(meshes, format, filename, options)
+
+    // 3MF 默认带上凸起文字，每段文字作为独立 build item 并使用 config.color
+    const { includeTexts = format.toLowerCase() === '3mf', ...exportOptions } = options
+    if (includeTexts && this._textManager) {
+      const textById = new Map()
+      this._textManager.getAllTextObjects()
+        .filter(textObj => textObj.mode !== 'engraved' && textObj.mesh)
+        .forEach(textObj => {
+          textById.set(textObj.id, textObj)
+          meshes.push(textObj.mesh)
+        })
+
+      exportOptions.describeMesh = exportOptions.describeMesh || ((mesh) => {
+        const textObj = textById.get(mesh.userData?.textId)
+        if (!textObj) return null
+        return {
+          name: `text_${textObj.content}`,
+          color: textObj.config?.color ?? textObj.material?.color
+        }
+      })
+    }
+
+    await this.exporter.exportAndDownload(meshes, format, filename, exportOptions)
     this.viewer.events.emit('sceneExported', { format, filename })
   }
   
+  // ==================== 烘焙（打印实体） ====================
+  
+  /**
+   * 烘焙打印实体：原始模型、底座和所有凸起文字/贴花并集为一个实体
+   * 使用结果态几何体（内嵌文字和浮雕已应用），必要时先切换到结果态；
+   * 结果按 propIdentifier 缓存，参与对象的变换未变化时直接返回缓存
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - 进度回调 ({ stage, progress, index, total, name })，同时触发 bakeProgress 事件
+   * @param {boolean} [options.force=false] - 忽略缓存重新计算
+   * @returns {Promise<{mesh: THREE.Mesh, propIdentifier: string, cached: boolean}>}
+   */
+  async bake(options = {}) {
+    if (this._bakePromise) return this._bakePromise
+    
+    this._bakePromise = this._bake(options).finally(() => {
+      this._bakePromise = null
+    })
+    return this._bakePromise
+  }
+  
+  async _bake({ onProgress = null, force = false } = {}) {
+    const report = (event) => {
+      onProgress?.(event)
+      this.viewer.events.emit('bakeProgress', event)
+    }
+    
+    report({ stage: 'prepare', progress: 0, index: 0, total: 0, name: '' })
+    if (this.viewMode !== 'result') {
+      await this.setViewMode('result')
+    }
+    
+    const propIdentifier = this.getCurrentPropIdentifier()
+    const parts = this._collectBakeParts()
+    if (parts.length === 0) {
+      throw new Error('场景中没有可烘焙的模型')
+    }
+    
+    const signature = this._getBakeSignature(parts)
+    const cached = this._bakeCache.get(propIdentifier)
+    if (!force && cached?.signature === signature) {
+      report({ stage: 'done', progress: 1, index: parts.length, total: parts.length, name: '' })
+      return { mesh: cached.mesh, propIdentifier, cached: true }
+    }
+    
+    const geometry = await this._getBooleanOperator().unionAll(parts, { onProgress: report, jobKey: BAKE_JOB_KEY })
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ color: 0x409eff, name: 'final' }))
+    mesh.name = 'final'
+    mesh.userData = { isBaked: true, propIdentifier }
+    
+    this._setBakeCache(propIdentifier, { mesh, signature })
+    this.viewer.events.emit('baked', { mesh, propIdentifier })
+    return { mesh, propIdentifier, cached: false }
+  }
+  
+  /**
+   * 取消进行中的烘焙（bake() 以 cancelled 错误结束）
+   * @returns {boolean} 是否有任务被取消
+   */
+  cancelBake() {
+    if (!this._bakePromise) return false
+    return this._getBooleanOperator().cancel(BAKE_JOB_KEY) > 0
+  }
+  
+  /**
+   * 导出烘焙后的打印实体，并作为 models.final 写入项目（随项目保存/打包）
+   * @param {string} [format='stl'] - 导出格式
+   * @param {Object} [options] - 传给 bake() 和 ExportManager.export()
+   * @returns {Promise<Blob>}
+   */
+  async exportFinalModel(format = 'stl', options = {}) {
+    const { onProgress, force, ...exportOptions } = options
+    const { mesh, propIdentifier } = await this.bake({ onProgress, force })
+    const blob = await this.exporter.export([mesh], format, exportOptions)
+    
+    this.projectManager.setFinalModelFile(blob, { format, propIdentifier })
+    this.viewer.events.emit('finalModelExported', { format, propIdentifier, blob })
+    return blob
+  }
+  
+  /**
+   * 清空烘焙缓存
+   */
+  clearBakeCache() {
+    this._bakeCache.forEach(({ mesh }) => {
+      mesh.geometry.dispose()
+      mesh.material.dispose()
+    })
+    this._bakeCache.clear()
+  }
+  
+  /**
+   * 参与烘焙的几何体：模型和底座的网格（结果态几何体）、凸起的文字和贴花
+   * 凸起的图片浮雕在结果态已并入目标网格，不再单独参与（构造态测量时仍单独计入）
+   * @private
+   * @returns {Array<{geometry, matrix, name}>}
+   */
+  _collectBakeParts() {
+    const parts = []
+    this._getModelRoots().forEach(root => {
+      root.updateMatrixWorld(true)
+      root.traverse((child) => {
+        if (child.isMesh && child.geometry && child.visible && !child.userData.isHelper) {
+          parts.push({ geometry: child.geometry, matrix: child.matrixWorld.clone(), name: child.name || root.name })
+        }
+      })
+    })
+    
+    this._textManager?.getAllTextObjects()
+      .filter(textObj => textObj.mesh && textObj.mode !== 'engraved')
+      .filter(textObj => !textObj.config?.relief || this.viewMode !== 'result')
+      .forEach(textObj => {
+        textObj.mesh.updateMatrixWorld(true)
+        // 圆柱面文字的几何体已经在世界坐标系中
+        const isCylinderText = textObj.surfaceInfo?.surfaceType === 'cylinder'
+        parts.push({
+          geometry: textObj.mesh.geometry,
+          matrix: isCylinderText ? null : textObj.mesh.matrixWorld.clone(),
+          name: textObj.content || textObj.id
+        })
+      })
+    return parts
+  }
+  
+  /**
+   * 参与烘焙的几何体和变换，用于校验缓存（模型位置等不在 propIdentifier 中）
+   * 文字重新生成时会替换几何体，原地修改顶点时 position 的版本号会变化，两者都计入
+   * @private
+   */
+  _getBakeSignature(parts) {
+    return parts.map(({ geometry, matrix }) => {
+      const position = geometry.getAttribute('position')
+      const count = geometry.index ? geometry.index.count : position.count
+      const elements = matrix ? matrix.elements.map(v => v.toFixed(4)).join(',') : 'world'
+      return `${geometry.uuid}@${position.version}:${count}:${elements}`
+    }).join('|')
+  }
+  
+  _setBakeCache(propIdentifier, entry) {
+    const previous = this._bakeCache.get(propIdentifier)
+    if (previous && previous.mesh !== entry.mesh) {
+      previous.mesh.geometry.dispose()
+      previous.mesh.material.dispose()
+    }
+    this._bakeCache.delete(propIdentifier)
+    
+    if (this._bakeCache.size >= MAX_BAKE_CACHE) {
+      const [oldestKey, oldest] = this._bakeCache.entries().next().value
+      oldest.mesh.geometry.dispose()
+      oldest.mesh.material.dispose()
+      this._bakeCache.delete(oldestKey)
+    }
+    this._bakeCache.set(propIdentifier, entry)
+  }
+  
+  _getBooleanOperator() {
+    if (this._textManager?.booleanOperator) return this._textManager.booleanOperator
+    if (!this._booleanOperator) this._booleanOperator = new BooleanOperator()
+    return this._booleanOperator
+  }
+  
+  // ==================== 整体缩放 ====================
+  
+  /**
+   * 整体缩放中心：模型和底座包围盒的底面中心，缩放后设计仍落在原来的地面上
+   * @returns {THREE.Vector3}
+   */
+  getSceneScalePivot() {
+    const box = new THREE.Box3()
+    this._getModelRoots().forEach(root => box.expandByObject(root))
+    if (box.isEmpty()) return new THREE.Vector3()
+    const center = box.getCenter(new THREE.Vector3())
+    return center.setY(box.min.y)
+  }
+  
+  /**
+   * 等待已执行的整体缩放应用完成（文字重新生成是异步的）
+   * @returns {Promise<void>}
+   */
+  waitForSceneTransform() {
+    return this._sceneTransformTask
+  }
+  
+  /**
+   * 把 sceneTransform 相对上次应用的缩放同步到场景（由 TransformCommand 执行/撤销触发）
+   * 模型和底座绕缩放中心缩放；文字尺寸和厚度写入配置后重新生成，随模型缩放或保持物理尺寸，
+   * 贴合曲面、路径和投影的文字按缩放后的模型重新贴合，平面文字只移动到缩放后的位置。
+   * 文字按三个轴缩放比例的几何平均等比缩放；非等比缩放按对象的局部轴缩放，旋转过的对象只是近似
+   * @private
+   * @param {THREE.Vector3} scale - 命令应用后的整体缩放
+   * @param {THREE.Vector3} pivot - 缩放中心
+   * @param {Object} [state] - 命令中的变换状态，scaleTexts 为 false 时文字保持物理尺寸
+   */
+  async _applySceneTransform(scale, pivot, state = {}) {
+    const ratio = scale.clone().divide(this._appliedSceneScale)
+    this._appliedSceneScale.copy(scale)
+    if (ratio.equals(new THREE.Vector3(1, 1, 1))) return
+    
+    const scaleAboutPivot = (point) => point.sub(pivot).multiply(ratio).add(pivot)
+    this._getModelRoots().forEach(object => {
+      scaleAboutPivot(object.position)
+      object.scale.multiply(ratio)
+      object.updateMatrixWorld(true)
+    })
+    
+    const scaleTexts = state.scaleTexts !== false
+    const factor = Math.cbrt(ratio.x * ratio.y * ratio.z)
+    for (const textObj of this._textManager?.getAllTextObjects() || []) {
+      if (!textObj.mesh) continue
+      scaleAboutPivot(textObj.faceInfo.point)
+      
+      // 路径/投影文字在目标网格局部坐标系中生成，随目标的世界矩阵一起缩放；其余文字在世界坐标系中生成
+      const surfaceType = textObj.surfaceInfo?.surfaceType || 'plane'
+      const local = surfaceType === 'path' || surfaceType === 'project'
+      const sizeRatio = local ? (scaleTexts ? 1 : 1 / factor) : (scaleTexts ? factor : 1)
+      const updates = sizeRatio === 1 ? {} : {
+        size: (textObj.config.size || 0) * sizeRatio,
+        thickness: (textObj.config.thickness || 0) * sizeRatio
+      }
+      
+      if (surfaceType === 'plane') {
+        scaleAboutPivot(textObj.mesh.position)
+        textObj.mesh.updateMatrixWorld(true)
+        if (sizeRatio !== 1) await this._textManager.updateTextConfig(textObj.id, updates)
+        continue
+      }
+      // 重新贴合会把网格放回表面，保留拖动产生的偏移
+      const offset = local ? null : textObj.mesh.position.clone().multiply(ratio)
+      await this._textManager.updateTextConfig(textObj.id, updates, { refit: true })
+      if (offset) {
+        textObj.mesh.position.copy(offset)
+        textObj.mesh.updateMatrixWorld(true)
+      }
+    }
+    this._textManager?.invalidateEngravings()
+    
+    this.viewer.events.emit('sceneTransformChanged', {
+      scale: scale.toArray(),
+      ratio: ratio.toArray(),
+      scaleTexts
+    })
+    this.scheduleAnalysis()
+  }
+  
+  // ==================== 测量 ====================
+  
+  /**
+   * 测量最终打印实体：表面积、体积、轴对齐包围盒和有向包围盒
+   * 有与当前场景一致的烘焙结果时测量烘焙实体（重叠部分已合并），否则合并测量各部件，
+   * 结果同时触发 measurementUpdated 事件
+   * @returns {Object|null} 测量结果（见 MeshMeasurement.measureParts，另含 source: 'baked' | 'parts'），场景为空时为 null
+   */
+  measure() {
+    clearTimeout(this._measureTimer)
+    this._measureTimer = null
+    
+    const parts = this._collectBakeParts()
+    if (parts.length === 0) {
+      this._measurement = null
+    } else {
+      const signature = this._getBakeSignature(parts)
+      const baked = [...this._bakeCache.values()].find(entry => entry.signature === signature)
+      const result = baked
+        ? this._meshMeasurement.measureObjects(baked.mesh)
+        : this._meshMeasurement.measureParts(parts)
+      this._measurement = { ...result, source: baked ? 'baked' : 'parts' }
+    }
+    
+    this.viewer.events.emit('measurementUpdated', { measurement: this._measurement })
+    return this._measurement
+  }
+  
+  /**
+   * 延迟测量（合并短时间内的多次变化）
+   */
+  scheduleMeasurement() {
+    clearTimeout(this._measureTimer)
+    this._measureTimer = setTimeout(() => this.measure(), MEASURE_DELAY)
+  }
+  
+  getMeasurement() {
+    return this._measurement
+  }
+  
+  /**
+   * 延迟重新测量并检查内嵌文字（场景、文字或变换变化后调用）
+   */
+  scheduleAnalysis() {
+    this.scheduleMeasurement()
+    this.scheduleEngravingAnalysis()
+  }
+  
+  // ==================== 内嵌文字检查 ====================
+  
+  /**
+   * 检查所有内嵌文字和贴花：下方的壁厚（BVH 射线检测未雕刻的几何体）和字形的最细笔画，
+   * 结果触发 engravingReport 事件
+   * @param {Object} [options] - 覆盖 EngravingAnalyzer 的配置（maxDepthRatio、minStrokeWidth 等）
+   * @returns {Promise<Array|null>} 每个内嵌对象一项 { id, kind, name, ...EngravingAnalyzer.analyze() }，被新的检查取代时为 null
+   */
+  async analyzeEngravings(options = {}) {
+    clearTimeout(this._engravingTimer)
+    this._engravingTimer = null
+    const request = ++this._engravingRequest
+    
+    const textObjects = (this._textManager?.getAllTextObjects() || [])
+      .filter(textObj => textObj.mode === 'engraved' && textObj.mesh && textObj.targetMesh)
+    
+    const reports = []
+    for (const textObj of textObjects) {
+      const shapes = await this._textManager.getGlyphShapes(textObj.id)
+      if (request !== this._engravingRequest) return null
+      
+      const report = this._engravingAnalyzer.analyze({
+        targetMesh: textObj.targetMesh,
+        targetGeometry: this._textManager.getBaselineGeometry(textObj.targetMesh),
+        textMesh: textObj.mesh,
+        shapes,
+        depth: textObj.config?.thickness
+      }, options)
+      reports.push({ id: textObj.id, kind: textObj.kind, name: textObj.content, ...report })
+    }
+    
+    this._engravingReports = reports
+    this.viewer.events.emit('engravingReport', { reports })
+    return reports
+  }
+  
+  /**
+   * 延迟检查内嵌文字（合并短时间内的多次变化）
+   */
+  scheduleEngravingAnalysis() {
+    clearTimeout(this._engravingTimer)
+    this._engravingTimer = setTimeout(() => {
+      this.analyzeEngravings().catch(error => {
+        console.warn('[EditorApp] 内嵌文字检查失败:', error)
+      })
+    }, ENGRAVING_ANALYSIS_DELAY)
+  }
+  
+  getEngravingReports() {
+    return this._engravingReports
+  }
+  
+  /**
+   * 检查场景网格完整性（水密、流形、法向、退化、自相交）
+   * @param {THREE.Object3D[]} [objects] - 默认检查场景中的全部模型网格
+   * @returns {Object} 汇总报告，同时触发 integrityReport 事件
+   */
+  analyzeIntegrity(objects = null, options = {}) {
+    const targets = objects || this.viewer.getMeshes().filter(m => !m.userData.isHelper)
+    if (targets.length === 0) {
+      throw new Error('场景中没有可检查的网格')
+    }
+    return this.exporter.validate(targets, options)
+  }
+  
   // ==================== 面拾取系统 ====================
   
   /**
@@ -207,6 +672,24 @@ export class EditorApp {
       this.viewer.events.emit('faceSelectionCleared')
     })
     
+    // 选择变化与撤销/重做请求交给编辑器统一的历史管理
+    this._facePicker.on('selectionCommitted', ({ before, after, description }) => {
+      this.viewer.events.emit('faceSelectionCommitted', {
+        picker: this._facePicker,
+        before,
+        after,
+        description
+      })
+    })
+    
+    this._facePicker.on('undoRequested', () => {
+      this.viewer.events.emit('undoRequest')
+    })
+    
+    this._facePicker.on('redoRequested', () => {
+      this.viewer.events.emit('redoRequest')
+    })
+    
     return this._facePicker
   }
   
@@ -245,9 +728,11 @@ export class EditorApp {
     this._textManager.enableClickListener()
     
     // 设置事件
+    // SVG 贴花与文字共用文字系统，对外以 decoration* 事件区分
     this._textManager.on('textCreated', (textObject) => {
       this._textObjects.push(textObject)
-      this.viewer.events.emit('textCreated', { textObject })
+      const eventName = textObject.kind === 'decoration' ? 'decorationCreated' : 'textCreated'
+      this.viewer.events.emit(eventName, { textObject })
     })
     
     this._textManager.on('textSelected', (textObject) => {
@@ -264,9 +749,42 @@ export class EditorApp {
       const index = this._textObjects.findIndex(obj => obj.id === id)
       if (index !== -1) this._textObjects.splice(index, 1)
       if (this._selectedTextId === id) this._selectedTextId = null
-      this.viewer.events.emit('textDeleted', { id, textObject })
+      const eventName = textObject?.kind === 'decoration' ? 'decorationDeleted' : 'textDeleted'
+      this.viewer.events.emit(eventName, { id, textObject })
     })
-    
+
+    // 内嵌雕刻在 Worker 中执行，转发进度和状态
+    this._textManager.on('engraveProgress', (payload) => {
+      this.viewer.events.emit('engraveProgress', payload)
+    })
+
+    this._textManager.on('engraveStatusChanged', (payload) => {
+      this.viewer.events.emit('engraveStatusChanged', payload)
+    })
+
+    // 路径文字绘制状态、贴花放置状态、字体注册
+    const forwardedEvents = [
+      'pathDrawingStarted', 'pathPointAdded', 'pathDrawingFinished', 'pathDrawingCancelled',
+      'decorationPlacementStarted', 'decorationPlacementCancelled',
+      'fontRegistered'
+    ]
+    forwardedEvents.forEach(eventName => {
+      this._textManager.on(eventName, (payload) => {
+        this.viewer.events.emit(eventName, payload)
+      })
+    })
+
+    // 文字错误（生成失败、缺字等）
+    this._textManager.on('error', (payload) => {
+      this.viewer.events.emit('textError', payload)
+    })
+
+    // 文字参数、模式和位置变化后重新测量和检查
+    const analyzedEvents = ['textConfigUpdated', 'textContentUpdated', 'textModeChanged', 'textTransformed']
+    analyzedEvents.forEach(eventName => {
+      this._textManager.on(eventName, () => this.scheduleAnalysis())
+    })
+
     // 拖动时禁用相机控制
     if (this._textManager.transformControls) {
       this._textManager.transformControls.on('dragging-changed', (isDragging) => {
@@ -298,6 +816,22 @@ export class EditorApp {
     return this._textManager?.createTextObject(content, faceInfo)
   }
   
+  /**
+   * 开始沿路径添加文字：在模型上逐点点击绘制路径，双击结束后输入文字
+   */
+  startPathDrawing(targetMesh = null, options = {}) {
+    if (!this._textManager) this.initTextSystem()
+    return this._textManager?.startPathDrawing(targetMesh, options) ?? false
+  }
+
+  async finishPathDrawing(content = null) {
+    return this._textManager?.finishPathDrawing(content) ?? null
+  }
+
+  cancelPathDrawing() {
+    this._textManager?.cancelPathDrawing()
+  }
+
   async updateTextContent(textId, content) {
     return this._textManager?.updateTextContent(textId, content)
   }
@@ -337,6 +871,88 @@ export class EditorApp {
     return this._textManager
   }
 
+  /**
+   * 注册字体（TTF/OTF/WOFF 文件、ArrayBuffer 或字体路径），注册后可在文字配置中按名称使用
+   * @param {string|ArrayBuffer|Blob} source - 字体来源
+   * @param {Object} [options] - { name, label }
+   * @returns {Promise<string>} 注册的字体名称
+   */
+  async registerFont(source, options = {}) {
+    if (!this._textManager) this.initTextSystem()
+    return this._textManager.registerFont(options.name, source, options)
+  }
+
+  getRegisteredFonts() {
+    return this._textManager?.getRegisteredFonts() || []
+  }
+
+  // ==================== SVG 贴花 ====================
+
+  /**
+   * 开始放置 SVG 贴花，之后点击模型表面即在点击处创建
+   * @param {string} svg - SVG 文件内容
+   * @param {Object} [options] - { name, config: { size, thickness, angle } }
+   * @returns {boolean} 是否成功开始
+   */
+  startDecorationPlacement(svg, options = {}) {
+    if (!this._textManager) this.initTextSystem()
+    return this._textManager.startDecorationPlacement(svg, options)
+  }
+
+  /**
+   * 开始放置图片浮雕，之后点击模型表面即在点击处创建
+   * @param {string} image - 图片 data URL（PNG/JPEG）
+   * @param {Object} [options] - { name, config: { size, thickness, angle, relief: { resolution, invert, base } } }
+   * @returns {Promise<boolean>} 是否成功开始
+   */
+  async startReliefPlacement(image, options = {}) {
+    if (!this._textManager) this.initTextSystem()
+    return this._textManager.startReliefPlacement(image, options)
+  }
+
+  cancelDecorationPlacement() {
+    this._textManager?.cancelDecorationPlacement()
+  }
+
+  async createDecoration(svg, faceInfo, options = {}) {
+    if (!this._textManager) this.initTextSystem()
+    return this._textManager.createDecoration(svg, faceInfo, options)
+  }
+
+  async createRelief(image, faceInfo, options = {}) {
+    if (!this._textManager) this.initTextSystem()
+    return this._textManager.createRelief(image, faceInfo, options)
+  }
+
+  getDecorations() {
+    return this._textObjects.filter(obj => obj.kind === 'decoration')
+  }
+
+  getDecorationSnapshot(decorationId) {
+    return this._textManager?.getTextSnapshot(decorationId) || null
+  }
+
+  async restoreDecoration(snapshot) {
+    if (!this._textManager) this.initTextSystem()
+    return this._textManager.restoreText(snapshot)
+  }
+
+  async deleteDecoration(decorationId) {
+    return this._textManager?.deleteText(decorationId)
+  }
+
+  async updateDecorationConfig(decorationId, config) {
+    return this._textManager?.updateTextConfig(decorationId, config)
+  }
+
+  updateDecorationColor(decorationId, color) {
+    this.updateTextColor(decorationId, color)
+  }
+
+  async switchDecorationMode(decorationId, mode) {
+    return this._textManager?.switchTextMode(decorationId, mode)
+  }
+
   // ==================== 视图模式（结果态/构造态） ====================
 
   /**
@@ -402,6 +1018,15 @@ export class EditorApp {
     
     this._objectSelection.on('draggingChanged', (isDragging) => {
       this.viewer.setControlsEnabled(!isDragging)
+      this.viewer.events.emit('objectDragging', { isDragging })
+    })
+    
+    this._objectSelection.on('objectTransformed', ({ object, mode }) => {
+      this._onObjectTransformed(object, mode)
+    })
+    
+    this._objectSelection.on('transformModeChanged', (mode) => {
+      this.viewer.events.emit('transformModeChanged', { mode })
     })
     
     return this._objectSelection
@@ -435,16 +1060,24 @@ export class EditorApp {
     return project
   }
   
-  saveProject(key) {
+  /**
+   * 保存项目到本地（IndexedDB，包含模型文件和缩略图）
+   * @param {string} [key] - 存储键名，默认按项目 ID 生成
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async saveProject(key) {
     this._syncStateToProject()
     const storageKey = key || `editor_project_${this.projectManager.projectInfo.id}`
-    return this.projectManager.saveToLocal(storageKey)
+    const thumbnail = await this._captureThumbnail()
+    return await this.projectManager.saveToLocal(storageKey, { thumbnail })
   }
   
   async loadProject(key = 'editor_project') {
-    const data = this.projectManager.loadFromLocal(key)
+    const data = await this.projectManager.loadFromLocal(key)
     if (!data) return null
     await this._restoreProjectState(data)
+    // 场景恢复完成后通知外部（撤销日志等依赖场景对象的数据在此之后恢复）
+    this.viewer.events.emit('projectRestored', { source: 'local', key, data })
     return data
   }
   
@@ -482,15 +1115,41 @@ export class EditorApp {
   async importProjectFile(file) {
     const data = await this.projectManager.importProjectFile(file)
     await this._restoreProjectState(data)
+    this.viewer.events.emit('projectRestored', { source: 'file', data })
     return data
   }
   
-  getLocalProjectList() {
-    return this.projectManager.getLocalProjectList()
+  async getLocalProjectList() {
+    return await this.projectManager.getLocalProjectList()
+  }
+  
+  async deleteLocalProject(key) {
+    await this.projectManager.deleteLocalProject(key)
+    this.viewer.events.emit('projectDeleted', { key })
+  }
+  
+  async renameLocalProject(key, name) {
+    await this.projectManager.renameLocalProject(key, name)
   }
   
-  deleteLocalProject(key) {
-    this.projectManager.deleteLocalProject(key)
+  async duplicateLocalProject(key, name) {
+    return await this.projectManager.duplicateLocalProject(key, name)
+  }
+  
+  /**
+   * 生成项目缩略图（本地项目列表使用）
+   * @private
+   * @returns {Promise<Blob|null>}
+   */
+  async _captureThumbnail() {
+    try {
+      const dataUrl = this.viewer.screenshot({ width: 256, height: 256, type: 'image/jpeg', quality: 0.8 })
+      const response = await fetch(dataUrl)
+      return await response.blob()
+    } catch (error) {
+      console.warn('[EditorApp] 生成缩略图失败:', error)
+      return null
+    }
   }
   
   getProjectName() {
@@ -509,34 +1168,90 @@ export class EditorApp {
     return this.projectManager
   }
   
+  /**
+   * 生成场景对象的持久引用（撤销日志使用），重新打开项目后可用 resolveObjectRef 找回同一对象：
+   * 文字/贴花按 ID 引用，模型按加载顺序和子节点遍历序号引用，整体缩放代理对象为 { scene: true }
+   * @param {THREE.Object3D|string} objectOrUuid - 对象或对象 uuid
+   * @returns {Object|null} { textId }、{ model, child, name } 或 { scene }，无法引用时为 null
+   */
+  getObjectRef(objectOrUuid) {
+    const object = typeof objectOrUuid === 'string'
+      ? this.viewer.scene.getObjectByProperty('uuid', objectOrUuid)
+      : objectOrUuid
+    if (!object) return null
+    
+    if (object === this.sceneTransform) return { scene: true }
+    
+    if (object.userData?.isTextObject && object.userData.textId) {
+      return { textId: object.userData.textId }
+    }
+    
+    const models = this._getModelRoots()
+    for (let model = 0; model < models.length; model++) {
+      let child = -1
+      let index = 0
+      models[model].traverse((node) => {
+        if (node === object) child = index
+        index++
+      })
+      if (child >= 0) return { model, child, name: object.name || null }
+    }
+    return null
+  }
+  
+  /**
+   * 按 getObjectRef 生成的引用找回场景对象
+   * @param {Object} ref
+   * @returns {THREE.Object3D|null}
+   */
+  resolveObjectRef(ref) {
+    if (!ref) return null
+    if (ref.scene) return this.sceneTransform
+    
+    if (ref.textId) {
+      return this._textManager?.textObjects.get(ref.textId)?.mesh || null
+    }
+    
+    const root = this._getModelRoots()[ref.model]
+    if (!root) return null
+    
+    let found = null
+    let index = 0
+    root.traverse((node) => {
+      if (index === ref.child) found = node
+      index++
+    })
+    // 名称不一致说明模型已经不是保存时的那个
+    if (!found || (ref.name && found.name !== ref.name)) return null
+    return found
+  }
+  
+  /**
+   * 场景中的模型（不含辅助对象和文字），按加载顺序排列
+   * @private
+   */
+  _getModelRoots() {
+    return this.viewer.getMeshes().filter(m => !m.userData.isHelper && !m.userData.isText)
+  }
+  
   _syncStateToProject() {
     // 1. 收集主模型配置
     const meshes = this.viewer.getMeshes().filter(m => !m.userData.isHelper && !m.userData.isText)
     
     if (meshes.length > 0) {
-      const mainMesh = meshes[0]
-      const box = new THREE.Box3().setFromObject(mainMesh)
-      const size = box.getSize(new THREE.Vector3())
-      
-      // 计算表面积和体积（近似值）
-      let surface = 0
-      let volume = 0
-      mainMesh.traverse((child) => {
-        if (child.isMesh && child.geometry) {
-          const geo = child.geometry
-          geo.computeBoundingBox()
-          const geoSize = geo.boundingBox.getSize(new THREE.Vector3())
-          // 简单估算：假设为长方体
-          surface += 2 * (geoSize.x * geoSize.y + geoSize.y * geoSize.z + geoSize.x * geoSize.z)
-          volume += geoSize.x * geoSize.y * geoSize.z
-        }
-      })
+      // 最终实体（模型 + 底座 + 凸起文字）的测量值；有待执行的测量时立即测量
+      const measurement = this._measureTimer || !this._measurement ? this.measure() : this._measurement
+      const round = (value) => Math.round(value * 100) / 100
       
       this.projectManager.updateFinalModelConfig({
-        scale: mainMesh.scale.toArray(),
-        boundingBox: size.toArray(),
-        surface: Math.round(surface * 100) / 100,
-        volume: Math.round(volume * 100) / 100
+        // 整体缩放（模型文件不变，打开项目时按此恢复）
+        scale: this.sceneTransform.scale.toArray(),
+        ...(measurement && {
+          boundingBox: measurement.boundingBox.map(round),
+          obb: measurement.obb.size.map(round),
+          surface: round(measurement.surface),
+          volume: round(measurement.volume)
+        })
       })
     }
     
@@ -556,9 +1271,10 @@ export class EditorApp {
     
     // 3. 收集文字配置
     this.projectManager.config.texts = []
-    this._textObjects.forEach(textObj => {
+    this._textObjects.filter(obj => obj.kind !== 'decoration').forEach(textObj => {
       // 获取文字的完整配置
       const textConfig = this._textManager?.getTextConfig?.(textObj.id) || {}
+      const anchor = this._getSurfaceAnchor(textObj)
       
       this.projectManager.addTextConfig({
         id: textObj.id,
@@ -570,17 +1286,108 @@ export class EditorApp {
         mode: textObj.mode || 'raised',
         color: this._getTextColor(textObj),
         position: textObj.mesh?.position?.toArray() || [0, 0, 0],
+        center: this._getWorldCenter(textObj),
         rotation: this._getTextRotation(textObj),
-        featureName: textObj.featureName || textObj.attachedSurface || ''
+        featureName: anchor?.featureName || textObj.featureName || textObj.attachedSurface || '',
+        anchor,
+        align: textObj.config?.align,
+        lineHeight: textObj.config?.lineHeight,
+        letterSpacing: textObj.config?.letterSpacing,
+        kerning: textObj.config?.kerning,
+        kerningPairs: textObj.config?.kerningPairs || null,
+        effect: textObj.config?.effect || 'none',
+        effectOptions: textEffects.getEffectOptions(textObj.config),
+        path: textObj.config?.path || null,
+        ...this._textManager?.getWrapConfig(textObj)
       })
     })
     
-    // 4. 更新属性标识符
+    // 4. 收集文字引用的运行时字体（上传的字体文件随项目保存）
+    this.projectManager.config.fonts = []
+    new Set(this.projectManager.config.texts.map(text => text.type)).forEach(fontName => {
+      const font = this._textManager?.getFontSource(fontName)
+      if (!font) return
+      this.projectManager.addFontConfig({
+        name: font.name,
+        label: font.label,
+        path: font.source,
+        file: font.data ? new Blob([font.data]) : null,
+        extension: font.extension
+      })
+    })
+    
+    // 5. 收集贴花配置
+    this.projectManager.config.decorations = []
+    this.getDecorations().forEach(decoration => {
+      const anchor = this._getSurfaceAnchor(decoration)
+      this.projectManager.addDecorationConfig({
+        id: decoration.id,
+        name: decoration.content,
+        svg: decoration.config?.svg || '',
+        relief: decoration.config?.relief || null,
+        size: decoration.config?.size || 1,
+        thickness: decoration.config?.thickness || 0.1,
+        angle: decoration.config?.angle || 0,
+        mode: decoration.mode || 'raised',
+        color: this._getTextColor(decoration),
+        position: decoration.mesh?.position?.toArray() || [0, 0, 0],
+        center: this._getWorldCenter(decoration),
+        rotation: this._getTextRotation(decoration),
+        featureName: anchor?.featureName || decoration.surfaceId || '',
+        anchor
+      })
+    })
+
+    // 6. 更新属性标识符
     this.projectManager.updatePropIdentifier()
     
     console.log('[EditorApp] 状态已同步到项目配置')
   }
   
+  /**
+   * 获取文字/贴花的表面锚点，并记录附着在原始模型还是底座上
+   * @private
+   */
+  _getSurfaceAnchor(textObj) {
+    const anchor = this._textManager?.getTextAnchor?.(textObj.id)
+    if (!anchor) return null
+    
+    const baseMesh = this.viewer.getMeshByName('base') || this.viewer.getMeshByName('Base')
+    const onBase = !!(baseMesh && textObj.targetMesh && baseMesh.getObjectById(textObj.targetMesh.id))
+    return { ...anchor, target: onBase ? 'base' : 'origin' }
+  }
+  
+  /**
+   * 获取文字/贴花包围盒中心（世界坐标）
+   * 路径文字和投影文字的几何体直接生成在目标表面上，网格位置是原点，不能代表文字所在位置
+   * @private
+   */
+  _getWorldCenter(textObj) {
+    if (!textObj.mesh) return null
+    const box = new THREE.Box3().setFromObject(textObj.mesh)
+    return box.isEmpty() ? null : box.getCenter(new THREE.Vector3()).toArray()
+  }
+  
+  /**
+   * 锚点无法解析时就近放置的参考点（世界坐标）：锚点附着点 → 保存的包围盒中心 → 路径中心 → 网格位置
+   * @private
+   */
+  _getRestorePoint(item, targetMesh) {
+    targetMesh.updateMatrixWorld(true)
+    if (Array.isArray(item.anchor?.point)) {
+      return targetMesh.localToWorld(new THREE.Vector3().fromArray(item.anchor.point))
+    }
+    if (Array.isArray(item.center)) {
+      return new THREE.Vector3().fromArray(item.center)
+    }
+    const points = item.path?.points
+    if (Array.isArray(points) && points.length > 0) {
+      const center = points.reduce((sum, point) => sum.add(new THREE.Vector3().fromArray(point)), new THREE.Vector3())
+      return targetMesh.localToWorld(center.divideScalar(points.length))
+    }
+    return new THREE.Vector3().fromArray(item.position || [0, 0, 0])
+  }
+  
   /**
    * 获取文字颜色
    * @private
@@ -633,16 +1440,37 @@ export class EditorApp {
   }
   
   async _restoreProjectState(projectData) {
+    this._restoringProject = true
+    try {
+      return await this._restoreProjectScene(projectData)
+    } finally {
+      this._restoringProject = false
+    }
+  }
+  
+  /**
+   * 是否正在按项目配置恢复场景（恢复过程中创建的文字/贴花不应记入撤销历史）
+   * @returns {boolean}
+   */
+  isRestoringProject() {
+    return !!this._restoringProject
+  }
+  
+  async _restoreProjectScene(projectData) {
     const config = projectData.config
     this._clearScene()
     
+    const models = {}
+    
     const originPath =
       this.projectManager?.resolveModelPath?.('origin') ||
       config?.models?.origin?.path ||
       config?.originModelPath
     if (originPath) {
       try {
-        await this.loadModel(originPath)
+        const result = await this.loadModel(originPath)
+        models.origin = result.model
+        this._restoreSceneScale(models.origin, config?.models?.final?.config?.scale)
       } catch (error) {
         console.warn('[EditorApp] 加载原始模型失败:', error)
       }
@@ -654,11 +1482,203 @@ export class EditorApp {
       config?.baseModelPath
     if (basePath) {
       try {
-        await this.loadModel(basePath, { name: 'base' })
+        const result = await this.loadModel(basePath)
+        models.base = result.model
+        this._applyBaseConfig(models.base, config?.models?.base?.config)
+        const baseConfig = config?.models?.base?.config || {}
+        await this._setBase(models.base, {
+          id: baseConfig.libraryId ?? null,
+          name: baseConfig.name || '',
+          path: config?.models?.base?.path || basePath
+        })
+        // 模型位置不随项目保存，底座跟随模型重新对齐
+        if (this.baseAutoAlign) this.alignBaseToModel('model')
+        this.viewer.events.emit('baseChanged', { base: models.base, item: models.base.userData.baseItem })
       } catch (error) {
         console.warn('[EditorApp] 加载底座模型失败:', error)
       }
     }
+    
+    return this._restoreSurfaceObjects(config, models)
+  }
+  
+  /**
+   * 恢复整体缩放：底座变换已按缩放后的尺寸保存，文字随后贴合到缩放后的模型，只需缩放原始模型
+   * @private
+   */
+  _restoreSceneScale(model, scale) {
+    if (!Array.isArray(scale) || scale.every(value => value === 1)) return
+    model.scale.multiply(new THREE.Vector3().fromArray(scale))
+    model.updateMatrixWorld(true)
+    this.sceneTransform.scale.fromArray(scale)
+    this._appliedSceneScale.fromArray(scale)
+    this.viewer.events.emit('sceneTransformChanged', { scale: [...scale], ratio: [...scale], scaleTexts: false })
+  }
+  
+  /**
+   * 应用项目中保存的底座变换（position / rotation / scale）
+   * @private
+   */
+  _applyBaseConfig(base, baseConfig = {}) {
+    if (Array.isArray(baseConfig?.position)) base.position.fromArray(baseConfig.position)
+    if (Array.isArray(baseConfig?.rotation)) base.rotation.set(...baseConfig.rotation)
+    if (Array.isArray(baseConfig?.scale)) base.scale.fromArray(baseConfig.scale)
+    base.updateMatrixWorld(true)
+  }
+  
+  /**
+   * 把项目中的文字和贴花重新贴合到刚加载的模型上
+   * 模型可能与保存时略有不同（重新导出、修复、细分），按表面锚点（特征名 + 表面签名 + 特征内相对位置）重新定位，
+   * 置信度不足的条目仍会放置，但会在报告中列出，提示用户检查位置
+   * @private
+   * @param {Object} config - 项目配置
+   * @param {Object} models - { origin, base } 已加载的模型
+   * @returns {Promise<{restored: Array, unmatched: Array, missingFonts: string[]}>} restored / unmatched 每项为 { id, name, kind, confidence, reason? }
+   */
+  async _restoreSurfaceObjects(config, models) {
+    const report = { restored: [], unmatched: [], missingFonts: [] }
+    const entries = [
+      ...(config?.texts || []).map(item => ({ kind: 'text', item })),
+      ...(config?.decorations || []).map(item => ({ kind: 'decoration', item }))
+    ]
+    if (entries.length === 0) return report
+    
+    const textManager = this.initTextSystem()
+    report.missingFonts = await this._restoreProjectFonts(config, textManager)
+    const findMesh = (object) => {
+      let found = null
+      object?.traverse((child) => {
+        if (!found && child.isMesh && child.geometry) found = child
+      })
+      return found
+    }
+    const targets = { origin: findMesh(models.origin), base: findMesh(models.base) }
+    
+    for (const { kind, item } of entries) {
+      const entry = { id: item.index, name: item.id || item.name || item.text, kind, confidence: 0 }
+      const targetMesh = targets[item.anchor?.target] || targets.origin || targets.base
+      if (!targetMesh) {
+        report.unmatched.push({ ...entry, reason: '目标模型未加载' })
+        continue
+      }
+      
+      try {
+        const placement =
+          surfaceAnchor.resolveAnchor(item.anchor, targetMesh) ||
+          surfaceAnchor.locateNearest(targetMesh, this._getRestorePoint(item, targetMesh))
+        if (!placement) {
+          report.unmatched.push({ ...entry, reason: '找不到可贴合的表面' })
+          continue
+        }
+        
+        const textId = await this._createFromProjectConfig(kind, item, placement.faceInfo)
+        const textObj = textManager.textObjects.get(textId)
+        
+        // 模型未变化时沿用保存的变换，保留创建后的拖动调整
+        if (placement.exact && textObj?.mesh && item.position && item.rotate) {
+          textObj.mesh.position.fromArray(item.position)
+          textObj.mesh.rotation.set(...item.rotate)
+          textObj.mesh.updateMatrixWorld(true)
+        }
+        if (item.effect === 'Engraved') {
+          await textManager.switchTextMode(textId, 'engraved')
+        }
+        
+        const restored = { ...entry, id: textId, confidence: placement.confidence }
+        if (placement.confidence >= MIN_ANCHOR_CONFIDENCE) {
+          report.restored.push(restored)
+        } else {
+          report.unmatched.push({
+            ...restored,
+            reason: item.anchor ? '模型变化较大，位置可能不准确' : '项目未保存表面锚点，按保存的位置就近放置'
+          })
+        }
+      } catch (error) {
+        console.warn(`[EditorApp] 恢复${kind === 'text' ? '文字' : '贴花'}失败: ${entry.name}`, error)
+        report.unmatched.push({ ...entry, reason: error.message })
+      }
+    }
+    
+    if (report.unmatched.length > 0) {
+      console.warn('[EditorApp] 以下对象未能可靠贴合到模型:', report.unmatched.map(e => e.name).join('、'))
+    }
+    this.viewer.events.emit('surfaceObjectsRestored', report)
+    return report
+  }
+  
+  /**
+   * 重新注册项目保存的字体（上传的字体文件或字体地址）
+   * @private
+   * @returns {Promise<string[]>} 文字引用但无法恢复的字体名称，这些文字改用默认字体
+   */
+  async _restoreProjectFonts(config, textManager) {
+    const available = new Set(textManager.getRegisteredFonts().map(font => font.name))
+    
+    for (const font of config?.fonts || []) {
+      if (available.has(font.name)) continue
+      const source = this.projectManager.resolveFontSource(font)
+      if (!source) continue
+      try {
+        await textManager.registerFont(font.name, source, { label: font.label })
+        available.add(font.name)
+      } catch (error) {
+        console.warn(`[EditorApp] 恢复字体失败: ${font.name}`, error)
+      }
+    }
+    
+    const missing = [...new Set((config?.texts || []).map(item => item.type))]
+      .filter(name => name && !available.has(name))
+    if (missing.length > 0) {
+      console.warn('[EditorApp] 以下字体无法恢复，相关文字使用默认字体:', missing.join('、'))
+    }
+    return missing
+  }
+  
+  /**
+   * 按项目配置创建文字或贴花（字段对应关系见 ProjectManager.addTextConfig / addDecorationConfig）
+   * @private
+   */
+  async _createFromProjectConfig(kind, item, faceInfo) {
+    // 缺省字段交给文字系统的默认配置
+    const defined = (config) => {
+      Object.keys(config).forEach(key => config[key] === undefined && delete config[key])
+      return config
+    }
+    
+    if (kind === 'decoration') {
+      const options = {
+        id: item.index,
+        name: item.name,
+        config: defined({
+          size: item.size,
+          thickness: item.depth,
+          angle: item.angle || 0,
+          color: item.color
+        })
+      }
+      if (item.type === 'relief') {
+        options.config.relief = defined({ resolution: item.resolution, invert: !!item.invert, base: item.base })
+        return this._textManager.createRelief(this.projectManager.resolveAssetUrl(item.image), faceInfo, options)
+      }
+      return this._textManager.createDecoration(item.svg, faceInfo, options)
+    }
+    
+    const config = defined({
+      font: item.type,
+      size: item.size,
+      thickness: item.depth,
+      color: item.color,
+      align: item.align,
+      lineHeight: item.lineHeight,
+      letterSpacing: item.letterSpacing,
+      kerning: item.kerning !== false,
+      effect: item.textEffect || 'none',
+      ...(item.effectOptions || {})
+    })
+    if (item.kerningPairs) config.kerningPairs = item.kerningPairs
+    if (item.path) config.path = item.path
+    Object.assign(config, this._textManager.parseWrapConfig(item))
+    return this._textManager.createTextObject(item.text, faceInfo, { id: item.index, config })
   }
   
   _clearScene() {
@@ -669,6 +1689,20 @@ export class EditorApp {
     
     const meshesToRemove = this.viewer.getMeshes().filter(m => !m.userData.isHelper)
     meshesToRemove.forEach(mesh => this.viewer.removeMesh(mesh))
+    this._base = null
+    this._baseTop = null
+    this.clearBakeCache()
+    clearTimeout(this._measureTimer)
+    this._measureTimer = null
+    this._measurement = null
+    clearTimeout(this._engravingTimer)
+    this._engravingTimer = null
+    this._engravingRequest++
+    this._engravingReports = []
+    this.sceneTransform.position.set(0, 0, 0)
+    this.sceneTransform.scale.set(1, 1, 1)
+    this._appliedSceneScale.set(1, 1, 1)
+    this.viewer.events.emit('sceneTransformChanged', { scale: [1, 1, 1], ratio: [1, 1, 1], scaleTexts: false })
     
     this.featureDetector?.clearCache()
   }
@@ -692,7 +1726,225 @@ export class EditorApp {
   getFeatureDetector() {
     return this.featureDetector
   }
-  
+
+  // ==================== 底座 ====================
+
+  /**
+   * 从底座库加载底座（替换当前底座），按模型占地尺寸缩放后把模型放到底座顶面上
+   * @param {Object} item - 底座库条目 { id, name, path }（模型地址也可以放在 url / modelUrl）
+   * @returns {Promise<THREE.Object3D>} 底座模型
+   */
+  async loadBase(item) {
+    const path = item?.path || item?.url || item?.modelUrl
+    if (!path) {
+      throw new Error('底座缺少模型地址')
+    }
+
+    const result = await this.loadModel(path)
+    this.removeBase({ silent: true })
+    await this._setBase(result.model, { id: item.id ?? null, name: item.name || '', path })
+    this.alignBaseToModel('model', { fit: true })
+
+    this.projectManager.setBaseModelPath(path)
+    this.projectManager.updateBaseModelConfig({ libraryId: item.id ?? null, name: item.name || '' })
+    this.viewer.events.emit('baseChanged', { base: this._base, item: this._base.userData.baseItem })
+    return this._base
+  }
+
+  /**
+   * 移除当前底座
+   * @param {Object} [options]
+   * @param {boolean} [options.silent=false] - 不更新项目配置、不触发 baseChanged（替换底座时使用）
+   */
+  removeBase(options = {}) {
+    const base = this.getBase()
+    if (base) {
+      base.traverse((child) => {
+        if (child.isMesh && child.geometry) {
+          this.featureDetector.clearCache(this.featureDetector.generateMeshId(child))
+        }
+      })
+      this.viewer.removeMesh(base)
+    }
+    this._base = null
+    this._baseTop = null
+
+    if (options.silent) return
+    this.projectManager.setBaseModelPath('')
+    this.projectManager.updateBaseModelConfig({ libraryId: null, name: '' })
+    this.viewer.events.emit('baseChanged', { base: null, item: null })
+  }
+
+  /**
+   * 当前底座模型
+   * @returns {THREE.Object3D|null}
+   */
+  getBase() {
+    if (this._base?.parent) return this._base
+    return this.viewer.getMeshByName('base') || null
+  }
+
+  /**
+   * 开启/关闭底座自动对齐（开启时立即把底座对齐到模型下方）
+   * @param {boolean} enabled
+   */
+  setBaseAutoAlign(enabled) {
+    this.baseAutoAlign = !!enabled
+    if (this.baseAutoAlign) this.alignBaseToModel('model')
+  }
+
+  /**
+   * 把模型放到底座顶面中央（模型底部贴合顶面）
+   * @param {'model'|'base'} [leader='model'] - 保持不动的一方：model 时移动底座，base 时移动模型
+   * @param {Object} [options]
+   * @param {boolean} [options.fit=false] - 先按模型占地尺寸等比缩放底座
+   * @returns {boolean} 是否完成对齐（缺少模型或底座时为 false）
+   */
+  alignBaseToModel(leader = 'model', options = {}) {
+    const base = this.getBase()
+    const model = this._getMainModel()
+    if (!base || !model) return false
+
+    model.updateMatrixWorld(true)
+    const modelBox = new THREE.Box3().setFromObject(model)
+    if (modelBox.isEmpty()) return false
+
+    if (options.fit) {
+      const footprint = modelBox.getSize(new THREE.Vector3())
+      const topSize = this._getBaseTop(base).box.getSize(new THREE.Vector3())
+      const factor = Math.max(footprint.x / topSize.x, footprint.z / topSize.z) * BASE_FIT_MARGIN
+      if (Number.isFinite(factor) && factor > 0) {
+        base.scale.multiplyScalar(factor)
+      }
+    }
+
+    const top = this._getBaseTop(base)
+    const topCenter = top.box.getCenter(new THREE.Vector3())
+    const modelCenter = modelBox.getCenter(new THREE.Vector3())
+    const offset = new THREE.Vector3(
+      topCenter.x - modelCenter.x,
+      top.height - modelBox.min.y,
+      topCenter.z - modelCenter.z
+    )
+
+    if (leader === 'base') {
+      model.position.add(offset)
+      model.updateMatrixWorld(true)
+    } else {
+      base.position.sub(offset)
+      base.updateMatrixWorld(true)
+    }
+
+    this.viewer.events.emit('baseAligned', { base, model, leader })
+    return true
+  }
+
+  /**
+   * 自动对齐时随对象一起移动的另一方（拖动模型时为底座，拖动底座时为模型）
+   * @param {THREE.Object3D} object - 被变换的对象
+   * @returns {THREE.Object3D|null}
+   */
+  getAlignedPartner(object) {
+    if (!this.baseAutoAlign || !object) return null
+    const base = this.getBase()
+    const model = this._getMainModel()
+    if (!base || !model) return null
+
+    const root = this._findModelRoot(object)
+    if (root === base) return model
+    if (root === model) return base
+    return null
+  }
+
+  /**
+   * 登记底座模型并查找顶面
+   * @private
+   * @param {THREE.Object3D} base - 已加入场景的底座模型
+   * @param {Object} item - { id, name, path }
+   */
+  async _setBase(base, item) {
+    base.name = 'base'
+    base.userData.isBase = true
+    base.userData.baseItem = item
+    this._base = base
+    this._baseTop = null
+
+    base.updateMatrixWorld(true)
+    const meshes = []
+    base.traverse((child) => {
+      if (child.isMesh && child.geometry) meshes.push(child)
+    })
+    for (const mesh of meshes) {
+      const plane = await this.featureDetector.findTopPlane(mesh)
+      if (!plane) continue
+      const height = plane.point.clone().applyMatrix4(mesh.matrixWorld).y
+      if (!this._baseTop || height > this._baseTop.height) {
+        this._baseTop = { mesh, plane, height }
+      }
+    }
+    if (!this._baseTop) {
+      console.warn('[EditorApp] 底座没有朝上的平面，按包围盒顶部放置模型')
+    }
+  }
+
+  /**
+   * 底座顶面在世界坐标系中的高度和水平范围
+   * @private
+   * @returns {{height: number, box: THREE.Box3}}
+   */
+  _getBaseTop(base) {
+    base.updateMatrixWorld(true)
+    const top = this._baseTop
+    if (top?.mesh && this._findModelRoot(top.mesh) === base) {
+      return {
+        height: top.plane.point.clone().applyMatrix4(top.mesh.matrixWorld).y,
+        box: top.plane.bounds.clone().applyMatrix4(top.mesh.matrixWorld)
+      }
+    }
+    const box = new THREE.Box3().setFromObject(base)
+    return { height: box.max.y, box }
+  }
+
+  /**
+   * 主模型（第一个不是底座的模型）
+   * @private
+   */
+  _getMainModel() {
+    return this._getModelRoots().find(root => !root.userData.isBase && root.name !== 'base') || null
+  }
+
+  /**
+   * 对象所属的模型根节点
+   * @private
+   */
+  _findModelRoot(object) {
+    return this._getModelRoots().find(root => {
+      let found = false
+      root.traverse((node) => {
+        if (node === object) found = true
+      })
+      return found
+    }) || null
+  }
+
+  /**
+   * 拖动模型或底座时让另一方跟随；旋转、缩放模型会改变占地尺寸，同时重新缩放底座
+   * 变换后重新测量和检查
+   * @private
+   */
+  _onObjectTransformed(object, mode) {
+    this.scheduleAnalysis()
+    if (!this.baseAutoAlign) return
+    const root = this._findModelRoot(object)
+    if (!root) return
+
+    if (root === this.getBase()) {
+      this.alignBaseToModel('base')
+    } else if (root === this._getMainModel()) {
+      this.alignBaseToModel('model', { fit: mode !== 'translate' })
+    }
+  }
+
   // ==================== 便捷方法（代理到 Viewer） ====================
   
   // 场景操作
@@ -740,11 +1992,15 @@ export class EditorApp {
     this._objectSelection?.destroy()
     this.projectManager?.dispose()
     this.featureDetector?.clearCache()
+    this.clearBakeCache()
+    this._booleanOperator?.destroy()
     
     // 清理库层
     this.loader?.dispose()
     this.exporter?.dispose()
     this.viewer?.dispose()
+    clearTimeout(this._measureTimer)
+    clearTimeout(this._engravingTimer)
     
     this._textObjects = []
     this._facePicker = null
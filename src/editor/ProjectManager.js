@@ -3,9 +3,13 @@
  * 负责项目的创建、保存、加载、导出配置等
  */
 import defaultConfig, { normalizeConfig, serializeConfig } from '../../config/config.js'
+import { projectStore } from './ProjectStore.js'
 
 export class ProjectManager {
-  constructor() {
+  constructor(options = {}) {
+    // 本地项目存储（IndexedDB）
+    this.projectStore = options.projectStore || projectStore
+
     // 当前项目配置（深拷贝默认配置）
     this.config = normalizeConfig(this._deepClone(defaultConfig))
     
@@ -79,23 +83,30 @@ export class ProjectManager {
   }
 
   /**
-   * 保存项目到本地存储
+   * 保存项目到本地存储（IndexedDB）
+   * 模型文件一并保存，配置中的模型路径改为项目内相对路径（models/*），与 ZIP 项目包一致
    * @param {string} key - 存储键名
-   * @returns {boolean} 是否成功
+   * @param {Object} [options]
+   * @param {Blob} [options.thumbnail] - 缩略图
+   * @returns {Promise<boolean>} 是否成功
    */
-  saveToLocal(key = 'editor_project') {
+  async saveToLocal(key = 'editor_project', options = {}) {
     try {
       const nextUpdateTime = Date.now()
       const projectInfoForSave = { ...this.projectInfo, updateTime: nextUpdateTime }
       const configForSave = this._deepClone(this.config)
       configForSave.status = 'synced'
 
+      const files = {
+        ...await this._collectModelFiles(configForSave),
+        ...this._collectAssetFiles(configForSave)
+      }
       const data = {
         projectInfo: projectInfoForSave,
         config: serializeConfig(configForSave)
       }
       
-      localStorage.setItem(key, JSON.stringify(data))
+      await this.projectStore.save(key, { ...data, files, thumbnail: options.thumbnail || null })
 
       this.projectInfo.updateTime = nextUpdateTime
       this._isDirty = false
@@ -111,20 +122,21 @@ export class ProjectManager {
   }
 
   /**
-   * 从本地存储加载项目
+   * 从本地存储（IndexedDB）加载项目，保存的模型文件按项目内路径映射，resolveModelPath 可直接取到
    * @param {string} key - 存储键名
-   * @returns {Object|null} 项目数据
+   * @returns {Promise<Object|null>} 项目数据
    */
-  loadFromLocal(key = 'editor_project') {
+  async loadFromLocal(key = 'editor_project') {
     try {
-      const json = localStorage.getItem(key)
-      if (!json) {
+      const record = await this.projectStore.load(key)
+      if (!record) {
         console.warn(`[ProjectManager] 未找到本地项目: ${key}`)
         return null
       }
       
-      const data = JSON.parse(json)
-      return this.loadProject(data)
+      const project = this.loadProject({ projectInfo: record.projectInfo, config: record.config })
+      Object.entries(record.files).forEach(([path, blob]) => this._registerPackageFile(path, blob))
+      return project
     } catch (error) {
       console.error('[ProjectManager] 加载失败:', error)
       return null
@@ -286,6 +298,7 @@ export class ProjectManager {
     }
 
     if (format === 'v3') {
+      Object.entries(this._collectAssetFiles(packageConfig)).forEach(([path, blob]) => zip.file(path, blob))
       const packageData = this._getPersistedProjectData(packageConfig)
       zip.file(projectFileName, JSON.stringify(packageData, null, 2))
     } else if (!zip.file(projectFileName)) {
@@ -346,13 +359,7 @@ export class ProjectManager {
       if (name === projectFileName) continue
 
       const blob = await zip.file(name).async('blob')
-      const normalized = this._normalizeZipPath(name)
-      const baseName = normalized.split('/').filter(Boolean).pop() || normalized || 'file'
-      const fileObject = typeof File !== 'undefined'
-        ? new File([blob], baseName, { type: blob.type || undefined })
-        : blob
-      const url = URL.createObjectURL(blob)
-      this._packageObjectUrls.set(normalized, { url, file: fileObject })
+      this._registerPackageFile(name, blob)
     }
 
     console.log(`[ProjectManager] 项目包已导入: ${file?.name || 'zip'}`)
@@ -443,6 +450,30 @@ export class ProjectManager {
     this._markDirty()
   }
 
+  /**
+   * 写入最终模型文件（烘焙导出的打印实体），作为项目内文件随本地保存和项目包一起保存
+   * @param {Blob} blob - 模型文件
+   * @param {Object} [info]
+   * @param {string} [info.format='stl'] - 文件格式（扩展名）
+   * @param {string} [info.propIdentifier] - 生成该文件时的属性标识符
+   */
+  setFinalModelFile(blob, info = {}) {
+    if (!this.config.models?.final) this.config = normalizeConfig(this.config)
+    const format = String(info.format || 'stl').toLowerCase()
+    const path = `models/final.${format}`
+
+    const previous = this._packageObjectUrls.get(path)
+    if (previous?.url) URL.revokeObjectURL(previous.url)
+    this._registerPackageFile(path, blob)
+
+    this.config.models.final.path = path
+    Object.assign(this.config.models.final.config, {
+      format,
+      propIdentifier: info.propIdentifier || this.config.propIdentifier
+    })
+    this._markDirty()
+  }
+
   /**
    * 更新底座模型配置
    * @param {Object} config - 底座配置
@@ -469,9 +500,21 @@ export class ProjectManager {
       color: textConfig.color || '#333333',
       position: textConfig.position || [0, 0, 0],
       rotate: textConfig.rotation || [0, 0, 0],
-      wrap: 'surface Project',
+      align: textConfig.align || 'center',
+      lineHeight: textConfig.lineHeight || 1.2,
+      letterSpacing: textConfig.letterSpacing || 0,
+      kerning: textConfig.kerning !== false,
+      textEffect: textConfig.effect || 'none',
+      wrap: textConfig.path ? 'path' : (textConfig.wrap || 'surface Project'),
       attachmentSurface: textConfig.featureName || ''
     }
+    if (text.wrap !== 'path' && textConfig.projectDirection) text.projectDirection = textConfig.projectDirection
+    if (text.wrap !== 'path' && textConfig.projectVector) text.projectVector = textConfig.projectVector
+    if (textConfig.kerningPairs) text.kerningPairs = textConfig.kerningPairs
+    if (textConfig.effectOptions) text.effectOptions = textConfig.effectOptions
+    if (textConfig.path) text.path = textConfig.path
+    if (textConfig.anchor) text.anchor = textConfig.anchor
+    if (textConfig.center) text.center = textConfig.center
     
     this.config.texts.push(text)
     this._markDirty()
@@ -496,6 +539,20 @@ export class ProjectManager {
     }
     if (updates.position !== undefined) text.position = updates.position
     if (updates.rotation !== undefined) text.rotate = updates.rotation
+    if (updates.align !== undefined) text.align = updates.align
+    if (updates.lineHeight !== undefined) text.lineHeight = updates.lineHeight
+    if (updates.letterSpacing !== undefined) text.letterSpacing = updates.letterSpacing
+    if (updates.kerning !== undefined) text.kerning = updates.kerning
+    if (updates.kerningPairs !== undefined) text.kerningPairs = updates.kerningPairs
+    if (updates.effect !== undefined) text.textEffect = updates.effect
+    if (updates.effectOptions !== undefined) text.effectOptions = updates.effectOptions
+    if (updates.wrap !== undefined) text.wrap = updates.wrap
+    if (updates.projectDirection !== undefined) text.projectDirection = updates.projectDirection
+    if (updates.projectVector !== undefined) text.projectVector = updates.projectVector
+    if (updates.path !== undefined) {
+      text.path = updates.path
+      text.wrap = updates.path ? 'path' : (text.wrap === 'path' ? 'surface Project' : text.wrap)
+    }
     
     this._markDirty()
     return true
@@ -523,6 +580,150 @@ export class ProjectManager {
     return [...this.config.texts]
   }
 
+  /**
+   * 添加贴花配置（SVG 贴花或图片浮雕）
+   * @param {Object} decorationConfig - 贴花配置，relief 存在时为图片浮雕
+   */
+  addDecorationConfig(decorationConfig) {
+    const relief = decorationConfig.relief
+    const decoration = {
+      id: decorationConfig.displayName || `贴花${this.config.decorations.length + 1}`,
+      index: decorationConfig.id || this._generateId(),
+      type: relief ? 'relief' : 'svg',
+      name: decorationConfig.name || (relief ? '图片浮雕' : 'SVG'),
+      svg: decorationConfig.svg || '',
+      size: decorationConfig.size || 1,
+      depth: decorationConfig.thickness || 0.1,
+      angle: decorationConfig.angle || 0,
+      effect: decorationConfig.mode === 'engraved' ? 'Engraved' : 'Embossed',
+      color: decorationConfig.color || '#555555',
+      position: decorationConfig.position || [0, 0, 0],
+      rotate: decorationConfig.rotation || [0, 0, 0],
+      attachmentSurface: decorationConfig.featureName || ''
+    }
+
+    if (relief) {
+      decoration.image = this._storeReliefImage(relief.image)
+      decoration.resolution = relief.resolution
+      decoration.invert = !!relief.invert
+      decoration.base = relief.base
+    }
+    if (decorationConfig.anchor) decoration.anchor = decorationConfig.anchor
+    if (decorationConfig.center) decoration.center = decorationConfig.center
+
+    this.config.decorations.push(decoration)
+    this._markDirty()
+    return decoration
+  }
+
+  /**
+   * 更新贴花配置
+   * @param {string} decorationId - 贴花ID（index）
+   * @param {Object} updates - 更新内容
+   */
+  updateDecorationConfig(decorationId, updates) {
+    const decoration = this.config.decorations.find(d => d.index === decorationId)
+    if (!decoration) return false
+
+    if (updates.name !== undefined) decoration.name = updates.name
+    if (updates.svg !== undefined) decoration.svg = updates.svg
+    if (updates.relief) {
+      if (updates.relief.image !== undefined) decoration.image = this._storeReliefImage(updates.relief.image)
+      if (updates.relief.resolution !== undefined) decoration.resolution = updates.relief.resolution
+      if (updates.relief.invert !== undefined) decoration.invert = !!updates.relief.invert
+      if (updates.relief.base !== undefined) decoration.base = updates.relief.base
+    }
+    if (updates.size !== undefined) decoration.size = updates.size
+    if (updates.thickness !== undefined) decoration.depth = updates.thickness
+    if (updates.angle !== undefined) decoration.angle = updates.angle
+    if (updates.color !== undefined) decoration.color = updates.color
+    if (updates.mode !== undefined) {
+      decoration.effect = updates.mode === 'engraved' ? 'Engraved' : 'Embossed'
+    }
+    if (updates.position !== undefined) decoration.position = updates.position
+    if (updates.rotation !== undefined) decoration.rotate = updates.rotation
+
+    this._markDirty()
+    return true
+  }
+
+  /**
+   * 删除贴花配置
+   * @param {string} decorationId - 贴花ID（index）
+   */
+  removeDecorationConfig(decorationId) {
+    const index = this.config.decorations.findIndex(d => d.index === decorationId)
+    if (index !== -1) {
+      this.config.decorations.splice(index, 1)
+      this._markDirty()
+      return true
+    }
+    return false
+  }
+
+  /**
+   * 获取所有贴花配置
+   * @returns {Array} 贴花配置数组
+   */
+  getDecorationConfigs() {
+    return [...this.config.decorations]
+  }
+
+  /**
+   * 添加字体配置（文字配置的 type 按名称引用）
+   * 上传的字体文件作为项目内文件（fonts/*）随本地保存和项目包一起保存
+   * @param {Object} font
+   * @param {string} font.name - 字体名称
+   * @param {string} [font.label] - 显示名称
+   * @param {string} [font.path] - 字体地址（按路径注册的字体）
+   * @param {Blob} [font.file] - 字体文件（上传的字体）
+   * @param {string} [font.extension='ttf'] - 字体文件扩展名
+   */
+  addFontConfig({ name, label, path, file, extension = 'ttf' }) {
+    if (!this.config.fonts) this.config = normalizeConfig(this.config)
+    let fontPath = path || ''
+    if (file) {
+      fontPath = `fonts/${this._sanitizeFileName(name) || 'font'}.${extension}`
+      const previous = this._packageObjectUrls.get(fontPath)
+      if (previous?.url) URL.revokeObjectURL(previous.url)
+      this._registerPackageFile(fontPath, file)
+    }
+    if (!name || !fontPath) return null
+
+    const font = { name, label: label || name, path: fontPath }
+    this.config.fonts = this.config.fonts.filter(item => item.name !== name).concat(font)
+    return font
+  }
+
+  /**
+   * 获取字体配置的运行时来源：项目内文件返回 File，网络地址原样返回，取不到时返回 null
+   * @param {Object} font - 字体配置 { name, path }
+   * @returns {File|Blob|string|null}
+   */
+  resolveFontSource(font) {
+    const path = font?.path || ''
+    if (/^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(path)) return path
+    return this._packageObjectUrls.get(this._normalizeZipPath(path))?.file || null
+  }
+
+  /**
+   * 获取项目内资源（浮雕图片等）的运行时地址：项目内文件返回 blob:URL，其它地址原样返回
+   * @param {string} path - 配置中的资源路径
+   * @returns {string}
+   */
+  resolveAssetUrl(path) {
+    if (typeof path !== 'string' || /^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(path)) return path
+    return this._packageObjectUrls.get(this._normalizeZipPath(path))?.url || path
+  }
+
+  /**
+   * 获取所有字体配置
+   * @returns {Array} 字体配置数组
+   */
+  getFontConfigs() {
+    return [...(this.config.fonts || [])]
+  }
+
   /**
    * 更新属性标识符（用于版本比对）
    * 生成一个唯一标识符，用于判断当前编辑状态与已保存状态是否一致
@@ -578,7 +779,29 @@ export class ProjectManager {
       parts.push(`t${i}_surface:${t.attachmentSurface}`)
     })
     
-    // 4. 其他配置
+    // 4. 贴花配置（SVG 内容和浮雕图片只取哈希，避免标识串过长）
+    const sortedDecorations = [...this.config.decorations].sort((a, b) =>
+      (a.index || '').localeCompare(b.index || '')
+    )
+
+    sortedDecorations.forEach((d, i) => {
+      parts.push(`d${i}_id:${d.index}`)
+      parts.push(`d${i}_svg:${this._simpleHash(d.svg || '')}`)
+      if (d.type === 'relief') {
+        parts.push(`d${i}_image:${this._simpleHash(d.image || '')}`)
+        parts.push(`d${i}_relief:${d.resolution},${d.invert},${d.base}`)
+      }
+      parts.push(`d${i}_size:${d.size}`)
+      parts.push(`d${i}_depth:${d.depth}`)
+      parts.push(`d${i}_angle:${d.angle}`)
+      parts.push(`d${i}_effect:${d.effect}`)
+      parts.push(`d${i}_color:${d.color}`)
+      parts.push(`d${i}_pos:${d.position.join(',')}`)
+      parts.push(`d${i}_rot:${d.rotate.join(',')}`)
+      parts.push(`d${i}_surface:${d.attachmentSurface}`)
+    })
+
+    // 5. 其他配置
     parts.push(`faceRepare:${this.config.faceRepare}`)
     parts.push(`modelOpt:${this.config.modelOptimization}`)
     
@@ -631,6 +854,9 @@ export class ProjectManager {
       if (this.config.texts.length > 0) {
         changes.push('文字配置')
       }
+      if (this.config.decorations.length > 0) {
+        changes.push('贴花配置')
+      }
       if (this.config.models?.base?.path) {
         changes.push('底座配置')
       }
@@ -655,6 +881,11 @@ export class ProjectManager {
     if (this.config.texts.length > 0) {
       items.push(`${this.config.texts.length}个文字`)
     }
+
+    // 检查贴花
+    if (this.config.decorations.length > 0) {
+      items.push(`${this.config.decorations.length}个贴花`)
+    }
     
     // 检查底座
     if (this.config.models?.base?.path) {
@@ -710,42 +941,57 @@ export class ProjectManager {
   }
 
   /**
-   * 获取本地存储的项目列表
-   * @returns {Array} 项目列表
+   * 获取本地存储的项目列表（按更新时间倒序）
+   * @returns {Promise<Array>} 项目列表 { key, name, createTime, updateTime, thumbnail, fileCount }
    */
-  getLocalProjectList() {
-    const list = []
-    const prefix = 'editor_project_'
-    
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i)
-      if (key.startsWith(prefix) || key === 'editor_project') {
-        try {
-          const data = JSON.parse(localStorage.getItem(key))
-          list.push({
-            key,
-            name: data.projectInfo?.name || '未命名',
-            updateTime: data.projectInfo?.updateTime || 0
-          })
-        } catch (e) {
-          // 忽略无效数据
-        }
-      }
+  async getLocalProjectList() {
+    try {
+      return await this.projectStore.list()
+    } catch (error) {
+      console.error('[ProjectManager] 读取本地项目列表失败:', error)
+      return []
     }
-    
-    // 按更新时间排序
-    return list.sort((a, b) => b.updateTime - a.updateTime)
   }
 
   /**
-   * 删除本地项目
+   * 删除本地项目（包括模型文件）
    * @param {string} key - 存储键名
    */
-  deleteLocalProject(key) {
-    localStorage.removeItem(key)
+  async deleteLocalProject(key) {
+    await this.projectStore.delete(key)
     console.log(`[ProjectManager] 已删除本地项目: ${key}`)
   }
 
+  /**
+   * 重命名本地项目（当前打开的项目同步改名）
+   * @param {string} key - 存储键名
+   * @param {string} name - 新名称
+   */
+  async renameLocalProject(key, name) {
+    await this.projectStore.rename(key, name)
+    if (key === this._getLocalKey()) {
+      this.projectInfo.name = name
+      this.onChange?.({ type: 'rename', name })
+    }
+    console.log(`[ProjectManager] 本地项目已重命名: ${key} -> ${name}`)
+  }
+
+  /**
+   * 复制本地项目
+   * @param {string} key - 存储键名
+   * @param {string} [name] - 副本名称
+   * @returns {Promise<string>} 副本的存储键名
+   */
+  async duplicateLocalProject(key, name) {
+    const newKey = await this.projectStore.duplicate(key, { name, id: this._generateId() })
+    console.log(`[ProjectManager] 本地项目已复制: ${key} -> ${newKey}`)
+    return newKey
+  }
+
+  _getLocalKey() {
+    return this.projectInfo?.id ? `editor_project_${this.projectInfo.id}` : null
+  }
+
   // ==================== 私有方法 ====================
 
   _markDirty() {
@@ -762,6 +1008,111 @@ export class ProjectManager {
     return JSON.parse(JSON.stringify(obj))
   }
 
+  /**
+   * 收集配置中引用的模型文件（保存到本地时调用），成功取到文件的模型路径改为 models/* 相对路径
+   * 取不到文件的模型（例如网络地址暂时无法访问）保留原路径
+   * @param {Object} config - 待保存的配置（会被修改）
+   * @returns {Promise<Object<string, Blob>>} 相对路径 → Blob
+   */
+  async _collectModelFiles(config) {
+    const files = {}
+    const usedNames = new Set()
+
+    for (const [key, model] of Object.entries(config?.models || {})) {
+      if (!model?.path) continue
+
+      const source = this.resolveModelPath(key)
+      try {
+        const blob = await this._fetchAsBlob(source, { modelKey: key })
+        // 本地上传的文件以文件名推断格式，blob:URL 本身不带扩展名
+        const configuredPath = typeof File !== 'undefined' && source instanceof File ? source.name : model.path
+        const path = `models/${this._inferPackageFileName({ key, configuredPath, blob, usedNames })}`
+        files[path] = blob
+        model.path = path
+      } catch (error) {
+        console.warn(`[ProjectManager] 模型文件未能保存到本地，保留原路径 (${key}):`, error)
+      }
+    }
+
+    return files
+  }
+
+  /**
+   * 收集配置中引用的项目内资源文件（字体 fonts/*、浮雕图片 images/*），网络地址的资源不需要保存文件
+   * @param {Object} config - 待保存的配置
+   * @returns {Object<string, Blob>} 相对路径 → Blob
+   */
+  _collectAssetFiles(config) {
+    const files = {}
+    const assets = [
+      ...(config?.fonts || []).map(font => ({ name: font.name, path: font.path })),
+      ...(config?.decorations || [])
+        .filter(decoration => decoration.type === 'relief')
+        .map(decoration => ({ name: decoration.id, path: decoration.image }))
+    ]
+
+    for (const { name, path } of assets) {
+      if (!path || /^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(path)) continue
+      const normalized = this._normalizeZipPath(path)
+      const file = this._packageObjectUrls.get(normalized)?.file
+      if (file) {
+        files[normalized] = file
+      } else {
+        console.warn(`[ProjectManager] 资源文件不存在，未能随项目保存 (${name}): ${path}`)
+      }
+    }
+    return files
+  }
+
+  /**
+   * 把浮雕图片保存为项目内文件（images/*），配置中只记录路径
+   * data URL 按内容命名（同一图片只保存一份）；项目内文件的 blob:URL 还原为项目内路径；其它地址原样保留
+   * @param {string} image - 图片 data URL、blob:URL 或路径
+   * @returns {string} 配置中保存的图片路径
+   */
+  _storeReliefImage(image) {
+    if (typeof image !== 'string' || !image) return ''
+    if (image.startsWith('blob:')) {
+      for (const [path, value] of this._packageObjectUrls.entries()) {
+        if (value?.url === image) return path
+      }
+      return image
+    }
+    if (!image.startsWith('data:')) return image
+
+    const blob = this._dataUrlToBlob(image)
+    const ext = (blob.type.split('/')[1] || 'png').replace('jpeg', 'jpg').replace(/\+.*$/, '')
+    const path = `images/relief_${this._simpleHash(image)}.${ext}`
+    if (!this._packageObjectUrls.has(path)) this._registerPackageFile(path, blob)
+    return path
+  }
+
+  _dataUrlToBlob(dataUrl) {
+    const comma = dataUrl.indexOf(',')
+    const header = dataUrl.slice(0, comma)
+    const data = dataUrl.slice(comma + 1)
+    const type = header.match(/^data:([^;,]+)/)?.[1] || 'application/octet-stream'
+    const binary = header.includes(';base64') ? atob(data) : decodeURIComponent(data)
+    const bytes = new Uint8Array(binary.length)
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+    return new Blob([bytes], { type })
+  }
+
+  /**
+   * 登记项目内文件（ZIP 包或本地存储中的模型、字体、图片），供 resolveModelPath / resolveFontSource / resolveAssetUrl 映射
+   * @param {string} path - 项目内路径
+   * @param {Blob} blob
+   */
+  _registerPackageFile(path, blob) {
+    const normalized = this._normalizeZipPath(path)
+    const baseName = normalized.split('/').filter(Boolean).pop() || normalized || 'file'
+    const fileObject = typeof File !== 'undefined'
+      ? new File([blob], baseName, { type: blob.type || undefined })
+      : blob
+    const url = URL.createObjectURL(blob)
+    this._packageObjectUrls.set(normalized, { url, file: fileObject })
+  }
+
   _downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob)
     const link = document.createElement('a')
@@ -904,6 +1255,14 @@ export class ProjectManager {
         return rest
       })
 
+    const decorations = Array.isArray(cfg.decorations) ? cfg.decorations : []
+    const exportedDecorations = decorations
+      .filter((d) => d && typeof d === 'object')
+      .map((d) => {
+        const { index: _ignored, ...rest } = d
+        return rest
+      })
+
     const config2 = {
       version,
       createTime,
@@ -911,7 +1270,7 @@ export class ProjectManager {
       propIdentifier: cfg.propIdentifier || '',
       models,
       texts: exportedTexts,
-      decorations: cfg.decorations || [],
+      decorations: exportedDecorations,
       lookupTable: cfg.lookupTable || {},
       faceRepare: cfg.faceRepare ?? '0',
       modelOptimization: cfg.modelOptimization ?? '0'
@@ -966,8 +1325,12 @@ export class ProjectManager {
 
   _guessExtFromBlob(blob) {
     const type = blob?.type || ''
+    if (type.includes('3dmanufacturing') || type.includes('3mf')) return '3mf'
+    if (type.includes('gltf-binary')) return 'glb'
+    if (type.includes('gltf')) return 'gltf'
     if (type.includes('stl')) return 'stl'
     if (type.includes('obj')) return 'obj'
+    if (type.includes('ply')) return 'ply'
     if (type.includes('zip')) return 'zip'
     return ''
   }
@@ -0,0 +1,244 @@
+/**
+ * 本地项目存储（IndexedDB）
+ * 项目配置、缩略图和模型文件保存在同一个数据库里：
+ * - projects 仓库：项目键 → { key, projectInfo, config, thumbnail, files, updateTime }
+ * - projectFiles 仓库：`${项目键}/${文件路径}` → Blob
+ * - projectMeta 仓库：项目键 → 列表摘要（名称、时间、缩略图、文件数），项目列表只读这个仓库，不加载项目配置
+ *
+ * 旧版本保存在 localStorage 的项目（editor_project、editor_project_*）在第一次访问时自动迁移
+ */
+import { editorDatabase } from './editorDatabase.js'
+
+const PROJECTS = 'projects'
+const FILES = 'projectFiles'
+const META = 'projectMeta'
+
+// 旧版本 localStorage 项目键
+const LEGACY_KEY = 'editor_project'
+const LEGACY_PREFIX = 'editor_project_'
+
+export class ProjectStore {
+  constructor(database = editorDatabase) {
+    this.database = database
+    this._migration = null
+  }
+
+  /**
+   * 项目列表（按更新时间倒序）
+   * @returns {Promise<Array<{key, name, createTime, updateTime, thumbnail, fileCount}>>}
+   */
+  async list() {
+    await this.migrateFromLocalStorage()
+    const [entries, keys] = await Promise.all([this.database.getAll(META), this.database.keys(PROJECTS)])
+    const projectKeys = new Set(keys)
+    const list = entries.filter(entry => projectKeys.has(entry.key))
+
+    // 旧版本保存的项目没有摘要，第一次列出时逐个补齐
+    const known = new Set(list.map(entry => entry.key))
+    for (const key of keys) {
+      if (known.has(key)) continue
+      const record = await this.database.get(PROJECTS, key)
+      if (!record) continue
+      const entry = this._createMeta(key, record)
+      await this.database.put(META, key, entry)
+      list.push(entry)
+    }
+
+    return list.sort((a, b) => b.updateTime - a.updateTime)
+  }
+
+  /**
+   * 保存项目（覆盖同键项目，旧的文件一并替换）
+   * @param {string} key - 项目键
+   * @param {Object} project
+   * @param {Object} project.projectInfo
+   * @param {Object} project.config - 已序列化的配置
+   * @param {Object<string, Blob>} [project.files] - 文件路径 → Blob（路径与 config 中的模型路径一致）
+   * @param {Blob|null} [project.thumbnail] - 缩略图
+   */
+  async save(key, { projectInfo, config, files = {}, thumbnail = null }) {
+    await this.migrateFromLocalStorage()
+    const previous = await this.database.get(PROJECTS, key)
+    const paths = Object.keys(files)
+
+    await this.database.transaction([PROJECTS, FILES, META], 'readwrite', (stores) => {
+      previous?.files?.forEach(file => {
+        if (!files[file.path]) stores[FILES].delete(`${key}/${file.path}`)
+      })
+      paths.forEach(path => stores[FILES].put(files[path], `${key}/${path}`))
+
+      const record = {
+        key,
+        projectInfo,
+        config,
+        thumbnail,
+        files: paths.map(path => ({ path, size: files[path].size || 0, type: files[path].type || '' }))
+      }
+      stores[PROJECTS].put(record, key)
+      stores[META].put(this._createMeta(key, record), key)
+    })
+  }
+
+  /**
+   * 读取项目
+   * @param {string} key - 项目键
+   * @returns {Promise<{projectInfo, config, thumbnail, files: Object<string, Blob>}|null>}
+   */
+  async load(key) {
+    await this.migrateFromLocalStorage()
+    const record = await this.database.get(PROJECTS, key)
+    if (!record) return null
+
+    const files = {}
+    for (const file of record.files || []) {
+      const blob = await this.database.get(FILES, `${key}/${file.path}`)
+      if (blob) {
+        files[file.path] = blob
+      } else {
+        console.warn(`[ProjectStore] 项目文件缺失: ${key}/${file.path}`)
+      }
+    }
+
+    return {
+      projectInfo: record.projectInfo,
+      config: record.config,
+      thumbnail: record.thumbnail || null,
+      files
+    }
+  }
+
+  /**
+   * 重命名项目
+   * @param {string} key - 项目键
+   * @param {string} name - 新名称
+   */
+  async rename(key, name) {
+    await this.migrateFromLocalStorage()
+    const record = await this.database.get(PROJECTS, key)
+    if (!record) throw new Error(`本地项目不存在: ${key}`)
+
+    record.projectInfo = { ...record.projectInfo, name, updateTime: Date.now() }
+    await this.database.transaction([PROJECTS, META], 'readwrite', (stores) => {
+      stores[PROJECTS].put(record, key)
+      stores[META].put(this._createMeta(key, record), key)
+    })
+  }
+
+  /**
+   * 复制项目（包括模型文件和缩略图）
+   * @param {string} key - 源项目键
+   * @param {Object} [options]
+   * @param {string} [options.name] - 新名称，默认“原名称 副本”
+   * @param {string} [options.id] - 新项目 ID
+   * @returns {Promise<string>} 新项目键
+   */
+  async duplicate(key, options = {}) {
+    const source = await this.load(key)
+    if (!source) throw new Error(`本地项目不存在: ${key}`)
+
+    const now = Date.now()
+    const id = options.id || `${now}_${Math.random().toString(36).substr(2, 9)}`
+    const projectInfo = {
+      ...source.projectInfo,
+      id,
+      name: options.name || `${source.projectInfo?.name || '未命名'} 副本`,
+      createTime: now,
+      updateTime: now
+    }
+    const newKey = `${LEGACY_PREFIX}${id}`
+
+    await this.save(newKey, { ...source, projectInfo })
+    return newKey
+  }
+
+  /**
+   * 删除项目及其文件
+   * @param {string} key - 项目键
+   */
+  async delete(key) {
+    await this.migrateFromLocalStorage()
+    const record = await this.database.get(PROJECTS, key)
+
+    await this.database.transaction([PROJECTS, FILES, META], 'readwrite', (stores) => {
+      record?.files?.forEach(file => stores[FILES].delete(`${key}/${file.path}`))
+      stores[PROJECTS].delete(key)
+      stores[META].delete(key)
+    })
+  }
+
+  /**
+   * 生成项目列表摘要
+   * @private
+   */
+  _createMeta(key, record) {
+    return {
+      key,
+      name: record.projectInfo?.name || '未命名',
+      createTime: record.projectInfo?.createTime || 0,
+      updateTime: record.projectInfo?.updateTime || 0,
+      thumbnail: record.thumbnail || null,
+      fileCount: record.files?.length || 0
+    }
+  }
+
+  /**
+   * 把 localStorage 中的旧项目迁移到 IndexedDB（每个页面只执行一次）
+   * 已存在同键项目时保留 IndexedDB 中的版本；写入成功后才删除 localStorage 中的数据
+   * @returns {Promise<number>} 迁移的项目数
+   */
+  migrateFromLocalStorage() {
+    if (!this._migration) {
+      this._migration = this._migrate().catch(error => {
+        console.warn('[ProjectStore] 迁移 localStorage 项目失败:', error)
+        this._migration = null
+        return 0
+      })
+    }
+    return this._migration
+  }
+
+  async _migrate() {
+    if (typeof localStorage === 'undefined') return 0
+
+    const keys = []
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i)
+      if (key === LEGACY_KEY || key?.startsWith(LEGACY_PREFIX)) keys.push(key)
+    }
+
+    let migrated = 0
+    for (const key of keys) {
+      let data = null
+      try {
+        data = JSON.parse(localStorage.getItem(key))
+      } catch (error) {
+        console.warn(`[ProjectStore] 跳过无法解析的本地项目: ${key}`)
+        continue
+      }
+      if (!data?.config) continue
+
+      const existing = await this.database.get(PROJECTS, key)
+      if (!existing) {
+        await this.database.put(PROJECTS, key, {
+          key,
+          projectInfo: data.projectInfo || {},
+          config: data.config,
+          thumbnail: null,
+          files: []
+        })
+        migrated++
+      }
+      localStorage.removeItem(key)
+    }
+
+    if (migrated > 0) {
+      console.log(`[ProjectStore] 已将 ${migrated} 个 localStorage 项目迁移到 IndexedDB`)
+    }
+    return migrated
+  }
+}
+
+// 导出单例
+export const projectStore = new ProjectStore()
+
+export default ProjectStore
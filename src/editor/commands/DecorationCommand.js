@@ -0,0 +1,181 @@
+import { BaseCommand } from '../../lib/history/BaseCommand.js'
+
+export class DecorationCommand extends BaseCommand {
+  constructor(action, viewer, payload = {}) {
+    const description = payload.description || DecorationCommand._defaultDescription(action)
+    super('DECORATION', description)
+
+    this.isAsync = true
+
+    this.action = action
+    this.viewer = viewer
+
+    this.decorationId = payload.decorationId || payload.snapshot?.id || null
+    this.snapshot = payload.snapshot || null
+
+    this.from = payload.from ?? null
+    this.to = payload.to ?? null
+
+    this.patch = payload.patch || null
+    this.beforeConfig = payload.beforeConfig || null
+    this.afterConfig = payload.afterConfig || null
+
+    this.fromMode = payload.fromMode || null
+    this.toMode = payload.toMode || null
+  }
+
+  static _defaultDescription(action) {
+    switch (action) {
+      case 'create':
+        return '添加贴花'
+      case 'delete':
+        return '删除贴花'
+      case 'updateColor':
+        return '修改贴花颜色'
+      case 'updateConfig':
+        return '修改贴花属性'
+      case 'setMode':
+        return '切换贴花雕刻模式'
+      default:
+        return '贴花操作'
+    }
+  }
+
+  /**
+   * 序列化为纯数据（用于撤销日志），快照中的目标网格改存为可跨页面找回的对象引用
+   * @param {EditorApp} editor
+   * @returns {Object|null} 无法序列化时返回 null
+   */
+  serialize(editor) {
+    let snapshot = null
+    if (this.snapshot) {
+      const targetRef = editor?.getObjectRef?.(this.snapshot.targetMeshUuid)
+      if (!targetRef) return null
+      snapshot = { ...this.snapshot, targetMeshUuid: null, targetRef }
+    }
+
+    return {
+      type: this.type,
+      action: this.action,
+      description: this.description,
+      timestamp: this.timestamp,
+      decorationId: this.decorationId,
+      snapshot,
+      from: this.from,
+      to: this.to,
+      patch: this.patch,
+      beforeConfig: this.beforeConfig,
+      afterConfig: this.afterConfig,
+      fromMode: this.fromMode,
+      toMode: this.toMode
+    }
+  }
+
+  /**
+   * 从 serialize() 的结果恢复
+   * @param {Object} data
+   * @param {EditorApp} editor
+   * @returns {DecorationCommand|null} 目标网格找不到时返回 null
+   */
+  static deserialize(data, editor) {
+    let snapshot = null
+    if (data.snapshot) {
+      const { targetRef, ...rest } = data.snapshot
+      const targetMesh = editor?.resolveObjectRef?.(targetRef)
+      if (!targetMesh) return null
+      snapshot = { ...rest, targetMeshUuid: targetMesh.uuid }
+    }
+
+    const command = new DecorationCommand(data.action, editor, { ...data, snapshot })
+    command.timestamp = data.timestamp ?? command.timestamp
+    return command
+  }
+
+  _getSnapshot() {
+    if (!this.viewer || !this.decorationId) return null
+    return this.viewer.getDecorationSnapshot?.(this.decorationId) || null
+  }
+
+  async execute() {
+    if (!this.viewer) return
+
+    switch (this.action) {
+      case 'create': {
+        if (!this.snapshot) return
+        await this.viewer.restoreDecoration?.(this.snapshot)
+        return
+      }
+
+      case 'delete': {
+        if (!this.decorationId) return
+        if (!this.snapshot) this.snapshot = this._getSnapshot()
+        await this.viewer.deleteDecoration?.(this.decorationId)
+        return
+      }
+
+      case 'updateColor': {
+        if (!this.decorationId) return
+        if (this.from == null) this.from = this._getSnapshot()?.config?.color ?? null
+        this.viewer.updateDecorationColor?.(this.decorationId, this.to)
+        return
+      }
+
+      case 'updateConfig': {
+        if (!this.decorationId) return
+        if (!this.beforeConfig) this.beforeConfig = this._getSnapshot()?.config || null
+        if (!this.afterConfig && this.beforeConfig && this.patch) {
+          this.afterConfig = { ...this.beforeConfig, ...this.patch }
+        }
+        const nextConfig = this.afterConfig || this.patch
+        if (!nextConfig) return
+        await this.viewer.updateDecorationConfig?.(this.decorationId, nextConfig)
+        return
+      }
+
+      case 'setMode': {
+        if (!this.decorationId) return
+        if (!this.fromMode) this.fromMode = this._getSnapshot()?.mode || null
+        await this.viewer.switchDecorationMode?.(this.decorationId, this.toMode)
+        return
+      }
+    }
+  }
+
+  async undo() {
+    if (!this.viewer) return
+
+    switch (this.action) {
+      case 'create': {
+        if (!this.snapshot?.id) return
+        await this.viewer.deleteDecoration?.(this.snapshot.id)
+        return
+      }
+
+      case 'delete': {
+        if (!this.snapshot) return
+        await this.viewer.restoreDecoration?.(this.snapshot)
+        return
+      }
+
+      case 'updateColor': {
+        if (!this.decorationId || this.from == null) return
+        this.viewer.updateDecorationColor?.(this.decorationId, this.from)
+        return
+      }
+
+      case 'updateConfig': {
+        if (!this.decorationId || !this.beforeConfig) return
+        await this.viewer.updateDecorationConfig?.(this.decorationId, this.beforeConfig)
+        return
+      }
+
+      case 'setMode': {
+        if (!this.decorationId || !this.fromMode) return
+        await this.viewer.switchDecorationMode?.(this.decorationId, this.fromMode)
+        return
+      }
+    }
+  }
+}
+
+export default DecorationCommand
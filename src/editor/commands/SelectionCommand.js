@@ -0,0 +1,45 @@
+import { BaseCommand } from '../../lib/history/BaseCommand.js'
+
+// 连续快速点击选择时，间隔小于该值（毫秒）的选择合并为一条历史记录
+export const SELECTION_MERGE_WINDOW = 500
+
+export class SelectionCommand extends BaseCommand {
+  constructor(picker, beforeState, afterState, options = {}) {
+    const description = options.description || '选择面'
+    super('SELECTION', description)
+
+    // 选择不修改模型，撤销/重做时不需要切回构建模式
+    this.requiresConstructMode = false
+
+    this.picker = picker || null
+    this.beforeState = beforeState || null
+    this.afterState = afterState || null
+
+    this.lastTimestamp = this.timestamp
+  }
+
+  async execute() {
+    this.picker?.applySelectionState(this.afterState)
+  }
+
+  async undo() {
+    this.picker?.applySelectionState(this.beforeState)
+  }
+
+  canMergeWith(other) {
+    return (
+      other instanceof SelectionCommand &&
+      other.picker === this.picker &&
+      other.timestamp - this.lastTimestamp <= SELECTION_MERGE_WINDOW
+    )
+  }
+
+  mergeWith(other) {
+    this.afterState = other.afterState
+    this.description = other.description
+    this.lastTimestamp = other.timestamp
+    return this
+  }
+}
+
+export default SelectionCommand
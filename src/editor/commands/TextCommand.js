@@ -43,6 +43,56 @@ export class TextCommand extends BaseCommand {
     }
   }
 
+  /**
+   * 序列化为纯数据（用于撤销日志），快照中的目标网格改存为可跨页面找回的对象引用
+   * @param {EditorApp} editor
+   * @returns {Object|null} 无法序列化时返回 null
+   */
+  serialize(editor) {
+    let snapshot = null
+    if (this.snapshot) {
+      const targetRef = editor?.getObjectRef?.(this.snapshot.targetMeshUuid)
+      if (!targetRef) return null
+      snapshot = { ...this.snapshot, targetMeshUuid: null, targetRef }
+    }
+
+    return {
+      type: this.type,
+      action: this.action,
+      description: this.description,
+      timestamp: this.timestamp,
+      textId: this.textId,
+      snapshot,
+      from: this.from,
+      to: this.to,
+      patch: this.patch,
+      beforeConfig: this.beforeConfig,
+      afterConfig: this.afterConfig,
+      fromMode: this.fromMode,
+      toMode: this.toMode
+    }
+  }
+
+  /**
+   * 从 serialize() 的结果恢复
+   * @param {Object} data
+   * @param {EditorApp} editor
+   * @returns {TextCommand|null} 目标网格找不到时返回 null
+   */
+  static deserialize(data, editor) {
+    let snapshot = null
+    if (data.snapshot) {
+      const { targetRef, ...rest } = data.snapshot
+      const targetMesh = editor?.resolveObjectRef?.(targetRef)
+      if (!targetMesh) return null
+      snapshot = { ...rest, targetMeshUuid: targetMesh.uuid }
+    }
+
+    const command = new TextCommand(data.action, editor, { ...data, snapshot })
+    command.timestamp = data.timestamp ?? command.timestamp
+    return command
+  }
+
   _getSnapshot() {
     if (!this.viewer || !this.textId) return null
     return this.viewer.getTextSnapshot?.(this.textId) || null
@@ -24,6 +24,8 @@ function applyTransform(object, state) {
   object.scale.set(sx, sy, sz)
 
   object.updateMatrixWorld?.(true)
+  // 代理对象（如整体缩放）据此把变换同步到场景
+  object.dispatchEvent?.({ type: 'transformApplied', state })
 }
 
 export class TransformCommand extends BaseCommand {
@@ -38,6 +40,42 @@ export class TransformCommand extends BaseCommand {
     this.afterState = afterState || snapshotTransform(object)
   }
 
+  /**
+   * 序列化为纯数据（用于撤销日志），变换对象改存为可跨页面找回的对象引用
+   * @param {EditorApp} editor
+   * @returns {Object|null} 对象无法引用时返回 null
+   */
+  serialize(editor) {
+    const target = editor?.getObjectRef?.(this.object)
+    if (!target) return null
+
+    return {
+      type: this.type,
+      description: this.description,
+      timestamp: this.timestamp,
+      target,
+      beforeState: this.beforeState,
+      afterState: this.afterState
+    }
+  }
+
+  /**
+   * 从 serialize() 的结果恢复
+   * @param {Object} data
+   * @param {EditorApp} editor
+   * @returns {TransformCommand|null} 对象找不到时返回 null
+   */
+  static deserialize(data, editor) {
+    const object = editor?.resolveObjectRef?.(data.target)
+    if (!object) return null
+
+    const command = new TransformCommand(object, data.beforeState, data.afterState, {
+      description: data.description
+    })
+    command.timestamp = data.timestamp ?? command.timestamp
+    return command
+  }
+
   async execute() {
     applyTransform(this.object, this.afterState)
   }
@@ -2,4 +2,7 @@
  * 业务命令导出
  */
 export { TextCommand } from './TextCommand.js'
+export { DecorationCommand } from './DecorationCommand.js'
 export { TransformCommand } from './TransformCommand.js'
+export { SelectionCommand } from './SelectionCommand.js'
+export { serializeCommand, deserializeCommand, isJournaledCommand } from './serialization.js'
@@ -0,0 +1,57 @@
+/**
+ * 业务命令序列化（撤销日志）
+ * 支持文字、贴花、变换和事务（复合）命令；面选择不修改模型，不写入日志（见 isJournaledCommand），
+ * 其他命令返回 null，由撤销日志截断
+ */
+import { CompositeCommand } from '../../lib/history/CompositeCommand.js'
+import { DecorationCommand } from './DecorationCommand.js'
+import { SelectionCommand } from './SelectionCommand.js'
+import { TextCommand } from './TextCommand.js'
+import { TransformCommand } from './TransformCommand.js'
+
+const deserializers = {
+  TEXT: TextCommand.deserialize,
+  DECORATION: DecorationCommand.deserialize,
+  TRANSFORM: TransformCommand.deserialize
+}
+
+/**
+ * 命令是否需要写入撤销日志（只改变选择状态的命令不写入，恢复的历史中不包含这些步骤）
+ * @param {BaseCommand} command
+ * @returns {boolean}
+ */
+export function isJournaledCommand(command) {
+  if (command instanceof SelectionCommand) return false
+  if (command instanceof CompositeCommand) return command.commands.some(isJournaledCommand)
+  return true
+}
+
+/**
+ * 序列化命令
+ * @param {BaseCommand} command
+ * @param {EditorApp} editor - 用于生成场景对象引用
+ * @returns {Object|null} 无法序列化时返回 null
+ */
+export function serializeCommand(command, editor) {
+  if (command instanceof CompositeCommand) {
+    return command.serialize(child => serializeCommand(child, editor), isJournaledCommand)
+  }
+  if (command instanceof TextCommand || command instanceof DecorationCommand || command instanceof TransformCommand) {
+    return command.serialize(editor)
+  }
+  return null
+}
+
+/**
+ * 恢复命令
+ * @param {Object} data - serializeCommand 的结果
+ * @param {EditorApp} editor - 用于找回场景对象
+ * @returns {BaseCommand|null} 无法恢复时返回 null
+ */
+export function deserializeCommand(data, editor) {
+  if (data?.type === 'COMPOSITE') {
+    return CompositeCommand.deserialize(data, child => deserializeCommand(child, editor))
+  }
+  const deserialize = deserializers[data?.type]
+  return deserialize ? deserialize(data, editor) : null
+}
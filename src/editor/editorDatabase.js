@@ -0,0 +1,20 @@
+/**
+ * 编辑器本地数据库（IndexedDB）
+ * 新增对象仓库时在 stores 中追加并升级 version
+ */
+import { IndexedDBStore } from '../lib/storage/IndexedDBStore.js'
+
+export const EDITOR_DB_NAME = 'forface-editor'
+
+export const editorDatabase = new IndexedDBStore({
+  name: EDITOR_DB_NAME,
+  version: 3,
+  stores: [
+    'historyJournals', // 撤销日志：项目键 → { version, savedAt, entries }
+    'projects', // 本地项目：项目键 → { key, projectInfo, config, thumbnail, files }
+    'projectFiles', // 项目文件（模型等）：`${项目键}/${文件路径}` → Blob
+    'projectMeta' // 项目列表摘要：项目键 → { key, name, createTime, updateTime, thumbnail, fileCount }
+  ]
+})
+
+export default editorDatabase
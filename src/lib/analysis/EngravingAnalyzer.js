@@ -0,0 +1,276 @@
+/**
+ * 内嵌文字分析
+ * - 壁厚：从文字覆盖的表面点沿法线向内做射线检测（three-mesh-bvh），得到文字下方的局部壁厚
+ * - 笔画宽度：沿字形轮廓的内法线在 2D 轮廓内求到对边的距离，最小值即最细笔画
+ * 内嵌深度超过壁厚的安全比例或笔画低于打印机最小特征时给出问题说明，并给出安全深度
+ */
+import * as THREE from 'three'
+import { MeshBVH } from 'three-mesh-bvh'
+
+const _point = new THREE.Vector3()
+const _normal = new THREE.Vector3()
+const _a = new THREE.Vector3()
+const _b = new THREE.Vector3()
+const _c = new THREE.Vector3()
+const _ray = new THREE.Ray()
+const _scale = new THREE.Vector3()
+
+export class EngravingAnalyzer {
+  constructor(options = {}) {
+    this.config = {
+      // 内嵌深度不超过文字下方最薄壁厚的比例
+      maxDepthRatio: 0.5,
+      // 打印机可稳定打印的最小笔画宽度（mm）
+      minStrokeWidth: 0.8,
+      // 每个文字最多采样的表面点数
+      maxSamples: 200,
+      // 轮廓曲线细分段数
+      curveSegments: 12,
+      ...options
+    }
+    // 几何体 → { bvh, version }，避免每次分析重建 BVH
+    this._bvhCache = new WeakMap()
+  }
+
+  /**
+   * 分析一个内嵌文字
+   * @param {Object} params
+   * @param {THREE.Mesh} params.targetMesh - 文字所在的模型网格
+   * @param {THREE.BufferGeometry} [params.targetGeometry] - 测量用的几何体（未雕刻的原始几何体），默认 targetMesh.geometry
+   * @param {THREE.Mesh} params.textMesh - 文字网格（提供覆盖范围和缩放）
+   * @param {THREE.Shape[]} [params.shapes] - 字形轮廓（文字局部坐标），为空时不检查笔画
+   * @param {number} params.depth - 内嵌深度（文字配置的 thickness）
+   * @param {Object} [options] - 覆盖默认配置
+   * @returns {{
+   *   depth: number,
+   *   wallThickness: {min: number, average: number, samples: number}|null,
+   *   safeDepth: number|null,
+   *   safeThickness: number|null,
+   *   minStrokeWidth: number|null,
+   *   issues: Array<{type: string, message: string}>,
+   *   canClamp: boolean
+   * }}
+   */
+  analyze({ targetMesh, targetGeometry = null, textMesh, shapes = [], depth }, options = {}) {
+    const config = { ...this.config, ...options }
+    textMesh.updateMatrixWorld(true)
+    textMesh.getWorldScale(_scale)
+
+    // 文字配置的尺寸是局部坐标，整体缩放后按网格的缩放换算成物理尺寸
+    const depthScale = Math.abs(_scale.z) || 1
+    const strokeScale = Math.min(Math.abs(_scale.x), Math.abs(_scale.y)) || 1
+    const physicalDepth = (depth || 0) * depthScale
+
+    const wallThickness = this.measureWallThickness(targetMesh, textMesh, {
+      targetGeometry: targetGeometry || targetMesh.geometry,
+      maxSamples: config.maxSamples
+    })
+    const strokeWidth = this.measureStrokeWidth(shapes, config)
+    const minStrokeWidth = strokeWidth === null ? null : strokeWidth * strokeScale
+
+    const safeDepth = wallThickness ? wallThickness.min * config.maxDepthRatio : null
+    const issues = []
+    if (safeDepth !== null && physicalDepth > safeDepth) {
+      issues.push({
+        type: 'depth',
+        message: `内嵌深度 ${physicalDepth.toFixed(2)}mm 超过下方壁厚 ${wallThickness.min.toFixed(2)}mm 的 ${Math.round(config.maxDepthRatio * 100)}%，可能打穿`
+      })
+    }
+    if (minStrokeWidth !== null && minStrokeWidth < config.minStrokeWidth) {
+      issues.push({
+        type: 'stroke',
+        message: `最细笔画 ${minStrokeWidth.toFixed(2)}mm 小于打印最小宽度 ${config.minStrokeWidth}mm`
+      })
+    }
+    if (!wallThickness) {
+      issues.push({ type: 'wall', message: '无法测量文字下方的壁厚（模型可能不闭合）' })
+    }
+
+    return {
+      depth: physicalDepth,
+      wallThickness,
+      safeDepth,
+      safeThickness: safeDepth === null ? null : safeDepth / depthScale,
+      minStrokeWidth,
+      issues,
+      canClamp: safeDepth !== null && physicalDepth > safeDepth
+    }
+  }
+
+  /**
+   * 文字覆盖范围内的壁厚：文字顶点投影到最近的模型表面，再沿表面法线向内射线检测到对面的距离
+   * @param {THREE.Mesh} targetMesh
+   * @param {THREE.Mesh} textMesh
+   * @param {Object} [options]
+   * @param {THREE.BufferGeometry} [options.targetGeometry]
+   * @param {number} [options.maxSamples]
+   * @returns {{min: number, average: number, samples: number}|null} 没有有效采样时为 null
+   */
+  measureWallThickness(targetMesh, textMesh, options = {}) {
+    const { targetGeometry = targetMesh.geometry, maxSamples = this.config.maxSamples } = options
+    const bvh = this._getBVH(targetGeometry)
+    if (!bvh) return null
+
+    targetMesh.updateMatrixWorld(true)
+    const toWorld = targetMesh.matrixWorld
+    const toLocal = toWorld.clone().invert()
+    const index = bvh.geometry.index
+    const position = bvh.geometry.getAttribute('position')
+
+    if (!bvh.geometry.boundingBox) bvh.geometry.computeBoundingBox()
+    const epsilon = bvh.geometry.boundingBox.getSize(new THREE.Vector3()).length() * 1e-5
+
+    const textPosition = textMesh.geometry.getAttribute('position')
+    const step = Math.max(1, Math.floor(textPosition.count / maxSamples))
+    const closest = {}
+    const values = []
+
+    for (let i = 0; i < textPosition.count; i += step) {
+      _point.fromBufferAttribute(textPosition, i).applyMatrix4(textMesh.matrixWorld).applyMatrix4(toLocal)
+      if (!bvh.closestPointToPoint(_point, closest)) continue
+
+      // 最近点所在三角形的外法线
+      const face = closest.faceIndex * 3
+      _a.fromBufferAttribute(position, index.getX(face))
+      _b.fromBufferAttribute(position, index.getX(face + 1))
+      _c.fromBufferAttribute(position, index.getX(face + 2))
+      _normal.subVectors(_c, _b).cross(_a.sub(_b)).normalize()
+      if (_normal.lengthSq() === 0) continue
+
+      _ray.origin.copy(closest.point).addScaledVector(_normal, -epsilon)
+      _ray.direction.copy(_normal).negate()
+      const hit = bvh.raycastFirst(_ray, THREE.DoubleSide, epsilon)
+      if (!hit) continue
+
+      const start = closest.point.clone().applyMatrix4(toWorld)
+      values.push(start.distanceTo(hit.point.applyMatrix4(toWorld)))
+    }
+
+    if (values.length === 0) return null
+    return {
+      min: Math.min(...values),
+      average: values.reduce((sum, value) => sum + value, 0) / values.length,
+      samples: values.length
+    }
+  }
+
+  /**
+   * 字形最细笔画：每条轮廓边的中点沿内法线射向字形内部，到其他轮廓边的最近距离
+   * 相邻的边不参与，避免拐角处得到接近 0 的距离
+   * @param {THREE.Shape[]} shapes
+   * @param {Object} [options]
+   * @param {number} [options.curveSegments]
+   * @returns {number|null} 没有轮廓时为 null
+   */
+  measureStrokeWidth(shapes, options = {}) {
+    const divisions = options.curveSegments ?? this.config.curveSegments
+    let min = Infinity
+
+    shapes.forEach(shape => {
+      const { shape: outer, holes } = shape.extractPoints(divisions)
+      const contours = [outer, ...holes]
+        .map(points => {
+          const last = points[points.length - 1]
+          return points.length > 1 && last.equals(points[0]) ? points.slice(0, -1) : points
+        })
+        .filter(points => points.length >= 3)
+      if (contours.length === 0) return
+
+      const edges = []
+      contours.forEach((points, contour) => {
+        points.forEach((a, i) => {
+          edges.push({ a, b: points[(i + 1) % points.length], contour, i, count: points.length })
+        })
+      })
+
+      const bounds = new THREE.Box2().setFromPoints(contours.flat())
+      const epsilon = bounds.getSize(new THREE.Vector2()).length() * 1e-4
+      const isNeighbor = (edge, other) => {
+        if (edge.contour !== other.contour) return false
+        const distance = Math.abs(edge.i - other.i)
+        return distance <= 1 || distance === edge.count - 1
+      }
+
+      edges.forEach(edge => {
+        const direction = new THREE.Vector2().subVectors(edge.b, edge.a)
+        const length = direction.length()
+        if (length === 0) return
+        direction.divideScalar(length)
+
+        const middle = new THREE.Vector2().addVectors(edge.a, edge.b).multiplyScalar(0.5)
+        const normal = new THREE.Vector2(-direction.y, direction.x)
+        const probe = middle.clone().addScaledVector(normal, epsilon)
+        if (!this._isInside(probe, contours)) normal.negate()
+
+        edges.forEach(other => {
+          if (other === edge || isNeighbor(edge, other)) return
+          const t = this._intersectSegment(middle, normal, other.a, other.b)
+          if (t > epsilon && t < min) min = t
+        })
+      })
+    })
+
+    return Number.isFinite(min) ? min : null
+  }
+
+  /**
+   * 射线 origin + t·direction 与线段 ab 的交点参数 t，不相交返回 Infinity
+   * @private
+   */
+  _intersectSegment(origin, direction, a, b) {
+    const ex = b.x - a.x
+    const ey = b.y - a.y
+    const denominator = direction.x * ey - direction.y * ex
+    if (Math.abs(denominator) < 1e-12) return Infinity
+
+    const ox = a.x - origin.x
+    const oy = a.y - origin.y
+    const t = (ox * ey - oy * ex) / denominator
+    const s = (ox * direction.y - oy * direction.x) / denominator
+    return s >= 0 && s <= 1 ? t : Infinity
+  }
+
+  /**
+   * 奇偶规则判断点是否在轮廓（外轮廓 + 孔洞）内部
+   * @private
+   */
+  _isInside(point, contours) {
+    let inside = false
+    contours.forEach(points => {
+      for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i]
+        const b = points[j]
+        if ((a.y > point.y) !== (b.y > point.y) &&
+          point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+          inside = !inside
+        }
+      }
+    })
+    return inside
+  }
+
+  /**
+   * 几何体的 BVH（使用只含位置的副本构建，MeshBVH 会重排 index，不能改动原几何体）
+   * @private
+   */
+  _getBVH(geometry) {
+    const source = geometry?.getAttribute('position')
+    if (!source) return null
+
+    const cached = this._bvhCache.get(geometry)
+    if (cached && cached.version === source.version) return cached.bvh
+
+    const positionOnly = new THREE.BufferGeometry()
+    positionOnly.setAttribute('position', source.clone())
+    positionOnly.setIndex(geometry.index
+      ? geometry.index.clone()
+      : Array.from({ length: source.count }, (_, i) => i))
+    const bvh = new MeshBVH(positionOnly)
+
+    cached?.bvh.geometry.dispose()
+    this._bvhCache.set(geometry, { bvh, version: source.version })
+    return bvh
+  }
+}
+
+export default EngravingAnalyzer
@@ -0,0 +1,347 @@
+/**
+ * 网格完整性分析器
+ * 检查开放边界边、非流形边、法向翻转区域、退化三角形和自相交，
+ * 自相交检测使用 three-mesh-bvh 加速
+ */
+import * as THREE from 'three'
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+import { MeshBVH } from 'three-mesh-bvh'
+
+export class MeshIntegrityAnalyzer {
+  constructor(options = {}) {
+    this.config = {
+      // 焊接顶点的距离容差
+      weldTolerance: 1e-4,
+      // 退化三角形面积阈值（相对包围盒对角线平方）
+      degenerateAreaRatio: 1e-12,
+      // 是否检测自相交（大模型较慢）
+      checkSelfIntersections: true,
+      // 自相交数量上限，达到后停止检测
+      maxSelfIntersections: 100,
+      ...options
+    }
+  }
+
+  /**
+   * 分析多个对象中的所有网格
+   * @param {THREE.Object3D|THREE.Object3D[]} objects
+   * @param {Object} [options] - 覆盖默认配置
+   * @returns {Object} 汇总报告
+   */
+  analyzeObjects(objects, options = {}) {
+    const startTime = performance.now()
+    const objectsArray = Array.isArray(objects) ? objects : [objects]
+
+    const meshes = []
+    objectsArray.forEach(obj => {
+      obj?.traverse?.((child) => {
+        if (child.isMesh && child.geometry?.getAttribute('position')) meshes.push(child)
+      })
+    })
+
+    const reports = meshes.map(mesh => this.analyzeMesh(mesh, options))
+    const totals = {
+      boundaryEdges: 0,
+      nonManifoldEdges: 0,
+      degenerateTriangles: 0,
+      flippedNormalIslands: 0,
+      selfIntersections: 0
+    }
+    reports.forEach(report => {
+      Object.keys(totals).forEach(key => { totals[key] += report[key] })
+    })
+
+    return {
+      isValid: reports.every(r => r.isValid),
+      isWatertight: reports.every(r => r.isWatertight),
+      meshCount: reports.length,
+      totals,
+      meshes: reports,
+      duration: Math.round(performance.now() - startTime),
+      timestamp: Date.now()
+    }
+  }
+
+  /**
+   * 分析单个网格
+   * @param {THREE.Mesh} mesh
+   * @param {Object} [options]
+   * @returns {Object} 网格报告
+   */
+  analyzeMesh(mesh, options = {}) {
+    const report = this.analyzeGeometry(mesh.geometry, options)
+    report.name = mesh.name || mesh.userData?.textId || ''
+    report.uuid = mesh.uuid
+    return report
+  }
+
+  /**
+   * 分析几何体
+   * @param {THREE.BufferGeometry} geometry
+   * @param {Object} [options]
+   * @returns {Object} 几何体报告
+   */
+  analyzeGeometry(geometry, options = {}) {
+    const config = { ...this.config, ...options }
+
+    // 只保留位置属性再焊接，避免法线/UV 拆分顶点造成假边界
+    const positionOnly = new THREE.BufferGeometry()
+    positionOnly.setAttribute('position', geometry.getAttribute('position').clone())
+    if (geometry.index) positionOnly.setIndex(geometry.index.clone())
+    const welded = mergeVertices(positionOnly, config.weldTolerance)
+    positionOnly.dispose()
+
+    const position = welded.getAttribute('position')
+    const triangleCount = welded.index.count / 3
+
+    const report = {
+      vertexCount: position.count,
+      triangleCount,
+      boundaryEdges: 0,
+      nonManifoldEdges: 0,
+      degenerateTriangles: 0,
+      flippedNormalIslands: 0,
+      flippedTriangles: 0,
+      selfIntersections: 0,
+      selfIntersectionsTruncated: false,
+      isWatertight: false,
+      isValid: false,
+      issues: []
+    }
+
+    if (triangleCount === 0) {
+      report.issues.push('网格没有三角形')
+      welded.dispose()
+      return report
+    }
+
+    // MeshBVH 会原地重排 index，后续拓扑分析统一使用重排后的 index
+    const bvh = config.checkSelfIntersections ? new MeshBVH(welded) : null
+    const index = welded.index.array
+
+    const degenerate = this._findDegenerateTriangles(index, position, welded, config)
+    report.degenerateTriangles = degenerate.count
+
+    const topology = this._analyzeTopology(index, position.count)
+    report.boundaryEdges = topology.boundaryEdges
+    report.nonManifoldEdges = topology.nonManifoldEdges
+
+    const orientation = this._analyzeOrientation(triangleCount, topology.neighbors, degenerate.flags)
+    report.flippedNormalIslands = orientation.islands
+    report.flippedTriangles = orientation.flippedTriangles
+
+    if (bvh) {
+      const result = this._countSelfIntersections(bvh, index, config.maxSelfIntersections)
+      report.selfIntersections = result.count
+      report.selfIntersectionsTruncated = result.truncated
+    }
+
+    welded.dispose()
+
+    report.isWatertight = report.boundaryEdges === 0 && report.nonManifoldEdges === 0
+    report.isValid = report.isWatertight &&
+      report.degenerateTriangles === 0 &&
+      report.flippedNormalIslands === 0 &&
+      report.selfIntersections === 0
+    report.issues = this._describeIssues(report)
+
+    return report
+  }
+
+  _findDegenerateTriangles(index, position, geometry, config) {
+    geometry.computeBoundingBox()
+    const diagonal = geometry.boundingBox.getSize(new THREE.Vector3()).length()
+    const areaEpsilon = Math.max(diagonal * diagonal * config.degenerateAreaRatio, Number.MIN_VALUE)
+
+    const triangleCount = index.length / 3
+    const flags = new Uint8Array(triangleCount)
+    const a = new THREE.Vector3()
+    const b = new THREE.Vector3()
+    const c = new THREE.Vector3()
+    const triangle = new THREE.Triangle(a, b, c)
+    let count = 0
+
+    for (let t = 0; t < triangleCount; t++) {
+      const i0 = index[t * 3]
+      const i1 = index[t * 3 + 1]
+      const i2 = index[t * 3 + 2]
+      let isDegenerate = i0 === i1 || i1 === i2 || i0 === i2
+      if (!isDegenerate) {
+        a.fromBufferAttribute(position, i0)
+        b.fromBufferAttribute(position, i1)
+        c.fromBufferAttribute(position, i2)
+        isDegenerate = triangle.getArea() <= areaEpsilon
+      }
+      if (isDegenerate) {
+        flags[t] = 1
+        count++
+      }
+    }
+
+    return { flags, count }
+  }
+
+  /**
+   * 统计边的使用次数并建立流形边上的三角形邻接（附带绕序是否一致）
+   * @private
+   */
+  _analyzeTopology(index, vertexCount) {
+    const triangleCount = index.length / 3
+    const edges = new Map()
+
+    for (let t = 0; t < triangleCount; t++) {
+      // 顶点重复的三角形没有有效的边
+      const i0 = index[t * 3]
+      const i1 = index[t * 3 + 1]
+      const i2 = index[t * 3 + 2]
+      if (i0 === i1 || i1 === i2 || i0 === i2) continue
+
+      for (let e = 0; e < 3; e++) {
+        const from = index[t * 3 + e]
+        const to = index[t * 3 + (e + 1) % 3]
+        const key = from < to ? from * vertexCount + to : to * vertexCount + from
+        const entry = edges.get(key)
+        const record = { triangle: t, forward: from < to }
+        if (entry) {
+          entry.push(record)
+        } else {
+          edges.set(key, [record])
+        }
+      }
+    }
+
+    let boundaryEdges = 0
+    let nonManifoldEdges = 0
+    const neighbors = Array.from({ length: triangleCount }, () => [])
+
+    edges.forEach(entry => {
+      if (entry.length === 1) {
+        boundaryEdges++
+      } else if (entry.length > 2) {
+        nonManifoldEdges++
+      } else {
+        const [first, second] = entry
+        // 相邻三角形绕序一致时，公共边的方向相反
+        const consistent = first.forward !== second.forward
+        neighbors[first.triangle].push({ triangle: second.triangle, consistent })
+        neighbors[second.triangle].push({ triangle: first.triangle, consistent })
+      }
+    })
+
+    return { boundaryEdges, nonManifoldEdges, neighbors }
+  }
+
+  /**
+   * 按连通分量传播绕序，分量内的少数派视为法向翻转，统计其连通区域数
+   * @private
+   */
+  _analyzeOrientation(triangleCount, neighbors, degenerateFlags) {
+    const parity = new Int8Array(triangleCount).fill(-1)
+    const flipped = new Uint8Array(triangleCount)
+    let flippedTriangles = 0
+
+    for (let seed = 0; seed < triangleCount; seed++) {
+      if (parity[seed] !== -1 || degenerateFlags[seed]) continue
+
+      const component = []
+      const counts = [0, 0]
+      const stack = [seed]
+      parity[seed] = 0
+
+      while (stack.length > 0) {
+        const t = stack.pop()
+        component.push(t)
+        counts[parity[t]]++
+        neighbors[t].forEach(({ triangle, consistent }) => {
+          if (parity[triangle] !== -1 || degenerateFlags[triangle]) return
+          parity[triangle] = consistent ? parity[t] : 1 - parity[t]
+          stack.push(triangle)
+        })
+      }
+
+      const minority = counts[0] >= counts[1] ? 1 : 0
+      if (counts[minority] === 0) continue
+      component.forEach(t => {
+        if (parity[t] === minority) {
+          flipped[t] = 1
+          flippedTriangles++
+        }
+      })
+    }
+
+    // 翻转三角形按一致邻接划分区域
+    let islands = 0
+    const visited = new Uint8Array(triangleCount)
+    for (let seed = 0; seed < triangleCount; seed++) {
+      if (!flipped[seed] || visited[seed]) continue
+      islands++
+      const stack = [seed]
+      visited[seed] = 1
+      while (stack.length > 0) {
+        const t = stack.pop()
+        neighbors[t].forEach(({ triangle }) => {
+          if (!flipped[triangle] || visited[triangle]) return
+          visited[triangle] = 1
+          stack.push(triangle)
+        })
+      }
+    }
+
+    return { islands, flippedTriangles }
+  }
+
+  /**
+   * 用 BVH 自身 bvhcast 查找互相穿插的三角形对（忽略共享顶点的相邻三角形）
+   * @private
+   */
+  _countSelfIntersections(bvh, index, maxCount) {
+    let count = 0
+    let truncated = false
+    const identity = new THREE.Matrix4()
+
+    bvh.bvhcast(bvh, identity, {
+      intersectsTriangles: (triangle1, triangle2, i1, i2) => {
+        if (i1 >= i2) return false
+
+        const a0 = index[i1 * 3]
+        const a1 = index[i1 * 3 + 1]
+        const a2 = index[i1 * 3 + 2]
+        const b0 = index[i2 * 3]
+        const b1 = index[i2 * 3 + 1]
+        const b2 = index[i2 * 3 + 2]
+        if (a0 === b0 || a0 === b1 || a0 === b2 ||
+            a1 === b0 || a1 === b1 || a1 === b2 ||
+            a2 === b0 || a2 === b1 || a2 === b2) {
+          return false
+        }
+
+        if (triangle1.intersectsTriangle(triangle2, null, true)) {
+          count++
+          if (count >= maxCount) {
+            truncated = true
+            return true
+          }
+        }
+        return false
+      }
+    })
+
+    return { count, truncated }
+  }
+
+  _describeIssues(report) {
+    const issues = []
+    if (report.boundaryEdges > 0) issues.push(`存在 ${report.boundaryEdges} 条开放边界边`)
+    if (report.nonManifoldEdges > 0) issues.push(`存在 ${report.nonManifoldEdges} 条非流形边`)
+    if (report.flippedNormalIslands > 0) {
+      issues.push(`存在 ${report.flippedNormalIslands} 处法向翻转区域（${report.flippedTriangles} 个三角形）`)
+    }
+    if (report.degenerateTriangles > 0) issues.push(`存在 ${report.degenerateTriangles} 个退化三角形`)
+    if (report.selfIntersections > 0) {
+      issues.push(`存在 ${report.selfIntersections}${report.selfIntersectionsTruncated ? '+' : ''} 处自相交`)
+    }
+    return issues
+  }
+}
+
+export default MeshIntegrityAnalyzer
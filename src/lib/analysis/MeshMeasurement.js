@@ -0,0 +1,247 @@
+/**
+ * 网格测量
+ * 计算表面积、有向体积、轴对齐包围盒（AABB）和有向包围盒（OBB），
+ * 多个网格按世界坐标合并测量（重叠部分的体积和面积会重复计入）
+ */
+import * as THREE from 'three'
+import { symmetricEigen3 } from '../facePicking/FeatureDetector.js'
+
+const _a = new THREE.Vector3()
+const _b = new THREE.Vector3()
+const _c = new THREE.Vector3()
+const _ab = new THREE.Vector3()
+const _ac = new THREE.Vector3()
+const _cross = new THREE.Vector3()
+
+export class MeshMeasurement {
+  constructor(options = {}) {
+    this.config = {
+      // OBB 体积不比 AABB 小这个比例时直接使用 AABB 的轴（对称模型的主轴不稳定）
+      obbTolerance: 1e-3,
+      ...options
+    }
+  }
+
+  /**
+   * 测量多个对象中的所有可见网格（世界坐标）
+   * @param {THREE.Object3D|THREE.Object3D[]} objects
+   * @returns {Object} 测量结果，见 measureParts
+   */
+  measureObjects(objects) {
+    const parts = []
+    const list = Array.isArray(objects) ? objects : [objects]
+    list.forEach(object => {
+      object.updateMatrixWorld(true)
+      object.traverse((child) => {
+        if (child.isMesh && child.geometry && child.visible && !child.userData.isHelper) {
+          parts.push({ geometry: child.geometry, matrix: child.matrixWorld })
+        }
+      })
+    })
+    return this.measureParts(parts)
+  }
+
+  /**
+   * 测量单个几何体（局部坐标）
+   * @param {THREE.BufferGeometry} geometry
+   * @returns {Object} 测量结果，见 measureParts
+   */
+  measureGeometry(geometry) {
+    return this.measureParts([{ geometry, matrix: null }])
+  }
+
+  /**
+   * 测量几何体列表
+   * @param {Array<{geometry: THREE.BufferGeometry, matrix: THREE.Matrix4|null}>} parts - matrix 为 null 表示几何体已在世界坐标系中
+   * @returns {{
+   *   surface: number,
+   *   volume: number,
+   *   signedVolume: number,
+   *   boundingBox: number[],
+   *   center: number[],
+   *   obb: {size: number[], center: number[], quaternion: number[]},
+   *   triangleCount: number,
+   *   meshCount: number,
+   *   duration: number
+   * }}
+   */
+  measureParts(parts) {
+    const startTime = performance.now()
+    const transformed = parts
+      .filter(part => part.geometry?.getAttribute('position'))
+      .map(part => this._getWorldPositions(part))
+
+    const box = new THREE.Box3()
+    transformed.forEach(({ positions }) => {
+      for (let i = 0; i < positions.length; i += 3) {
+        _a.fromArray(positions, i)
+        box.expandByPoint(_a)
+      }
+    })
+
+    const result = {
+      surface: 0,
+      volume: 0,
+      signedVolume: 0,
+      boundingBox: [0, 0, 0],
+      center: [0, 0, 0],
+      obb: { size: [0, 0, 0], center: [0, 0, 0], quaternion: [0, 0, 0, 1] },
+      triangleCount: 0,
+      meshCount: transformed.length,
+      duration: 0
+    }
+    if (box.isEmpty()) {
+      result.duration = Math.round(performance.now() - startTime)
+      return result
+    }
+
+    // 以包围盒中心为原点累加，减小大坐标下协方差的相减误差
+    const origin = box.getCenter(new THREE.Vector3())
+    const moments = this._accumulate(transformed, origin)
+
+    result.surface = moments.area
+    result.signedVolume = moments.volume
+    result.volume = Math.abs(moments.volume)
+    result.boundingBox = box.getSize(new THREE.Vector3()).toArray()
+    result.center = origin.toArray()
+    result.triangleCount = moments.triangleCount
+    result.obb = this._computeOBB(transformed, moments, origin, box)
+    result.duration = Math.round(performance.now() - startTime)
+    return result
+  }
+
+  /**
+   * 展开为世界坐标的三角形顶点数组
+   * @private
+   * @returns {{positions: Float64Array, index: ArrayLike<number>|null, flipped: boolean}}
+   */
+  _getWorldPositions({ geometry, matrix }) {
+    const attribute = geometry.getAttribute('position')
+    const positions = new Float64Array(attribute.count * 3)
+    for (let i = 0; i < attribute.count; i++) {
+      _a.fromBufferAttribute(attribute, i)
+      if (matrix) _a.applyMatrix4(matrix)
+      _a.toArray(positions, i * 3)
+    }
+    return {
+      positions,
+      index: geometry.index ? geometry.index.array : null,
+      // 镜像变换会翻转三角形绕向，体积符号需要取反
+      flipped: matrix ? matrix.determinant() < 0 : false
+    }
+  }
+
+  /**
+   * 累加面积、有向体积和按面积加权的二阶矩
+   * 三角形 (a, b, c) 对原点的二阶矩为 A/12 · (9mmᵀ + aaᵀ + bbᵀ + ccᵀ)，m 为重心
+   * @private
+   */
+  _accumulate(transformed, origin) {
+    let area = 0
+    let volume = 0
+    let triangleCount = 0
+    const mean = new THREE.Vector3()
+    const second = new Array(9).fill(0)
+
+    const addOuter = (v, weight) => {
+      second[0] += weight * v.x * v.x
+      second[1] += weight * v.x * v.y
+      second[2] += weight * v.x * v.z
+      second[4] += weight * v.y * v.y
+      second[5] += weight * v.y * v.z
+      second[8] += weight * v.z * v.z
+    }
+
+    const centroid = new THREE.Vector3()
+    transformed.forEach(({ positions, index, flipped }) => {
+      const count = index ? index.length : positions.length / 3
+      let partVolume = 0
+      for (let i = 0; i + 2 < count; i += 3) {
+        const ia = index ? index[i] : i
+        const ib = index ? index[i + 1] : i + 1
+        const ic = index ? index[i + 2] : i + 2
+        _a.fromArray(positions, ia * 3).sub(origin)
+        _b.fromArray(positions, ib * 3).sub(origin)
+        _c.fromArray(positions, ic * 3).sub(origin)
+
+        // 有向四面体体积（以 origin 为顶点），闭合网格的总和与原点位置无关
+        partVolume += _a.dot(_cross.crossVectors(_b, _c)) / 6
+
+        const triangleArea = _cross.crossVectors(_ab.subVectors(_b, _a), _ac.subVectors(_c, _a)).length() / 2
+        triangleCount++
+        if (triangleArea === 0) continue
+
+        area += triangleArea
+        centroid.copy(_a).add(_b).add(_c).divideScalar(3)
+        mean.addScaledVector(centroid, triangleArea)
+
+        const weight = triangleArea / 12
+        addOuter(centroid, weight * 9)
+        addOuter(_a, weight)
+        addOuter(_b, weight)
+        addOuter(_c, weight)
+      }
+      volume += flipped ? -partVolume : partVolume
+    })
+
+    if (area > 0) mean.divideScalar(area)
+    return { area, volume, triangleCount, mean, second }
+  }
+
+  /**
+   * 有向包围盒：表面协方差的主轴方向上的包围盒，不比 AABB 小时使用 AABB
+   * @private
+   */
+  _computeOBB(transformed, moments, origin, box) {
+    const aabb = {
+      size: box.getSize(new THREE.Vector3()).toArray(),
+      center: origin.toArray(),
+      quaternion: [0, 0, 0, 1]
+    }
+    if (moments.area === 0) return aabb
+
+    const { area, mean, second } = moments
+    const m = [
+      second[0] / area - mean.x * mean.x, second[1] / area - mean.x * mean.y, second[2] / area - mean.x * mean.z,
+      0, second[4] / area - mean.y * mean.y, second[5] / area - mean.y * mean.z,
+      0, 0, second[8] / area - mean.z * mean.z
+    ]
+    m[3] = m[1]
+    m[6] = m[2]
+    m[7] = m[5]
+
+    const { vectors } = symmetricEigen3(m)
+    const axes = [vectors[0], vectors[1], new THREE.Vector3().crossVectors(vectors[0], vectors[1]).normalize()]
+    if (axes.some(axis => !Number.isFinite(axis.x) || axis.lengthSq() < 0.5)) return aabb
+
+    const min = [Infinity, Infinity, Infinity]
+    const max = [-Infinity, -Infinity, -Infinity]
+    transformed.forEach(({ positions }) => {
+      for (let i = 0; i < positions.length; i += 3) {
+        _a.fromArray(positions, i).sub(origin)
+        for (let k = 0; k < 3; k++) {
+          const d = _a.dot(axes[k])
+          if (d < min[k]) min[k] = d
+          if (d > max[k]) max[k] = d
+        }
+      }
+    })
+
+    const size = [0, 1, 2].map(k => max[k] - min[k])
+    const obbVolume = size[0] * size[1] * size[2]
+    const aabbVolume = aabb.size[0] * aabb.size[1] * aabb.size[2]
+    if (obbVolume >= aabbVolume * (1 - this.config.obbTolerance)) return aabb
+
+    const center = origin.clone()
+    axes.forEach((axis, k) => center.addScaledVector(axis, (min[k] + max[k]) / 2))
+    const rotation = new THREE.Matrix4().makeBasis(axes[0], axes[1], axes[2])
+
+    return {
+      size,
+      center: center.toArray(),
+      quaternion: new THREE.Quaternion().setFromRotationMatrix(rotation).toArray()
+    }
+  }
+}
+
+export default MeshMeasurement
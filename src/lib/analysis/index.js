@@ -0,0 +1,6 @@
+/**
+ * 网格分析模块导出
+ */
+export { MeshIntegrityAnalyzer } from './MeshIntegrityAnalyzer.js'
+export { MeshMeasurement } from './MeshMeasurement.js'
+export { EngravingAnalyzer } from './EngravingAnalyzer.js'
@@ -390,10 +390,7 @@ export class EventHandler {
       'Escape': () => this.facePicker.clearSelection(),
       'a': () => isCtrl && this.handleSelectAll(event),
       
-      // 历史操作
-      'z': () => isCtrl && !shiftKey && this.facePicker.undo(),
-      'z': () => isCtrl && shiftKey && this.facePicker.redo(),
-      'y': () => isCtrl && this.facePicker.redo(),
+      // 撤销/重做已由 facePicker.handleKeyDown 处理，这里不再重复触发
       
       // 视图操作
       'f': () => this.handleFocusSelection(event),
@@ -147,11 +147,12 @@ export class FacePicker {
     
     const monitor = debugLogger.createPerformanceMonitor('selectFace')
     
+    const before = this.selectionManager.getState()
     const wasSelected = this.selectionManager.contains(faceInfo)
     
     if (additive) {
       // 多选模式：切换选择状态
-      this.selectionManager.setSelectionMode('multi', false)
+      this.selectionManager.setSelectionMode('multi')
       
       if (wasSelected) {
         this.selectionManager.removeFace(faceInfo)
@@ -164,10 +165,10 @@ export class FacePicker {
       }
     } else {
       // 单选模式：替换当前选择
-      this.selectionManager.setSelectionMode('single', false)
+      this.selectionManager.setSelectionMode('single')
       
       const previousSelection = this.selectionManager.getAll()
-      this.selectionManager.clearAll(false)
+      this.selectionManager.clearAll()
       
       // 发出取消选择事件
       previousSelection.forEach(face => {
@@ -184,6 +185,7 @@ export class FacePicker {
     const selectionSummary = this.selectionManager.getSelectionSummary()
     debugLogger.logSelectionChange('选择状态变化', selectionSummary)
     this.emit('selectionChanged', selectionSummary)
+    this.commitSelection(before, wasSelected && additive ? '取消选择面' : '选择面')
     
     monitor.end({ additive, wasSelected })
   }
@@ -192,6 +194,7 @@ export class FacePicker {
    * 清除所有选择
    */
   clearSelection() {
+    const before = this.selectionManager.getState()
     const selectedFaces = this.selectionManager.getAll()
     this.selectionManager.clearAll()
     
@@ -203,6 +206,35 @@ export class FacePicker {
     
     this.emit('selectionCleared')
     this.emit('selectionChanged', this.selectionManager.getSelectionSummary())
+    this.commitSelection(before, '清除选择')
+  }
+  
+  /**
+   * 提交一次选择变化：状态有变化时发出 selectionCommitted 事件，
+   * 由编辑器包装成 SelectionCommand 记入统一的撤销/重做历史
+   * @param {Object} before - 操作前的选择状态
+   * @param {string} description - 操作描述
+   */
+  commitSelection(before, description) {
+    const after = this.selectionManager.getState()
+    if (SelectionManager.isSameState(before, after)) return
+    
+    this.emit('selectionCommitted', { before, after, description })
+  }
+  
+  /**
+   * 恢复选择状态（撤销/重做时调用，不发出 faceSelected/faceDeselected）
+   * 已经不在拾取列表中的网格上的面会被忽略
+   * @param {Object} state - 选择状态
+   */
+  applySelectionState(state) {
+    if (!state) return
+    
+    this.selectionManager.setState({
+      ...state,
+      faces: (state.faces || []).filter(faceInfo => this.meshes.includes(faceInfo.mesh))
+    })
+    this.emit('selectionChanged', this.selectionManager.getSelectionSummary())
   }
   
   /**
@@ -474,29 +506,18 @@ export class FacePicker {
   }
   
   /**
-   * 撤销上一次选择操作
-   * @returns {boolean} 是否成功撤销
+   * 请求撤销
+   * 选择记录在编辑器统一的历史中，这里只发出 undoRequested 事件，由编辑器执行撤销
    */
   undo() {
-    const success = this.selectionManager.undo()
-    if (success) {
-      this.emit('undoPerformed')
-      this.emit('selectionChanged', this.selectionManager.getSelectionSummary())
-    }
-    return success
+    this.emit('undoRequested')
   }
   
   /**
-   * 重做下一次选择操作
-   * @returns {boolean} 是否成功重做
+   * 请求重做（同 undo，发出 redoRequested 事件）
    */
   redo() {
-    const success = this.selectionManager.redo()
-    if (success) {
-      this.emit('redoPerformed')
-      this.emit('selectionChanged', this.selectionManager.getSelectionSummary())
-    }
-    return success
+    this.emit('redoRequested')
   }
   
   /**
@@ -513,8 +534,10 @@ export class FacePicker {
    * @param {'single'|'multi'} mode - 选择模式
    */
   setSelectionMode(mode) {
+    const before = this.selectionManager.getState()
     this.selectionManager.setSelectionMode(mode)
     this.emit('selectionModeChanged', mode)
+    this.commitSelection(before, '切换选择模式')
   }
   
   /**
@@ -1,7 +1,127 @@
 import * as THREE from 'three'
 
+// segmentFaces 中每个三角形每轮（圆柱/平面）最多被计入的被拒绝区域数，保证总开销与面数成线性
+const MAX_REJECTED_ATTEMPTS = 8
+
+/**
+ * 求解 3x3 线性方程组 M x = b
+ * @param {number[]} m - 行优先的 3x3 矩阵
+ * @param {number[]} b
+ * @returns {THREE.Vector3|null} 矩阵奇异时返回 null
+ */
+function solveLinear3(m, b) {
+  const matrix = new THREE.Matrix3().set(...m)
+  const scale = Math.max(...m.map(Math.abs), 1e-30)
+  if (Math.abs(matrix.determinant()) < 1e-9 * scale * scale * scale) return null
+  return new THREE.Vector3(b[0], b[1], b[2]).applyMatrix3(matrix.invert())
+}
+
+/**
+ * 对称 3x3 矩阵特征分解（Jacobi 迭代）
+ * @param {number[]} m - 行优先的对称矩阵
+ * @returns {{values: number[], vectors: THREE.Vector3[]}} 按特征值从大到小排列
+ */
+export function symmetricEigen3(m) {
+  const a = [[m[0], m[1], m[2]], [m[3], m[4], m[5]], [m[6], m[7], m[8]]]
+  const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]]
+
+  for (let sweep = 0; sweep < 32; sweep++) {
+    const off = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2])
+    if (off < 1e-15) break
+
+    for (let p = 0; p < 2; p++) {
+      for (let q = p + 1; q < 3; q++) {
+        if (Math.abs(a[p][q]) < 1e-18) continue
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q])
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1))
+        const c = 1 / Math.sqrt(t * t + 1)
+        const s = t * c
+
+        for (let k = 0; k < 3; k++) {
+          const akp = a[k][p]
+          const akq = a[k][q]
+          a[k][p] = c * akp - s * akq
+          a[k][q] = s * akp + c * akq
+        }
+        for (let k = 0; k < 3; k++) {
+          const apk = a[p][k]
+          const aqk = a[q][k]
+          a[p][k] = c * apk - s * aqk
+          a[q][k] = s * apk + c * aqk
+        }
+        for (let k = 0; k < 3; k++) {
+          const vkp = v[k][p]
+          const vkq = v[k][q]
+          v[k][p] = c * vkp - s * vkq
+          v[k][q] = s * vkp + c * vkq
+        }
+      }
+    }
+  }
+
+  return [0, 1, 2]
+    .map(i => ({ value: a[i][i], vector: new THREE.Vector3(v[0][i], v[1][i], v[2][i]).normalize() }))
+    .sort((x, y) => y.value - x.value)
+    .reduce((result, { value, vector }) => {
+      result.values.push(value)
+      result.vectors.push(vector)
+      return result
+    }, { values: [], vectors: [] })
+}
+
 /**
- * 特征检测器 - 基于原始模型预处理识别平面和圆柱面特征
+ * 按面积加权的法线协方差
+ * @param {Array<{normal: THREE.Vector3, weight: number}>} samples
+ * @returns {{values: number[], vectors: THREE.Vector3[]}}
+ */
+function normalCovariance(samples) {
+  const mean = new THREE.Vector3()
+  let totalWeight = 0
+  samples.forEach(({ normal, weight }) => {
+    mean.addScaledVector(normal, weight)
+    totalWeight += weight
+  })
+  mean.divideScalar(totalWeight || 1)
+
+  const m = [0, 0, 0, 0, 0, 0, 0, 0, 0]
+  const d = new THREE.Vector3()
+  samples.forEach(({ normal, weight }) => {
+    d.copy(normal).sub(mean)
+    const components = [d.x, d.y, d.z]
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        m[i * 3 + j] += weight * components[i] * components[j]
+      }
+    }
+  })
+
+  return symmetricEigen3(m.map(value => value / (totalWeight || 1)))
+}
+
+/**
+ * 求到一组直线距离平方和最小的点（直线为 point + t * direction，direction 需归一化）
+ * @returns {THREE.Vector3|null}
+ */
+function nearestPointToLines(points, directions, weights) {
+  const m = [0, 0, 0, 0, 0, 0, 0, 0, 0]
+  const b = [0, 0, 0]
+  for (let k = 0; k < points.length; k++) {
+    const n = [directions[k].x, directions[k].y, directions[k].z]
+    const p = [points[k].x, points[k].y, points[k].z]
+    const w = weights[k]
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        const projector = w * ((i === j ? 1 : 0) - n[i] * n[j])
+        m[i * 3 + j] += projector
+        b[i] += projector * p[j]
+      }
+    }
+  }
+  return solveLinear3(m, b)
+}
+
+/**
+ * 特征检测器 - 基于原始模型预处理识别平面、圆柱面、球面和圆锥面特征
  */
 export class FeatureDetector {
   constructor() {
@@ -16,6 +136,14 @@ export class FeatureDetector {
       cylinderAngleTolerance: 0.15, // 圆柱轴向角度容差
       cylinderRadiusTolerance: 0.01, // 半径容差
       minCylinderTriangles: 6, // 最小三角形数量
+
+      // 球面/圆锥面检测（沿平滑相邻面生长后拟合）
+      curvedSurfaceTolerance: 0.05, // 拟合的相对误差容差（半径残差 / 平均半径）
+      minCurvedSurfaceTriangles: 12, // 最小三角形数量
+      maxCurvedSurfaceTriangles: 50000, // 单个区域最大三角形数
+      minConeHalfAngle: 0.05, // 半顶角下限（弧度），更小的视为圆柱
+      maxConeHalfAngle: 1.4, // 半顶角上限（弧度），更大的视为平面
+      coneAngleTolerance: 0.1, // 法线推算的半顶角与几何拟合结果的最大差值（弧度）
       
       // 性能优化
       maxTrianglesPerFeature: 10000, // 单个特征最大三角形数
@@ -25,6 +153,7 @@ export class FeatureDetector {
     // 特征缓存
     this.featureCache = new Map() // meshId -> features
     this.processingQueue = new Set() // 正在处理的网格ID
+    this.adjacencyCache = new WeakMap() // geometry -> { version, adjacency }
   }
 
   /**
@@ -57,7 +186,7 @@ export class FeatureDetector {
       this.featureCache.set(meshId, features)
       
       const processingTime = performance.now() - startTime
-      console.log(`特征预处理完成: ${features.planes.length} 个平面, ${features.cylinders.length} 个圆柱, 耗时: ${processingTime.toFixed(2)}ms`)
+      console.log(`特征预处理完成: ${features.planes.length} 个平面, ${features.cylinders.length} 个圆柱, ${features.spheres.length} 个球面, ${features.cones.length} 个圆锥面, 耗时: ${processingTime.toFixed(2)}ms`)
       
       return features
       
@@ -97,14 +226,19 @@ export class FeatureDetector {
       this.detectPlanes(triangles),
       this.detectCylinders(triangles)
     ])
+
+    // 球面/圆锥面沿邻接关系生长后拟合
+    const { spheres, cones } = this.detectCurvedSurfaces(geometry)
     
     return {
       meshId: this.generateMeshId(mesh),
       triangleCount,
       planes,
       cylinders,
+      spheres,
+      cones,
       // 快速查找表：faceIndex -> featureId
-      faceToFeature: this.buildFaceToFeatureMap(planes, cylinders),
+      faceToFeature: this.buildFaceToFeatureMap(planes, cylinders, spheres, cones),
       timestamp: Date.now()
     }
   }
@@ -386,9 +520,11 @@ export class FeatureDetector {
    * 构建面索引到特征的映射表
    * @param {Array} planes - 平面特征
    * @param {Array} cylinders - 圆柱面特征
+   * @param {Array} [spheres] - 球面特征
+   * @param {Array} [cones] - 圆锥面特征
    * @returns {Map} faceIndex -> featureId
    */
-  buildFaceToFeatureMap(planes, cylinders) {
+  buildFaceToFeatureMap(planes, cylinders, spheres = [], cones = []) {
     const map = new Map()
     
     // 添加平面映射
@@ -412,10 +548,605 @@ export class FeatureDetector {
         })
       })
     })
+
+    // 球面/圆锥面经过拟合校验，比圆柱的法向判定更可靠，覆盖之前的映射
+    const fittedSurfaces = [...spheres, ...cones]
+    fittedSurfaces.forEach(feature => {
+      feature.triangleIndices.forEach(faceIndex => {
+        map.set(faceIndex, {
+          type: feature.type,
+          id: feature.id,
+          feature
+        })
+      })
+    })
     
     return map
   }
 
+  /**
+   * 构建三角形邻接数据（按位置焊接顶点后沿共享边建立邻接）
+   * @param {THREE.BufferGeometry} geometry - 几何体
+   * @returns {{triangleCount: number, normals: Float32Array, centers: Float32Array, areas: Float32Array, totalArea: number, neighbors: Int32Array}}
+   */
+  buildTriangleAdjacency(geometry) {
+    const positions = geometry.getAttribute('position')
+    if (!positions) {
+      throw new Error('几何体缺少位置属性')
+    }
+
+    const indices = geometry.getIndex()
+    const triangleCount = indices ? indices.count / 3 : positions.count / 3
+    const normals = new Float32Array(triangleCount * 3)
+    const centers = new Float32Array(triangleCount * 3)
+    const areas = new Float32Array(triangleCount)
+    const corners = new Int32Array(triangleCount * 3)
+    let totalArea = 0
+
+    // 按位置焊接顶点，非索引几何体（如 STL）也能找到相邻三角形
+    const vertexLookup = new Map()
+    const a = new THREE.Vector3()
+    const b = new THREE.Vector3()
+    const c = new THREE.Vector3()
+    const normal = new THREE.Vector3()
+    const triangle = new THREE.Triangle(a, b, c)
+
+    for (let i = 0; i < triangleCount; i++) {
+      for (let j = 0; j < 3; j++) {
+        const vertexIndex = indices ? indices.getX(i * 3 + j) : i * 3 + j
+        const key = `${positions.getX(vertexIndex).toFixed(5)}_${positions.getY(vertexIndex).toFixed(5)}_${positions.getZ(vertexIndex).toFixed(5)}`
+        let welded = vertexLookup.get(key)
+        if (welded === undefined) {
+          welded = vertexLookup.size
+          vertexLookup.set(key, welded)
+        }
+        corners[i * 3 + j] = welded
+      }
+
+      a.fromBufferAttribute(positions, indices ? indices.getX(i * 3) : i * 3)
+      b.fromBufferAttribute(positions, indices ? indices.getX(i * 3 + 1) : i * 3 + 1)
+      c.fromBufferAttribute(positions, indices ? indices.getX(i * 3 + 2) : i * 3 + 2)
+      triangle.getNormal(normal)
+      normal.toArray(normals, i * 3)
+      centers[i * 3] = (a.x + b.x + c.x) / 3
+      centers[i * 3 + 1] = (a.y + b.y + c.y) / 3
+      centers[i * 3 + 2] = (a.z + b.z + c.z) / 3
+      areas[i] = triangle.getArea()
+      totalArea += areas[i]
+    }
+
+    // 共享边邻接：neighbors[i * 3 + e] 为第 e 条边对面的三角形
+    const vertexCount = vertexLookup.size
+    vertexLookup.clear()
+    const neighbors = new Int32Array(triangleCount * 3).fill(-1)
+    const openEdges = new Map()
+    for (let i = 0; i < triangleCount; i++) {
+      for (let e = 0; e < 3; e++) {
+        const v0 = corners[i * 3 + e]
+        const v1 = corners[i * 3 + (e + 1) % 3]
+        const key = v0 < v1 ? v0 * vertexCount + v1 : v1 * vertexCount + v0
+        const other = openEdges.get(key)
+        if (other === undefined) {
+          openEdges.set(key, i * 3 + e)
+        } else {
+          openEdges.delete(key)
+          neighbors[i * 3 + e] = Math.floor(other / 3)
+          neighbors[other] = i
+        }
+      }
+    }
+    openEdges.clear()
+
+    return { triangleCount, normals, centers, areas, totalArea, neighbors }
+  }
+
+  /**
+   * 基于邻接关系的快速面分割（开销与面数成线性，适用于大网格预处理）
+   * 与 detectFeatures 使用相同的平面/圆柱判定容差，但只沿共享边生长；
+   * 每个三角形在圆柱、平面两轮中各最多被 MAX_REJECTED_ATTEMPTS 个被拒绝的区域访问，之后不再作为种子或被生长进去
+   * @param {THREE.BufferGeometry} geometry - 几何体
+   * @param {Object} [options]
+   * @param {number} [options.minAreaRatio=0] - 特征面积占总面积的最小比例，过小的区域视为自由曲面
+   * @returns {{labels: Int32Array, features: Array}} 每个三角形的特征编号（-1 表示自由曲面）
+   */
+  segmentFaces(geometry, options = {}) {
+    const { minAreaRatio = 0 } = options
+    const { triangleCount, normals, centers, areas, totalArea, neighbors } = this.buildTriangleAdjacency(geometry)
+
+    const labels = new Int32Array(triangleCount).fill(-1)
+    // 每个三角形被计入被拒绝的圆柱/平面区域的次数
+    const cylinderAttempts = new Uint8Array(triangleCount)
+    const planeAttempts = new Uint8Array(triangleCount)
+    const features = []
+    const minArea = totalArea * minAreaRatio
+    const seedNormal = new THREE.Vector3()
+    const regionNormal = new THREE.Vector3()
+    const regionPoint = new THREE.Vector3()
+    const axis = new THREE.Vector3()
+    const tmp = new THREE.Vector3()
+    const tmp2 = new THREE.Vector3()
+
+    const grow = (seed, label, attempts, accept, onAccept) => {
+      const members = [seed]
+      labels[seed] = label
+      for (let k = 0; k < members.length; k++) {
+        const current = members[k]
+        for (let e = 0; e < 3; e++) {
+          const next = neighbors[current * 3 + e]
+          if (next < 0 || labels[next] !== -1 || attempts[next] >= MAX_REJECTED_ATTEMPTS) continue
+          if (!accept(next, current)) continue
+          labels[next] = label
+          members.push(next)
+          onAccept?.(next, members.length)
+          if (members.length >= this.config.maxTrianglesPerFeature) return members
+        }
+      }
+      return members
+    }
+
+    const regionArea = (members) => members.reduce((sum, t) => sum + areas[t], 0)
+    const release = (members, attempts) => members.forEach(t => {
+      labels[t] = -1
+      attempts[t]++
+    })
+    const smoothAngle = this.config.cylinderAngleTolerance * 2
+
+    for (let seed = 0; seed < triangleCount; seed++) {
+      if (labels[seed] !== -1) continue
+      const label = features.length
+      seedNormal.fromArray(normals, seed * 3)
+
+      // 先尝试圆柱：需要存在平滑弯曲的相邻面来确定轴向
+      let hasAxis = false
+      for (let e = 0; e < 3 && !hasAxis && cylinderAttempts[seed] < MAX_REJECTED_ATTEMPTS; e++) {
+        const next = neighbors[seed * 3 + e]
+        if (next < 0) continue
+        tmp.fromArray(normals, next * 3)
+        const angle = seedNormal.angleTo(tmp)
+        if (angle < 1e-4 || angle > smoothAngle) continue
+        axis.crossVectors(seedNormal, tmp).normalize()
+        hasAxis = true
+      }
+      if (hasAxis) {
+        let maxBend = 0
+        const cylinder = grow(seed, label, cylinderAttempts, (t, from) => {
+          tmp.fromArray(normals, t * 3)
+          if (Math.abs(axis.dot(tmp)) > this.config.cylinderAngleTolerance) return false
+          // 相邻面夹角过大视为棱边，不跨越
+          return tmp.angleTo(tmp2.fromArray(normals, from * 3)) <= smoothAngle
+        }, (t) => {
+          maxBend = Math.max(maxBend, seedNormal.angleTo(tmp.fromArray(normals, t * 3)))
+        })
+        // 法向变化不足说明是平面，交给平面检测
+        if (cylinder.length >= this.config.minCylinderTriangles &&
+            maxBend > this.config.planeAngleTolerance &&
+            regionArea(cylinder) >= minArea) {
+          features.push({ id: `cylinder_${label}`, type: 'cylinder', triangleCount: cylinder.length })
+          continue
+        }
+        release(cylinder, cylinderAttempts)
+      }
+
+      // 再尝试平面
+      if (planeAttempts[seed] >= MAX_REJECTED_ATTEMPTS) continue
+      regionNormal.copy(seedNormal)
+      regionPoint.fromArray(centers, seed * 3)
+      const plane = grow(seed, label, planeAttempts, (t) => {
+        tmp.fromArray(normals, t * 3)
+        if (regionNormal.angleTo(tmp) > this.config.planeAngleTolerance) return false
+        tmp.fromArray(centers, t * 3).sub(regionPoint)
+        return Math.abs(regionNormal.dot(tmp)) <= this.config.planeDistanceTolerance
+      }, (t, count) => {
+        const weight = 1 / count
+        regionNormal.multiplyScalar(1 - weight).add(tmp.fromArray(normals, t * 3).multiplyScalar(weight)).normalize()
+        regionPoint.multiplyScalar(1 - weight).add(tmp.fromArray(centers, t * 3).multiplyScalar(weight))
+      })
+      if (plane.length >= this.config.minPlaneTriangles && regionArea(plane) >= minArea) {
+        features.push({ id: `plane_${label}`, type: 'plane', triangleCount: plane.length })
+        continue
+      }
+      release(plane, planeAttempts)
+
+      // 自由曲面：保持 -1
+    }
+
+    return { labels, features }
+  }
+
+  /**
+   * 获取几何体的邻接数据（按几何体缓存，位置数据变化后重建）
+   * @param {THREE.BufferGeometry} geometry - 几何体
+   * @returns {Object} buildTriangleAdjacency() 的结果
+   */
+  getTriangleAdjacency(geometry) {
+    const version = geometry.getAttribute('position')?.version
+    const cached = this.adjacencyCache.get(geometry)
+    if (cached && cached.version === version) return cached.adjacency
+
+    const adjacency = this.buildTriangleAdjacency(geometry)
+    this.adjacencyCache.set(geometry, { version, adjacency })
+    return adjacency
+  }
+
+  /**
+   * 从种子三角形沿平滑相邻面生长区域（相邻面夹角超过平滑角视为棱边）
+   * @param {Object} adjacency - buildTriangleAdjacency() 的结果
+   * @param {number} seed - 种子三角形索引
+   * @param {Object} [options]
+   * @param {Uint8Array} [options.visited] - 已访问标记，跨多次生长共享
+   * @param {number} [options.maxDistance=Infinity] - 与种子中心的最大距离
+   * @returns {number[]} 区域内的三角形索引
+   */
+  growSmoothRegion(adjacency, seed, options = {}) {
+    const { normals, centers, neighbors, triangleCount } = adjacency
+    const visited = options.visited || new Uint8Array(triangleCount)
+    const maxDistanceSq = (options.maxDistance ?? Infinity) ** 2
+    const maxTriangles = this.config.maxCurvedSurfaceTriangles
+    const smoothAngle = this.config.cylinderAngleTolerance * 2
+    const seedCenter = new THREE.Vector3().fromArray(centers, seed * 3)
+    const current = new THREE.Vector3()
+    const next = new THREE.Vector3()
+
+    const members = [seed]
+    visited[seed] = 1
+    for (let k = 0; k < members.length && members.length < maxTriangles; k++) {
+      const t = members[k]
+      current.fromArray(normals, t * 3)
+      for (let e = 0; e < 3; e++) {
+        const n = neighbors[t * 3 + e]
+        if (n < 0 || visited[n]) continue
+        if (current.angleTo(next.fromArray(normals, n * 3)) > smoothAngle) continue
+        if (next.fromArray(centers, n * 3).distanceToSquared(seedCenter) > maxDistanceSq) continue
+        visited[n] = 1
+        members.push(n)
+      }
+    }
+    return members
+  }
+
+  /**
+   * 球面拟合：球面法线都经过球心，取到所有法线距离最小的点作为球心
+   * @param {Array<{point: THREE.Vector3, normal: THREE.Vector3, weight: number}>} samples
+   * @returns {{center: THREE.Vector3, radius: number, error: number, outward: number}|null}
+   *   error 为半径残差与半径之比，outward 为法线朝外的一致程度（1 表示全部朝外）
+   */
+  fitSphere(samples) {
+    const center = nearestPointToLines(
+      samples.map(s => s.point),
+      samples.map(s => s.normal),
+      samples.map(s => s.weight)
+    )
+    if (!center) return null
+
+    const offset = new THREE.Vector3()
+    let totalWeight = 0
+    let radius = 0
+    let outward = 0
+    samples.forEach(({ point, normal, weight }) => {
+      offset.copy(point).sub(center)
+      const distance = offset.length()
+      radius += weight * distance
+      outward += weight * (distance > 0 ? normal.dot(offset) / distance : 0)
+      totalWeight += weight
+    })
+    if (!(totalWeight > 0)) return null
+    radius /= totalWeight
+    outward /= totalWeight
+    if (!(radius > 0)) return null
+
+    let variance = 0
+    samples.forEach(({ point, weight }) => {
+      variance += weight * (point.distanceTo(center) - radius) ** 2
+    })
+
+    return { center, radius, error: Math.sqrt(variance / totalWeight) / radius, outward }
+  }
+
+  /**
+   * 圆锥面拟合
+   * 1. 圆锥面法线与轴夹角恒定，法线端点落在垂直于轴的平面上，取法线协方差最小特征向量作为轴向
+   * 2. 法线投影到垂直于轴的平面后都经过轴线，求出轴上一点
+   * 3. 半径随轴向高度线性变化，线性拟合得到半顶角和锥顶
+   * @param {Array<{point: THREE.Vector3, normal: THREE.Vector3, weight: number}>} samples
+   * @returns {{apex: THREE.Vector3, axis: THREE.Vector3, halfAngle: number, normalAngle: number, error: number}|null}
+   *   axis 从锥顶指向开口，error 为半径残差与平均半径之比
+   */
+  fitCone(samples) {
+    const { vectors } = normalCovariance(samples)
+    const axis = vectors[2].clone()
+
+    let totalWeight = 0
+    let k = 0
+    samples.forEach(({ normal, weight }) => {
+      k += weight * normal.dot(axis)
+      totalWeight += weight
+    })
+    if (!(totalWeight > 0)) return null
+    k /= totalWeight
+
+    // 外法线与轴夹角大于 90°（n·axis = -sin(半顶角)），据此确定轴向
+    if (k > 0) {
+      axis.negate()
+      k = -k
+    }
+
+    const projectedPoints = []
+    const projectedNormals = []
+    const weights = []
+    samples.forEach(({ point, normal, weight }) => {
+      const radial = normal.clone().addScaledVector(axis, -normal.dot(axis))
+      if (radial.lengthSq() < 1e-12) return
+      projectedPoints.push(point.clone().addScaledVector(axis, -point.dot(axis)))
+      projectedNormals.push(radial.normalize())
+      weights.push(weight)
+    })
+    const axisPoint = projectedPoints.length >= 3
+      ? nearestPointToLines(projectedPoints, projectedNormals, weights)
+      : null
+    if (!axisPoint) return null
+
+    // 线性拟合 半径 = r0 + slope * 高度
+    const offset = new THREE.Vector3()
+    const heights = []
+    const radii = []
+    let sw = 0
+    let sh = 0
+    let sr = 0
+    let shh = 0
+    let shr = 0
+    samples.forEach(({ point, weight }) => {
+      offset.copy(point).sub(axisPoint)
+      const h = offset.dot(axis)
+      const r = offset.addScaledVector(axis, -h).length()
+      heights.push(h)
+      radii.push(r)
+      sw += weight
+      sh += weight * h
+      sr += weight * r
+      shh += weight * h * h
+      shr += weight * h * r
+    })
+
+    const denominator = sw * shh - sh * sh
+    if (denominator <= 1e-12 * sw * sw) return null
+    const slope = (sw * shr - sh * sr) / denominator
+    const r0 = (sr - slope * sh) / sw
+    if (!(slope > 0)) return null
+
+    let variance = 0
+    samples.forEach(({ weight }, i) => {
+      variance += weight * (radii[i] - r0 - slope * heights[i]) ** 2
+    })
+    const meanRadius = sr / sw
+    if (!(meanRadius > 0)) return null
+
+    return {
+      apex: axisPoint.clone().addScaledVector(axis, -r0 / slope),
+      axis,
+      halfAngle: Math.atan(slope),
+      normalAngle: Math.asin(Math.min(1, -k)),
+      error: Math.sqrt(variance / sw) / meanRadius
+    }
+  }
+
+  /**
+   * 判断区域是否为球面或圆锥面
+   * @param {Object} adjacency - buildTriangleAdjacency() 的结果
+   * @param {number[]} members - 区域内的三角形索引
+   * @returns {Object|null} { type: 'sphere', center, radius, confidence } | { type: 'cone', apex, axis, halfAngle, confidence }
+   */
+  classifySurfaceRegion(adjacency, members) {
+    if (members.length < this.config.minCurvedSurfaceTriangles) return null
+
+    const { normals, centers, areas } = adjacency
+    const samples = members
+      .filter(t => areas[t] > 0)
+      .map(t => ({
+        point: new THREE.Vector3().fromArray(centers, t * 3),
+        normal: new THREE.Vector3().fromArray(normals, t * 3),
+        weight: areas[t]
+      }))
+    if (samples.length < this.config.minCurvedSurfaceTriangles) return null
+
+    // 法线几乎不变的是平面
+    const { values } = normalCovariance(samples)
+    const minSpread = this.config.planeAngleTolerance / 2
+    if (values[0] < minSpread * minSpread) return null
+
+    const tolerance = this.config.curvedSurfaceTolerance
+    const confidenceOf = (error) => Math.max(0, Math.min(1, 1 - error / tolerance))
+
+    // 球面：法线在两个方向上都有展开（圆柱/圆锥的局部区域法线只沿一个方向变化）
+    if (values[1] > values[0] * 0.1) {
+      const sphere = this.fitSphere(samples)
+      if (sphere && sphere.error <= tolerance && sphere.outward > 0.8) {
+        return {
+          type: 'sphere',
+          center: sphere.center,
+          radius: sphere.radius,
+          confidence: confidenceOf(sphere.error)
+        }
+      }
+    }
+
+    const cone = this.fitCone(samples)
+    if (cone &&
+        cone.error <= tolerance &&
+        cone.halfAngle >= this.config.minConeHalfAngle &&
+        cone.halfAngle <= this.config.maxConeHalfAngle &&
+        Math.abs(cone.halfAngle - cone.normalAngle) <= this.config.coneAngleTolerance) {
+      return {
+        type: 'cone',
+        apex: cone.apex,
+        axis: cone.axis,
+        halfAngle: cone.halfAngle,
+        confidence: confidenceOf(cone.error)
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * 查找网格的顶面（法线朝上的平面特征中最高的一个，底座放置模型用）
+   * 面积太小的朝上平面（倒角、装饰纹理）不参与比较
+   * @param {THREE.Mesh} mesh - 网格对象（使用当前世界矩阵判断朝向和高度）
+   * @param {Object} [options]
+   * @param {THREE.Vector3} [options.up] - 世界坐标系中的向上方向，默认 +Y
+   * @param {number} [options.angleTolerance] - 法线与向上方向的最大夹角（弧度）
+   * @param {number} [options.minAreaRatio] - 相对最大朝上平面的最小面积比
+   * @returns {Promise<Object|null>} { featureId, normal, point, bounds, area }（网格局部坐标系，bounds 为平面顶点的包围盒），没有朝上平面时为 null
+   */
+  async findTopPlane(mesh, options = {}) {
+    const {
+      up = new THREE.Vector3(0, 1, 0),
+      angleTolerance = THREE.MathUtils.degToRad(15),
+      minAreaRatio = 0.1
+    } = options
+
+    const features = await this.preprocessMesh(mesh)
+    if (!features?.planes?.length) return null
+
+    mesh.updateMatrixWorld(true)
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(mesh.matrixWorld)
+    const minDot = Math.cos(angleTolerance)
+
+    const candidates = features.planes
+      .map(plane => ({
+        plane,
+        height: plane.point.clone().applyMatrix4(mesh.matrixWorld).dot(up),
+        facing: plane.normal.clone().applyMatrix3(normalMatrix).normalize().dot(up)
+      }))
+      .filter(candidate => candidate.facing >= minDot)
+    if (candidates.length === 0) return null
+
+    const maxArea = Math.max(...candidates.map(candidate => candidate.plane.area))
+    const top = candidates
+      .filter(candidate => candidate.plane.area >= maxArea * minAreaRatio)
+      .reduce((best, candidate) => (candidate.height > best.height ? candidate : best))
+
+    // 平面特征的 bounds 只包含三角形中心，这里按顶点重新计算
+    const positions = mesh.geometry.getAttribute('position')
+    const indices = mesh.geometry.getIndex()
+    const bounds = new THREE.Box3()
+    const vertex = new THREE.Vector3()
+    top.plane.triangleIndices.forEach(triangle => {
+      for (let j = 0; j < 3; j++) {
+        const index = indices ? indices.getX(triangle * 3 + j) : triangle * 3 + j
+        bounds.expandByPoint(vertex.fromBufferAttribute(positions, index))
+      }
+    })
+
+    return {
+      featureId: top.plane.id,
+      normal: top.plane.normal.clone(),
+      point: top.plane.point.clone(),
+      bounds,
+      area: top.plane.area
+    }
+  }
+
+  /**
+   * 检测指定面所在的球面或圆锥面（表面文字贴合用）
+   * 先用整个平滑区域拟合，失败时缩小到该面附近的局部区域再试一次
+   * @param {THREE.BufferGeometry} geometry - 几何体
+   * @param {number} faceIndex - 面索引
+   * @param {Object} [options]
+   * @param {number} [options.localRadius] - 局部区域半径（默认包围球半径的 1/4）
+   * @returns {Object|null} classifySurfaceRegion() 的结果（几何体局部坐标系），附带 triangleCount
+   */
+  detectSurfaceAt(geometry, faceIndex, options = {}) {
+    const adjacency = this.getTriangleAdjacency(geometry)
+    if (!(faceIndex >= 0 && faceIndex < adjacency.triangleCount)) return null
+
+    const region = this.growSmoothRegion(adjacency, faceIndex)
+    let feature = this.classifySurfaceRegion(adjacency, region)
+    let triangleCount = region.length
+
+    if (!feature) {
+      if (!geometry.boundingSphere) geometry.computeBoundingSphere()
+      const maxDistance = options.localRadius ?? geometry.boundingSphere.radius * 0.25
+      const local = this.growSmoothRegion(adjacency, faceIndex, { maxDistance })
+      if (local.length < region.length) {
+        feature = this.classifySurfaceRegion(adjacency, local)
+        triangleCount = local.length
+      }
+    }
+
+    return feature ? { ...feature, triangleCount } : null
+  }
+
+  /**
+   * 判断指定面周围（半径 radius 内、不跨越棱边的平滑区域）是否为平面（表面文字贴合用）
+   * 区域内所有面的法线与区域平均法线的夹角不超过 planeAngleTolerance，且面中心到平面的距离不超过距离容差
+   * @param {THREE.BufferGeometry} geometry - 几何体
+   * @param {number} faceIndex - 面索引
+   * @param {Object} [options]
+   * @param {number} [options.radius] - 检查半径（默认包围球半径的 1/20）
+   * @returns {{normal: THREE.Vector3, point: THREE.Vector3, triangleCount: number}|null} 几何体局部坐标系，不是平面时为 null
+   */
+  detectPlaneAt(geometry, faceIndex, options = {}) {
+    const adjacency = this.getTriangleAdjacency(geometry)
+    if (!(faceIndex >= 0 && faceIndex < adjacency.triangleCount)) return null
+
+    if (!geometry.boundingSphere) geometry.computeBoundingSphere()
+    const radius = options.radius ?? geometry.boundingSphere.radius * 0.05
+    const members = this.growSmoothRegion(adjacency, faceIndex, { maxDistance: radius })
+
+    const { normals, centers, areas } = adjacency
+    const normal = new THREE.Vector3()
+    const point = new THREE.Vector3()
+    let area = 0
+    members.forEach(t => {
+      normal.addScaledVector(new THREE.Vector3().fromArray(normals, t * 3), areas[t])
+      point.addScaledVector(new THREE.Vector3().fromArray(centers, t * 3), areas[t])
+      area += areas[t]
+    })
+    if (!(area > 0) || normal.lengthSq() < 1e-12) return null
+    normal.normalize()
+    point.divideScalar(area)
+
+    // 距离容差随检查半径放大，扫描模型的微小起伏不影响判断
+    const distanceTolerance = Math.max(this.config.planeDistanceTolerance, radius * 0.01)
+    const triangleNormal = new THREE.Vector3()
+    const offset = new THREE.Vector3()
+    const isPlane = members.every(t => {
+      if (areas[t] === 0) return true
+      if (triangleNormal.fromArray(normals, t * 3).angleTo(normal) > this.config.planeAngleTolerance) return false
+      return Math.abs(offset.fromArray(centers, t * 3).sub(point).dot(normal)) <= distanceTolerance
+    })
+
+    return isPlane ? { normal, point, triangleCount: members.length } : null
+  }
+
+  /**
+   * 检测整个网格中的球面和圆锥面特征
+   * @param {THREE.BufferGeometry} geometry - 几何体
+   * @returns {{spheres: Array, cones: Array}}
+   */
+  detectCurvedSurfaces(geometry) {
+    const adjacency = this.getTriangleAdjacency(geometry)
+    const visited = new Uint8Array(adjacency.triangleCount)
+    const spheres = []
+    const cones = []
+
+    for (let seed = 0; seed < adjacency.triangleCount; seed++) {
+      if (visited[seed]) continue
+
+      const members = this.growSmoothRegion(adjacency, seed, { visited })
+      const feature = this.classifySurfaceRegion(adjacency, members)
+      if (!feature) continue
+
+      const list = feature.type === 'sphere' ? spheres : cones
+      feature.id = `${feature.type}_${list.length}`
+      feature.triangleIndices = members
+      feature.area = members.reduce((sum, t) => sum + adjacency.areas[t], 0)
+      list.push(feature)
+    }
+
+    return { spheres, cones }
+  }
+
   /**
    * 根据面索引快速查找特征
    * @param {string} meshId - 网格ID
@@ -501,7 +1232,8 @@ export class FeatureDetector {
     }
     
     this.featureCache.forEach(features => {
-      stats.totalFeatures += features.planes.length + features.cylinders.length
+      stats.totalFeatures += features.planes.length + features.cylinders.length +
+        (features.spheres?.length || 0) + (features.cones?.length || 0)
       stats.totalTriangles += features.triangleCount
     })
     
@@ -214,6 +214,10 @@ export class FeaturePool {
     // 在圆柱面中查找
     const cylinder = features.cylinders.find(c => c.id === featureId)
     if (cylinder) return cylinder
+
+    // 在球面/圆锥面中查找
+    const fitted = [...(features.spheres || []), ...(features.cones || [])].find(f => f.id === featureId)
+    if (fitted) return fitted
     
     return null
   }
@@ -416,10 +416,11 @@ export class OptimizedFacePicker {
       feature: featureInfo
     }
     
+    const before = this.selectionManager.getState()
     const wasSelected = this.selectionManager.contains(enhancedFaceInfo)
     
     if (additive) {
-      this.selectionManager.setSelectionMode('multi', false)
+      this.selectionManager.setSelectionMode('multi')
       
       if (wasSelected) {
         this.selectionManager.removeFace(enhancedFaceInfo)
@@ -429,10 +430,10 @@ export class OptimizedFacePicker {
         this.emit('faceSelected', enhancedFaceInfo, originalEvent)
       }
     } else {
-      this.selectionManager.setSelectionMode('single', false)
+      this.selectionManager.setSelectionMode('single')
       
       const previousSelection = this.selectionManager.getAll()
-      this.selectionManager.clearAll(false)
+      this.selectionManager.clearAll()
       
       previousSelection.forEach(face => {
         this.emit('faceDeselected', face, originalEvent)
@@ -445,6 +446,7 @@ export class OptimizedFacePicker {
     // 发出选择变化事件
     const selectionSummary = this.selectionManager.getSelectionSummary()
     this.emit('selectionChanged', selectionSummary)
+    this.commitSelection(before, wasSelected && additive ? '取消选择面' : '选择面')
     
     // 如果有特征信息，发出特征选择事件
     if (featureInfo) {
@@ -522,6 +524,7 @@ export class OptimizedFacePicker {
    * 清除所有选择
    */
   clearSelection() {
+    const before = this.selectionManager.getState()
     const selectedFaces = this.selectionManager.getAll()
     this.selectionManager.clearAll()
     
@@ -532,6 +535,65 @@ export class OptimizedFacePicker {
     
     this.emit('selectionCleared')
     this.emit('selectionChanged', this.selectionManager.getSelectionSummary())
+    this.commitSelection(before, '清除选择')
+  }
+
+  /**
+   * 提交一次选择变化：状态有变化时发出 selectionCommitted 事件，由编辑器记入撤销/重做历史
+   * @param {Object} before - 操作前的选择状态
+   * @param {string} description - 操作描述
+   */
+  commitSelection(before, description) {
+    const after = this.selectionManager.getState()
+    if (SelectionManager.isSameState(before, after)) return
+    
+    this.emit('selectionCommitted', { before, after, description })
+  }
+
+  /**
+   * 恢复选择状态（撤销/重做时调用），同步更新选择高亮
+   * @param {Object} state - 选择状态
+   */
+  applySelectionState(state) {
+    if (!state) return
+    
+    const previousFaces = this.selectionManager.getAll()
+    this.selectionManager.setState({
+      ...state,
+      faces: (state.faces || []).filter(faceInfo => this.meshRegistry.has(faceInfo.mesh))
+    })
+    
+    previousFaces.forEach(faceInfo => {
+      if (!this.selectionManager.contains(faceInfo)) {
+        this.highlightRenderer.removeHighlight(faceInfo.mesh, faceInfo.faceIndex)
+      }
+    })
+    this.selectionManager.getAll().forEach(faceInfo => {
+      this.highlightRenderer.highlightFace(faceInfo.mesh, faceInfo.faceIndex)
+    })
+    
+    this.emit('selectionChanged', this.selectionManager.getSelectionSummary())
+  }
+
+  /**
+   * 处理键盘事件（撤销/重做交给编辑器统一的历史）
+   * @param {KeyboardEvent} event - 键盘事件
+   */
+  handleKeyDown(event) {
+    if (!this.enabled) return
+    
+    const isCtrl = event.ctrlKey || event.metaKey
+    const key = event.key.toLowerCase()
+    
+    if (event.key === 'Escape') {
+      this.clearSelection()
+    } else if (isCtrl && key === 'z') {
+      this.emit(event.shiftKey ? 'redoRequested' : 'undoRequested')
+      event.preventDefault()
+    } else if (isCtrl && key === 'y') {
+      this.emit('redoRequested')
+      event.preventDefault()
+    }
   }
 
   /**
@@ -547,6 +609,7 @@ export class OptimizedFacePicker {
     if (!mesh || !triangleIndices) return []
     
     return triangleIndices.map(faceIndex => ({
+      id: this.raycastManager.generateFaceId(mesh, faceIndex),
       mesh,
       faceIndex,
       meshId,
@@ -564,8 +627,10 @@ export class OptimizedFacePicker {
     
     if (relatedFaces.length === 0) return
     
+    const before = this.selectionManager.getState()
+    
     // 切换到多选模式
-    this.selectionManager.setSelectionMode('multi', false)
+    this.selectionManager.setSelectionMode('multi')
     
     // 选择所有相关面
     relatedFaces.forEach(faceInfo => {
@@ -580,6 +645,7 @@ export class OptimizedFacePicker {
     })
     
     this.emit('selectionChanged', this.selectionManager.getSelectionSummary())
+    this.commitSelection(before, '选择特征')
   }
 
   /**
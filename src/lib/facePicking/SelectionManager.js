@@ -1,6 +1,9 @@
 /**
  * 选择状态管理器
  * 负责管理面的选择状态，支持单选和多选模式
+ *
+ * 撤销/重做不在这里维护：拾取器在一次用户操作前后调用 getState() 取得快照，
+ * 交给编辑器的 HistoryManager（SelectionCommand），撤销/重做时再通过 setState() 恢复
  */
 export class SelectionManager {
   constructor() {
@@ -13,11 +16,6 @@ export class SelectionManager {
     // 悬停的面
     this.hoverFace = null
     
-    // 选择历史记录（用于撤销/重做）
-    this.selectionHistory = []
-    this.historyIndex = -1
-    this.maxHistorySize = 50
-    
     // 事件回调
     this.eventCallbacks = new Map()
   }
@@ -25,20 +23,14 @@ export class SelectionManager {
   /**
    * 添加面到选择中
    * @param {Object} faceInfo - 面信息对象
-   * @param {boolean} recordHistory - 是否记录到历史
    * @returns {boolean} 是否成功添加
    */
-  addFace(faceInfo, recordHistory = true) {
+  addFace(faceInfo) {
     if (!faceInfo || !faceInfo.id) {
       console.warn('无效的面信息')
       return false
     }
     
-    // 记录当前状态到历史
-    if (recordHistory) {
-      this.recordCurrentState()
-    }
-    
     // 如果是单选模式，先清除之前的选择
     if (this.selectionMode === 'single') {
       this.selectedFaces.clear()
@@ -54,10 +46,9 @@ export class SelectionManager {
   /**
    * 从选择中移除面
    * @param {Object} faceInfo - 面信息对象
-   * @param {boolean} recordHistory - 是否记录到历史
    * @returns {boolean} 是否成功移除
    */
-  removeFace(faceInfo, recordHistory = true) {
+  removeFace(faceInfo) {
     if (!faceInfo || !faceInfo.id) {
       console.warn('无效的面信息')
       return false
@@ -67,11 +58,6 @@ export class SelectionManager {
       return false
     }
     
-    // 记录当前状态到历史
-    if (recordHistory) {
-      this.recordCurrentState()
-    }
-    
     const removed = this.selectedFaces.delete(faceInfo.id)
     
     if (removed) {
@@ -84,18 +70,12 @@ export class SelectionManager {
   
   /**
    * 清除所有选择
-   * @param {boolean} recordHistory - 是否记录到历史
    */
-  clearAll(recordHistory = true) {
+  clearAll() {
     if (this.selectedFaces.size === 0) {
       return
     }
     
-    // 记录当前状态到历史
-    if (recordHistory) {
-      this.recordCurrentState()
-    }
-    
     const clearedFaces = Array.from(this.selectedFaces.values())
     this.selectedFaces.clear()
     
@@ -152,9 +132,8 @@ export class SelectionManager {
   /**
    * 设置选择模式
    * @param {'single'|'multi'} mode - 选择模式
-   * @param {boolean} recordHistory - 是否记录到历史
    */
-  setSelectionMode(mode, recordHistory = true) {
+  setSelectionMode(mode) {
     if (mode !== 'single' && mode !== 'multi') {
       console.warn('无效的选择模式，应为 "single" 或 "multi"')
       return
@@ -164,21 +143,17 @@ export class SelectionManager {
       return // 模式没有变化
     }
     
-    // 记录当前状态到历史
-    if (recordHistory) {
-      this.recordCurrentState()
-    }
-    
     const oldMode = this.selectionMode
     this.selectionMode = mode
     
     // 如果切换到单选模式且当前有多个选择，只保留第一个
     if (mode === 'single' && this.selectedFaces.size > 1) {
-      const firstFace = this.selectedFaces.values().next().value
+      const [firstFace, ...droppedFaces] = this.selectedFaces.values()
       this.selectedFaces.clear()
       if (firstFace) {
         this.selectedFaces.set(firstFace.id, firstFace)
       }
+      this.emitEvent('multipleFacesRemoved', droppedFaces)
     }
     
     this.emitEvent('selectionModeChanged', { oldMode, newMode: mode })
@@ -233,20 +208,19 @@ export class SelectionManager {
   /**
    * 切换面的选择状态
    * @param {Object} faceInfo - 面信息对象
-   * @param {boolean} recordHistory - 是否记录到历史
    * @returns {boolean} 切换后的选择状态（true为选中，false为未选中）
    */
-  toggleFace(faceInfo, recordHistory = true) {
+  toggleFace(faceInfo) {
     if (!faceInfo || !faceInfo.id) {
       console.warn('无效的面信息')
       return false
     }
     
     if (this.contains(faceInfo)) {
-      this.removeFace(faceInfo, recordHistory)
+      this.removeFace(faceInfo)
       return false
     } else {
-      this.addFace(faceInfo, recordHistory)
+      this.addFace(faceInfo)
       return true
     }
   }
@@ -254,19 +228,13 @@ export class SelectionManager {
   /**
    * 批量添加面到选择中
    * @param {Object[]} faceInfos - 面信息对象数组
-   * @param {boolean} recordHistory - 是否记录到历史
    * @returns {number} 成功添加的数量
    */
-  addMultipleFaces(faceInfos, recordHistory = true) {
+  addMultipleFaces(faceInfos) {
     if (!Array.isArray(faceInfos) || faceInfos.length === 0) {
       return 0
     }
     
-    // 记录当前状态到历史
-    if (recordHistory) {
-      this.recordCurrentState()
-    }
-    
     let addedCount = 0
     
     // 如果是单选模式，只添加第一个
@@ -297,19 +265,13 @@ export class SelectionManager {
   /**
    * 批量移除面从选择中
    * @param {Object[]} faceInfos - 面信息对象数组
-   * @param {boolean} recordHistory - 是否记录到历史
    * @returns {number} 成功移除的数量
    */
-  removeMultipleFaces(faceInfos, recordHistory = true) {
+  removeMultipleFaces(faceInfos) {
     if (!Array.isArray(faceInfos) || faceInfos.length === 0) {
       return 0
     }
     
-    // 记录当前状态到历史
-    if (recordHistory) {
-      this.recordCurrentState()
-    }
-    
     let removedCount = 0
     const removedFaces = []
     
@@ -366,99 +328,67 @@ export class SelectionManager {
   }
   
   /**
-   * 记录当前选择状态到历史
+   * 获取当前选择状态的快照（用于撤销/重做）
+   * @returns {{faces: Object[], mode: 'single'|'multi'}} 选择状态
    */
-  recordCurrentState() {
-    const currentState = {
-      selectedFaces: new Map(this.selectedFaces),
-      selectionMode: this.selectionMode,
-      timestamp: Date.now()
-    }
-    
-    // 移除当前索引之后的历史记录
-    this.selectionHistory = this.selectionHistory.slice(0, this.historyIndex + 1)
-    
-    // 添加新状态
-    this.selectionHistory.push(currentState)
-    this.historyIndex++
-    
-    // 限制历史记录大小
-    if (this.selectionHistory.length > this.maxHistorySize) {
-      this.selectionHistory.shift()
-      this.historyIndex--
+  getState() {
+    return {
+      faces: this.getAll(),
+      mode: this.selectionMode
     }
   }
   
   /**
-   * 撤销上一次操作
-   * @returns {boolean} 是否成功撤销
+   * 恢复选择状态，只对有变化的面发出 multipleFacesRemoved / multipleFacesAdded 事件
+   * @param {{faces: Object[], mode: 'single'|'multi'}} state - getState() 返回的快照
    */
-  undo() {
-    if (this.historyIndex <= 0) {
-      return false
-    }
+  setState(state) {
+    if (!state) return
+    
+    const nextFaces = new Map()
+    const faces = state.faces || []
+    faces.forEach(faceInfo => {
+      if (faceInfo && faceInfo.id) {
+        nextFaces.set(faceInfo.id, faceInfo)
+      }
+    })
     
-    this.historyIndex--
-    const previousState = this.selectionHistory[this.historyIndex]
+    const removedFaces = []
+    this.selectedFaces.forEach((faceInfo, id) => {
+      if (!nextFaces.has(id)) removedFaces.push(faceInfo)
+    })
+    const addedFaces = []
+    nextFaces.forEach((faceInfo, id) => {
+      if (!this.selectedFaces.has(id)) addedFaces.push(faceInfo)
+    })
     
-    if (previousState) {
-      this.selectedFaces = new Map(previousState.selectedFaces)
-      this.selectionMode = previousState.selectionMode
-      
-      this.emitEvent('undoPerformed', previousState)
-      this.emitEvent('selectionChanged', this.getSelectionSummary())
-      return true
-    }
+    this.selectedFaces = nextFaces
     
-    return false
-  }
-  
-  /**
-   * 重做下一次操作
-   * @returns {boolean} 是否成功重做
-   */
-  redo() {
-    if (this.historyIndex >= this.selectionHistory.length - 1) {
-      return false
+    if (state.mode === 'single' || state.mode === 'multi') {
+      this.selectionMode = state.mode
     }
     
-    this.historyIndex++
-    const nextState = this.selectionHistory[this.historyIndex]
-    
-    if (nextState) {
-      this.selectedFaces = new Map(nextState.selectedFaces)
-      this.selectionMode = nextState.selectionMode
-      
-      this.emitEvent('redoPerformed', nextState)
-      this.emitEvent('selectionChanged', this.getSelectionSummary())
-      return true
+    if (removedFaces.length > 0) {
+      this.emitEvent('multipleFacesRemoved', removedFaces)
     }
-    
-    return false
-  }
-  
-  /**
-   * 检查是否可以撤销
-   * @returns {boolean} 是否可以撤销
-   */
-  canUndo() {
-    return this.historyIndex > 0
-  }
-  
-  /**
-   * 检查是否可以重做
-   * @returns {boolean} 是否可以重做
-   */
-  canRedo() {
-    return this.historyIndex < this.selectionHistory.length - 1
+    if (addedFaces.length > 0) {
+      this.emitEvent('multipleFacesAdded', addedFaces)
+    }
+    this.emitEvent('selectionChanged', this.getSelectionSummary())
   }
   
   /**
-   * 清除历史记录
+   * 比较两个选择状态是否相同（面集合与顺序无关）
+   * @param {Object} a - 选择状态
+   * @param {Object} b - 选择状态
+   * @returns {boolean} 是否相同
    */
-  clearHistory() {
-    this.selectionHistory = []
-    this.historyIndex = -1
+  static isSameState(a, b) {
+    if (!a || !b) return false
+    if (a.mode !== b.mode || a.faces.length !== b.faces.length) return false
+    
+    const ids = new Set(a.faces.map(faceInfo => faceInfo.id))
+    return b.faces.every(faceInfo => ids.has(faceInfo.id))
   }
   
   /**
@@ -535,10 +465,7 @@ export class SelectionManager {
       totalFaces: this.selectedFaces.size,
       meshCount: meshGroups.size,
       meshGroups: Array.from(meshGroups.values()),
-      selectionMode: this.selectionMode,
-      hasHistory: this.selectionHistory.length > 0,
-      canUndo: this.canUndo(),
-      canRedo: this.canRedo()
+      selectionMode: this.selectionMode
     }
   }
 }
\ No newline at end of file
@@ -23,6 +23,48 @@ export class CompositeCommand extends BaseCommand {
     }
   }
 
+  /**
+   * 序列化（子命令由 serializeChild 处理，任一子命令无法序列化时整体返回 null）
+   * @param {Function} serializeChild - (command) => Object|null
+   * @param {Function} [include] - (command) => boolean，返回 false 的子命令不写入结果
+   * @returns {Object|null}
+   */
+  serialize(serializeChild, include = () => true) {
+    const commands = []
+    for (const command of this.commands) {
+      if (!include(command)) continue
+      const data = serializeChild(command)
+      if (!data) return null
+      commands.push(data)
+    }
+
+    return {
+      type: this.type,
+      description: this.description,
+      timestamp: this.timestamp,
+      commands
+    }
+  }
+
+  /**
+   * 从 serialize() 的结果恢复
+   * @param {Object} data
+   * @param {Function} deserializeChild - (data) => BaseCommand|null
+   * @returns {CompositeCommand|null} 任一子命令无法恢复时返回 null
+   */
+  static deserialize(data, deserializeChild) {
+    const commands = []
+    for (const childData of data?.commands || []) {
+      const command = deserializeChild(childData)
+      if (!command) return null
+      commands.push(command)
+    }
+
+    const composite = new CompositeCommand(data.description, commands)
+    composite.timestamp = data.timestamp ?? composite.timestamp
+    return composite
+  }
+
   addCommand(command) {
     this.commands.push(command)
     if (command?.isAsync) this.isAsync = true
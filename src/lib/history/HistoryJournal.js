@@ -0,0 +1,119 @@
+/**
+ * 撤销日志
+ * 把撤销栈中最近的命令序列化后按项目存入 IndexedDB，重新打开项目时恢复，刷新页面后仍可撤销
+ *
+ * 命令的序列化/反序列化由调用方提供（业务命令引用的场景对象只有业务层知道如何找回）：
+ * 从最新的命令往前处理，遇到无法序列化（或无法恢复）的命令就截断，更早的记录全部丢弃，
+ * 保证恢复出的历史始终是连续的
+ */
+
+// 日志格式版本
+export const JOURNAL_VERSION = 1
+
+// 默认保留的命令条数
+export const DEFAULT_JOURNAL_SIZE = 30
+
+export class HistoryJournal {
+  /**
+   * @param {Object} options
+   * @param {import('../storage/IndexedDBStore.js').IndexedDBStore} options.database - 数据库
+   * @param {string} [options.storeName='historyJournals'] - 对象仓库名称
+   * @param {number} [options.maxEntries=30] - 最多保留的命令条数
+   */
+  constructor(options = {}) {
+    const { database, storeName = 'historyJournals', maxEntries = DEFAULT_JOURNAL_SIZE } = options
+    if (!database) throw new Error('HistoryJournal 需要数据库实例')
+
+    this.database = database
+    this.storeName = storeName
+    this.maxEntries = maxEntries
+  }
+
+  /**
+   * 序列化并保存撤销栈
+   * @param {string} projectKey - 项目键
+   * @param {BaseCommand[]} commands - 撤销栈（旧 → 新）
+   * @param {Function} serialize - (command) => 纯数据对象 | null（null 表示无法序列化）
+   * @returns {Promise<{saved: number, truncated: boolean}>}
+   */
+  async save(projectKey, commands, serialize) {
+    const entries = []
+    let truncated = false
+
+    for (let index = commands.length - 1; index >= 0; index--) {
+      if (entries.length >= this.maxEntries) break
+
+      const entry = this._toPlainData(commands[index], serialize)
+      if (!entry) {
+        truncated = true
+        break
+      }
+      entries.unshift(entry)
+    }
+
+    await this.database.put(this.storeName, projectKey, {
+      version: JOURNAL_VERSION,
+      savedAt: Date.now(),
+      entries
+    })
+
+    return { saved: entries.length, truncated }
+  }
+
+  /**
+   * 读取并反序列化撤销日志
+   * @param {string} projectKey - 项目键
+   * @param {Function} deserialize - (entry) => BaseCommand | null（null 表示无法恢复）
+   * @returns {Promise<{commands: BaseCommand[], truncated: boolean}>} commands 按旧 → 新排列
+   */
+  async load(projectKey, deserialize) {
+    const record = await this.database.get(this.storeName, projectKey)
+    if (!record || record.version !== JOURNAL_VERSION || !Array.isArray(record.entries)) {
+      return { commands: [], truncated: false }
+    }
+
+    const commands = []
+    let truncated = false
+
+    for (let index = record.entries.length - 1; index >= 0; index--) {
+      let command = null
+      try {
+        command = deserialize(record.entries[index])
+      } catch (error) {
+        console.warn('[HistoryJournal] 恢复命令失败:', error)
+      }
+      if (!command) {
+        truncated = true
+        break
+      }
+      commands.unshift(command)
+    }
+
+    return { commands, truncated }
+  }
+
+  /**
+   * 删除项目的撤销日志
+   * @param {string} projectKey - 项目键
+   * @returns {Promise<void>}
+   */
+  remove(projectKey) {
+    return this.database.delete(this.storeName, projectKey)
+  }
+
+  /**
+   * 序列化单条命令，并确认结果可以存成 JSON（含函数、循环引用等视为无法序列化）
+   * @private
+   */
+  _toPlainData(command, serialize) {
+    try {
+      const entry = serialize(command)
+      return entry ? JSON.parse(JSON.stringify(entry)) : null
+    } catch (error) {
+      console.warn(`[HistoryJournal] 命令无法序列化: ${command?.description || command?.type}`, error)
+      return null
+    }
+  }
+}
+
+export default HistoryJournal
@@ -1,17 +1,29 @@
 /**
  * 历史管理器
- * 提供撤销/重做功能
+ * 提供撤销/重做功能，以及跳转到任意历史位置、命名检查点和分支
+ *
+ * 历史位置用命令的 historyId 表示（执行完该命令后的状态），栈为空时为 rootId；
+ * 在撤销后执行新命令时，原来的重做栈不再丢弃，而是保存为一个分支，之后可以切换回去
  */
 import { CompositeCommand } from './CompositeCommand.js'
 
 export class HistoryManager {
   constructor(options = {}) {
-    const { maxSize = 50, onChange = null } = options
+    const { maxSize = 50, maxBranches = 10, onChange = null } = options
 
     this.undoStack = []
     this.redoStack = []
     this.maxSize = maxSize
 
+    // 命名检查点：{ id, name, historyId, timestamp }
+    this.checkpoints = []
+    // 被新操作替换下来的重做栈：{ id, parentId, commands, timestamp }
+    this.branches = []
+    this.maxBranches = maxBranches
+
+    this._nextId = 1
+    this._rootId = 0
+
     this.isBusy = false
     this.isApplying = false
 
@@ -34,10 +46,58 @@ export class HistoryManager {
       canRedo: this.canRedo(),
       isBusy: this.isBusy,
       isApplying: this.isApplying,
-      transactionName: this._transaction?.description || null
+      transactionName: this._transaction?.description || null,
+      currentId: this.getCurrentId(),
+      rootId: this._rootId,
+      undoEntries: this.undoStack.map(command => this._describe(command)),
+      // 下一条可重做的命令排在最前
+      redoEntries: [...this.redoStack].reverse().map(command => this._describe(command)),
+      checkpoints: this.checkpoints.map(checkpoint => ({
+        ...checkpoint,
+        available: this._isReachable(checkpoint.historyId)
+      })),
+      branches: this.branches.map(branch => ({
+        id: branch.id,
+        parentId: branch.parentId,
+        description: branch.commands[branch.commands.length - 1]?.description || '',
+        count: branch.commands.length,
+        timestamp: branch.timestamp,
+        available: this._isReachable(branch.parentId)
+      }))
     }
   }
 
+  _describe(command) {
+    return {
+      id: command.historyId,
+      type: command.type,
+      description: command.description || command.type,
+      timestamp: command.timestamp,
+      size: Array.isArray(command.commands) ? command.commands.length : 1
+    }
+  }
+
+  _track(command) {
+    if (!command.historyId) command.historyId = this._nextId++
+    return command
+  }
+
+  /**
+   * 当前历史位置
+   * @returns {number} 最近一条已执行命令的 historyId，栈为空时为 rootId
+   */
+  getCurrentId() {
+    return this.peekUndo()?.historyId ?? this._rootId
+  }
+
+  _isReachable(historyId) {
+    return (
+      historyId === this._rootId ||
+      this.undoStack.some(command => command.historyId === historyId) ||
+      this.redoStack.some(command => command.historyId === historyId)
+    )
+  }
+
   canUndo() {
     return this.undoStack.length > 0
   }
@@ -46,20 +106,83 @@ export class HistoryManager {
     return this.redoStack.length > 0
   }
 
+  peekUndo() {
+    return this.undoStack[this.undoStack.length - 1] || null
+  }
+
+  peekRedo() {
+    return this.redoStack[this.redoStack.length - 1] || null
+  }
+
+  getUndoCommands() {
+    return [...this.undoStack]
+  }
+
+  /**
+   * 用外部恢复的命令替换历史（例如从撤销日志恢复），重做栈清空
+   * @param {BaseCommand[]} undoCommands - 按旧 → 新排列
+   */
+  load(undoCommands = []) {
+    if (this.isBusy) throw new Error('HistoryManager is busy')
+
+    this._reset()
+    this.undoStack = undoCommands.slice(-this.maxSize).map(command => this._track(command))
+    this._notify()
+  }
+
   clear() {
+    this._reset()
+    this._notify()
+  }
+
+  _reset() {
     this.undoStack = []
     this.redoStack = []
+    this.checkpoints = []
+    this.branches = []
     this._transaction = null
-    this._notify()
+    this._rootId = this._nextId++
   }
 
-  _pushUndo(command) {
-    this.undoStack.push(command)
+  _trimUndo() {
+    while (this.undoStack.length > this.maxSize) {
+      // 最早的命令被丢弃后，它执行完的状态成为新的起点
+      this._rootId = this.undoStack.shift().historyId
+    }
+  }
+
+  /**
+   * 把当前重做栈保存为分支（在撤销后执行新命令时调用）
+   * @private
+   */
+  _stashRedoBranch() {
+    if (this.redoStack.length === 0) return
+
+    this.branches.unshift({
+      id: this._nextId++,
+      parentId: this.getCurrentId(),
+      commands: this.redoStack,
+      timestamp: Date.now()
+    })
     this.redoStack = []
 
-    if (this.undoStack.length > this.maxSize) {
-      this.undoStack.shift()
+    if (this.branches.length > this.maxBranches) {
+      this.branches.length = this.maxBranches
     }
+  }
+
+  _pushUndo(command) {
+    // 与上一条命令合并（例如连续快速的选择点击），合并后不再单独入栈
+    const last = this.undoStack[this.undoStack.length - 1]
+    if (last && this.redoStack.length === 0 && last.canMergeWith(command)) {
+      last.mergeWith(command)
+      this._notify()
+      return
+    }
+
+    this._stashRedoBranch()
+    this.undoStack.push(this._track(command))
+    this._trimUndo()
 
     this._notify()
   }
@@ -103,15 +226,12 @@ export class HistoryManager {
     if (this.isBusy) throw new Error('HistoryManager is busy')
     if (!this.canUndo()) return null
 
-    const command = this.undoStack.pop()
     this.isBusy = true
     this.isApplying = true
     this._notify()
 
     try {
-      await command.undo()
-      this.redoStack.push(command)
-      return command
+      return await this._undoOne()
     } finally {
       this.isApplying = false
       this.isBusy = false
@@ -123,17 +243,12 @@ export class HistoryManager {
     if (this.isBusy) throw new Error('HistoryManager is busy')
     if (!this.canRedo()) return null
 
-    const command = this.redoStack.pop()
     this.isBusy = true
     this.isApplying = true
     this._notify()
 
     try {
-      await command.redo()
-      this.undoStack.push(command)
-      if (this.undoStack.length > this.maxSize) {
-        this.undoStack.shift()
-      }
+      const command = await this._redoOne()
       this._notify()
       return command
     } finally {
@@ -143,6 +258,136 @@ export class HistoryManager {
     }
   }
 
+  async _undoOne() {
+    const command = this.undoStack.pop()
+    await command.undo()
+    this.redoStack.push(command)
+    return command
+  }
+
+  async _redoOne() {
+    const command = this.redoStack.pop()
+    await command.redo()
+    this.undoStack.push(command)
+    this._trimUndo()
+    return command
+  }
+
+  /**
+   * 连续撤销/重做到指定历史位置
+   * @private
+   */
+  async _moveTo(historyId) {
+    if (this.undoStack.some(command => command.historyId === historyId) || historyId === this._rootId) {
+      while (this.getCurrentId() !== historyId && this.canUndo()) {
+        await this._undoOne()
+        this._notify()
+      }
+      return
+    }
+
+    if (this.redoStack.some(command => command.historyId === historyId)) {
+      while (this.getCurrentId() !== historyId && this.canRedo()) {
+        await this._redoOne()
+        this._notify()
+      }
+      return
+    }
+
+    throw new Error('历史记录已不存在')
+  }
+
+  /**
+   * 跳转到指定历史位置（批量撤销或重做）
+   * @param {number} historyId - 命令的 historyId（跳到执行完该命令后的状态），或 rootId
+   */
+  async jumpTo(historyId) {
+    if (this.isBusy) throw new Error('HistoryManager is busy')
+    if (this._transaction) throw new Error('Transaction in progress')
+    if (historyId === this.getCurrentId()) return
+
+    this.isBusy = true
+    this.isApplying = true
+    this._notify()
+
+    try {
+      await this._moveTo(historyId)
+    } finally {
+      this.isApplying = false
+      this.isBusy = false
+      this._notify()
+    }
+  }
+
+  /**
+   * 在当前位置固定一个命名检查点
+   * @param {string} [name] - 名称
+   * @returns {Object} 检查点
+   */
+  pinCheckpoint(name) {
+    const checkpoint = {
+      id: this._nextId++,
+      name: name || `检查点 ${this.checkpoints.length + 1}`,
+      historyId: this.getCurrentId(),
+      timestamp: Date.now()
+    }
+    this.checkpoints.push(checkpoint)
+    this._notify()
+    return checkpoint
+  }
+
+  removeCheckpoint(checkpointId) {
+    this.checkpoints = this.checkpoints.filter(checkpoint => checkpoint.id !== checkpointId)
+    this._notify()
+  }
+
+  /**
+   * 跳转到检查点
+   * @param {number} checkpointId
+   */
+  async jumpToCheckpoint(checkpointId) {
+    const checkpoint = this.checkpoints.find(item => item.id === checkpointId)
+    if (!checkpoint) throw new Error('检查点不存在')
+    if (!this._isReachable(checkpoint.historyId)) {
+      throw new Error('检查点所在的分支不是当前分支，请先切换分支')
+    }
+    await this.jumpTo(checkpoint.historyId)
+  }
+
+  /**
+   * 切换到分支：先回到分支的起点，再用分支替换重做栈（当前重做栈另存为分支），之后可逐步或批量重做
+   * @param {number} branchId
+   */
+  async switchBranch(branchId) {
+    if (this.isBusy) throw new Error('HistoryManager is busy')
+    if (this._transaction) throw new Error('Transaction in progress')
+
+    const branch = this.branches.find(item => item.id === branchId)
+    if (!branch) throw new Error('分支不存在')
+    if (!this._isReachable(branch.parentId)) throw new Error('分支的起点已不在历史中')
+
+    this.isBusy = true
+    this.isApplying = true
+    this._notify()
+
+    try {
+      await this._moveTo(branch.parentId)
+
+      this.branches = this.branches.filter(item => item !== branch)
+      this._stashRedoBranch()
+      this.redoStack = branch.commands
+    } finally {
+      this.isApplying = false
+      this.isBusy = false
+      this._notify()
+    }
+  }
+
+  removeBranch(branchId) {
+    this.branches = this.branches.filter(branch => branch.id !== branchId)
+    this._notify()
+  }
+
   beginTransaction(name = 'Transaction') {
     if (this._transaction) throw new Error('Transaction already in progress')
     this._transaction = new CompositeCommand(name)
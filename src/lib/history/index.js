@@ -4,3 +4,4 @@
 export { HistoryManager } from './HistoryManager.js'
 export { BaseCommand } from './BaseCommand.js'
 export { CompositeCommand } from './CompositeCommand.js'
+export { HistoryJournal } from './HistoryJournal.js'
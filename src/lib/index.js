@@ -11,6 +11,9 @@ export { EventManager } from './viewer/EventManager.js'
 export { LoaderManager } from './loaders/LoaderManager.js'
 export { ExportManager } from './loaders/ExportManager.js'
 
+// 网格分析
+export * from './analysis/index.js'
+
 // 面拾取系统
 export * from './facePicking/index.js'
 
@@ -24,3 +27,7 @@ export * from './surfaceText/index.js'
 export { HistoryManager } from './history/HistoryManager.js'
 export { BaseCommand } from './history/BaseCommand.js'
 export { CompositeCommand } from './history/CompositeCommand.js'
+export { HistoryJournal } from './history/HistoryJournal.js'
+
+// 本地存储
+export * from './storage/index.js'
@@ -1,17 +1,20 @@
 /**
  * 模型导出管理器
- * 支持 STL、OBJ、GLTF 等格式的导出
+ * 支持 STL、OBJ、GLTF、3MF 等格式的导出
  */
 import * as THREE from 'three'
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
 import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js'
 import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js'
 import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js'
+import { MeshIntegrityAnalyzer } from '../analysis/MeshIntegrityAnalyzer.js'
 
 export class ExportManager {
   constructor() {
     this.stlExporter = new STLExporter()
     this.objExporter = new OBJExporter()
     this.gltfExporter = new GLTFExporter()
+    this.integrityAnalyzer = new MeshIntegrityAnalyzer()
     
     this.config = {
       stl: { binary: true },
@@ -22,15 +25,24 @@ export class ExportManager {
         onlyVisible: true,
         truncateDrawRange: true,
         maxTextureSize: 4096
+      },
+      threeMF: {
+        unit: 'millimeter',
+        precision: 6
       }
     }
     
     this.onProgress = null
     this.onError = null
+    this.onValidate = null
+    this.lastValidationReport = null
   }
 
   /**
    * 导出模型
+   * @param {Object} [options]
+   * @param {false|'warn'|'refuse'} [options.validate] - 导出前检查网格完整性：warn 仅告警，refuse 不通过时拒绝导出
+   * @param {Object} [options.validateOptions] - 传给 MeshIntegrityAnalyzer 的配置
    */
   async export(objects, format, options = {}) {
     const objectsArray = Array.isArray(objects) ? objects : [objects]
@@ -40,6 +52,10 @@ export class ExportManager {
     }
     
     try {
+      if (options.validate) {
+        this._validateBeforeExport(objectsArray, options)
+      }
+
       switch (format.toLowerCase()) {
         case 'stl':
           return await this.exportSTL(objectsArray, options)
@@ -49,6 +65,8 @@ export class ExportManager {
           return await this.exportGLTF(objectsArray, { ...options, binary: false })
         case 'glb':
           return await this.exportGLTF(objectsArray, { ...options, binary: true })
+        case '3mf':
+          return await this.export3MF(objectsArray, options)
         default:
           throw new Error(`不支持的导出格式: ${format}`)
       }
@@ -58,6 +76,37 @@ export class ExportManager {
     }
   }
 
+  /**
+   * 检查网格完整性（不导出）
+   * @returns {Object} MeshIntegrityAnalyzer 汇总报告
+   */
+  validate(objects, options = {}) {
+    const report = this.integrityAnalyzer.analyzeObjects(objects, options)
+    this.lastValidationReport = report
+    this.onValidate?.(report)
+    return report
+  }
+
+  _validateBeforeExport(objects, options) {
+    const { validate: mode, validateOptions = {} } = options
+    const report = this.validate(objects, validateOptions)
+    if (report.isValid) return report
+
+    const summary = report.meshes
+      .filter(m => !m.isValid)
+      .map(m => `${m.name || m.uuid}: ${m.issues.join('，')}`)
+      .join('；')
+
+    if (mode === 'refuse') {
+      const error = new Error(`网格完整性检查未通过，已取消导出: ${summary}`)
+      error.report = report
+      throw error
+    }
+
+    console.warn('[ExportManager] 网格完整性检查未通过:', summary)
+    return report
+  }
+
   async exportSTL(objects, options = {}) {
     const { binary = this.config.stl.binary } = options
     const exportScene = this._createExportScene(objects)
@@ -106,6 +155,208 @@ export class ExportManager {
     })
   }
 
+  /**
+   * 导出 3MF
+   * 每个网格写成独立的 object 和 build item，颜色写入 basematerials 分组，
+   * 多材质网格（如雕刻后的目标模型）按 geometry.groups 逐三角形指定材质
+   * @param {THREE.Object3D[]} objects - 要导出的对象
+   * @param {Object} options
+   * @param {string} [options.unit] - 单位，默认 millimeter
+   * @param {Function} [options.describeMesh] - (mesh) => { name, color } | null，覆盖网格名称与颜色
+   * @returns {Promise<Blob>}
+   */
+  async export3MF(objects, options = {}) {
+    const {
+      unit = this.config.threeMF.unit,
+      precision = this.config.threeMF.precision,
+      describeMesh = null
+    } = options
+
+    const meshes = []
+    objects.forEach(obj => {
+      obj.updateMatrixWorld(true)
+      obj.traverse((child) => {
+        if (child.isMesh && child.geometry?.getAttribute('position')) meshes.push(child)
+      })
+    })
+
+    const baseMaterials = []
+    const baseMaterialKeys = new Map()
+    const addBaseMaterial = (name, color, opacity = 1) => {
+      const hex = this._to3MFColor(color, opacity)
+      const key = `${name}|${hex}`
+      if (!baseMaterialKeys.has(key)) {
+        baseMaterialKeys.set(key, baseMaterials.length)
+        baseMaterials.push({ name, hex })
+      }
+      return baseMaterialKeys.get(key)
+    }
+
+    const objectXml = []
+    const buildXml = []
+    // id 1 留给 basematerials
+    let nextId = 2
+
+    meshes.forEach((mesh, meshIndex) => {
+      const meshName = mesh.name || `mesh_${meshIndex}`
+      const override = describeMesh?.(mesh) || null
+      // 选中高亮时 material 被替换，导出使用原始材质
+      const material = mesh.userData?.originalMaterial || mesh.material
+      const materials = Array.isArray(material) ? material : [material]
+
+      const materialIndices = materials.map((mat, i) => {
+        if (override?.color !== undefined && override?.color !== null) {
+          return addBaseMaterial(override.name || meshName, override.color)
+        }
+        const name = mat?.name || (materials.length > 1 ? `${meshName}_${i}` : meshName)
+        return addBaseMaterial(name, mat?.color ?? 0xcccccc, mat?.transparent ? mat.opacity : 1)
+      })
+
+      const meshXml = this._build3MFMesh(mesh, materialIndices, precision)
+      if (!meshXml) {
+        console.warn(`[ExportManager] 跳过空网格: ${meshName}`)
+        return
+      }
+
+      const id = nextId++
+      objectXml.push(
+        `<object id="${id}" type="model" name="${this._escapeXml(override?.name || meshName)}" pid="1" pindex="${materialIndices[0]}">`,
+        meshXml,
+        '</object>'
+      )
+      buildXml.push(`<item objectid="${id}"/>`)
+    })
+
+    if (buildXml.length === 0) {
+      throw new Error('没有可导出的网格数据')
+    }
+
+    const modelXml = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<model unit="${unit}" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">`,
+      '<metadata name="Application">forface-mesh-editor</metadata>',
+      '<resources>',
+      '<basematerials id="1">',
+      ...baseMaterials.map(m => `<base name="${this._escapeXml(m.name)}" displaycolor="${m.hex}"/>`),
+      '</basematerials>',
+      ...objectXml,
+      '</resources>',
+      '<build>',
+      ...buildXml,
+      '</build>',
+      '</model>'
+    ].join('\n')
+
+    const { default: JSZip } = await import('jszip')
+    const zip = new JSZip()
+    zip.file('[Content_Types].xml', [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+      '<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>',
+      '</Types>'
+    ].join('\n'))
+    zip.file('_rels/.rels', [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+      '<Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>',
+      '</Relationships>'
+    ].join('\n'))
+    zip.file('3D/3dmodel.model', modelXml)
+
+    return zip.generateAsync({
+      type: 'blob',
+      mimeType: 'model/3mf',
+      compression: 'DEFLATE'
+    })
+  }
+
+  /**
+   * 生成单个网格的 <mesh> 节点（顶点烘焙世界矩阵并焊接）
+   * @private
+   */
+  _build3MFMesh(mesh, materialIndices, precision) {
+    const source = mesh.geometry
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', source.getAttribute('position').clone())
+    if (source.index) geometry.setIndex(source.index.clone())
+    geometry.applyMatrix4(mesh.matrixWorld)
+
+    const welded = mergeVertices(geometry)
+    geometry.dispose()
+
+    const position = welded.getAttribute('position')
+    const index = welded.index
+    const triangleCount = index.count / 3
+    if (triangleCount === 0) {
+      welded.dispose()
+      return null
+    }
+
+    // mergeVertices 保持三角形顺序，groups 仍然有效
+    const triangleMaterial = new Int32Array(triangleCount)
+    source.groups.forEach(group => {
+      const start = Math.floor(group.start / 3)
+      const end = Math.min(triangleCount, start + Math.floor(group.count / 3))
+      for (let t = start; t < end; t++) {
+        triangleMaterial[t] = group.materialIndex ?? 0
+      }
+    })
+
+    // 镜像变换会翻转绕序
+    const flip = mesh.matrixWorld.determinant() < 0
+    const fmt = (v) => String(+v.toFixed(precision))
+
+    const vertices = []
+    for (let i = 0; i < position.count; i++) {
+      vertices.push(`<vertex x="${fmt(position.getX(i))}" y="${fmt(position.getY(i))}" z="${fmt(position.getZ(i))}"/>`)
+    }
+
+    const triangles = []
+    for (let t = 0; t < triangleCount; t++) {
+      const a = index.getX(t * 3)
+      let b = index.getX(t * 3 + 1)
+      let c = index.getX(t * 3 + 2)
+      // 3MF 不允许三角形引用重复顶点
+      if (a === b || b === c || a === c) continue
+      if (flip) [b, c] = [c, b]
+
+      const pindex = materialIndices[triangleMaterial[t]] ?? materialIndices[0]
+      triangles.push(pindex === materialIndices[0]
+        ? `<triangle v1="${a}" v2="${b}" v3="${c}"/>`
+        : `<triangle v1="${a}" v2="${b}" v3="${c}" pid="1" p1="${pindex}"/>`)
+    }
+    welded.dispose()
+
+    if (triangles.length === 0) return null
+
+    return [
+      '<mesh>',
+      '<vertices>',
+      ...vertices,
+      '</vertices>',
+      '<triangles>',
+      ...triangles,
+      '</triangles>',
+      '</mesh>'
+    ].join('\n')
+  }
+
+  _to3MFColor(color, opacity = 1) {
+    const hex = new THREE.Color(color).getHexString().toUpperCase()
+    const alpha = Math.round(THREE.MathUtils.clamp(opacity, 0, 1) * 255)
+    return alpha >= 255 ? `#${hex}` : `#${hex}${alpha.toString(16).padStart(2, '0').toUpperCase()}`
+  }
+
+  _escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+  }
+
   /**
    * 导出并下载
    */
@@ -123,10 +374,66 @@ export class ExportManager {
       { id: 'stl', name: 'STL', extension: '.stl', description: '立体光刻格式' },
       { id: 'obj', name: 'OBJ', extension: '.obj', description: 'Wavefront OBJ' },
       { id: 'gltf', name: 'GLTF', extension: '.gltf', description: 'GL 传输格式' },
-      { id: 'glb', name: 'GLB', extension: '.glb', description: 'GL 二进制格式' }
+      { id: 'glb', name: 'GLB', extension: '.glb', description: 'GL 二进制格式' },
+      { id: '3mf', name: '3MF', extension: '.3mf', description: '3D 打印格式（含颜色分组）' }
     ]
   }
 
+  /**
+   * 估算导出文件大小（粗略）
+   * @param {THREE.Object3D|THREE.Object3D[]} objects
+   * @param {string} format
+   * @returns {{vertexCount: number, faceCount: number, estimatedSize: number, estimatedSizeFormatted: string}}
+   */
+  estimateExportSize(objects, format) {
+    let vertexCount = 0
+    let faceCount = 0
+
+    const objectsArray = Array.isArray(objects) ? objects : [objects]
+
+    objectsArray.forEach(obj => {
+      obj.traverse((child) => {
+        if (child.isMesh && child.geometry) {
+          const positions = child.geometry.getAttribute('position')
+          if (positions) {
+            vertexCount += positions.count
+            faceCount += child.geometry.index ? child.geometry.index.count / 3 : positions.count / 3
+          }
+        }
+      })
+    })
+
+    let estimatedSize = 0
+    switch (format.toLowerCase()) {
+      case 'stl':
+        // 二进制 STL: 84 字节头 + 每个三角形 50 字节
+        estimatedSize = 84 + faceCount * 50
+        break
+      case 'obj':
+        // OBJ: 每个顶点约 30 字节，每个面约 20 字节
+        estimatedSize = vertexCount * 30 + faceCount * 20
+        break
+      case 'gltf':
+      case 'glb':
+        // GLTF: 每个顶点约 24 字节（位置+法线），加上 JSON 开销
+        estimatedSize = vertexCount * 24 + 1000
+        break
+      case '3mf': {
+        // 3MF: XML 顶点约 60 字节、三角形约 45 字节，焊接后顶点约为面数一半，DEFLATE 压缩约 30%
+        const weldedVertexCount = Math.min(vertexCount, Math.ceil(faceCount / 2) + 2)
+        estimatedSize = Math.round((weldedVertexCount * 60 + faceCount * 45) * 0.3) + 1500
+        break
+      }
+    }
+
+    return {
+      vertexCount,
+      faceCount,
+      estimatedSize,
+      estimatedSizeFormatted: this._formatFileSize(estimatedSize)
+    }
+  }
+
   _createExportScene(objects) {
     const scene = new THREE.Scene()
     objects.forEach(obj => scene.add(obj.clone()))
@@ -138,7 +445,13 @@ export class ExportManager {
   }
 
   _getExtension(format) {
-    return { stl: 'stl', obj: 'obj', gltf: 'gltf', glb: 'glb' }[format.toLowerCase()] || format
+    return { stl: 'stl', obj: 'obj', gltf: 'gltf', glb: 'glb', '3mf': '3mf' }[format.toLowerCase()] || format
+  }
+
+  _formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
   }
 
   _downloadBlob(blob, filename) {
@@ -156,6 +469,7 @@ export class ExportManager {
     this.stlExporter = null
     this.objExporter = null
     this.gltfExporter = null
+    this.integrityAnalyzer = null
   }
 }
 
@@ -1,17 +1,31 @@
 /**
  * 模型加载管理器（纯净版）
- * 支持 STL、OBJ 等格式的加载
+ * 支持 STL、OBJ、PLY、3MF、GLB/GLTF 等格式的加载
  * 不包含业务逻辑（如特征检测）
  */
 import * as THREE from 'three'
 import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js'
 import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js'
+import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader.js'
+import { ThreeMFLoader } from 'three/examples/jsm/loaders/3MFLoader.js'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+import { MeshRepairer } from './MeshRepairer.js'
+import { MeshDecimator } from './MeshDecimator.js'
 
 export class LoaderManager {
   constructor() {
     // Loaders
     this.stlLoader = new STLLoader()
     this.objLoader = new OBJLoader()
+    this.plyLoader = new PLYLoader()
+    this.threeMFLoader = new ThreeMFLoader()
+    this.gltfLoader = new GLTFLoader()
+    
+    // 网格修复（faceRepare 开启时使用）
+    this.repairer = new MeshRepairer()
+    
+    // 网格简化（modelOptimization 开启时使用）
+    this.decimator = new MeshDecimator()
     
     // 加载计数器（用于生成 ID）
     this.loadCounter = 0
@@ -28,13 +42,23 @@ export class LoaderManager {
    * 加载模型（统一入口）
    * @param {string|File|Blob} source - 文件路径、File 对象或 Blob
    * @param {Object} options - 加载选项
+   * @param {string|boolean} [options.faceRepare] - '1'/true 时执行网格修复
+   * @param {Object} [options.repairOptions] - 传给 MeshRepairer 的配置
+   * @param {string|number} [options.modelOptimization] - 简化等级 '1'/'2'/'3'，或 0~1 的保留比例
+   * @param {Object} [options.decimateOptions] - 传给 MeshDecimator 的配置
+   * @param {Function} [options.featureLabels] - (geometry, mesh) => Int32Array，每个三角形的特征标签，简化时保留标签边界
    * @returns {Promise<Object>} 加载结果
    */
   async load(source, options = {}) {
     const {
       modelId = this._generateModelId(),
       centerModel = true,
-      material = null
+      material = null,
+      faceRepare = '0',
+      repairOptions = {},
+      modelOptimization = '0',
+      decimateOptions = {},
+      featureLabels = null
     } = options
 
     // 判断文件格式
@@ -51,6 +75,16 @@ export class LoaderManager {
         case 'obj':
           model = await this._loadOBJ(source, material)
           break
+        case 'ply':
+          model = await this._loadPLY(source, material)
+          break
+        case '3mf':
+          model = await this._load3MF(source, material)
+          break
+        case 'glb':
+        case 'gltf':
+          model = await this._loadGLTF(source, material, format)
+          break
         case 'zip':
           model = await this._loadZipModel(source, material)
           break
@@ -62,13 +96,26 @@ export class LoaderManager {
       throw error
     }
 
+    const sourceFaceCount = this._countFaces(model)
+
+    // 网格修复
+    const repair = this._isFlagEnabled(faceRepare)
+      ? this._repairModel(model, repairOptions)
+      : null
+
+    // 网格简化
+    const ratio = MeshDecimator.resolveRatio(modelOptimization)
+    const optimization = ratio
+      ? this._decimateModel(model, { ...decimateOptions, ratio }, featureLabels, modelOptimization)
+      : null
+
     // 居中模型
     if (centerModel) {
       this._centerModel(model)
     }
 
     // 生成元数据
-    const metadata = this._extractMetadata(model)
+    const metadata = this._extractMetadata(model, { sourceFaceCount, repair, optimization })
 
     // 构建结果
     const result = {
@@ -148,6 +195,136 @@ export class LoaderManager {
     })
   }
 
+  /**
+   * 加载 PLY 文件（ASCII / 二进制）
+   * - 带顶点颜色时启用 vertexColors
+   * @private
+   */
+  async _loadPLY(source, material) {
+    const geometry = typeof source === 'string'
+      ? await this.plyLoader.loadAsync(source, this.onProgress)
+      : this.plyLoader.parse(await this._readBlob(source, 'arraybuffer'))
+
+    // 点云 PLY 没有面数据（PLYLoader 仅在有面时生成索引），无法作为可编辑网格
+    if (!geometry.index) {
+      throw new Error('PLY 文件不包含面数据')
+    }
+
+    if (!geometry.getAttribute('normal')) {
+      geometry.computeVertexNormals()
+    }
+
+    const hasVertexColors = !!geometry.getAttribute('color')
+    const mat = material || new THREE.MeshStandardMaterial({
+      color: hasVertexColors ? 0xffffff : 0xcccccc,
+      vertexColors: hasVertexColors,
+      metalness: 0.3,
+      roughness: 0.6
+    })
+
+    return new THREE.Mesh(geometry, mat)
+  }
+
+  /**
+   * 加载 3MF 文件
+   * - 多对象：每个 build item 对应一个子对象，变换保留在子对象矩阵上
+   * @private
+   */
+  async _load3MF(source, material) {
+    const group = typeof source === 'string'
+      ? await this.threeMFLoader.loadAsync(source, this.onProgress)
+      : this.threeMFLoader.parse(await this._readBlob(source, 'arraybuffer'))
+
+    let meshCount = 0
+    group.traverse((child) => {
+      if (!child.isMesh) return
+      meshCount++
+      if (!child.geometry.getAttribute('normal')) {
+        child.geometry.computeVertexNormals()
+      }
+      if (material) child.material = material
+    })
+
+    if (meshCount === 0) {
+      throw new Error('3MF 文件中未找到网格对象')
+    }
+
+    return group
+  }
+
+  /**
+   * 加载 GLB / GLTF 文件
+   * - 场景层级被展平为一组网格（世界变换烘焙进几何体），保留网格名称
+   * @private
+   */
+  async _loadGLTF(source, material, format) {
+    let gltf
+    if (typeof source === 'string') {
+      gltf = await this.gltfLoader.loadAsync(source, this.onProgress)
+    } else {
+      // .gltf 为 JSON 文本，.glb 为二进制；外部资源（.bin/贴图）无法从单个 File 解析
+      const data = format === 'gltf'
+        ? await this._readBlob(source, 'text')
+        : await this._readBlob(source, 'arraybuffer')
+      gltf = await this.gltfLoader.parseAsync(data, '')
+    }
+
+    const group = this._flattenScene(gltf.scene || gltf.scenes?.[0], material)
+    if (group.children.length === 0) {
+      throw new Error('GLTF 文件中未找到网格对象')
+    }
+
+    return group
+  }
+
+  /**
+   * 展平场景层级：每个网格的世界矩阵烘焙进几何体副本
+   * @private
+   */
+  _flattenScene(root, material) {
+    const group = new THREE.Group()
+    if (!root) return group
+
+    group.name = root.name || ''
+    root.updateMatrixWorld(true)
+
+    root.traverse((child) => {
+      if (!child.isMesh || !child.geometry) return
+
+      const geometry = child.geometry.clone()
+      geometry.applyMatrix4(child.matrixWorld)
+      if (!geometry.getAttribute('normal')) {
+        geometry.computeVertexNormals()
+      }
+
+      const mesh = new THREE.Mesh(geometry, material || child.material)
+      mesh.name = child.name || child.parent?.name || `mesh_${group.children.length}`
+      mesh.userData = { ...child.userData }
+      group.add(mesh)
+    })
+
+    return group
+  }
+
+  /**
+   * 读取 File / Blob 内容
+   * @param {Blob} source
+   * @param {'arraybuffer'|'text'} type
+   * @private
+   */
+  _readBlob(source, type = 'arraybuffer') {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader()
+      reader.onload = (e) => resolve(e.target.result)
+      reader.onerror = reject
+      if (type === 'text') {
+        reader.readAsText(source)
+      } else {
+        reader.readAsArrayBuffer(source)
+      }
+    })
+  }
+
   /**
    * 加载 ZIP（内含 OBJ 或 STL）
    * - 典型用途：models[].url 指向 *.zip（线上或 zip 包内资源）
@@ -217,14 +394,25 @@ export class LoaderManager {
       filename = source.name.toLowerCase()
     } else if (source instanceof Blob) {
       const type = (source.type || '').toLowerCase()
+      if (type.includes('3dmanufacturing') || type.includes('3mf')) return '3mf'
+      if (type.includes('gltf-binary')) return 'glb'
+      if (type.includes('gltf')) return 'gltf'
       if (type.includes('zip')) return 'zip'
       if (type.includes('stl')) return 'stl'
       if (type.includes('obj')) return 'obj'
+      if (type.includes('ply')) return 'ply'
       return 'unknown'
     }
 
+    // 去掉 URL 查询参数/锚点
+    filename = filename.split('#')[0].split('?')[0]
+
     if (filename.endsWith('.stl')) return 'stl'
     if (filename.endsWith('.obj')) return 'obj'
+    if (filename.endsWith('.ply')) return 'ply'
+    if (filename.endsWith('.3mf')) return '3mf'
+    if (filename.endsWith('.glb')) return 'glb'
+    if (filename.endsWith('.gltf')) return 'gltf'
     if (filename.endsWith('.zip')) return 'zip'
     
     return 'unknown'
@@ -244,11 +432,114 @@ export class LoaderManager {
     model.position.y -= newBox.min.y
   }
 
+  /**
+   * 修复模型中的每个网格，替换为修复后的几何体
+   * @private
+   */
+  _repairModel(model, repairOptions) {
+    const startTime = performance.now()
+    const meshes = []
+    model.traverse((child) => {
+      if (child.isMesh && child.geometry?.getAttribute('position')) meshes.push(child)
+    })
+
+    const reports = meshes.map((mesh) => {
+      const { geometry, report } = this.repairer.repair(mesh.geometry, repairOptions)
+      mesh.geometry.dispose()
+      mesh.geometry = geometry
+      return { name: mesh.name || '', ...report }
+    })
+
+    const totals = {
+      weldedVertices: 0,
+      degenerateFaces: 0,
+      duplicateFaces: 0,
+      flippedFaces: 0,
+      filledHoles: 0,
+      skippedHoles: 0,
+      addedFaces: 0
+    }
+    reports.forEach(report => {
+      Object.keys(totals).forEach(key => { totals[key] += report[key] })
+    })
+
+    console.log('[LoaderManager] 网格修复完成:', totals)
+
+    return {
+      changed: reports.some(r => r.changed),
+      totals,
+      meshes: reports,
+      duration: Math.round(performance.now() - startTime)
+    }
+  }
+
+  /**
+   * 简化模型中的每个网格，保留特征标签边界
+   * @private
+   */
+  _decimateModel(model, decimateOptions, featureLabels, level) {
+    const startTime = performance.now()
+    const meshes = []
+    model.traverse((child) => {
+      if (child.isMesh && child.geometry?.getAttribute('position')) meshes.push(child)
+    })
+
+    const reports = meshes.map((mesh) => {
+      // 不会被简化的网格（面数过少）不需要计算特征标签
+      let faceLabels = null
+      if (featureLabels && this.decimator.shouldDecimate(mesh.geometry, decimateOptions)) {
+        try {
+          faceLabels = featureLabels(mesh.geometry, mesh) || null
+        } catch (error) {
+          console.warn('[LoaderManager] 特征标签计算失败，按无特征简化:', error)
+        }
+      }
+
+      const { geometry, report } = this.decimator.decimate(mesh.geometry, { ...decimateOptions, faceLabels })
+      if (geometry !== mesh.geometry) {
+        mesh.geometry.dispose()
+        mesh.geometry = geometry
+      }
+      return { name: mesh.name || '', ...report }
+    })
+
+    const before = reports.reduce((sum, r) => sum + r.triangleCount.before, 0)
+    const after = reports.reduce((sum, r) => sum + r.triangleCount.after, 0)
+    console.log(`[LoaderManager] 网格简化完成: ${before} -> ${after} 面`)
+
+    return {
+      level,
+      ratio: decimateOptions.ratio,
+      triangleCount: { before, after },
+      meshes: reports,
+      duration: Math.round(performance.now() - startTime)
+    }
+  }
+
+  _countFaces(model) {
+    let faceCount = 0
+    model.traverse((child) => {
+      const positions = child.isMesh ? child.geometry?.getAttribute('position') : null
+      if (positions) {
+        faceCount += child.geometry.index ? child.geometry.index.count / 3 : positions.count / 3
+      }
+    })
+    return faceCount
+  }
+
+  /**
+   * 配置开关兼容 '0'/'1' 字符串与布尔值
+   * @private
+   */
+  _isFlagEnabled(value) {
+    return value === true || value === 1 || value === '1' || value === 'true'
+  }
+
   /**
    * 提取模型元数据
    * @private
    */
-  _extractMetadata(model) {
+  _extractMetadata(model, stages = {}) {
     let vertexCount = 0
     let faceCount = 0
     const boundingBox = new THREE.Box3().setFromObject(model)
@@ -265,14 +556,23 @@ export class LoaderManager {
       }
     })
 
+    const { sourceFaceCount = faceCount, repair = null, optimization = null } = stages
+
     return {
       vertexCount,
       faceCount,
+      // 修复/简化前后的三角形数量
+      triangleCount: {
+        before: sourceFaceCount,
+        after: faceCount
+      },
       boundingBox: {
         min: boundingBox.min.toArray(),
         max: boundingBox.max.toArray()
       },
-      size: size.toArray()
+      size: size.toArray(),
+      repair,
+      optimization
     }
   }
 
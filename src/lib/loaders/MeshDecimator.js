@@ -0,0 +1,548 @@
+/**
+ * 网格简化器
+ * 基于二次误差度量（QEM）的边折叠简化，支持按面标签锁定特征边界
+ */
+import * as THREE from 'three'
+import { mergeVertices, toCreasedNormals } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+
+// modelOptimization 等级 -> 保留三角形比例
+export const OPTIMIZATION_LEVELS = {
+  '1': 0.5,
+  '2': 0.25,
+  '3': 0.1
+}
+
+// 热路径复用的临时对象
+const _q = new Float64Array(10)
+const _d1 = new THREE.Vector3()
+const _d2 = new THREE.Vector3()
+const _n = new THREE.Vector3()
+
+export class MeshDecimator {
+  constructor(options = {}) {
+    this.config = {
+      // 少于该面数的网格不简化
+      minTriangles: 5000,
+      // 阈值增长速度，越大越激进
+      aggressiveness: 7,
+      maxIterations: 100,
+      // 简化后按折痕角重新计算法线，null 表示直接平滑法线
+      creaseAngle: Math.PI / 6,
+      ...options
+    }
+  }
+
+  /**
+   * 将 modelOptimization 配置解析为保留比例
+   * @param {string|number} level - '0'~'3' 等级，或 0~1 之间的比例
+   * @returns {number|null} 保留比例，null 表示不简化
+   */
+  static resolveRatio(level) {
+    if (level === null || level === undefined) return null
+    const key = String(level)
+    if (OPTIMIZATION_LEVELS[key]) return OPTIMIZATION_LEVELS[key]
+    const ratio = Number(level)
+    return ratio > 0 && ratio < 1 ? ratio : null
+  }
+
+  /**
+   * 是否会简化该几何体（面数低于 minTriangles 或目标面数不少于原面数时跳过）
+   * @param {THREE.BufferGeometry} geometry
+   * @param {Object} [options] - 同 decimate 的 ratio / targetCount / minTriangles
+   * @returns {boolean}
+   */
+  shouldDecimate(geometry, options = {}) {
+    const { sourceCount, targetCount, config } = this._resolveCounts(geometry, options)
+    return sourceCount >= config.minTriangles && targetCount < sourceCount
+  }
+
+  /**
+   * 原面数和目标面数
+   * @private
+   */
+  _resolveCounts(geometry, options) {
+    const config = { ...this.config, ...options }
+    const position = geometry.getAttribute('position')
+    const sourceCount = geometry.index ? geometry.index.count / 3 : position.count / 3
+    const targetCount = Math.max(
+      4,
+      Math.floor(config.targetCount ?? sourceCount * (config.ratio ?? 0.5))
+    )
+    return { sourceCount, targetCount, config }
+  }
+
+  /**
+   * 简化几何体
+   * @param {THREE.BufferGeometry} geometry - 原几何体（不会被修改）
+   * @param {Object} options
+   * @param {number} [options.ratio] - 保留比例
+   * @param {number} [options.targetCount] - 目标三角形数量（优先于 ratio）
+   * @param {Int32Array|Array} [options.faceLabels] - 每个输入三角形的特征标签，不同标签之间的边界不会被折叠
+   * @returns {{geometry: THREE.BufferGeometry, report: Object}}
+   */
+  decimate(geometry, options = {}) {
+    if (!geometry.getAttribute('position')) {
+      throw new Error('几何体缺少位置属性，无法简化')
+    }
+
+    const startTime = performance.now()
+    const { sourceCount, targetCount, config } = this._resolveCounts(geometry, options)
+
+    const report = {
+      triangleCount: { before: sourceCount, after: sourceCount },
+      lockedVertices: 0,
+      skipped: false
+    }
+
+    if (sourceCount < config.minTriangles || targetCount >= sourceCount) {
+      report.skipped = true
+      return { geometry, report }
+    }
+
+    const mesh = this._build(geometry, config.faceLabels)
+    report.lockedVertices = this._initialize(mesh)
+    this._simplify(mesh, targetCount, config)
+    this._compact(mesh)
+
+    const result = this._toGeometry(mesh, config.creaseAngle)
+    report.triangleCount.after = mesh.triangleCount
+    report.duration = Math.round(performance.now() - startTime)
+
+    return { geometry: result, report }
+  }
+
+  /**
+   * 焊接顶点并建立内部数据结构
+   * @private
+   */
+  _build(geometry, faceLabels) {
+    const position = geometry.getAttribute('position')
+    const index = geometry.index
+    const cornerCount = index ? index.count : position.count
+    const triangleCount = cornerCount / 3
+
+    const attributeNames = Object.keys(geometry.attributes).filter(name => name !== 'position' && name !== 'normal')
+    const extra = {}
+    attributeNames.forEach(name => {
+      const attr = geometry.getAttribute(name)
+      extra[name] = { itemSize: attr.itemSize, normalized: attr.normalized, source: attr, from: [] }
+    })
+
+    const lookup = new Map()
+    const remap = new Map()
+    const positions = []
+    const triangles = new Int32Array(cornerCount)
+
+    for (let i = 0; i < cornerCount; i++) {
+      const source = index ? index.getX(i) : i
+      let target = remap.get(source)
+      if (target === undefined) {
+        const x = position.getX(source)
+        const y = position.getY(source)
+        const z = position.getZ(source)
+        const key = `${x}_${y}_${z}`
+        target = lookup.get(key)
+        if (target === undefined) {
+          target = positions.length / 3
+          lookup.set(key, target)
+          positions.push(x, y, z)
+          attributeNames.forEach(name => extra[name].from.push(source))
+        }
+        remap.set(source, target)
+      }
+      triangles[i] = target
+    }
+
+    const materials = new Int32Array(triangleCount)
+    geometry.groups.forEach(group => {
+      const start = Math.floor(group.start / 3)
+      const end = Math.min(triangleCount, start + Math.floor(group.count / 3))
+      for (let t = start; t < end; t++) materials[t] = group.materialIndex ?? 0
+    })
+
+    const labels = new Int32Array(triangleCount).fill(-1)
+    if (faceLabels) labels.set(faceLabels.length === triangleCount ? faceLabels : faceLabels.slice(0, triangleCount))
+
+    const vertexCount = positions.length / 3
+    return {
+      vertexCount,
+      triangleCount,
+      positions: Float64Array.from(positions),
+      quadrics: new Float64Array(vertexCount * 10),
+      locked: new Uint8Array(vertexCount),
+      refStart: new Int32Array(vertexCount),
+      refCount: new Int32Array(vertexCount),
+      refTriangle: [],
+      refCorner: [],
+      triangles,
+      errors: new Float64Array(triangleCount * 4),
+      normals: new Float64Array(triangleCount * 3),
+      deleted: new Uint8Array(triangleCount),
+      dirty: new Uint8Array(triangleCount),
+      labels,
+      materials,
+      hasGroups: geometry.groups.length > 0,
+      extra
+    }
+  }
+
+  /**
+   * 计算二次误差矩阵、边折叠代价，并锁定开放边界与特征边界上的顶点
+   * @private
+   */
+  _initialize(mesh) {
+    const { positions, quadrics, triangles, normals } = mesh
+    const a = new THREE.Vector3()
+    const b = new THREE.Vector3()
+    const c = new THREE.Vector3()
+    const n = new THREE.Vector3()
+
+    for (let t = 0; t < mesh.triangleCount; t++) {
+      a.fromArray(positions, triangles[t * 3] * 3)
+      b.fromArray(positions, triangles[t * 3 + 1] * 3)
+      c.fromArray(positions, triangles[t * 3 + 2] * 3)
+      THREE.Triangle.getNormal(a, b, c, n)
+      n.toArray(normals, t * 3)
+      const d = -n.dot(a)
+      const plane = [n.x * n.x, n.x * n.y, n.x * n.z, n.x * d, n.y * n.y, n.y * n.z, n.y * d, n.z * n.z, n.z * d, d * d]
+      for (let j = 0; j < 3; j++) {
+        const offset = triangles[t * 3 + j] * 10
+        for (let k = 0; k < 10; k++) quadrics[offset + k] += plane[k]
+      }
+    }
+
+    this._rebuildReferences(mesh)
+
+    // 开放边界：只被一个三角形使用的边；特征边界：顶点周围存在不同标签
+    const { refStart, refCount, refTriangle, labels, locked } = mesh
+    const edgeUse = new Map()
+    for (let v = 0; v < mesh.vertexCount; v++) {
+      edgeUse.clear()
+      let label = null
+      for (let k = 0; k < refCount[v]; k++) {
+        const t = refTriangle[refStart[v] + k]
+        if (label === null) label = labels[t]
+        else if (label !== labels[t]) locked[v] = 1
+        for (let j = 0; j < 3; j++) {
+          const other = triangles[t * 3 + j]
+          if (other !== v) edgeUse.set(other, (edgeUse.get(other) || 0) + 1)
+        }
+      }
+      edgeUse.forEach((count, other) => {
+        if (count === 1) {
+          locked[v] = 1
+          locked[other] = 1
+        }
+      })
+    }
+
+    const p = new THREE.Vector3()
+    for (let t = 0; t < mesh.triangleCount; t++) {
+      this._updateTriangleErrors(mesh, t, p)
+    }
+
+    let lockedCount = 0
+    for (let v = 0; v < mesh.vertexCount; v++) lockedCount += locked[v]
+    return lockedCount
+  }
+
+  _rebuildReferences(mesh) {
+    const { refStart, refCount, triangles, deleted } = mesh
+    refCount.fill(0)
+    for (let t = 0; t < mesh.triangleCount; t++) {
+      if (deleted[t]) continue
+      for (let j = 0; j < 3; j++) refCount[triangles[t * 3 + j]]++
+    }
+    let start = 0
+    for (let v = 0; v < mesh.vertexCount; v++) {
+      refStart[v] = start
+      start += refCount[v]
+      refCount[v] = 0
+    }
+    mesh.refTriangle = new Array(start)
+    mesh.refCorner = new Array(start)
+    for (let t = 0; t < mesh.triangleCount; t++) {
+      if (deleted[t]) continue
+      for (let j = 0; j < 3; j++) {
+        const v = triangles[t * 3 + j]
+        const slot = refStart[v] + refCount[v]
+        mesh.refTriangle[slot] = t
+        mesh.refCorner[slot] = j
+        refCount[v]++
+      }
+    }
+  }
+
+  _simplify(mesh, targetCount, config) {
+    const { triangles, errors, deleted, dirty, locked } = mesh
+    const p = new THREE.Vector3()
+    let deletedCount = 0
+
+    for (let iteration = 0; iteration < config.maxIterations; iteration++) {
+      if (mesh.triangleCount - deletedCount <= targetCount) break
+
+      // 定期重建引用，丢弃折叠过程中追加的冗余引用
+      if (iteration > 0 && iteration % 5 === 0) this._rebuildReferences(mesh)
+
+      dirty.fill(0)
+      const threshold = 1e-9 * Math.pow(iteration + 3, config.aggressiveness)
+
+      for (let t = 0; t < mesh.triangleCount; t++) {
+        if (deleted[t] || dirty[t] || errors[t * 4 + 3] > threshold) continue
+
+        for (let j = 0; j < 3; j++) {
+          if (errors[t * 4 + j] >= threshold) continue
+
+          let i0 = triangles[t * 3 + j]
+          let i1 = triangles[t * 3 + (j + 1) % 3]
+          // 锁定顶点不移动：两端都锁定时跳过，一端锁定时保留锁定端
+          if (locked[i0] && locked[i1]) continue
+          if (locked[i1]) [i0, i1] = [i1, i0]
+
+          this._collapseTarget(mesh, i0, i1, p)
+
+          const removed0 = []
+          const removed1 = []
+          if (this._flipped(mesh, p, i0, i1, removed0)) continue
+          if (this._flipped(mesh, p, i1, i0, removed1)) continue
+
+          p.toArray(mesh.positions, i0 * 3)
+          const q = mesh.quadrics
+          for (let k = 0; k < 10; k++) q[i0 * 10 + k] += q[i1 * 10 + k]
+
+          const start = mesh.refTriangle.length
+          deletedCount += this._updateTriangles(mesh, i0, i0, removed0, p)
+          deletedCount += this._updateTriangles(mesh, i0, i1, removed1, p)
+          const count = mesh.refTriangle.length - start
+
+          if (count <= mesh.refCount[i0]) {
+            // 新引用数量不超过原位置，直接覆盖
+            for (let k = 0; k < count; k++) {
+              mesh.refTriangle[mesh.refStart[i0] + k] = mesh.refTriangle[start + k]
+              mesh.refCorner[mesh.refStart[i0] + k] = mesh.refCorner[start + k]
+            }
+            mesh.refTriangle.length = start
+            mesh.refCorner.length = start
+          } else {
+            mesh.refStart[i0] = start
+          }
+          mesh.refCount[i0] = count
+          break
+        }
+
+        if (mesh.triangleCount - deletedCount <= targetCount) break
+      }
+    }
+  }
+
+  /**
+   * 检查折叠后相邻三角形是否翻转或退化；同时标记将被删除的三角形
+   * @private
+   */
+  _flipped(mesh, p, i0, i1, removed) {
+    const { refStart, refCount, refTriangle, refCorner, triangles, positions, normals, deleted } = mesh
+    const d1 = _d1
+    const d2 = _d2
+    const n = _n
+
+    for (let k = 0; k < refCount[i0]; k++) {
+      const t = refTriangle[refStart[i0] + k]
+      if (deleted[t]) {
+        removed[k] = false
+        continue
+      }
+      const s = refCorner[refStart[i0] + k]
+      const id1 = triangles[t * 3 + (s + 1) % 3]
+      const id2 = triangles[t * 3 + (s + 2) % 3]
+      if (id1 === i1 || id2 === i1) {
+        removed[k] = true
+        continue
+      }
+      d1.fromArray(positions, id1 * 3).sub(p).normalize()
+      d2.fromArray(positions, id2 * 3).sub(p).normalize()
+      if (Math.abs(d1.dot(d2)) > 0.999) return true
+      n.crossVectors(d1, d2).normalize()
+      removed[k] = false
+      if (n.x * normals[t * 3] + n.y * normals[t * 3 + 1] + n.z * normals[t * 3 + 2] < 0.2) return true
+    }
+    return false
+  }
+
+  _updateTriangles(mesh, i0, vertex, removed, p) {
+    const { refStart, refCount, refTriangle, refCorner, triangles, deleted, dirty } = mesh
+    let deletedCount = 0
+    for (let k = 0; k < refCount[vertex]; k++) {
+      const t = refTriangle[refStart[vertex] + k]
+      if (deleted[t]) continue
+      if (removed[k]) {
+        deleted[t] = 1
+        deletedCount++
+        continue
+      }
+      triangles[t * 3 + refCorner[refStart[vertex] + k]] = i0
+      dirty[t] = 1
+      this._updateTriangleErrors(mesh, t, p)
+      refTriangle.push(t)
+      refCorner.push(refCorner[refStart[vertex] + k])
+    }
+    return deletedCount
+  }
+
+  _updateTriangleErrors(mesh, t, p) {
+    const { triangles, errors } = mesh
+    for (let j = 0; j < 3; j++) {
+      errors[t * 4 + j] = this._collapseTarget(mesh, triangles[t * 3 + j], triangles[t * 3 + (j + 1) % 3], p)
+    }
+    errors[t * 4 + 3] = Math.min(errors[t * 4], errors[t * 4 + 1], errors[t * 4 + 2])
+  }
+
+  /**
+   * 计算边折叠的最优位置与误差；锁定顶点固定在原位置
+   * @private
+   */
+  _collapseTarget(mesh, i0, i1, p) {
+    const { quadrics, positions, locked } = mesh
+    const q = _q
+    for (let k = 0; k < 10; k++) q[k] = quadrics[i0 * 10 + k] + quadrics[i1 * 10 + k]
+
+    if (locked[i0] || locked[i1]) {
+      const fixed = locked[i0] ? i0 : i1
+      p.fromArray(positions, fixed * 3)
+      return this._vertexError(q, p.x, p.y, p.z)
+    }
+
+    const det = this._det(q, 0, 1, 2, 1, 4, 5, 2, 5, 7)
+    if (Math.abs(det) > 1e-12) {
+      p.set(
+        -1 / det * this._det(q, 1, 2, 3, 4, 5, 6, 5, 7, 8),
+        1 / det * this._det(q, 0, 2, 3, 1, 5, 6, 2, 7, 8),
+        -1 / det * this._det(q, 0, 1, 3, 1, 4, 6, 2, 5, 8)
+      )
+      return this._vertexError(q, p.x, p.y, p.z)
+    }
+
+    // 矩阵奇异时在两端点和中点中取误差最小者
+    const x0 = positions[i0 * 3], y0 = positions[i0 * 3 + 1], z0 = positions[i0 * 3 + 2]
+    const x1 = positions[i1 * 3], y1 = positions[i1 * 3 + 1], z1 = positions[i1 * 3 + 2]
+    const xm = (x0 + x1) / 2, ym = (y0 + y1) / 2, zm = (z0 + z1) / 2
+    const e0 = this._vertexError(q, x0, y0, z0)
+    const e1 = this._vertexError(q, x1, y1, z1)
+    const em = this._vertexError(q, xm, ym, zm)
+    if (em <= e0 && em <= e1) {
+      p.set(xm, ym, zm)
+      return em
+    }
+    if (e0 <= e1) {
+      p.set(x0, y0, z0)
+      return e0
+    }
+    p.set(x1, y1, z1)
+    return e1
+  }
+
+  _det(m, a11, a12, a13, a21, a22, a23, a31, a32, a33) {
+    return m[a11] * m[a22] * m[a33] + m[a13] * m[a21] * m[a32] + m[a12] * m[a23] * m[a31] -
+      m[a13] * m[a22] * m[a31] - m[a11] * m[a23] * m[a32] - m[a12] * m[a21] * m[a33]
+  }
+
+  _vertexError(q, x, y, z) {
+    return q[0] * x * x + 2 * q[1] * x * y + 2 * q[2] * x * z + 2 * q[3] * x +
+      q[4] * y * y + 2 * q[5] * y * z + 2 * q[6] * y +
+      q[7] * z * z + 2 * q[8] * z + q[9]
+  }
+
+  /**
+   * 移除已删除的三角形和未使用的顶点
+   * @private
+   */
+  _compact(mesh) {
+    const { triangles, deleted, labels, materials } = mesh
+    const keptTriangles = []
+    const keptMaterials = []
+    const keptLabels = []
+    const used = new Int32Array(mesh.vertexCount).fill(-1)
+    let vertexCount = 0
+
+    for (let t = 0; t < mesh.triangleCount; t++) {
+      if (deleted[t]) continue
+      for (let j = 0; j < 3; j++) {
+        const v = triangles[t * 3 + j]
+        if (used[v] === -1) used[v] = vertexCount++
+        keptTriangles.push(used[v])
+      }
+      keptMaterials.push(materials[t])
+      keptLabels.push(labels[t])
+    }
+
+    const positions = new Float32Array(vertexCount * 3)
+    const sourceVertex = new Int32Array(vertexCount)
+    for (let v = 0; v < mesh.vertexCount; v++) {
+      if (used[v] === -1) continue
+      positions[used[v] * 3] = mesh.positions[v * 3]
+      positions[used[v] * 3 + 1] = mesh.positions[v * 3 + 1]
+      positions[used[v] * 3 + 2] = mesh.positions[v * 3 + 2]
+      sourceVertex[used[v]] = v
+    }
+
+    mesh.output = { positions, sourceVertex, index: keptTriangles, materials: keptMaterials, labels: keptLabels }
+    mesh.triangleCount = keptMaterials.length
+  }
+
+  _toGeometry(mesh, creaseAngle) {
+    const { positions, sourceVertex, index, materials } = mesh.output
+    const triangleCount = materials.length
+
+    let order = Array.from({ length: triangleCount }, (_, t) => t)
+    if (mesh.hasGroups) {
+      order = order.sort((x, y) => materials[x] - materials[y] || x - y)
+    }
+
+    let geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+
+    // 其余属性（颜色、UV）取保留顶点的原始值
+    Object.entries(mesh.extra).forEach(([name, attr]) => {
+      const values = new Float32Array(sourceVertex.length * attr.itemSize)
+      const item = [0, 0, 0, 0]
+      for (let v = 0; v < sourceVertex.length; v++) {
+        const source = attr.from[sourceVertex[v]]
+        item[0] = attr.source.getX(source)
+        if (attr.itemSize > 1) item[1] = attr.source.getY(source)
+        if (attr.itemSize > 2) item[2] = attr.source.getZ(source)
+        if (attr.itemSize > 3) item[3] = attr.source.getW(source)
+        for (let k = 0; k < attr.itemSize; k++) values[v * attr.itemSize + k] = item[k]
+      }
+      geometry.setAttribute(name, new THREE.Float32BufferAttribute(values, attr.itemSize, attr.normalized))
+    })
+
+    const sortedIndex = []
+    order.forEach(t => sortedIndex.push(index[t * 3], index[t * 3 + 1], index[t * 3 + 2]))
+    geometry.setIndex(sortedIndex)
+
+    if (mesh.hasGroups) {
+      let start = 0
+      while (start < order.length) {
+        const materialIndex = materials[order[start]]
+        let end = start
+        while (end < order.length && materials[order[end]] === materialIndex) end++
+        geometry.addGroup(start * 3, (end - start) * 3, materialIndex)
+        start = end
+      }
+    }
+
+    if (creaseAngle === null || creaseAngle === undefined) {
+      geometry.computeVertexNormals()
+    } else {
+      const creased = toCreasedNormals(geometry, creaseAngle)
+      geometry.dispose()
+      geometry = mergeVertices(creased)
+      creased.dispose()
+    }
+
+    geometry.computeBoundingBox()
+    geometry.computeBoundingSphere()
+    return geometry
+  }
+}
+
+export default MeshDecimator
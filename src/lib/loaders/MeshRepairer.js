@@ -0,0 +1,429 @@
+/**
+ * 网格修复器
+ * 焊接重复顶点、移除退化/重复面、统一绕序、填补小孔洞
+ */
+import * as THREE from 'three'
+import { mergeVertices, toCreasedNormals } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+
+export class MeshRepairer {
+  constructor(options = {}) {
+    this.config = {
+      // 顶点焊接距离容差
+      weldTolerance: 1e-4,
+      // 退化三角形面积阈值（相对包围盒对角线平方）
+      degenerateAreaRatio: 1e-12,
+      // 只填补边数不超过该值的孔洞
+      maxHoleEdges: 64,
+      // 修复后按折痕角重新计算法线，null 表示直接平滑法线
+      creaseAngle: Math.PI / 6,
+      ...options
+    }
+  }
+
+  /**
+   * 修复几何体
+   * @param {THREE.BufferGeometry} geometry - 原几何体（不会被修改）
+   * @param {Object} [options] - 覆盖默认配置
+   * @returns {{geometry: THREE.BufferGeometry, report: Object}}
+   */
+  repair(geometry, options = {}) {
+    const config = { ...this.config, ...options }
+    const position = geometry.getAttribute('position')
+    if (!position) {
+      throw new Error('几何体缺少位置属性，无法修复')
+    }
+
+    const sourceFaceCount = geometry.index ? geometry.index.count / 3 : position.count / 3
+    const report = {
+      vertexCount: { before: position.count, after: 0 },
+      faceCount: { before: sourceFaceCount, after: 0 },
+      weldedVertices: 0,
+      degenerateFaces: 0,
+      duplicateFaces: 0,
+      flippedFaces: 0,
+      filledHoles: 0,
+      skippedHoles: 0,
+      addedFaces: 0
+    }
+
+    const mesh = this._weld(geometry, config.weldTolerance)
+    report.weldedVertices = position.count - mesh.vertexCount
+
+    if (!geometry.boundingBox) geometry.computeBoundingBox()
+    const diagonal = geometry.boundingBox.getSize(new THREE.Vector3()).length()
+    report.degenerateFaces = this._removeDegenerateFaces(mesh, diagonal * diagonal * config.degenerateAreaRatio)
+    report.duplicateFaces = this._removeDuplicateFaces(mesh)
+    report.flippedFaces = this._fixWinding(mesh)
+
+    const holes = this._fillHoles(mesh, config.maxHoleEdges)
+    report.filledHoles = holes.filled
+    report.skippedHoles = holes.skipped
+    report.addedFaces = holes.addedFaces
+
+    const repaired = this._buildGeometry(mesh, config.creaseAngle)
+    report.vertexCount.after = repaired.getAttribute('position').count
+    report.faceCount.after = mesh.faces.length / 3
+    report.changed = report.weldedVertices > 0 ||
+      report.degenerateFaces > 0 ||
+      report.duplicateFaces > 0 ||
+      report.flippedFaces > 0 ||
+      report.addedFaces > 0
+
+    return { geometry: repaired, report }
+  }
+
+  /**
+   * 按位置焊接顶点，其余属性（颜色、UV）取首个顶点的值，法线丢弃后重算
+   * @private
+   */
+  _weld(geometry, tolerance) {
+    const position = geometry.getAttribute('position')
+    const attributeNames = Object.keys(geometry.attributes).filter(name => name !== 'normal')
+    const sourceIndex = geometry.index
+    const cornerCount = sourceIndex ? sourceIndex.count : position.count
+
+    const attributes = {}
+    attributeNames.forEach(name => {
+      const attr = geometry.getAttribute(name)
+      attributes[name] = { itemSize: attr.itemSize, normalized: attr.normalized, values: [] }
+    })
+
+    const inverse = 1 / Math.max(tolerance, Number.EPSILON)
+    const lookup = new Map()
+    const remap = new Map()
+    let vertexCount = 0
+
+    const faces = new Array(cornerCount)
+    for (let i = 0; i < cornerCount; i++) {
+      const source = sourceIndex ? sourceIndex.getX(i) : i
+      let target = remap.get(source)
+      if (target === undefined) {
+        const key = `${Math.round(position.getX(source) * inverse)}_${Math.round(position.getY(source) * inverse)}_${Math.round(position.getZ(source) * inverse)}`
+        target = lookup.get(key)
+        if (target === undefined) {
+          target = vertexCount++
+          lookup.set(key, target)
+          attributeNames.forEach(name => {
+            this._readItem(geometry.getAttribute(name), source, attributes[name].values)
+          })
+        }
+        remap.set(source, target)
+      }
+      faces[i] = target
+    }
+
+    // 多材质网格保留每个三角形的材质索引
+    const faceCount = cornerCount / 3
+    const materials = new Int32Array(faceCount)
+    geometry.groups.forEach(group => {
+      const start = Math.floor(group.start / 3)
+      const end = Math.min(faceCount, start + Math.floor(group.count / 3))
+      for (let t = start; t < end; t++) materials[t] = group.materialIndex ?? 0
+    })
+
+    return {
+      vertexCount,
+      attributes,
+      faces,
+      materials: Array.from(materials),
+      hasGroups: geometry.groups.length > 0
+    }
+  }
+
+  _readItem(attr, index, out) {
+    out.push(attr.getX(index))
+    if (attr.itemSize > 1) out.push(attr.getY(index))
+    if (attr.itemSize > 2) out.push(attr.getZ(index))
+    if (attr.itemSize > 3) out.push(attr.getW(index))
+  }
+
+  _removeFaces(mesh, keep) {
+    const faces = []
+    const materials = []
+    let removed = 0
+    for (let t = 0; t < mesh.materials.length; t++) {
+      if (keep[t]) {
+        faces.push(mesh.faces[t * 3], mesh.faces[t * 3 + 1], mesh.faces[t * 3 + 2])
+        materials.push(mesh.materials[t])
+      } else {
+        removed++
+      }
+    }
+    mesh.faces = faces
+    mesh.materials = materials
+    return removed
+  }
+
+  _removeDegenerateFaces(mesh, areaEpsilon) {
+    const positions = mesh.attributes.position.values
+    const a = new THREE.Vector3()
+    const b = new THREE.Vector3()
+    const c = new THREE.Vector3()
+    const triangle = new THREE.Triangle(a, b, c)
+    const faceCount = mesh.materials.length
+    const keep = new Uint8Array(faceCount)
+
+    for (let t = 0; t < faceCount; t++) {
+      const i0 = mesh.faces[t * 3]
+      const i1 = mesh.faces[t * 3 + 1]
+      const i2 = mesh.faces[t * 3 + 2]
+      if (i0 === i1 || i1 === i2 || i0 === i2) continue
+      a.fromArray(positions, i0 * 3)
+      b.fromArray(positions, i1 * 3)
+      c.fromArray(positions, i2 * 3)
+      keep[t] = triangle.getArea() > areaEpsilon ? 1 : 0
+    }
+
+    return this._removeFaces(mesh, keep)
+  }
+
+  /**
+   * 顶点集合相同的面视为重复（包括绕序相反的背靠背面）
+   * @private
+   */
+  _removeDuplicateFaces(mesh) {
+    const faceCount = mesh.materials.length
+    const keep = new Uint8Array(faceCount)
+    const seen = new Set()
+
+    for (let t = 0; t < faceCount; t++) {
+      const sorted = [mesh.faces[t * 3], mesh.faces[t * 3 + 1], mesh.faces[t * 3 + 2]].sort((x, y) => x - y)
+      const key = sorted.join('_')
+      if (seen.has(key)) continue
+      seen.add(key)
+      keep[t] = 1
+    }
+
+    return this._removeFaces(mesh, keep)
+  }
+
+  /**
+   * 建立流形边上的三角形邻接
+   * @private
+   */
+  _buildAdjacency(mesh) {
+    const faceCount = mesh.materials.length
+    const vertexCount = mesh.vertexCount
+    const edges = new Map()
+
+    for (let t = 0; t < faceCount; t++) {
+      for (let e = 0; e < 3; e++) {
+        const from = mesh.faces[t * 3 + e]
+        const to = mesh.faces[t * 3 + (e + 1) % 3]
+        const key = from < to ? from * vertexCount + to : to * vertexCount + from
+        const entry = edges.get(key)
+        if (entry) {
+          entry.push({ triangle: t, from, to })
+        } else {
+          edges.set(key, [{ triangle: t, from, to }])
+        }
+      }
+    }
+
+    return edges
+  }
+
+  /**
+   * 在每个连通分量内传播绕序，翻转少数派；整体有向体积为负时全部翻转
+   * @private
+   */
+  _fixWinding(mesh) {
+    const faceCount = mesh.materials.length
+    const edges = this._buildAdjacency(mesh)
+    const neighbors = Array.from({ length: faceCount }, () => [])
+    let isClosed = true
+
+    edges.forEach(entry => {
+      if (entry.length !== 2) {
+        isClosed = false
+        return
+      }
+      const [first, second] = entry
+      const consistent = first.from !== second.from
+      neighbors[first.triangle].push({ triangle: second.triangle, consistent })
+      neighbors[second.triangle].push({ triangle: first.triangle, consistent })
+    })
+
+    const parity = new Int8Array(faceCount).fill(-1)
+    const flip = new Uint8Array(faceCount)
+
+    for (let seed = 0; seed < faceCount; seed++) {
+      if (parity[seed] !== -1) continue
+      const component = []
+      const counts = [0, 0]
+      const stack = [seed]
+      parity[seed] = 0
+
+      while (stack.length > 0) {
+        const t = stack.pop()
+        component.push(t)
+        counts[parity[t]]++
+        neighbors[t].forEach(({ triangle, consistent }) => {
+          if (parity[triangle] !== -1) return
+          parity[triangle] = consistent ? parity[t] : 1 - parity[t]
+          stack.push(triangle)
+        })
+      }
+
+      const minority = counts[0] >= counts[1] ? 1 : 0
+      component.forEach(t => {
+        if (parity[t] === minority) flip[t] = 1
+      })
+    }
+
+    let flipped = 0
+    for (let t = 0; t < faceCount; t++) {
+      if (flip[t]) {
+        this._flipFace(mesh, t)
+        flipped++
+      }
+    }
+
+    // 封闭网格法线朝内时整体翻转
+    if (isClosed && faceCount > 0 && this._signedVolume(mesh) < 0) {
+      for (let t = 0; t < faceCount; t++) this._flipFace(mesh, t)
+      flipped = faceCount - flipped
+    }
+
+    return flipped
+  }
+
+  _flipFace(mesh, t) {
+    const tmp = mesh.faces[t * 3 + 1]
+    mesh.faces[t * 3 + 1] = mesh.faces[t * 3 + 2]
+    mesh.faces[t * 3 + 2] = tmp
+  }
+
+  _signedVolume(mesh) {
+    const positions = mesh.attributes.position.values
+    const a = new THREE.Vector3()
+    const b = new THREE.Vector3()
+    const c = new THREE.Vector3()
+    let volume = 0
+    for (let t = 0; t < mesh.materials.length; t++) {
+      a.fromArray(positions, mesh.faces[t * 3] * 3)
+      b.fromArray(positions, mesh.faces[t * 3 + 1] * 3)
+      c.fromArray(positions, mesh.faces[t * 3 + 2] * 3)
+      volume += a.dot(b.cross(c)) / 6
+    }
+    return volume
+  }
+
+  /**
+   * 追踪边界环并用中心点扇形三角化填补
+   * @private
+   */
+  _fillHoles(mesh, maxHoleEdges) {
+    const edges = this._buildAdjacency(mesh)
+    // 孔洞环方向与所在三角形的边相反：三角形边 a→b 对应环边 b→a
+    const next = new Map()
+    const ambiguous = new Set()
+    const materialOf = new Map()
+
+    edges.forEach(entry => {
+      if (entry.length !== 1) return
+      const { triangle, from, to } = entry[0]
+      if (next.has(to)) ambiguous.add(to)
+      next.set(to, from)
+      materialOf.set(to, mesh.materials[triangle])
+    })
+
+    const result = { filled: 0, skipped: 0, addedFaces: 0 }
+    const visited = new Set()
+
+    next.forEach((_, start) => {
+      if (visited.has(start)) return
+
+      const loop = []
+      let current = start
+      let valid = true
+      while (!visited.has(current)) {
+        visited.add(current)
+        loop.push(current)
+        if (ambiguous.has(current)) valid = false
+        current = next.get(current)
+        if (current === undefined) {
+          valid = false
+          break
+        }
+      }
+
+      if (!valid || current !== start || loop.length < 3 || loop.length > maxHoleEdges) {
+        result.skipped++
+        return
+      }
+
+      const material = materialOf.get(start) ?? 0
+      if (loop.length === 3) {
+        mesh.faces.push(loop[0], loop[1], loop[2])
+        mesh.materials.push(material)
+        result.addedFaces++
+      } else {
+        const center = this._addCentroidVertex(mesh, loop)
+        for (let i = 0; i < loop.length; i++) {
+          mesh.faces.push(loop[i], loop[(i + 1) % loop.length], center)
+          mesh.materials.push(material)
+        }
+        result.addedFaces += loop.length
+      }
+      result.filled++
+    })
+
+    return result
+  }
+
+  _addCentroidVertex(mesh, loop) {
+    Object.values(mesh.attributes).forEach(attr => {
+      const sum = new Array(attr.itemSize).fill(0)
+      loop.forEach(v => {
+        for (let k = 0; k < attr.itemSize; k++) sum[k] += attr.values[v * attr.itemSize + k]
+      })
+      sum.forEach(value => attr.values.push(value / loop.length))
+    })
+    return mesh.vertexCount++
+  }
+
+  _buildGeometry(mesh, creaseAngle) {
+    const faceCount = mesh.materials.length
+    let order = Array.from({ length: faceCount }, (_, t) => t)
+    if (mesh.hasGroups) {
+      order = order.sort((x, y) => mesh.materials[x] - mesh.materials[y] || x - y)
+    }
+
+    const index = []
+    order.forEach(t => index.push(mesh.faces[t * 3], mesh.faces[t * 3 + 1], mesh.faces[t * 3 + 2]))
+
+    let geometry = new THREE.BufferGeometry()
+    Object.entries(mesh.attributes).forEach(([name, attr]) => {
+      geometry.setAttribute(name, new THREE.Float32BufferAttribute(attr.values, attr.itemSize, attr.normalized))
+    })
+    geometry.setIndex(index)
+
+    if (mesh.hasGroups) {
+      let start = 0
+      while (start < order.length) {
+        const materialIndex = mesh.materials[order[start]]
+        let end = start
+        while (end < order.length && mesh.materials[order[end]] === materialIndex) end++
+        geometry.addGroup(start * 3, (end - start) * 3, materialIndex)
+        start = end
+      }
+    }
+
+    if (creaseAngle === null || creaseAngle === undefined) {
+      geometry.computeVertexNormals()
+    } else {
+      // 折痕处拆分顶点以保持硬边，再按位置+法线重新索引
+      const creased = toCreasedNormals(geometry, creaseAngle)
+      geometry.dispose()
+      geometry = mergeVertices(creased)
+      creased.dispose()
+    }
+
+    geometry.computeBoundingBox()
+    geometry.computeBoundingSphere()
+    return geometry
+  }
+}
+
+export default MeshRepairer
@@ -3,3 +3,5 @@
  */
 export { LoaderManager } from './LoaderManager.js'
 export { ExportManager } from './ExportManager.js'
+export { MeshRepairer } from './MeshRepairer.js'
+export { MeshDecimator, OPTIMIZATION_LEVELS } from './MeshDecimator.js'
@@ -0,0 +1,190 @@
+/**
+ * IndexedDB 简易封装
+ * 一个实例对应一个数据库，构造时声明需要的对象仓库（object store），
+ * 首次打开或版本升级时自动创建缺少的仓库；所有读写都以 Promise 返回
+ */
+export class IndexedDBStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - 数据库名称
+   * @param {number} [options.version=1] - 数据库版本（新增仓库时需要升级版本）
+   * @param {string[]} [options.stores=[]] - 对象仓库名称（以外部键存储）
+   */
+  constructor(options = {}) {
+    const { name, version = 1, stores = [] } = options
+    if (!name) throw new Error('IndexedDBStore 需要数据库名称')
+
+    this.name = name
+    this.version = version
+    this.stores = stores
+
+    this._dbPromise = null
+  }
+
+  /**
+   * 当前环境是否支持 IndexedDB
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined'
+  }
+
+  /**
+   * 打开数据库（只打开一次，之后复用连接）
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this._dbPromise) return this._dbPromise
+
+    if (!IndexedDBStore.isSupported()) {
+      return Promise.reject(new Error('当前环境不支持 IndexedDB'))
+    }
+
+    this._dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, this.version)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        this.stores.forEach(storeName => {
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName)
+          }
+        })
+      }
+
+      request.onsuccess = () => {
+        const db = request.result
+        // 其他页面升级数据库时主动断开，下次访问重新打开
+        db.onversionchange = () => {
+          db.close()
+          this._dbPromise = null
+        }
+        resolve(db)
+      }
+
+      request.onerror = () => {
+        this._dbPromise = null
+        reject(request.error || new Error(`打开数据库失败: ${this.name}`))
+      }
+
+      request.onblocked = () => {
+        console.warn(`[IndexedDBStore] 数据库 ${this.name} 升级被其他页面阻塞`)
+      }
+    })
+
+    return this._dbPromise
+  }
+
+  /**
+   * 在单个仓库上执行一次请求
+   * @private
+   * @param {string} storeName - 仓库名称
+   * @param {'readonly'|'readwrite'} mode - 事务模式
+   * @param {Function} action - (store) => IDBRequest
+   * @returns {Promise<any>} 请求结果（写操作在事务完成后才 resolve）
+   */
+  async _request(storeName, mode, action) {
+    const db = await this.open()
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode)
+      const request = action(transaction.objectStore(storeName))
+
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error || request.error)
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB 事务已中止'))
+    })
+  }
+
+  /**
+   * 读取记录
+   * @param {string} storeName
+   * @param {IDBValidKey} key
+   * @returns {Promise<any>} 记录不存在时为 undefined
+   */
+  get(storeName, key) {
+    return this._request(storeName, 'readonly', store => store.get(key))
+  }
+
+  /**
+   * 写入记录（已存在时覆盖）
+   * @param {string} storeName
+   * @param {IDBValidKey} key
+   * @param {any} value - 可结构化克隆的值
+   * @returns {Promise<IDBValidKey>}
+   */
+  put(storeName, key, value) {
+    return this._request(storeName, 'readwrite', store => store.put(value, key))
+  }
+
+  /**
+   * 删除记录
+   * @param {string} storeName
+   * @param {IDBValidKey} key
+   * @returns {Promise<void>}
+   */
+  delete(storeName, key) {
+    return this._request(storeName, 'readwrite', store => store.delete(key))
+  }
+
+  /**
+   * 读取仓库中的所有记录
+   * @param {string} storeName
+   * @returns {Promise<any[]>}
+   */
+  getAll(storeName) {
+    return this._request(storeName, 'readonly', store => store.getAll())
+  }
+
+  /**
+   * 在多个仓库上执行同一个事务（全部成功或全部回滚）
+   * @param {string[]} storeNames - 涉及的仓库
+   * @param {'readonly'|'readwrite'} mode - 事务模式
+   * @param {Function} action - (stores) => any，stores 为 { [storeName]: IDBObjectStore }，只能同步发起请求
+   * @returns {Promise<any>} action 的返回值（事务完成后 resolve；返回 IDBRequest 时取其结果）
+   */
+  async transaction(storeNames, mode, action) {
+    const db = await this.open()
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode)
+      const stores = {}
+      storeNames.forEach(storeName => {
+        stores[storeName] = transaction.objectStore(storeName)
+      })
+
+      let result
+      try {
+        result = action(stores)
+      } catch (error) {
+        transaction.abort()
+        reject(error)
+        return
+      }
+
+      transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB 事务已中止'))
+    })
+  }
+
+  /**
+   * 获取仓库中的所有键
+   * @param {string} storeName
+   * @returns {Promise<IDBValidKey[]>}
+   */
+  keys(storeName) {
+    return this._request(storeName, 'readonly', store => store.getAllKeys())
+  }
+
+  /**
+   * 关闭数据库连接
+   */
+  close() {
+    const dbPromise = this._dbPromise
+    this._dbPromise = null
+    dbPromise?.then(db => db.close()).catch(() => {})
+  }
+}
+
+export default IndexedDBStore
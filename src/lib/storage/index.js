@@ -0,0 +1,4 @@
+/**
+ * 本地存储模块导出
+ */
+export { IndexedDBStore } from './IndexedDBStore.js'
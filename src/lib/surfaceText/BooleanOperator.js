@@ -5,6 +5,7 @@
 import * as THREE from 'three'
 import { ADDITION, Brush, Evaluator, INTERSECTION, SUBTRACTION } from 'three-bvh-csg'
 import { MeshBVH, acceleratedRaycast } from 'three-mesh-bvh'
+import { CSGWorkerClient } from './CSGWorkerClient.js'
 
 // 启用加速光线投射
 THREE.Mesh.prototype.raycast = acceleratedRaycast
@@ -15,6 +16,10 @@ export class BooleanOperator {
     this.isLibraryLoaded = false
     this._initPromise = null
 
+    // 减法（雕刻）优先在 Worker 中执行，避免阻塞界面
+    this.useWorker = true
+    this.workerClient = CSGWorkerClient.isSupported() ? new CSGWorkerClient() : null
+
     // 初始化
     this._init()
   }
@@ -76,6 +81,9 @@ export class BooleanOperator {
    * @param {THREE.Matrix4} [toolMatrix] - 工具几何体的变换矩阵
    * @param {Object} [options] - 选项
    * @param {string} [options.textId] - 文字ID，用于标识
+   * @param {string} [options.jobKey] - Worker 任务键，可通过 cancel(jobKey) 取消
+   * @param {Function} [options.onProgress] - 进度回调 ({ stage, progress }) => void
+   * @param {boolean} [options.useWorker] - 为 false 时强制在主线程执行
    * @returns {Promise<{geometry: THREE.BufferGeometry, materials: THREE.Material[]}>} 操作结果
    */
   async subtract (targetGeometry, toolGeometry, toolMatrix = null, options = {}) {
@@ -107,10 +115,12 @@ export class BooleanOperator {
       vertexCount: toolGeometry.attributes.position?.count || 0
     })
 
-    // 预检查几何体相交性（使用综合检测）
+    // 预检查几何体相交性（使用综合检测；交给 Worker 时只做边界盒检测，
+    // 精确检测要在主线程为整个目标构建 BVH，且结果只用于日志，strictMode 时除外）
+    const useWorker = this._canUseWorker(options)
     const intersectionCheck = this.checkIntersectionComprehensive(targetGeometry, toolGeometry, toolMatrix, {
       useBVH: true,
-      fastOnly: false
+      fastOnly: useWorker && !options.strictMode
     })
 
     console.log('[DEBUG] 相交检测结果:', {
@@ -136,9 +146,29 @@ export class BooleanOperator {
       console.log(`✅ 几何体相交确认 (${intersectionCheck.bvhCheck ? 'BVH' : '边界盒'}检测)`)
     }
 
+    if (useWorker) {
+      try {
+        const { geometry, duration } = await this.workerClient.subtract(targetGeometry, toolGeometry, {
+          toolMatrix,
+          jobKey: options.jobKey,
+          onProgress: options.onProgress
+        })
+        console.log(`布尔减法操作完成（Worker），耗时: ${duration.toFixed(2)}ms，材质组 ${geometry.groups.length} 个`)
+        return {
+          geometry,
+          materials: this._createSubtractMaterials(options.textId)
+        }
+      } catch (error) {
+        // 取消和运算错误直接抛出，只有 Worker 本身不可用时才回退到主线程
+        if (!error.workerUnavailable) throw error
+        console.warn('布尔运算 Worker 不可用，回退到主线程执行:', error.message)
+      }
+    }
+
     try {
       console.log('开始执行布尔减法操作 (SUBTRACTION)')
       const startTime = performance.now()
+      options.onProgress?.({ stage: 'evaluate', progress: 0 })
 
       // 🔧 调试：打印输入几何体的详细信息
       console.log('[DEBUG] 目标几何体详情:', {
@@ -153,18 +183,7 @@ export class BooleanOperator {
       })
 
       // 创建材质用于标识来源
-      // 材质0: 原始表面
-      // 材质1: 雕刻区域（来自文字几何体的切割面）
-      const targetMaterial = new THREE.MeshStandardMaterial({
-        color: 0x409eff,
-        name: 'original_surface'
-      })
-      const toolMaterial = new THREE.MeshStandardMaterial({
-        color: 0xff0000,
-        name: options.textId ? `engraved_${options.textId}` : 'engraved_text'
-      })
-      // 存储 textId 到材质的 userData
-      toolMaterial.userData = { textId: options.textId, isEngravedText: true }
+      const [targetMaterial, toolMaterial] = this._createSubtractMaterials(options.textId)
 
       // 创建 Brush 对象，带材质
       const targetBrush = this.createBrush(targetGeometry, targetMaterial)
@@ -206,6 +225,7 @@ export class BooleanOperator {
       targetBrush.geometry.dispose()
       toolBrush.geometry.dispose()
 
+      options.onProgress?.({ stage: 'done', progress: 1 })
       return {
         geometry: resultGeometry,
         materials: [targetMaterial, toolMaterial]
@@ -217,12 +237,54 @@ export class BooleanOperator {
     }
   }
 
+  /**
+   * 本次运算是否交给 Worker 执行
+   * @param {Object} [options] - 运算选项，useWorker 为 false 时强制在主线程执行
+   * @returns {boolean}
+   */
+  _canUseWorker (options = {}) {
+    return Boolean(this.useWorker && options.useWorker !== false && this.workerClient?.isAvailable())
+  }
+
+  /**
+   * 创建减法结果的材质组
+   * 材质0: 原始表面
+   * 材质1: 雕刻区域（来自文字几何体的切割面）
+   * @param {string} [textId]
+   * @returns {THREE.Material[]}
+   */
+  _createSubtractMaterials (textId) {
+    const targetMaterial = new THREE.MeshStandardMaterial({
+      color: 0x409eff,
+      name: 'original_surface'
+    })
+    const toolMaterial = new THREE.MeshStandardMaterial({
+      color: 0xff0000,
+      name: textId ? `engraved_${textId}` : 'engraved_text'
+    })
+    // 存储 textId 到材质的 userData
+    toolMaterial.userData = { textId, isEngravedText: true }
+    return [targetMaterial, toolMaterial]
+  }
+
+  /**
+   * 取消 Worker 中排队或执行中的布尔运算任务，对应的 subtract() / union() 会以 error.cancelled 拒绝
+   * @param {string} [jobKey] - 任务键，省略时取消全部
+   * @returns {number} 取消的任务数量
+   */
+  cancel (jobKey) {
+    return this.workerClient ? this.workerClient.cancel(jobKey) : 0
+  }
+
   /**
    * 执行布尔加法操作（合并/联合）
    * @param {THREE.BufferGeometry} geometry1 - 几何体1
    * @param {THREE.BufferGeometry} geometry2 - 几何体2
    * @param {THREE.Matrix4} [matrix2] - 几何体2的变换矩阵
    * @param {Object} [options] - 选项
+   * @param {string} [options.jobKey] - Worker 任务键，可通过 cancel(jobKey) 取消
+   * @param {Function} [options.onProgress] - 进度回调 ({ stage, progress }) => void
+   * @param {boolean} [options.useWorker] - 为 false 时强制在主线程执行
    * @returns {Promise<THREE.BufferGeometry>} 操作结果几何体
    */
   async union (geometry1, geometry2, matrix2 = null, options = {}) {
@@ -230,10 +292,11 @@ export class BooleanOperator {
       throw new Error('布尔操作库未准备就绪')
     }
 
-    // 预检查几何体相交性（联合操作对不相交的几何体也有意义）
+    // 预检查几何体相交性（联合操作对不相交的几何体也有意义，结果只用于日志；交给 Worker 时只做边界盒检测）
+    const useWorker = this._canUseWorker(options)
     const intersectionCheck = this.checkIntersectionComprehensive(geometry1, geometry2, matrix2, {
       useBVH: true,
-      fastOnly: false
+      fastOnly: useWorker
     })
 
     if (!intersectionCheck.finalResult) {
@@ -243,9 +306,26 @@ export class BooleanOperator {
       console.log(`几何体相交确认 (${intersectionCheck.bvhCheck ? 'BVH' : '边界盒'}检测)，将执行真正的联合操作`)
     }
 
+    if (useWorker) {
+      try {
+        const { geometry, duration } = await this.workerClient.union(geometry1, geometry2, {
+          toolMatrix: matrix2,
+          jobKey: options.jobKey,
+          onProgress: options.onProgress
+        })
+        console.log(`布尔加法操作完成（Worker），耗时: ${duration.toFixed(2)}ms`)
+        return geometry
+      } catch (error) {
+        // 取消和运算错误直接抛出，只有 Worker 本身不可用时才回退到主线程
+        if (!error.workerUnavailable) throw error
+        console.warn('布尔运算 Worker 不可用，回退到主线程执行:', error.message)
+      }
+    }
+
     try {
       console.log('开始执行布尔加法操作 (ADDITION)')
       const startTime = performance.now()
+      options.onProgress?.({ stage: 'evaluate', progress: 0 })
 
       // 创建 Brush 对象
       const brush1 = this.createBrush(geometry1)
@@ -267,6 +347,7 @@ export class BooleanOperator {
       brush1.geometry.dispose()
       brush2.geometry.dispose()
 
+      options.onProgress?.({ stage: 'done', progress: 1 })
       return resultGeometry
 
     } catch (error) {
@@ -275,6 +356,114 @@ export class BooleanOperator {
     }
   }
 
+  /**
+   * 依次并集多个几何体，合并成一个实体（烘焙打印模型用）
+   * 输入先变换到同一坐标系，并统一为 position / uv / normal 三个属性（CSG 要求各 Brush 属性一致）；
+   * 每一步交给 Worker 执行，Worker 不可用时回退到主线程（每一步之间让出主线程，便于界面刷新进度）
+   * @param {Array<{geometry: THREE.BufferGeometry, matrix?: THREE.Matrix4, name?: string}>} items - 参与并集的几何体
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - 进度回调 ({ stage, progress, index, total, name }) => void
+   * @param {string} [options.jobKey='unionAll'] - Worker 任务键，可通过 cancel(jobKey) 取消
+   * @param {boolean} [options.useWorker] - 为 false 时强制在主线程执行
+   * @returns {Promise<THREE.BufferGeometry>} 不含材质组的结果几何体
+   */
+  async unionAll (items, options = {}) {
+    if (!this.isReady()) {
+      throw new Error('布尔操作库未准备就绪')
+    }
+    const parts = (items || []).filter(item => item?.geometry?.getAttribute('position'))
+    if (parts.length === 0) {
+      throw new Error('没有可合并的几何体')
+    }
+
+    const { onProgress = null, jobKey = 'unionAll' } = options
+    let useWorker = this._canUseWorker(options)
+    const total = parts.length
+    const startTime = performance.now()
+    console.log(`开始合并 ${total} 个几何体${useWorker ? '（Worker）' : ''}`)
+
+    let current = null
+    try {
+      for (let index = 0; index < total; index++) {
+        const { geometry, matrix = null, name = '' } = parts[index]
+        onProgress?.({ stage: 'union', progress: index / total, index, total, name })
+        await new Promise(resolve => setTimeout(resolve, 0))
+
+        const prepared = this._prepareUnionGeometry(geometry, matrix)
+        if (!current) {
+          current = prepared
+          continue
+        }
+
+        let result = null
+        if (useWorker) {
+          try {
+            ({ geometry: result } = await this.workerClient.union(current, prepared, {
+              jobKey,
+              onProgress: ({ progress }) => onProgress?.({
+                stage: 'union', progress: (index + progress) / total, index, total, name
+              })
+            }))
+          } catch (error) {
+            // 取消和运算错误直接抛出，只有 Worker 本身不可用时才回退到主线程
+            if (!error.workerUnavailable) throw error
+            console.warn('布尔运算 Worker 不可用，回退到主线程执行:', error.message)
+            useWorker = false
+          }
+        }
+        if (!result) {
+          const currentBrush = this.createBrush(current)
+          const brush = this.createBrush(prepared)
+          result = this.evaluator.evaluate(currentBrush, brush, ADDITION).geometry
+        }
+
+        current.dispose()
+        prepared.dispose()
+        current = result
+      }
+
+      current.clearGroups()
+      current.computeVertexNormals()
+      current.computeBoundingBox()
+      current.computeBoundingSphere()
+
+      console.log(`合并完成，耗时: ${(performance.now() - startTime).toFixed(2)}ms`)
+      onProgress?.({ stage: 'done', progress: 1, index: total, total, name: '' })
+      return current
+
+    } catch (error) {
+      current?.dispose()
+      if (error.cancelled) {
+        console.log('合并几何体已取消')
+      } else {
+        console.error('合并几何体失败:', error)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * 复制几何体用于并集：应用变换矩阵，补齐索引，只保留 position / uv / normal（缺少 uv 时补零）
+   * @param {THREE.BufferGeometry} geometry
+   * @param {THREE.Matrix4|null} matrix
+   * @returns {THREE.BufferGeometry}
+   */
+  _prepareUnionGeometry (geometry, matrix) {
+    const prepared = new THREE.BufferGeometry()
+    const position = geometry.getAttribute('position')
+    prepared.setAttribute('position', position.clone())
+    prepared.setIndex(geometry.index ? geometry.index.clone() : [...Array(position.count).keys()])
+
+    const uv = geometry.getAttribute('uv')
+    prepared.setAttribute('uv', uv && uv.itemSize === 2
+      ? uv.clone()
+      : new THREE.BufferAttribute(new Float32Array(position.count * 2), 2))
+
+    if (matrix) prepared.applyMatrix4(matrix)
+    prepared.computeVertexNormals()
+    return prepared
+  }
+
   /**
    * 执行布尔交集操作
    * @param {THREE.BufferGeometry} geometry1 - 几何体1
@@ -328,6 +517,7 @@ export class BooleanOperator {
       brush1.geometry.dispose()
       brush2.geometry.dispose()
 
+      options.onProgress?.({ stage: 'done', progress: 1 })
       return resultGeometry
 
     } catch (error) {
@@ -713,6 +903,10 @@ export class BooleanOperator {
       this.evaluator.useGroups = options.useGroups
     }
 
+    if (options.useWorker !== undefined) {
+      this.useWorker = options.useWorker
+    }
+
     console.log('布尔操作参数已更新:', options)
   }
 
@@ -720,6 +914,8 @@ export class BooleanOperator {
    * 销毁操作器，清理资源
    */
   destroy () {
+    this.workerClient?.dispose()
+    this.workerClient = null
     this.evaluator = null
     this.isLibraryLoaded = false
     console.log('布尔操作器已销毁')
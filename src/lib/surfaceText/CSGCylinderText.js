@@ -15,7 +15,7 @@
  * - 边缘更加精确
  */
 import * as THREE from 'three'
-import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js'
+import { textLayout } from './TextLayout.js'
 import { Brush, Evaluator, SUBTRACTION, INTERSECTION } from 'three-bvh-csg'
 
 export class CSGCylinderText {
@@ -121,13 +121,13 @@ export class CSGCylinderText {
    * 这样当文字中心放在圆柱表面时，文字会同时向内和向外延伸
    */
   createThickTextGeometry(text, font, config) {
-    const geometry = new TextGeometry(text, {
-      font: font,
+    // 按排版参数（多行、对齐、字间距）生成
+    const geometry = textLayout.createTextGeometry(text, font, {
       size: config.size,
       height: config.textHeight, // 很厚，用于穿透圆柱
       curveSegments: config.curveSegments,
       bevelEnabled: config.bevelEnabled
-    })
+    }, config)
 
     // 计算边界框
     geometry.computeBoundingBox()
@@ -0,0 +1,280 @@
+/**
+ * 布尔运算 Worker 客户端
+ * 负责把布尔运算任务（雕刻减法、浮雕并集）排队发送给 csg.worker.js，转发进度，并支持按任务键取消
+ */
+import * as THREE from 'three'
+// 以内联方式打包 Worker，库的使用方无需额外部署 Worker 脚本
+import CSGWorker from './csg.worker.js?worker&inline'
+
+const TRANSFER_ATTRIBUTES = ['position', 'normal', 'uv']
+
+/**
+ * 创建任务取消错误
+ * @param {string} [jobKey]
+ * @returns {Error}
+ */
+export function createCancelledError (jobKey) {
+  const error = new Error('布尔运算任务已取消')
+  error.cancelled = true
+  error.jobKey = jobKey
+  return error
+}
+
+function createUnavailableError (message) {
+  const error = new Error(message || '布尔运算 Worker 不可用')
+  error.workerUnavailable = true
+  return error
+}
+
+export class CSGWorkerClient {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.createWorker] - 自定义 Worker 工厂（默认加载 csg.worker.js）
+   */
+  constructor (options = {}) {
+    this.createWorker = options.createWorker || (() => new CSGWorker())
+
+    this._worker = null
+    this._available = CSGWorkerClient.isSupported()
+    this._queue = []
+    this._activeJob = null
+    this._nextJobId = 1
+  }
+
+  /**
+   * 当前环境是否支持 Web Worker
+   * @returns {boolean}
+   */
+  static isSupported () {
+    return typeof Worker !== 'undefined'
+  }
+
+  /**
+   * Worker 是否可用（创建失败或脚本加载失败后为 false，调用方应回退到主线程）
+   * @returns {boolean}
+   */
+  isAvailable () {
+    return this._available
+  }
+
+  /**
+   * 在 Worker 中执行布尔减法
+   * 输入几何体的数据会被复制后转移，调用方仍可继续使用原几何体
+   * @param {THREE.BufferGeometry} targetGeometry - 目标几何体
+   * @param {THREE.BufferGeometry} toolGeometry - 工具几何体
+   * @param {Object} [options]
+   * @param {THREE.Matrix4} [options.toolMatrix] - 工具几何体的变换矩阵
+   * @param {string} [options.jobKey] - 任务键，用于 cancel()
+   * @param {Function} [options.onProgress] - 进度回调 ({ stage, progress }) => void
+   * @returns {Promise<{geometry: THREE.BufferGeometry, duration: number}>} 结果几何体（材质组 0 = 原始表面，1 = 雕刻区域）
+   */
+  subtract (targetGeometry, toolGeometry, options = {}) {
+    return this._enqueue('subtract', targetGeometry, toolGeometry, options)
+  }
+
+  /**
+   * 在 Worker 中执行布尔并集（凸起的图片浮雕），参数和返回值同 subtract()
+   * @param {THREE.BufferGeometry} targetGeometry - 目标几何体
+   * @param {THREE.BufferGeometry} toolGeometry - 并入的几何体
+   * @param {Object} [options] - { toolMatrix, jobKey, onProgress }
+   * @returns {Promise<{geometry: THREE.BufferGeometry, duration: number}>}
+   */
+  union (targetGeometry, toolGeometry, options = {}) {
+    return this._enqueue('union', targetGeometry, toolGeometry, options)
+  }
+
+  _enqueue (type, targetGeometry, toolGeometry, options) {
+    if (!this._available) {
+      return Promise.reject(createUnavailableError())
+    }
+
+    return new Promise((resolve, reject) => {
+      const transfer = []
+      const job = {
+        id: this._nextJobId++,
+        key: options.jobKey ?? null,
+        onProgress: options.onProgress || null,
+        resolve,
+        reject,
+        message: null
+      }
+
+      job.message = {
+        type,
+        id: job.id,
+        target: this._serializeGeometry(targetGeometry, transfer),
+        tool: this._serializeGeometry(toolGeometry, transfer),
+        toolMatrix: options.toolMatrix ? options.toolMatrix.toArray() : null
+      }
+      job.transfer = transfer
+
+      this._queue.push(job)
+      this._next()
+    })
+  }
+
+  /**
+   * 取消任务：排队中的直接移除，执行中的会终止 Worker（下个任务重新创建）
+   * @param {string} [jobKey] - 任务键，省略时取消全部任务
+   * @returns {number} 取消的任务数量
+   */
+  cancel (jobKey) {
+    const matches = (job) => jobKey === undefined || job.key === jobKey
+    let count = 0
+
+    this._queue = this._queue.filter(job => {
+      if (!matches(job)) return true
+      job.reject(createCancelledError(job.key))
+      count++
+      return false
+    })
+
+    if (this._activeJob && matches(this._activeJob)) {
+      const job = this._activeJob
+      this._activeJob = null
+      this._terminateWorker()
+      job.reject(createCancelledError(job.key))
+      count++
+      this._next()
+    }
+
+    if (count > 0) {
+      console.log(`[CSGWorker] 已取消 ${count} 个布尔运算任务`, jobKey ?? '')
+    }
+    return count
+  }
+
+  /**
+   * 是否有未完成的任务
+   * @param {string} [jobKey]
+   * @returns {boolean}
+   */
+  hasPendingJobs (jobKey) {
+    const matches = (job) => jobKey === undefined || job.key === jobKey
+    return (this._activeJob && matches(this._activeJob)) || this._queue.some(matches)
+  }
+
+  /**
+   * 销毁客户端，取消全部任务并终止 Worker
+   */
+  dispose () {
+    this.cancel()
+    this._terminateWorker()
+    this._available = false
+  }
+
+  _next () {
+    if (this._activeJob || this._queue.length === 0) return
+
+    const worker = this._ensureWorker()
+    if (!worker) {
+      this._failAll(createUnavailableError())
+      return
+    }
+
+    const job = this._queue.shift()
+    this._activeJob = job
+    worker.postMessage(job.message, job.transfer)
+    job.message = null
+    job.transfer = null
+  }
+
+  _ensureWorker () {
+    if (this._worker) return this._worker
+    try {
+      this._worker = this.createWorker()
+      this._worker.onmessage = (event) => this._onMessage(event.data)
+      this._worker.onerror = (event) => this._onWorkerError(event)
+    } catch (error) {
+      console.warn('[CSGWorker] 创建 Worker 失败，将回退到主线程执行:', error)
+      this._worker = null
+      this._available = false
+    }
+    return this._worker
+  }
+
+  _terminateWorker () {
+    if (!this._worker) return
+    this._worker.onmessage = null
+    this._worker.onerror = null
+    this._worker.terminate()
+    this._worker = null
+  }
+
+  _onMessage (message) {
+    const job = this._activeJob
+    if (!job || message?.id !== job.id) return
+
+    if (message.type === 'progress') {
+      job.onProgress?.({ stage: message.stage, progress: message.progress })
+      return
+    }
+
+    this._activeJob = null
+    if (message.type === 'result') {
+      job.onProgress?.({ stage: 'done', progress: 1 })
+      job.resolve({
+        geometry: this._deserializeGeometry(message.geometry),
+        duration: message.duration
+      })
+    } else {
+      job.reject(new Error(message.message || '布尔运算失败'))
+    }
+    this._next()
+  }
+
+  _onWorkerError (event) {
+    event?.preventDefault?.()
+    console.warn('[CSGWorker] Worker 运行出错，将回退到主线程执行:', event?.message || event)
+
+    // 脚本加载失败等错误无法恢复，后续任务都交给主线程
+    this._terminateWorker()
+    this._available = false
+    this._failAll(createUnavailableError(event?.message))
+  }
+
+  _failAll (error) {
+    const jobs = this._activeJob ? [this._activeJob, ...this._queue] : this._queue
+    this._activeJob = null
+    this._queue = []
+    jobs.forEach(job => job.reject(error))
+  }
+
+  _serializeGeometry (geometry, transfer) {
+    const attributes = {}
+    TRANSFER_ATTRIBUTES.forEach(name => {
+      const attribute = geometry.getAttribute(name)
+      if (!attribute) return
+      // 复制成独立数组再转移（交错属性 clone() 时会解交错）
+      const array = attribute.isInterleavedBufferAttribute
+        ? attribute.clone().array
+        : attribute.array.slice()
+      attributes[name] = { array, itemSize: attribute.itemSize, normalized: attribute.normalized }
+      transfer.push(array.buffer)
+    })
+
+    const index = geometry.index ? geometry.index.array.slice() : null
+    if (index) transfer.push(index.buffer)
+
+    return {
+      attributes,
+      index,
+      groups: geometry.groups.map(group => ({ ...group }))
+    }
+  }
+
+  _deserializeGeometry (data) {
+    const geometry = new THREE.BufferGeometry()
+    Object.keys(data.attributes).forEach(name => {
+      const { array, itemSize, normalized } = data.attributes[name]
+      geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize, normalized))
+    })
+    if (data.index) geometry.setIndex(new THREE.BufferAttribute(data.index, 1))
+    data.groups.forEach(group => geometry.addGroup(group.start, group.count, group.materialIndex))
+    geometry.computeBoundingBox()
+    geometry.computeBoundingSphere()
+    return geometry
+  }
+}
+
+export default CSGWorkerClient
@@ -4,10 +4,12 @@
  */
 import { surfaceIdentifier } from './SurfaceIdentifier.js'
 import { normalizeConfig, serializeConfig } from '../../../config/config.js'
+import { MeshMeasurement } from '../analysis/MeshMeasurement.js'
 
 export class ConfigManager {
   constructor(surfaceTextManager) {
     this.surfaceTextManager = surfaceTextManager
+    this.meshMeasurement = new MeshMeasurement()
   }
 
   /**
@@ -144,43 +146,36 @@ export class ConfigManager {
     
     const mainMesh = targetMeshes[0] // 假设第一个是主模型
     
-    // 计算包围盒
-    mainMesh.geometry.computeBoundingBox()
-    const boundingBox = mainMesh.geometry.boundingBox
-    const size = boundingBox.getSize(new THREE.Vector3())
+    // 按世界坐标测量（包含缩放和旋转）
+    const measurement = this.meshMeasurement.measureObjects(mainMesh)
     
     return {
       position: mainMesh.position.toArray(),
       scale: mainMesh.scale.toArray(),
       rotation: mainMesh.rotation.toArray(),
-      surface: this.calculateSurfaceArea(mainMesh.geometry),
-      volume: this.calculateVolume(mainMesh.geometry),
-      boundingBox: [size.x, size.y, size.z]
+      surface: measurement.surface,
+      volume: measurement.volume,
+      boundingBox: measurement.boundingBox,
+      obb: measurement.obb.size
     }
   }
 
   /**
-   * 计算表面积（简化计算）
+   * 计算表面积（所有三角形面积之和）
    * @param {THREE.BufferGeometry} geometry - 几何体
    * @returns {number} 表面积
    */
   calculateSurfaceArea(geometry) {
-    // 简化计算，实际应该计算所有三角形面积之和
-    const boundingBox = geometry.boundingBox
-    const size = boundingBox.getSize(new THREE.Vector3())
-    return 2 * (size.x * size.y + size.y * size.z + size.z * size.x)
+    return this.meshMeasurement.measureGeometry(geometry).surface
   }
 
   /**
-   * 计算体积（简化计算）
+   * 计算体积（有向四面体体积之和，要求网格闭合）
    * @param {THREE.BufferGeometry} geometry - 几何体
    * @returns {number} 体积
    */
   calculateVolume(geometry) {
-    // 简化计算，使用包围盒体积
-    const boundingBox = geometry.boundingBox
-    const size = boundingBox.getSize(new THREE.Vector3())
-    return size.x * size.y * size.z
+    return this.meshMeasurement.measureGeometry(geometry).volume
   }
 
   /**
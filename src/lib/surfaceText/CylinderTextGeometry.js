@@ -16,7 +16,7 @@
  * - worldZ = r * sin(theta)
  */
 import * as THREE from 'three'
-import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js'
+import { textLayout } from './TextLayout.js'
 
 export class CylinderTextGeometry {
   constructor() {
@@ -50,16 +50,15 @@ export class CylinderTextGeometry {
       startPoint: `(${startPoint.x.toFixed(2)}, ${startPoint.y.toFixed(2)}, ${startPoint.z.toFixed(2)})`
     })
 
-    // 1. 生成平面 TextGeometry（这是一个闭合流形）
-    const textGeometry = new TextGeometry(text, {
-      font: font,
+    // 1. 生成平面文字几何体（每个字符都是闭合流形，支持多行排版）
+    const textGeometry = textLayout.createTextGeometry(text, font, {
       size: finalConfig.size || 1,
       height: finalConfig.thickness || finalConfig.depth || 0.5,
       curveSegments: finalConfig.curveSegments,
       bevelEnabled: finalConfig.bevelEnabled,
       bevelThickness: finalConfig.bevelThickness,
       bevelSize: finalConfig.bevelSize
-    })
+    }, finalConfig)
 
     // 计算边界框
     textGeometry.computeBoundingBox()
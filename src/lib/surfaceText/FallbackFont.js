@@ -0,0 +1,133 @@
+/**
+ * 字体回退链
+ * 把多个字体组合成一个 THREE.Font：每个字符使用链中第一个包含该字形的字体，
+ * 中英文混排（如 "张三 2025"）时拉丁字符用主字体，汉字自动落到包含汉字的字体上
+ *
+ * 字形统一换算到主字体的 resolution，TextGeometry 和 TextLayout 可以直接使用；
+ * 字偶距只在相邻两个字符来自同一字体时生效
+ */
+import { Font } from 'three/examples/jsm/loaders/FontLoader.js'
+
+/**
+ * 字体是否包含该字符的字形（不含 '?' 回退）
+ * @param {THREE.Font} font
+ * @param {string} char
+ * @returns {boolean}
+ */
+export function fontHasGlyph (font, char) {
+  if (!font) return false
+  if (typeof font.hasGlyph === 'function') return font.hasGlyph(char)
+  const glyphs = font.data?.glyphs
+  return !!glyphs && Object.prototype.hasOwnProperty.call(glyphs, char)
+}
+
+export class FallbackFont extends Font {
+  /**
+   * @param {THREE.Font[]} fonts - 字体链，第一个为主字体
+   */
+  constructor (fonts) {
+    const chain = fonts.filter((font, index) => font && fonts.indexOf(font) === index)
+    if (chain.length === 0) {
+      throw new Error('字体回退链为空')
+    }
+
+    const primary = chain[0]
+    super({ ...primary.data, glyphs: null })
+
+    this.name = primary.name || primary.data?.familyName
+    this.fonts = chain
+    this.primary = primary
+    this.isFallbackFont = true
+
+    // 字符 → 使用的字体（null 表示所有字体都没有）
+    this.fontCache = new Map()
+    const glyphCache = new Map()
+    this.data.glyphs = new Proxy({}, {
+      get: (target, char) => {
+        if (typeof char !== 'string') return undefined
+        if (!glyphCache.has(char)) glyphCache.set(char, this.convertGlyph(char))
+        return glyphCache.get(char)
+      },
+      has: (target, char) => typeof char === 'string' && !!this.resolveFont(char)
+    })
+  }
+
+  /**
+   * 查找包含该字符的第一个字体
+   * @param {string} char
+   * @returns {THREE.Font|null}
+   */
+  resolveFont (char) {
+    if (!this.fontCache.has(char)) {
+      this.fontCache.set(char, this.fonts.find(font => fontHasGlyph(font, char)) || null)
+    }
+    return this.fontCache.get(char)
+  }
+
+  hasGlyph (char) {
+    return !!this.resolveFont(char)
+  }
+
+  /**
+   * 字体链中所有字体都缺少字形的字符（空白字符除外，去重）
+   * @param {string} text
+   * @returns {string[]}
+   */
+  getMissingChars (text) {
+    const missing = new Set()
+    Array.from(String(text)).forEach(char => {
+      if (char.trim() && !this.resolveFont(char)) missing.add(char)
+    })
+    return Array.from(missing)
+  }
+
+  /**
+   * 取出字形并换算到主字体的坐标单位
+   * @param {string} char
+   * @returns {Object|undefined}
+   */
+  convertGlyph (char) {
+    const font = this.resolveFont(char)
+    if (!font) return undefined
+
+    const glyph = font.data.glyphs[char]
+    const ratio = this.getScaleRatio(font)
+    if (!glyph || ratio === 1) return glyph
+
+    // _cachedOutline 是按原字体坐标解析的轮廓缓存，不能带到换算后的字形上
+    const { _cachedOutline, ...rest } = glyph
+    const scale = (value) => value === undefined ? undefined : value * ratio
+    return {
+      ...rest,
+      ha: scale(glyph.ha),
+      x_min: scale(glyph.x_min),
+      x_max: scale(glyph.x_max),
+      o: glyph.o && glyph.o.split(' ').map(token => {
+        const value = Number(token)
+        return token === '' || Number.isNaN(value) ? token : value * ratio
+      }).join(' ')
+    }
+  }
+
+  /**
+   * 字偶距（主字体坐标单位）
+   * @param {string} left
+   * @param {string} right
+   * @returns {number}
+   */
+  getKerningValue (left, right) {
+    const font = this.resolveFont(left)
+    if (!font || font !== this.resolveFont(right)) return 0
+
+    const value = typeof font.getKerningValue === 'function'
+      ? font.getKerningValue(left, right)
+      : font.data.kerning?.[left]?.[right]
+    return typeof value === 'number' ? value * this.getScaleRatio(font) : 0
+  }
+
+  getScaleRatio (font) {
+    return (this.data.resolution || 1000) / (font.data.resolution || 1000)
+  }
+}
+
+export default FallbackFont
@@ -3,11 +3,16 @@
  * 结合GPT方案的特征识别和我的哈希标识
  */
 import * as THREE from 'three'
+import { FeatureDetector } from '../facePicking/FeatureDetector.js'
 
 export class FeatureBasedIdentifier {
   constructor() {
     this.features = new Map() // featureId -> Feature
     this.meshFeatures = new Map() // meshId -> Feature[]
+
+    // 球面/圆锥面拟合复用特征检测器
+    this.featureDetector = new FeatureDetector()
+    this.curvedSurfaceCache = new WeakMap() // geometry -> { version, result }
   }
 
   /**
@@ -30,6 +35,10 @@ export class FeatureBasedIdentifier {
     // 3. 球面特征检测
     const sphereFeatures = this.detectSphereFeatures(geometry)
     features.push(...sphereFeatures)
+
+    // 4. 圆锥面特征检测
+    const coneFeatures = this.detectConeFeatures(geometry)
+    features.push(...coneFeatures)
     
     // 注册特征
     const meshId = this.generateMeshId(mesh)
@@ -129,8 +138,46 @@ export class FeatureBasedIdentifier {
    * @returns {Array} 球面特征数组
    */
   detectSphereFeatures(geometry) {
-    // 简化实现，实际需要复杂的球面检测算法
-    return []
+    return this.detectCurvedSurfaces(geometry).spheres.map((sphere, index) => ({
+      id: `sphere_${index}`,
+      type: 'SphereFeature',
+      center: sphere.center.clone(),
+      radius: sphere.radius,
+      confidence: sphere.confidence,
+      faces: sphere.triangleIndices
+    }))
+  }
+
+  /**
+   * 检测圆锥面特征
+   * @param {THREE.BufferGeometry} geometry - 几何体
+   * @returns {Array} 圆锥面特征数组
+   */
+  detectConeFeatures(geometry) {
+    return this.detectCurvedSurfaces(geometry).cones.map((cone, index) => ({
+      id: `cone_${index}`,
+      type: 'ConeFeature',
+      apex: cone.apex.clone(),
+      axis: cone.axis.clone(),
+      halfAngle: cone.halfAngle,
+      confidence: cone.confidence,
+      faces: cone.triangleIndices
+    }))
+  }
+
+  /**
+   * 拟合球面和圆锥面（同一几何体只计算一次）
+   * @param {THREE.BufferGeometry} geometry - 几何体
+   * @returns {{spheres: Array, cones: Array}}
+   */
+  detectCurvedSurfaces(geometry) {
+    const version = geometry.getAttribute('position')?.version
+    const cached = this.curvedSurfaceCache.get(geometry)
+    if (cached && cached.version === version) return cached.result
+
+    const result = this.featureDetector.detectCurvedSurfaces(geometry)
+    this.curvedSurfaceCache.set(geometry, { version, result })
+    return result
   }
 
   /**
@@ -325,6 +372,21 @@ export class FeatureBasedIdentifier {
   }
 
   getFeatureNormalAtPoint(feature, point) {
+    if (feature.type === 'SphereFeature') {
+      return point.clone().sub(feature.center).normalize()
+    }
+
+    if (feature.type === 'ConeFeature') {
+      // 外法线 = 径向 * cos(半顶角) - 轴向 * sin(半顶角)
+      const toPoint = point.clone().sub(feature.apex)
+      const radial = toPoint.addScaledVector(feature.axis, -toPoint.dot(feature.axis))
+      if (radial.lengthSq() < 1e-12) return feature.axis.clone().negate()
+      return radial.normalize()
+        .multiplyScalar(Math.cos(feature.halfAngle))
+        .addScaledVector(feature.axis, -Math.sin(feature.halfAngle))
+        .normalize()
+    }
+
     return feature.normal || new THREE.Vector3(0, 1, 0)
   }
 
@@ -0,0 +1,144 @@
+/**
+ * OpenType 字体适配器
+ * 在浏览器中解析 TTF/OTF/WOFF 字体，按需把字符轮廓转换成 typeface 格式的字形，
+ * 可直接作为 THREE.Font 传给 TextGeometry 和 TextLayout 使用
+ *
+ * 与 TTFLoader 一次性转换全部字形不同，这里只在第一次访问某个字符时转换并缓存，
+ * 中日韩字体有上万个字形，按需转换可以避免加载时的长时间卡顿和多余内存
+ */
+import { Font } from 'three/examples/jsm/loaders/FontLoader.js'
+import opentype from 'three/examples/jsm/libs/opentype.module.js'
+
+// 与 typeface.json（facetype.js 导出）保持相同的坐标比例，同一字号下大小一致
+const TYPEFACE_RESOLUTION = 1000
+const TYPEFACE_POINTS = 72
+
+/**
+ * 判断字体文件格式
+ * @param {ArrayBuffer} buffer
+ * @returns {string} 'truetype' | 'opentype' | 'woff' | 'woff2' | 'unknown'
+ */
+export function detectFontFormat (buffer) {
+  if (!buffer || buffer.byteLength < 4) return 'unknown'
+  const view = new DataView(buffer)
+  const signature = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3))
+  if (signature === 'wOFF') return 'woff'
+  if (signature === 'wOF2') return 'woff2'
+  if (signature === 'OTTO') return 'opentype'
+  if (signature === 'true' || view.getUint32(0) === 0x00010000) return 'truetype'
+  return 'unknown'
+}
+
+export class OpenTypeFont extends Font {
+  /**
+   * @param {opentype.Font} otFont - opentype.js 解析结果
+   * @param {Object} [options]
+   * @param {string} [options.name] - 注册名称
+   */
+  constructor (otFont, options = {}) {
+    const unitsPerEm = otFont.unitsPerEm || 2048
+    const scale = TYPEFACE_RESOLUTION * 100 / (unitsPerEm * TYPEFACE_POINTS)
+    const head = otFont.tables.head || {}
+    const post = otFont.tables.post || {}
+
+    super({
+      familyName: otFont.getEnglishName?.('fontFamily') || options.name || 'OpenType',
+      resolution: TYPEFACE_RESOLUTION,
+      ascender: Math.round(otFont.ascender * scale),
+      descender: Math.round(otFont.descender * scale),
+      underlinePosition: Math.round((post.underlinePosition || 0) * scale),
+      underlineThickness: Math.round((post.underlineThickness || 0) * scale),
+      boundingBox: {
+        xMin: Math.round((head.xMin || 0) * scale),
+        xMax: Math.round((head.xMax || 0) * scale),
+        yMin: Math.round((head.yMin || 0) * scale),
+        yMax: Math.round((head.yMax || 0) * scale)
+      },
+      glyphs: null
+    })
+
+    this.name = options.name || this.data.familyName
+    this.otFont = otFont
+    this.scale = scale
+    this.isOpenTypeFont = true
+
+    // 字形按需转换：读取 data.glyphs[char] 时才转换该字符
+    const cache = new Map()
+    this.data.glyphs = new Proxy({}, {
+      get: (target, char) => {
+        if (typeof char !== 'string') return undefined
+        if (!cache.has(char)) cache.set(char, this.convertGlyph(char))
+        return cache.get(char)
+      },
+      has: (target, char) => typeof char === 'string' && this.hasGlyph(char)
+    })
+    this.glyphCache = cache
+  }
+
+  /**
+   * 解析字体文件
+   * @param {ArrayBuffer} buffer - TTF/OTF/WOFF 文件内容
+   * @param {Object} [options]
+   * @returns {OpenTypeFont}
+   */
+  static parse (buffer, options = {}) {
+    const format = detectFontFormat(buffer)
+    if (format === 'woff2') {
+      throw new Error('暂不支持 WOFF2 字体，请转换为 WOFF/TTF/OTF 后再加载')
+    }
+    return new OpenTypeFont(opentype.parse(buffer), options)
+  }
+
+  /**
+   * 字体是否包含该字符（不含 .notdef 回退）
+   * @param {string} char
+   * @returns {boolean}
+   */
+  hasGlyph (char) {
+    return this.otFont.charToGlyphIndex(char) > 0
+  }
+
+  /**
+   * 把单个字符的轮廓转换成 typeface 字形 { ha, x_min, x_max, o }
+   * 字体中没有的字符返回 undefined，由调用方回退（Font.generateShapes 会使用 '?'）
+   * @param {string} char
+   * @returns {Object|undefined}
+   */
+  convertGlyph (char) {
+    if (Array.from(char).length !== 1 || !this.hasGlyph(char)) return undefined
+
+    const glyph = this.otFont.charToGlyph(char)
+    const round = (value) => Math.round(value * this.scale)
+    const outline = []
+
+    glyph.path.commands.forEach(command => {
+      // typeface 格式：q/b 先写终点，再写控制点
+      const type = command.type === 'C' ? 'b' : command.type.toLowerCase()
+      outline.push(type)
+      if (command.x !== undefined) outline.push(round(command.x), round(command.y))
+      if (command.x1 !== undefined) outline.push(round(command.x1), round(command.y1))
+      if (command.x2 !== undefined) outline.push(round(command.x2), round(command.y2))
+    })
+
+    return {
+      ha: round(glyph.advanceWidth || 0),
+      x_min: round(glyph.xMin || 0),
+      x_max: round(glyph.xMax || 0),
+      o: outline.join(' ')
+    }
+  }
+
+  /**
+   * 字偶距（typeface 坐标单位，与 data.resolution 对应）
+   * @param {string} left
+   * @param {string} right
+   * @returns {number}
+   */
+  getKerningValue (left, right) {
+    if (!this.hasGlyph(left) || !this.hasGlyph(right)) return 0
+    const value = this.otFont.getKerningValue(this.otFont.charToGlyph(left), this.otFont.charToGlyph(right))
+    return value ? value * this.scale : 0
+  }
+}
+
+export default OpenTypeFont
@@ -0,0 +1,509 @@
+/**
+ * 路径文字几何体生成器
+ * 沿网格表面上的折线/样条路径排布文字，每个顶点按所在弧长处的切线和表面法线定位
+ * 提供目标几何体时，路径采样点用 BVH 吸附到最近的表面上，法线取命中三角形的法线
+ *
+ * 路径配置（保存在文字 config.path 中，坐标为目标网格局部坐标系）：
+ * {
+ *   points: [[x, y, z], ...],   // 路径控制点
+ *   normals: [[x, y, z], ...],  // 控制点处的表面法线
+ *   curve: 'spline' | 'polyline',
+ *   closed: false,
+ *   align: 'start' | 'center' | 'end',
+ *   offset: 0                   // 沿路径的额外偏移
+ * }
+ */
+import * as THREE from 'three'
+import { MeshBVH } from 'three-mesh-bvh'
+import { mergeGeometries, mergeVertices, toCreasedNormals } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+import { curvedTextGeometry } from './CurvedTextGeometry.js'
+import { textLayout } from './TextLayout.js'
+import { textEffects } from './TextEffects.js'
+
+// 样条/折线每段采样数
+const SPLINE_SAMPLES_PER_SEGMENT = 16
+
+// 目标几何体 → { bvh, version }
+const boundsTreeCache = new WeakMap()
+
+/**
+ * 获取目标几何体的 BVH（按位置属性版本缓存，路径文字和投影文字共用）
+ * 使用 indirect 模式，不会重排目标几何体的 index，面索引保持不变
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {MeshBVH}
+ */
+export function getBoundsTree(geometry) {
+  const version = geometry.attributes.position.version
+  const cached = boundsTreeCache.get(geometry)
+  if (cached && cached.version === version) return cached.bvh
+
+  const bvh = new MeshBVH(geometry, { indirect: true })
+  boundsTreeCache.set(geometry, { bvh, version })
+  return bvh
+}
+
+/**
+ * 路径弧长采样器：把控制点展开成按弧长排列的采样表，用于查询任意弧长处的标架
+ */
+export class PathFrameSampler {
+  /**
+   * @param {Object} path - 路径配置
+   * @param {Object} [options]
+   * @param {THREE.BufferGeometry} [options.geometry] - 目标几何体（与路径同一局部坐标系），提供时采样点吸附到表面上
+   */
+  constructor(path, options = {}) {
+    const points = (path.points || []).map(p => new THREE.Vector3().fromArray(p))
+    if (points.length < 2) {
+      throw new Error('路径至少需要两个点')
+    }
+
+    let normals = (path.normals || []).map(n => new THREE.Vector3().fromArray(n).normalize())
+    if (normals.length !== points.length) {
+      console.warn('路径法线数量与控制点不一致，使用默认法线 (0, 0, 1)')
+      normals = points.map(() => new THREE.Vector3(0, 0, 1))
+    }
+
+    this.closed = !!path.closed && points.length > 2
+    this.curveType = path.curve === 'polyline' ? 'polyline' : 'spline'
+
+    this.positions = []
+    this.tangents = []
+    this.normals = []
+    this.lengths = []
+
+    if (this.curveType === 'polyline') {
+      this._samplePolyline(points, normals)
+    } else {
+      this._sampleSpline(points, normals)
+    }
+
+    if (options.geometry?.attributes?.position) {
+      this._snapToSurface(options.geometry)
+    }
+
+    this.length = this.lengths[this.lengths.length - 1]
+    if (!(this.length > 0)) {
+      throw new Error('路径长度为 0')
+    }
+  }
+
+  _samplePolyline(points, normals) {
+    const count = points.length
+    const segments = this.closed ? count : count - 1
+    let length = 0
+
+    const position = new THREE.Vector3()
+    const normal = new THREE.Vector3()
+
+    // 每段写入起止两个采样（中间细分，便于吸附到弯曲的表面），拐角处同一弧长有两个切线不同的采样
+    for (let i = 0; i < segments; i++) {
+      const a = points[i]
+      const b = points[(i + 1) % count]
+      const tangent = b.clone().sub(a)
+      const segmentLength = tangent.length()
+      if (segmentLength < 1e-9) continue
+      tangent.divideScalar(segmentLength)
+
+      for (let k = 0; k <= SPLINE_SAMPLES_PER_SEGMENT; k++) {
+        const f = k / SPLINE_SAMPLES_PER_SEGMENT
+        position.lerpVectors(a, b, f)
+        normal.lerpVectors(normals[i], normals[(i + 1) % count], f).normalize()
+        this._pushSample(position, tangent, normal, length + segmentLength * f)
+      }
+      length += segmentLength
+    }
+  }
+
+  _sampleSpline(points, normals) {
+    const count = points.length
+    const curve = new THREE.CatmullRomCurve3(points, this.closed, 'centripetal')
+    const segments = this.closed ? count : count - 1
+    const sampleCount = segments * SPLINE_SAMPLES_PER_SEGMENT
+    const normal = new THREE.Vector3()
+    const previous = new THREE.Vector3()
+    let length = 0
+
+    for (let k = 0; k <= sampleCount; k++) {
+      const t = k / sampleCount
+      const position = curve.getPoint(t)
+      const tangent = curve.getTangent(t).normalize()
+
+      // CatmullRomCurve3 的参数 t 在各段间均匀分布，可直接换算到控制点区间插值法线
+      const u = Math.min(t * segments, segments - 1e-9)
+      const i = Math.floor(u)
+      normal.copy(normals[i]).lerp(normals[(i + 1) % count], u - i).normalize()
+
+      if (k > 0) length += position.distanceTo(previous)
+      previous.copy(position)
+      this._pushSample(position, tangent, normal, length)
+    }
+  }
+
+  /**
+   * 把采样点吸附到最近的表面点，法线取命中三角形的法线（有顶点法线时按重心坐标插值），
+   * 切线投影到新的切平面内，弧长按吸附后的位置重新累计
+   * @private
+   */
+  _snapToSurface(geometry) {
+    const bvh = getBoundsTree(geometry)
+    const position = geometry.attributes.position
+    const vertexNormals = geometry.attributes.normal
+    const index = geometry.index
+    const triangle = new THREE.Triangle()
+    const barycoord = new THREE.Vector3()
+    const na = new THREE.Vector3()
+    const nb = new THREE.Vector3()
+    const nc = new THREE.Vector3()
+    const hit = {}
+
+    this.positions.forEach((point, i) => {
+      if (!bvh.closestPointToPoint(point, hit)) return
+
+      const face = hit.faceIndex * 3
+      const ia = index ? index.getX(face) : face
+      const ib = index ? index.getX(face + 1) : face + 1
+      const ic = index ? index.getX(face + 2) : face + 2
+      triangle.setFromAttributeAndIndices(position, ia, ib, ic)
+
+      const normal = this.normals[i]
+      const reference = normal.clone()
+      if (vertexNormals) {
+        triangle.getBarycoord(hit.point, barycoord)
+        normal.set(0, 0, 0)
+          .addScaledVector(na.fromBufferAttribute(vertexNormals, ia), barycoord.x)
+          .addScaledVector(nb.fromBufferAttribute(vertexNormals, ib), barycoord.y)
+          .addScaledVector(nc.fromBufferAttribute(vertexNormals, ic), barycoord.z)
+      }
+      if (!vertexNormals || normal.lengthSq() < 1e-12) triangle.getNormal(normal)
+      normal.normalize()
+      // 与控制点法线保持同侧（薄壁或非一致绕向时最近面可能朝内）
+      if (normal.dot(reference) < 0) normal.negate()
+
+      point.copy(hit.point)
+      const tangent = this.tangents[i]
+      tangent.addScaledVector(normal, -tangent.dot(normal))
+      if (tangent.lengthSq() > 1e-12) tangent.normalize()
+    })
+
+    // 吸附后重新累计弧长（拐角处的两个采样位置相同，弧长不变）
+    for (let i = 1; i < this.positions.length; i++) {
+      this.lengths[i] = this.lengths[i - 1] + this.positions[i].distanceTo(this.positions[i - 1])
+    }
+  }
+
+  _pushSample(position, tangent, normal, length) {
+    this.positions.push(position.clone())
+    this.tangents.push(tangent.clone())
+    this.normals.push(normal.clone())
+    this.lengths.push(length)
+  }
+
+  /**
+   * 查询弧长 s 处的标架（切线 T、法线 N、副法线 B = N × T）
+   * 开放路径超出两端时沿端点切线外推
+   * @param {number} s - 弧长
+   * @param {Object} [target] - 输出对象 { position, tangent, normal, binormal }
+   * @returns {Object} 标架
+   */
+  frameAt(s, target = PathFrameSampler.createFrame()) {
+    const { lengths } = this
+    let extra = 0
+
+    if (this.closed) {
+      s = ((s % this.length) + this.length) % this.length
+    } else if (s < 0) {
+      extra = s
+      s = 0
+    } else if (s > this.length) {
+      extra = s - this.length
+      s = this.length
+    }
+
+    // 二分查找所在采样区间
+    let lo = 0
+    let hi = lengths.length - 1
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1
+      if (lengths[mid] <= s) lo = mid
+      else hi = mid
+    }
+
+    const span = lengths[hi] - lengths[lo]
+    const f = span > 1e-12 ? (s - lengths[lo]) / span : 0
+
+    target.position.copy(this.positions[lo]).lerp(this.positions[hi], f)
+    target.tangent.copy(this.tangents[lo]).lerp(this.tangents[hi], f).normalize()
+    target.normal.copy(this.normals[lo]).lerp(this.normals[hi], f)
+
+    // 法线与切线正交化，避免路径点不在同一切平面时文字扭曲
+    target.normal.addScaledVector(target.tangent, -target.normal.dot(target.tangent))
+    if (target.normal.lengthSq() < 1e-12) {
+      target.normal.copy(curvedTextGeometry.getPerpendicularVector(target.tangent))
+    }
+    target.normal.normalize()
+    target.binormal.crossVectors(target.normal, target.tangent)
+
+    if (extra !== 0) {
+      target.position.addScaledVector(target.tangent, extra)
+    }
+
+    return target
+  }
+
+  static createFrame() {
+    return {
+      position: new THREE.Vector3(),
+      tangent: new THREE.Vector3(),
+      normal: new THREE.Vector3(),
+      binormal: new THREE.Vector3()
+    }
+  }
+}
+
+export class PathTextGeometry {
+  constructor() {
+    this.defaultConfig = {
+      size: 1,
+      thickness: 0.1,
+      curveSegments: 12,
+      bevelEnabled: false,
+      bevelThickness: 0.02,
+      bevelSize: 0.01,
+      bevelOffset: 0,
+      bevelSegments: 5,
+      // 字间距（字号的倍数）
+      letterSpacing: 0,
+      // 细分级别，路径弯曲越大需要越高的顶点密度
+      subdivisionLevel: 1,
+      // 折痕角，小于该角度的相邻面共享平滑法线
+      creaseAngle: Math.PI / 6
+    }
+  }
+
+  /**
+   * 沿路径生成文字几何体
+   * @param {string} text - 文字内容
+   * @param {THREE.Font} font - 字体
+   * @param {Object} path - 路径配置（目标网格局部坐标系）
+   * @param {Object} config - 文字配置
+   * @param {Object} [options]
+   * @param {THREE.BufferGeometry} [options.geometry] - 目标几何体，提供时路径采样点吸附到表面上
+   * @returns {THREE.BufferGeometry} 路径文字几何体（目标网格局部坐标系）
+   */
+  generate(text, font, path, config = {}, options = {}) {
+    const finalConfig = { ...this.defaultConfig, ...config }
+    const sampler = new PathFrameSampler(path, { geometry: options.geometry })
+
+    const glyphs = this.layoutGlyphs(text, font, finalConfig)
+    if (glyphs.items.length === 0) {
+      console.warn('没有生成任何字符几何体')
+      return new THREE.BufferGeometry()
+    }
+
+    // 对齐方式决定文字中点在路径上的起始弧长
+    const align = path.align || 'center'
+    let start = path.offset || 0
+    if (align === 'center') start += (sampler.length - glyphs.width) / 2
+    else if (align === 'end') start += sampler.length - glyphs.width
+
+    if (!sampler.closed && glyphs.width > sampler.length) {
+      console.warn(`文字长度 ${glyphs.width.toFixed(2)} 超过路径长度 ${sampler.length.toFixed(2)}，超出部分沿端点切线延伸`)
+    }
+
+    const frame = PathFrameSampler.createFrame()
+    const result = this.mapGlyphs(glyphs, start, finalConfig, (s, y, z, target) => {
+      sampler.frameAt(s, frame)
+      target.copy(frame.position)
+        .addScaledVector(frame.binormal, y)
+        .addScaledVector(frame.normal, z)
+    })
+    result.userData = {
+      generatorType: 'PathTextGeometry',
+      isPathText: true,
+      isManifold: true,
+      pathLength: sampler.length,
+      textLength: glyphs.width
+    }
+
+    console.log(`✅ 路径文字生成成功: "${text}"`, {
+      glyphs: glyphs.items.length,
+      pathLength: sampler.length.toFixed(2),
+      textLength: glyphs.width.toFixed(2),
+      vertices: result.attributes.position.count
+    })
+
+    return result
+  }
+
+  /**
+   * 把排布好的字符逐顶点映射到曲面上，合并后按折痕角计算法线
+   * 映射前整段文字垂直居中，厚度方向以表面为中心（一半在表面外，一半在表面内）
+   * @param {Object} glyphs - layoutGlyphs() 的结果
+   * @param {number} start - 行起点的水平坐标
+   * @param {Object} config - 文字配置
+   * @param {Function} mapVertex - (x, y, z, target: THREE.Vector3) => void，x 为水平坐标，z 为离开表面的距离
+   * @returns {THREE.BufferGeometry}
+   */
+  mapGlyphs(glyphs, start, config, mapVertex) {
+    const size = config.size || 1
+    const yOffset = -(glyphs.minY + glyphs.maxY) / 2
+    const zOffset = -(config.thickness || 0.1) / 2
+    const target = new THREE.Vector3()
+
+    const geometries = glyphs.items.map(({ geometry, center, baseline = 0 }) => {
+      const position = geometry.attributes.position
+      const uv = new Float32Array(position.count * 2)
+
+      for (let i = 0; i < position.count; i++) {
+        const x = start + center + position.getX(i)
+        const y = position.getY(i) + baseline + yOffset
+        const z = position.getZ(i) + zOffset
+
+        uv[i * 2] = x / size
+        uv[i * 2 + 1] = y / size
+
+        mapVertex(x, y, z, target)
+        position.setXYZ(i, target.x, target.y, target.z)
+      }
+
+      geometry.setAttribute('uv', new THREE.BufferAttribute(uv, 2))
+      return geometry
+    })
+
+    const merged = geometries.length === 1 ? geometries[0] : mergeGeometries(geometries)
+    if (merged !== geometries[0]) geometries.forEach(geometry => geometry.dispose())
+    if (!merged) {
+      throw new Error('文字几何体合并失败')
+    }
+
+    const result = toCreasedNormals(merged, config.creaseAngle ?? this.defaultConfig.creaseAngle)
+    merged.dispose()
+    result.computeBoundingBox()
+    result.computeBoundingSphere()
+    return result
+  }
+
+  /**
+   * 按排版结果排布字符（字间距、字偶距由 TextLayout 计算）
+   * 每个字符几何体水平方向以自身步进中点为原点，返回中点相对整段起点的水平坐标和所在行的基线
+   * 底板效果（plate/stencil）额外生成一个整段的底板条目，其坐标直接相对整段起点（center = 0）
+   * @param {string} text
+   * @param {THREE.Font} font
+   * @param {Object} config
+   * @param {Object} [options]
+   * @param {boolean} [options.multiline=false] - 是否保留换行（路径文字只排一行，换行视为空格）
+   * @returns {{items: Array<{geometry: THREE.BufferGeometry, center: number, baseline: number}>, width: number, minY: number, maxY: number}}
+   */
+  layoutGlyphs(text, font, config, options = {}) {
+    const content = options.multiline ? text : text.replace(/\r?\n/g, ' ')
+    const layout = textLayout.layout(content, font, config)
+
+    const items = []
+    const placed = []
+    let minY = Infinity
+    let maxY = -Infinity
+
+    layout.lines.forEach(line => {
+      line.glyphs.forEach(({ char, x, advance }) => {
+        if (!char.trim()) return
+        placed.push({ char, x: line.offset + x, y: line.baseline })
+
+        const geometry = this.createGlyphGeometry(char, font, config)
+        if (!geometry) return
+
+        geometry.translate(-advance / 2, 0, 0)
+        geometry.computeBoundingBox()
+        minY = Math.min(minY, geometry.boundingBox.min.y + line.baseline)
+        maxY = Math.max(maxY, geometry.boundingBox.max.y + line.baseline)
+        items.push({ geometry, center: line.offset + x + advance / 2, baseline: line.baseline })
+      })
+    })
+
+    if (textEffects.hasPlate(config)) {
+      const geometry = this.createPlateGeometry(placed, font, config)
+      if (geometry) {
+        geometry.computeBoundingBox()
+        minY = Math.min(minY, geometry.boundingBox.min.y)
+        maxY = Math.max(maxY, geometry.boundingBox.max.y)
+        items.push({ geometry, center: 0, baseline: 0 })
+      }
+    }
+
+    return {
+      items,
+      width: layout.width,
+      minY: Number.isFinite(minY) ? minY : 0,
+      maxY: Number.isFinite(maxY) ? maxY : 0
+    }
+  }
+
+  /**
+   * 创建单个字符几何体：焊接顶点后细分，弯曲时不会出现明显折痕
+   * @returns {THREE.BufferGeometry|null}
+   */
+  createGlyphGeometry(char, font, config) {
+    try {
+      const textGeometry = textEffects.createGlyphGeometry(char, font, this.getGeometryParams(config), config)
+      return this.prepareGeometry(textGeometry, config)
+    } catch (error) {
+      console.error(`创建字符 "${char}" 几何体失败:`, error)
+      return null
+    }
+  }
+
+  /**
+   * 创建底板几何体（plate/stencil 效果）
+   * @param {Array<{char: string, x: number, y: number}>} placed - 已排布的字符
+   * @returns {THREE.BufferGeometry|null}
+   */
+  createPlateGeometry(placed, font, config) {
+    try {
+      const plateGeometry = textEffects.createPlateGeometry(placed, font, this.getGeometryParams(config), config)
+      return this.prepareGeometry(plateGeometry, config)
+    } catch (error) {
+      console.error('创建文字底板几何体失败:', error)
+      return null
+    }
+  }
+
+  getGeometryParams(config) {
+    return {
+      size: config.size || 1,
+      height: config.thickness || 0.1,
+      curveSegments: config.curveSegments,
+      bevelEnabled: config.bevelEnabled,
+      bevelThickness: config.bevelThickness,
+      bevelSize: config.bevelSize,
+      bevelOffset: config.bevelOffset,
+      bevelSegments: config.bevelSegments
+    }
+  }
+
+  /**
+   * 焊接顶点后按细分级别细分
+   * @param {THREE.BufferGeometry|null} source - 会被释放
+   * @returns {THREE.BufferGeometry|null}
+   */
+  prepareGeometry(source, config) {
+    if (!source) return null
+    if (!source.attributes.position || source.attributes.position.count === 0) {
+      source.dispose()
+      return null
+    }
+
+    source.deleteAttribute('normal')
+    source.deleteAttribute('uv')
+    let geometry = mergeVertices(source)
+    source.dispose()
+
+    if (config.subdivisionLevel > 0) {
+      geometry = curvedTextGeometry.subdivideGeometry(geometry, config.subdivisionLevel)
+      geometry.deleteAttribute('normal')
+    }
+
+    return geometry
+  }
+}
+
+// 导出单例
+export const pathTextGeometry = new PathTextGeometry()
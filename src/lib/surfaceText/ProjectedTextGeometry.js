@@ -0,0 +1,185 @@
+/**
+ * 投影贴合文字几何体生成器
+ * 用于无法拟合为规则曲面的自由曲面（人脸、手办等扫描模型）：
+ *
+ * - 文字先在投影平面上排布（平面过附着点，垂直于投影方向）
+ * - 每个顶点沿投影方向用 BVH 射线投射到目标网格上
+ * - 再沿命中点的局部法线偏移厚度方向的距离
+ *
+ * 字符几何体本身是封闭的，逐顶点映射不改变拓扑，结果仍是封闭实体
+ * 结果位于目标网格局部坐标系，厚度方向以表面为中心，凸起和内嵌模式都可直接使用
+ */
+import * as THREE from 'three'
+import { pathTextGeometry, getBoundsTree } from './PathTextGeometry.js'
+
+export class ProjectedTextGeometry {
+  constructor () {
+    this.defaultConfig = {
+      size: 1,
+      thickness: 0.1,
+      curveSegments: 12,
+      bevelEnabled: false,
+      letterSpacing: 0,
+      subdivisionLevel: 1,
+      creaseAngle: Math.PI / 6
+    }
+  }
+
+  /**
+   * 生成投影贴合文字
+   * @param {string} text - 文字内容
+   * @param {THREE.Font} font - 字体
+   * @param {Object} projection - 投影信息（目标网格局部坐标系）
+   * @param {THREE.BufferGeometry} projection.geometry - 目标几何体
+   * @param {THREE.Vector3} projection.origin - 文字中心附着点
+   * @param {THREE.Vector3} projection.normal - 附着点处的表面法线
+   * @param {THREE.Vector3} [projection.direction] - 投影方向（指向表面内部），省略时使用附着点周围的平均法线
+   * @param {THREE.Vector3} [projection.up] - 文字向上方向，默认 Y 轴
+   * @param {Object} config - 文字配置
+   * @returns {THREE.BufferGeometry} 投影文字几何体（目标网格局部坐标系）
+   */
+  generate (text, font, projection, config = {}) {
+    const finalConfig = { ...this.defaultConfig, ...config }
+    const { geometry, origin } = projection
+
+    const glyphs = pathTextGeometry.layoutGlyphs(text, font, finalConfig, { multiline: true })
+    if (glyphs.items.length === 0) {
+      console.warn('没有生成任何字符几何体')
+      return new THREE.BufferGeometry()
+    }
+
+    const bvh = this.getBoundsTree(geometry)
+    const radius = Math.hypot(glyphs.width, glyphs.maxY - glyphs.minY) / 2
+
+    // 投影平面的坐标轴：normal 指向表面外，right × up = normal
+    const normal = projection.direction
+      ? projection.direction.clone().negate().normalize()
+      : this.computeAverageNormal(bvh, origin, radius, projection.normal)
+    const up = (projection.up || new THREE.Vector3(0, 1, 0)).clone()
+    up.addScaledVector(normal, -up.dot(normal))
+    if (up.lengthSq() < 1e-6) {
+      up.set(1, 0, 0).addScaledVector(normal, -normal.x)
+    }
+    up.normalize()
+    const right = new THREE.Vector3().crossVectors(up, normal)
+
+    // 射线从投影平面外侧出发，足以覆盖 45° 以内的表面起伏
+    const castDistance = radius + finalConfig.thickness * 2
+    const ray = new THREE.Ray()
+    const planePoint = new THREE.Vector3()
+    const hits = new Map()
+    let missCount = 0
+
+    const project = (x, y) => {
+      const key = `${x.toFixed(5)},${y.toFixed(5)}`
+      let hit = hits.get(key)
+      if (hit) return hit
+
+      planePoint.copy(origin).addScaledVector(right, x).addScaledVector(up, y)
+      ray.origin.copy(planePoint).addScaledVector(normal, castDistance)
+      ray.direction.copy(normal).negate()
+
+      hit = this.findClosestHit(bvh, ray, normal, castDistance)
+      if (!hit) {
+        // 未命中（超出模型边缘等）：保留在投影平面上，保证几何体连续
+        missCount++
+        hit = { point: planePoint.clone(), normal }
+      }
+      hits.set(key, hit)
+      return hit
+    }
+
+    const result = pathTextGeometry.mapGlyphs(glyphs, -glyphs.width / 2, finalConfig, (x, y, z, target) => {
+      const hit = project(x, y)
+      target.copy(hit.point).addScaledVector(hit.normal, z)
+    })
+
+    result.userData = {
+      generatorType: 'ProjectedTextGeometry',
+      surfaceType: 'project',
+      isManifold: true,
+      projectionNormal: normal.toArray(),
+      missCount
+    }
+
+    if (missCount > 0) {
+      console.warn(`⚠️ 投影文字有 ${missCount} 个采样点未命中表面，已保留在投影平面上`)
+    }
+
+    console.log(`✅ 投影文字生成成功: "${text}"`, {
+      samples: hits.size,
+      missed: missCount,
+      vertices: result.attributes.position.count
+    })
+
+    return result
+  }
+
+  /**
+   * 在投影平面附近选取命中点
+   * 只接受朝向投影平面外侧的面，并取离投影平面最近的一个，避免投到背面或被远处的凸起遮挡
+   * @returns {{point: THREE.Vector3, normal: THREE.Vector3}|null}
+   */
+  findClosestHit (bvh, ray, normal, castDistance) {
+    const intersections = bvh.raycast(ray, THREE.DoubleSide, 0, castDistance * 2)
+    let best = null
+    let bestOffset = Infinity
+
+    intersections.forEach(intersection => {
+      if (intersection.face.normal.dot(normal) <= 0) return
+      const offset = Math.abs(intersection.distance - castDistance)
+      if (offset < bestOffset) {
+        bestOffset = offset
+        best = intersection
+      }
+    })
+
+    if (!best) return null
+
+    // 优先使用插值后的顶点法线，相邻采样点之间的偏移方向更平滑
+    const surfaceNormal = (best.normal || best.face.normal).clone().normalize()
+    if (surfaceNormal.dot(normal) < 0) surfaceNormal.negate()
+
+    return { point: best.point.clone(), normal: surfaceNormal }
+  }
+
+  /**
+   * 附着点周围（文字覆盖范围内）朝外三角形的面积加权平均法线
+   * @param {MeshBVH} bvh
+   * @param {THREE.Vector3} origin - 附着点
+   * @param {number} radius - 采样半径
+   * @param {THREE.Vector3} [referenceNormal] - 附着点处的法线，用于排除背面
+   * @returns {THREE.Vector3}
+   */
+  computeAverageNormal (bvh, origin, radius, referenceNormal) {
+    const reference = (referenceNormal || new THREE.Vector3(0, 0, 1)).clone().normalize()
+    const sphere = new THREE.Sphere(origin, radius)
+    const sum = new THREE.Vector3()
+    const faceNormal = new THREE.Vector3()
+
+    bvh.shapecast({
+      intersectsBounds: box => sphere.intersectsBox(box),
+      intersectsTriangle: triangle => {
+        if (!triangle.intersectsSphere(sphere)) return false
+        triangle.getNormal(faceNormal)
+        if (faceNormal.dot(reference) <= 0) return false
+        sum.addScaledVector(faceNormal, triangle.getArea())
+        return false
+      }
+    })
+
+    return sum.lengthSq() > 1e-12 ? sum.normalize() : reference
+  }
+
+  /**
+   * 获取目标几何体的 BVH（与路径文字共用缓存）
+   * @param {THREE.BufferGeometry} geometry
+   * @returns {MeshBVH}
+   */
+  getBoundsTree (geometry) {
+    return getBoundsTree(geometry)
+  }
+}
+
+// 导出单例
+export const projectedTextGeometry = new ProjectedTextGeometry()
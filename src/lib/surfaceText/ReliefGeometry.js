@@ -0,0 +1,271 @@
+/**
+ * 图片浮雕几何体
+ * 把 PNG/JPEG 图片的亮度转换成高度场（灰度 logo 浮雕、照片浮雕 / lithophane），生成闭合实体，
+ * 与文字一样贴合到平面或圆柱面上：凸起时与模型做布尔并集，内嵌时从模型中减去
+ *
+ * 浮雕参数（文字配置 config.relief）：
+ * - image: 图片 data URL
+ * - resolution: 高度场分辨率（长边的采样数）
+ * - invert: 反相（默认亮处高、暗处低；反相后暗处高，适合透光浮雕和浅色背景上的深色 logo）
+ * - base: 底座深度，实体埋入表面的部分，保证布尔运算时与模型有重叠
+ *
+ * 局部坐标约定与平面文字一致：x 为宽度方向、y 为高度方向（均居中），z 为表面法线方向；
+ * 底面位于 z = -base，亮度为 1 的点高出表面 config.thickness，透明像素按白色背景处理
+ */
+import * as THREE from 'three'
+import { CylinderTextGeometry } from './CylinderTextGeometry.js'
+
+export const DEFAULT_RELIEF_CONFIG = {
+  resolution: 96,
+  invert: false,
+  base: 0.2
+}
+
+export const MIN_RELIEF_RESOLUTION = 8
+export const MAX_RELIEF_RESOLUTION = 512
+
+// 最暗处也保留一层很薄的高度，避免浮雕顶面与模型表面共面导致布尔运算出错
+const MIN_HEIGHT_RATIO = 0.05
+
+// 高度场缓存上限（同一图片调整大小/深度时不必重新解码）
+const MAX_CACHED_HEIGHTMAPS = 8
+
+export class ReliefGeometry {
+  constructor () {
+    // 高度场缓存：`${resolution}:${image}` → heightmap
+    this.heightmaps = new Map()
+    this.cylinderMapper = new CylinderTextGeometry()
+  }
+
+  /**
+   * 补齐浮雕参数
+   * @param {Object} [relief] - config.relief
+   * @returns {Object}
+   */
+  getReliefConfig (relief = {}) {
+    const resolution = Math.round(relief.resolution || DEFAULT_RELIEF_CONFIG.resolution)
+    return {
+      ...DEFAULT_RELIEF_CONFIG,
+      ...relief,
+      resolution: THREE.MathUtils.clamp(resolution, MIN_RELIEF_RESOLUTION, MAX_RELIEF_RESOLUTION),
+      base: relief.base > 0 ? relief.base : DEFAULT_RELIEF_CONFIG.base
+    }
+  }
+
+  /**
+   * 解码图片并采样亮度（结果按图片和分辨率缓存）
+   * @param {string} image - 图片 data URL
+   * @param {number} resolution - 长边采样数
+   * @returns {Promise<{cols: number, rows: number, aspect: number, data: Float32Array}>}
+   *   data 按行存储（第一行为图片顶部），取值 0~1
+   */
+  async loadHeightmap (image, resolution = DEFAULT_RELIEF_CONFIG.resolution) {
+    if (!image || typeof image !== 'string') {
+      throw new Error('无效的图片内容')
+    }
+
+    const key = `${resolution}:${image}`
+    if (this.heightmaps.has(key)) return this.heightmaps.get(key)
+
+    const element = new Image()
+    element.src = image
+    try {
+      await element.decode()
+    } catch (error) {
+      throw new Error('图片解码失败，请使用 PNG 或 JPEG 图片')
+    }
+
+    const imageWidth = element.naturalWidth
+    const imageHeight = element.naturalHeight
+    if (!(imageWidth > 0) || !(imageHeight > 0)) {
+      throw new Error('图片尺寸无效')
+    }
+
+    // 按长边缩放到分辨率（不放大），由 canvas 缩放完成区域平均
+    const scale = Math.min(1, resolution / Math.max(imageWidth, imageHeight))
+    const cols = Math.max(2, Math.round(imageWidth * scale))
+    const rows = Math.max(2, Math.round(imageHeight * scale))
+
+    const canvas = document.createElement('canvas')
+    canvas.width = cols
+    canvas.height = rows
+    const context = canvas.getContext('2d')
+    context.drawImage(element, 0, 0, cols, rows)
+    const pixels = context.getImageData(0, 0, cols, rows).data
+
+    const heightmap = {
+      cols,
+      rows,
+      aspect: imageWidth / imageHeight,
+      data: this.toLuminance(pixels, cols * rows)
+    }
+
+    if (this.heightmaps.size >= MAX_CACHED_HEIGHTMAPS) {
+      this.heightmaps.delete(this.heightmaps.keys().next().value)
+    }
+    this.heightmaps.set(key, heightmap)
+    return heightmap
+  }
+
+  /**
+   * RGBA 像素转亮度（Rec. 709 系数，透明部分按白色背景混合）
+   * @param {Uint8ClampedArray} pixels - RGBA 像素
+   * @param {number} count - 像素数
+   * @returns {Float32Array}
+   */
+  toLuminance (pixels, count) {
+    const data = new Float32Array(count)
+    for (let i = 0; i < count; i++) {
+      const r = pixels[i * 4]
+      const g = pixels[i * 4 + 1]
+      const b = pixels[i * 4 + 2]
+      const alpha = pixels[i * 4 + 3] / 255
+      const luminance = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255
+      data[i] = luminance * alpha + (1 - alpha)
+    }
+    return data
+  }
+
+  /**
+   * 生成浮雕几何体
+   * @param {Object} heightmap - loadHeightmap 的结果
+   * @param {Object} config - 文字配置（size 为浮雕高度，thickness 为浮雕深度，angle 为旋转角度，relief 为浮雕参数）
+   * @param {Object|null} surfaceInfo - 表面信息（圆柱面时按圆柱坐标映射，其余按平面处理）
+   * @returns {THREE.BufferGeometry} 平面时为居中的局部几何体，圆柱面时为世界坐标系几何体
+   */
+  generate (heightmap, config = {}, surfaceInfo = null) {
+    const relief = this.getReliefConfig(config.relief)
+    const height = config.size || 1
+    const geometry = this.createHeightfield(heightmap, {
+      width: height * heightmap.aspect,
+      height,
+      depth: config.thickness || 0.1,
+      base: relief.base,
+      invert: relief.invert
+    })
+
+    if (config.angle) {
+      geometry.rotateZ(THREE.MathUtils.degToRad(config.angle))
+    }
+
+    if (surfaceInfo?.surfaceType === 'cylinder' && surfaceInfo.cylinderInfo) {
+      const { cylinderInfo, attachPoint } = surfaceInfo
+      const start = this.cylinderMapper.worldToCylinderCoord(attachPoint, cylinderInfo)
+      this.cylinderMapper.applyCylinderMapping(geometry, cylinderInfo, start.theta, start.height)
+    }
+
+    geometry.computeVertexNormals()
+    geometry.computeBoundingBox()
+    geometry.computeBoundingSphere()
+    geometry.userData = {
+      isManifold: true,
+      generatorType: 'ReliefGeometry',
+      resolution: [heightmap.cols, heightmap.rows]
+    }
+    return geometry
+  }
+
+  /**
+   * 由高度场构建闭合实体：顶面按亮度起伏，底面平整，四周侧壁封闭
+   * @param {Object} heightmap - { cols, rows, data }
+   * @param {Object} options
+   * @param {number} options.width - 宽度
+   * @param {number} options.height - 高度
+   * @param {number} options.depth - 浮雕深度（亮度为 1 时的顶面高度）
+   * @param {number} options.base - 底座深度（底面位于 z = -base）
+   * @param {boolean} [options.invert=false] - 反相
+   * @returns {THREE.BufferGeometry} 带索引的几何体（x、y 居中）
+   */
+  createHeightfield (heightmap, { width, height, depth, base, invert = false }) {
+    const { cols, rows, data } = heightmap
+    const gridCount = cols * rows
+    const loop = this.getBoundaryLoop(cols, rows)
+
+    const vertexCount = gridCount * 2 + loop.length * 2
+    const positions = new Float32Array(vertexCount * 3)
+    const uvs = new Float32Array(vertexCount * 2)
+    const indices = []
+
+    const topZ = index => {
+      const value = invert ? 1 - data[index] : data[index]
+      return depth * (MIN_HEIGHT_RATIO + (1 - MIN_HEIGHT_RATIO) * value)
+    }
+    const setVertex = (vertex, i, j, z, u, v) => {
+      positions[vertex * 3] = (i / (cols - 1) - 0.5) * width
+      positions[vertex * 3 + 1] = (0.5 - j / (rows - 1)) * height
+      positions[vertex * 3 + 2] = z
+      uvs[vertex * 2] = u
+      uvs[vertex * 2 + 1] = v
+    }
+
+    // 顶面与底面网格（第 j 行对应图片的第 j 行像素，y 向下递减）
+    for (let j = 0; j < rows; j++) {
+      for (let i = 0; i < cols; i++) {
+        const index = j * cols + i
+        const u = i / (cols - 1)
+        const v = 1 - j / (rows - 1)
+        setVertex(index, i, j, topZ(index), u, v)
+        setVertex(gridCount + index, i, j, -base, u, v)
+      }
+    }
+
+    for (let j = 0; j < rows - 1; j++) {
+      for (let i = 0; i < cols - 1; i++) {
+        const a = j * cols + i
+        const b = a + cols
+        const c = a + 1
+        const d = b + 1
+        indices.push(a, b, c, c, b, d)
+        indices.push(gridCount + a, gridCount + c, gridCount + b, gridCount + c, gridCount + d, gridCount + b)
+      }
+    }
+
+    // 侧壁：沿边界逆时针一圈，单独的顶点让侧壁法线不受顶面影响
+    const wallStart = gridCount * 2
+    loop.forEach(([i, j], k) => {
+      const index = j * cols + i
+      const u = k / loop.length
+      setVertex(wallStart + k * 2, i, j, topZ(index), u, 1)
+      setVertex(wallStart + k * 2 + 1, i, j, -base, u, 0)
+    })
+    loop.forEach((_, k) => {
+      const next = (k + 1) % loop.length
+      const top = wallStart + k * 2
+      const bottom = top + 1
+      const nextTop = wallStart + next * 2
+      const nextBottom = nextTop + 1
+      indices.push(bottom, nextBottom, nextTop, bottom, nextTop, top)
+    })
+
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2))
+    geometry.setIndex(indices)
+    return geometry
+  }
+
+  /**
+   * 网格边界上的采样点，从左上角开始沿逆时针（从 +z 方向看）排列，不重复
+   * @param {number} cols
+   * @param {number} rows
+   * @returns {Array<[number, number]>} [列, 行]
+   */
+  getBoundaryLoop (cols, rows) {
+    const loop = []
+    for (let j = 0; j < rows - 1; j++) loop.push([0, j])
+    for (let i = 0; i < cols - 1; i++) loop.push([i, rows - 1])
+    for (let j = rows - 1; j > 0; j--) loop.push([cols - 1, j])
+    for (let i = cols - 1; i > 0; i--) loop.push([i, 0])
+    return loop
+  }
+
+  /**
+   * 清空高度场缓存
+   */
+  clearCache () {
+    this.heightmaps.clear()
+  }
+}
+
+// 导出单例
+export const reliefGeometry = new ReliefGeometry()
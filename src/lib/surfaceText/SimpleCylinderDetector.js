@@ -47,8 +47,9 @@ export class SimpleCylinderDetector {
       // 更新网格的世界矩阵
       mesh.updateMatrixWorld(true)
       
-      // 将局部中心点转换到世界坐标
+      // 将局部中心点转换到世界坐标，尺寸按网格的世界缩放换算
       center = center.applyMatrix4(mesh.matrixWorld)
+      size.multiply(new THREE.Vector3().setFromMatrixScale(mesh.matrixWorld))
       
       // 将轴向也转换到世界坐标系（只旋转，不平移）
       const worldRotation = new THREE.Matrix4().extractRotation(mesh.matrixWorld)
@@ -124,10 +125,11 @@ export class SimpleCylinderDetector {
     const size = bbox.max.clone().sub(bbox.min)
     let center = bbox.getCenter(new THREE.Vector3())
     
-    // 如果有网格对象，转换到世界坐标
+    // 如果有网格对象，转换到世界坐标（尺寸按网格的世界缩放换算）
     if (mesh) {
       mesh.updateMatrixWorld(true)
       center = center.applyMatrix4(mesh.matrixWorld)
+      size.multiply(new THREE.Vector3().setFromMatrixScale(mesh.matrixWorld))
     }
     
     console.log('📐 几何体尺寸分析:', {
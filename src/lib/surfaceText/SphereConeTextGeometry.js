@@ -0,0 +1,172 @@
+/**
+ * 球面/圆锥面文字几何体生成器
+ * 复用路径文字的字符排布，把每个顶点映射到曲面坐标：
+ *
+ * 球面（经纬度）：
+ * - 文字的 X 方向 → 沿纬线（经度 lon = x / (R·cos(lat0))）
+ * - 文字的 Y 方向 → 沿经线（纬度 lat = lat0 + y / R）
+ * - 文字的 Z 方向 → 径向（r = R + z）
+ *
+ * 圆锥面（展开）：
+ * - 文字的 X 方向 → 绕轴旋转（φ = x / ρ0，ρ0 为附着点处的截面半径）
+ * - 文字的 Y 方向 → 沿母线（s = s0 ± y，s0 为附着点到锥顶的距离）
+ * - 文字的 Z 方向 → 曲面外法线
+ *
+ * 结果位于世界坐标系，厚度方向以表面为中心，凸起和内嵌模式都可直接使用
+ */
+import * as THREE from 'three'
+import { pathTextGeometry } from './PathTextGeometry.js'
+
+const WORLD_UP = new THREE.Vector3(0, 1, 0)
+
+export class SphereConeTextGeometry {
+  constructor () {
+    this.defaultConfig = {
+      size: 1,
+      thickness: 0.1,
+      curveSegments: 12,
+      bevelEnabled: false,
+      letterSpacing: 0,
+      subdivisionLevel: 1,
+      creaseAngle: Math.PI / 6
+    }
+  }
+
+  /**
+   * 生成球面文字
+   * @param {string} text - 文字内容
+   * @param {THREE.Font} font - 字体
+   * @param {Object} sphereInfo - 球面信息 { center, radius, pole? }（世界坐标系）
+   * @param {THREE.Vector3} attachPoint - 文字中心附着点（世界坐标）
+   * @param {Object} config - 文字配置
+   * @returns {THREE.BufferGeometry} 球面文字几何体（世界坐标系）
+   */
+  generateOnSphere (text, font, sphereInfo, attachPoint, config = {}) {
+    const finalConfig = { ...this.defaultConfig, ...config }
+    const { center, radius } = sphereInfo
+
+    const normal = attachPoint.clone().sub(center).normalize()
+    if (normal.lengthSq() === 0) normal.set(0, 0, 1)
+
+    // 极轴默认为世界 Y 轴；附着点靠近极点时纬线太短，改用 X 轴作为极轴
+    const pole = (sphereInfo.pole || WORLD_UP).clone().normalize()
+    if (Math.abs(normal.dot(pole)) > 0.95) pole.set(1, 0, 0)
+
+    const east = new THREE.Vector3().crossVectors(pole, normal).normalize()
+    const meridian = new THREE.Vector3().crossVectors(east, pole).normalize()
+    const lat0 = Math.asin(THREE.MathUtils.clamp(normal.dot(pole), -1, 1))
+    const lonScale = 1 / (radius * Math.max(Math.cos(lat0), 0.2))
+
+    const glyphs = this.layoutGlyphs(text, font, finalConfig)
+    if (!glyphs) return new THREE.BufferGeometry()
+
+    const direction = new THREE.Vector3()
+    const geometry = pathTextGeometry.mapGlyphs(glyphs, -glyphs.width / 2, finalConfig, (x, y, z, target) => {
+      const lat = lat0 + y / radius
+      const lon = x * lonScale
+      direction.copy(meridian).multiplyScalar(Math.cos(lon))
+        .addScaledVector(east, Math.sin(lon))
+        .multiplyScalar(Math.cos(lat))
+        .addScaledVector(pole, Math.sin(lat))
+      target.copy(center).addScaledVector(direction, radius + z)
+    })
+
+    geometry.userData = {
+      generatorType: 'SphereConeTextGeometry',
+      surfaceType: 'sphere',
+      isManifold: true,
+      sphereInfo: { center: center.clone(), radius }
+    }
+
+    console.log(`✅ 球面文字生成成功: "${text}"`, {
+      radius: radius.toFixed(2),
+      latitude: THREE.MathUtils.radToDeg(lat0).toFixed(1) + '°',
+      vertices: geometry.attributes.position.count
+    })
+
+    return geometry
+  }
+
+  /**
+   * 生成圆锥面文字
+   * @param {string} text - 文字内容
+   * @param {THREE.Font} font - 字体
+   * @param {Object} coneInfo - 圆锥信息 { apex, axis, halfAngle }（世界坐标系，axis 从锥顶指向开口）
+   * @param {THREE.Vector3} attachPoint - 文字中心附着点（世界坐标）
+   * @param {Object} config - 文字配置
+   * @returns {THREE.BufferGeometry} 圆锥面文字几何体（世界坐标系）
+   */
+  generateOnCone (text, font, coneInfo, attachPoint, config = {}) {
+    const finalConfig = { ...this.defaultConfig, ...config }
+    const { apex, halfAngle } = coneInfo
+    const axis = coneInfo.axis.clone().normalize()
+    const sinA = Math.sin(halfAngle)
+    const cosA = Math.cos(halfAngle)
+
+    // 附着点处的径向、切向、母线方向和外法线
+    const toPoint = attachPoint.clone().sub(apex)
+    const radial = toPoint.clone().addScaledVector(axis, -toPoint.dot(axis))
+    if (radial.lengthSq() < 1e-12) {
+      // 附着点在轴线上：任取一个垂直于轴的方向
+      radial.set(Math.abs(axis.x) > 0.9 ? 0 : 1, Math.abs(axis.x) > 0.9 ? 1 : 0, 0)
+      radial.addScaledVector(axis, -radial.dot(axis))
+    }
+    radial.normalize()
+    const tangent = new THREE.Vector3().crossVectors(axis, radial)
+    const generatrix = axis.clone().multiplyScalar(cosA).addScaledVector(radial, sinA)
+    const normal = radial.clone().multiplyScalar(cosA).addScaledVector(axis, -sinA)
+
+    // 文字向上方向尽量与世界 Y 轴一致（倒置的圆锥也保持文字正立）
+    const ySign = generatrix.dot(WORLD_UP) < 0 ? -1 : 1
+    const up = generatrix.clone().multiplyScalar(ySign)
+    const right = new THREE.Vector3().crossVectors(up, normal)
+    const xSign = right.dot(tangent) < 0 ? -1 : 1
+
+    const s0 = Math.max(toPoint.length(), 1e-6)
+    const rho0 = Math.max(s0 * sinA, 1e-6)
+
+    const glyphs = this.layoutGlyphs(text, font, finalConfig)
+    if (!glyphs) return new THREE.BufferGeometry()
+
+    const minSlant = s0 * 0.01
+    const around = new THREE.Vector3()
+    const along = new THREE.Vector3()
+    const outward = new THREE.Vector3()
+    const geometry = pathTextGeometry.mapGlyphs(glyphs, -glyphs.width / 2, finalConfig, (x, y, z, target) => {
+      const phi = xSign * x / rho0
+      // 越过锥顶时截断，避免几何体翻折
+      const s = Math.max(s0 + ySign * y, minSlant)
+      around.copy(radial).multiplyScalar(Math.cos(phi)).addScaledVector(tangent, Math.sin(phi))
+      along.copy(axis).multiplyScalar(cosA).addScaledVector(around, sinA)
+      outward.copy(around).multiplyScalar(cosA).addScaledVector(axis, -sinA)
+      target.copy(apex).addScaledVector(along, s).addScaledVector(outward, z)
+    })
+
+    geometry.userData = {
+      generatorType: 'SphereConeTextGeometry',
+      surfaceType: 'cone',
+      isManifold: true,
+      coneInfo: { apex: apex.clone(), axis, halfAngle }
+    }
+
+    console.log(`✅ 圆锥面文字生成成功: "${text}"`, {
+      halfAngle: THREE.MathUtils.radToDeg(halfAngle).toFixed(1) + '°',
+      slant: s0.toFixed(2),
+      vertices: geometry.attributes.position.count
+    })
+
+    return geometry
+  }
+
+  layoutGlyphs (text, font, config) {
+    const glyphs = pathTextGeometry.layoutGlyphs(text, font, config, { multiline: true })
+    if (glyphs.items.length === 0) {
+      console.warn('没有生成任何字符几何体')
+      return null
+    }
+    return glyphs
+  }
+}
+
+// 导出单例
+export const sphereConeTextGeometry = new SphereConeTextGeometry()
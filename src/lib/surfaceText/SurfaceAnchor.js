@@ -0,0 +1,554 @@
+/**
+ * 表面锚点
+ * 记录文字/贴花附着在模型哪个特征面的哪个位置，模型重新导入（顶点顺序、细分或尺寸略有变化）后据此重新定位
+ *
+ * 锚点由三部分组成：
+ * - 特征名：FeatureBasedNaming 的顶点索引名字，网格拓扑不变时可直接命中
+ * - 表面签名：特征类型、主方向（平面/自由曲面为平均法线，圆柱面为轴向）、面积、曲率、质心
+ * - 特征内的相对位置：平面/自由曲面为沿两个切向的归一化坐标，圆柱面为绕轴角度和沿轴的归一化高度
+ *
+ * 重新定位时按名字和签名给新模型的每个特征打分，取最相似的特征，由相对位置还原附着点并吸附到特征表面上；
+ * 找不到任何特征时退回 SurfaceIdentifier.findNearestFace。所有坐标都是目标网格的局部坐标
+ */
+import * as THREE from 'three'
+import { FeatureDetector } from '../facePicking/FeatureDetector.js'
+import { FeatureBasedNaming } from '../facePicking/FeatureBasedNaming.js'
+import { surfaceIdentifier } from './SurfaceIdentifier.js'
+
+export const ANCHOR_VERSION = 1
+
+// 置信度低于该值的匹配视为不可靠，需要用户检查
+export const MIN_ANCHOR_CONFIDENCE = 0.7
+
+// 与 EditorApp.loadModel 的特征分割参数一致，过小的平面/圆柱并入自由曲面
+const MIN_FEATURE_AREA_RATIO = 0.002
+
+// 签名各项的权重（特征名命中时另外加分）
+const SIGNATURE_WEIGHTS = {
+  direction: 0.3,
+  area: 0.2,
+  curvature: 0.15,
+  position: 0.35
+}
+
+// 最佳与次佳候选得分相差小于该值时认为存在歧义
+const AMBIGUITY_MARGIN = 0.05
+
+// 特征名过长（大特征的顶点索引区间很多）时改存哈希
+const MAX_FEATURE_NAME_LENGTH = 256
+
+const AXES = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)]
+
+/**
+ * 参考切向：与 direction 最不平行的坐标轴投影到垂直平面上
+ * 模型整体朝向不变时，参考切向不随网格细分或顶点顺序变化
+ * @param {THREE.Vector3} direction - 单位向量
+ * @returns {THREE.Vector3}
+ */
+function referenceTangent (direction) {
+  const components = [Math.abs(direction.x), Math.abs(direction.y), Math.abs(direction.z)]
+  const axis = AXES[components.indexOf(Math.min(...components))]
+  return axis.clone().addScaledVector(direction, -axis.dot(direction)).normalize()
+}
+
+/**
+ * 统一无向方向的符号（绝对值最大的分量取正）
+ * @param {THREE.Vector3} vector
+ * @returns {THREE.Vector3}
+ */
+function canonicalDirection (vector) {
+  const { x, y, z } = vector
+  const dominant = Math.abs(x) >= Math.abs(y) && Math.abs(x) >= Math.abs(z) ? x : Math.abs(y) >= Math.abs(z) ? y : z
+  return dominant < 0 ? vector.negate() : vector
+}
+
+const ratio = (a, b) => {
+  const max = Math.max(a, b)
+  return max > 0 ? Math.min(a, b) / max : 1
+}
+
+const round = value => Math.round(value * 1e6) / 1e6
+const toArray = vector => vector.toArray().map(round)
+
+export class SurfaceAnchor {
+  constructor () {
+    this.featureDetector = new FeatureDetector()
+    this.featureNaming = new FeatureBasedNaming()
+
+    // 特征缓存：geometry -> { version, labels, features, diagonal }
+    this.featureCache = new WeakMap()
+  }
+
+  /**
+   * 计算附着点的锚点
+   * @param {Object} faceInfo - 面信息（point 为世界坐标，face.normal 为网格局部坐标）
+   * @param {THREE.BufferGeometry} [geometry] - 计算锚点用的几何体（默认为 faceInfo.mesh 的几何体）
+   * @returns {Object|null} 可序列化的锚点
+   */
+  createAnchor (faceInfo, geometry = faceInfo?.mesh?.geometry) {
+    const mesh = faceInfo?.mesh
+    if (!mesh || !faceInfo.point || !geometry?.getAttribute('position')) return null
+
+    mesh.updateMatrixWorld(true)
+    const point = mesh.worldToLocal(faceInfo.point.clone())
+    const { labels, features } = this.getFeatures(geometry)
+
+    const located = this.locateTriangle(geometry, point, faceInfo.faceIndex)
+    if (!located) return null
+
+    const feature = features[labels[located.faceIndex]]
+    const normal = faceInfo.face?.normal?.clone().normalize() || located.normal
+
+    return {
+      version: ANCHOR_VERSION,
+      featureName: this.getFeatureName(geometry, feature),
+      type: feature.type,
+      area: round(feature.area),
+      curvature: round(feature.curvature),
+      direction: toArray(feature.direction),
+      centroid: toArray(feature.centroid),
+      uv: this.getFeatureCoordinates(feature, located.point).map(round),
+      point: toArray(located.point),
+      normal: toArray(normal)
+    }
+  }
+
+  /**
+   * 在网格上重新定位锚点
+   * @param {Object} anchor - createAnchor() 的结果
+   * @param {THREE.Mesh} mesh - 目标网格
+   * @param {Object} [options]
+   * @param {number} [options.minConfidence=MIN_ANCHOR_CONFIDENCE] - 可靠匹配的最低置信度
+   * @returns {{faceInfo: Object, confidence: number, matched: boolean, exact: boolean, featureName: string|null}|null}
+   *   exact 表示特征名命中且附着点与保存时一致（模型未变化）
+   */
+  resolveAnchor (anchor, mesh, options = {}) {
+    const { minConfidence = MIN_ANCHOR_CONFIDENCE } = options
+    if (!anchor?.direction || !anchor.centroid || !anchor.uv || !mesh?.geometry) return null
+
+    const geometry = mesh.geometry
+    const { features, diagonal } = this.getFeatures(geometry)
+    const saved = {
+      type: anchor.type,
+      area: anchor.area || 0,
+      curvature: anchor.curvature || 0,
+      direction: new THREE.Vector3().fromArray(anchor.direction).normalize(),
+      centroid: new THREE.Vector3().fromArray(anchor.centroid)
+    }
+
+    let best = null
+    let secondScore = 0
+    features.forEach(feature => {
+      const candidate = this.scoreFeature(anchor, saved, feature, geometry, diagonal)
+      if (!best || candidate.score > best.score) {
+        secondScore = best ? best.score : secondScore
+        best = candidate
+      } else if (candidate.score > secondScore) {
+        secondScore = candidate.score
+      }
+    })
+
+    const savedPoint = anchor.point ? new THREE.Vector3().fromArray(anchor.point) : saved.centroid
+    const savedNormal = anchor.normal ? new THREE.Vector3().fromArray(anchor.normal) : saved.direction
+    if (!best) {
+      return this.fallbackPlacement(mesh, savedPoint, savedNormal)
+    }
+
+    const snapped = this.snapToFeature(geometry, best.feature, this.getFeaturePoint(best.feature, anchor.uv))
+    if (!snapped) {
+      return this.fallbackPlacement(mesh, savedPoint, savedNormal)
+    }
+
+    let confidence = best.score
+    if (!best.nameMatched && secondScore > best.score - AMBIGUITY_MARGIN) {
+      confidence *= 0.8
+    }
+    // 还原的附着点离特征表面越远（落在孔洞或被裁掉的部分），置信度越低
+    const featureSize = Math.sqrt(best.feature.area) || diagonal
+    confidence *= 1 - 0.5 * Math.min(1, snapped.distance / (featureSize * 0.1))
+
+    const exact = best.nameMatched && snapped.point.distanceTo(savedPoint) <= diagonal * 1e-5
+    return {
+      faceInfo: this.toFaceInfo(mesh, snapped),
+      confidence,
+      matched: confidence >= minConfidence,
+      exact,
+      featureName: this.getFeatureName(geometry, best.feature)
+    }
+  }
+
+  /**
+   * 没有锚点（旧项目）时按保存的位置查找最近的面
+   * @param {THREE.Mesh} mesh - 目标网格
+   * @param {THREE.Vector3} worldPoint - 世界坐标
+   * @returns {Object|null} 同 resolveAnchor()，置信度为 0
+   */
+  locateNearest (mesh, worldPoint) {
+    if (!mesh?.geometry || !worldPoint) return null
+    mesh.updateMatrixWorld(true)
+    return this.fallbackPlacement(mesh, mesh.worldToLocal(worldPoint.clone()), new THREE.Vector3())
+  }
+
+  /**
+   * 兜底：按距离和法线查找最近的面（SurfaceIdentifier.findNearestFace）
+   * @param {THREE.Mesh} mesh
+   * @param {THREE.Vector3} point - 局部坐标
+   * @param {THREE.Vector3} normal - 局部坐标
+   * @returns {Object|null}
+   */
+  fallbackPlacement (mesh, point, normal) {
+    const nearest = surfaceIdentifier.findNearestFace(mesh, point, normal)
+    if (!nearest) return null
+    return {
+      faceInfo: this.toFaceInfo(mesh, { faceIndex: nearest.faceIndex, point: nearest.point, normal: nearest.normal }),
+      confidence: 0,
+      matched: false,
+      exact: false,
+      featureName: null
+    }
+  }
+
+  /**
+   * 候选特征与保存的签名的相似度
+   * @returns {{feature: Object, score: number, nameMatched: boolean}}
+   */
+  scoreFeature (anchor, saved, feature, geometry, diagonal) {
+    const bothCylinders = anchor.type === 'cylinder' && feature.type === 'cylinder'
+    const directionDot = saved.direction.dot(feature.direction)
+    const direction = bothCylinders ? Math.abs(directionDot) : Math.max(0, directionDot)
+
+    const flat = curvature => curvature * diagonal < 1e-3
+    const curvature = flat(saved.curvature) && flat(feature.curvature)
+      ? 1
+      : ratio(saved.curvature, feature.curvature)
+
+    const position = Math.exp(-saved.centroid.distanceTo(feature.centroid) / (diagonal * 0.1))
+
+    let score = SIGNATURE_WEIGHTS.direction * direction +
+      SIGNATURE_WEIGHTS.area * ratio(saved.area, feature.area) +
+      SIGNATURE_WEIGHTS.curvature * curvature +
+      SIGNATURE_WEIGHTS.position * position
+    if (anchor.type !== feature.type) score *= 0.5
+
+    const nameMatched = !!anchor.featureName && anchor.featureName === this.getFeatureName(geometry, feature)
+    if (nameMatched) score = 0.5 + 0.5 * score
+
+    return { feature, score, nameMatched }
+  }
+
+  /**
+   * 几何体的特征分区（按几何体缓存，位置数据变化后重建）
+   * 平面和圆柱面来自 FeatureDetector.segmentFaces，其余三角形按平滑相邻面划分为自由曲面
+   * @param {THREE.BufferGeometry} geometry
+   * @returns {{labels: Int32Array, features: Array, diagonal: number}} labels 为每个三角形所属特征的下标
+   */
+  getFeatures (geometry) {
+    const version = geometry.getAttribute('position')?.version
+    const cached = this.featureCache.get(geometry)
+    if (cached && cached.version === version) return cached
+
+    const adjacency = this.featureDetector.getTriangleAdjacency(geometry)
+    const segmentation = this.featureDetector.segmentFaces(geometry, { minAreaRatio: MIN_FEATURE_AREA_RATIO })
+    const labels = Int32Array.from(segmentation.labels)
+    const groups = segmentation.features.map(feature => ({ type: feature.type, triangles: [] }))
+    labels.forEach((label, t) => {
+      if (label >= 0) groups[label].triangles.push(t)
+    })
+
+    const visited = new Uint8Array(adjacency.triangleCount)
+    labels.forEach((label, t) => {
+      if (label >= 0) visited[t] = 1
+    })
+    for (let t = 0; t < adjacency.triangleCount; t++) {
+      if (visited[t]) continue
+      const triangles = this.featureDetector.growSmoothRegion(adjacency, t, { visited })
+      triangles.forEach(member => { labels[member] = groups.length })
+      groups.push({ type: 'free', triangles })
+    }
+
+    if (!geometry.boundingBox) geometry.computeBoundingBox()
+    const diagonal = geometry.boundingBox.getSize(new THREE.Vector3()).length() || 1
+
+    const features = groups.map((group, index) => this.describeFeature(geometry, adjacency, labels, group, index, diagonal))
+    const result = { version, labels, features, diagonal }
+    this.featureCache.set(geometry, result)
+    return result
+  }
+
+  /**
+   * 计算特征的签名和局部坐标系
+   * @returns {Object} { index, type, triangles, area, centroid, direction, curvature, tangent, bitangent, axisPoint, radius, range }
+   */
+  describeFeature (geometry, adjacency, labels, { type, triangles }, index, diagonal) {
+    const { normals, centers, areas } = adjacency
+    const isMember = t => labels[t] === index
+
+    let area = 0
+    const centroid = new THREE.Vector3()
+    const meanNormal = new THREE.Vector3()
+    const vector = new THREE.Vector3()
+    triangles.forEach(t => {
+      area += areas[t]
+      centroid.addScaledVector(vector.fromArray(centers, t * 3), areas[t])
+      meanNormal.addScaledVector(vector.fromArray(normals, t * 3), areas[t])
+    })
+    centroid.divideScalar(area || 1)
+
+    const feature = { index, type, triangles, area, centroid, name: null }
+
+    const cylinder = type === 'cylinder' ? this.fitCylinder(adjacency, triangles, isMember) : null
+    if (cylinder) {
+      feature.direction = cylinder.axis
+      feature.axisPoint = cylinder.point
+      feature.radius = cylinder.radius
+      feature.curvature = 1 / cylinder.radius
+    } else {
+      feature.direction = meanNormal.lengthSq() > 1e-12 ? meanNormal.normalize() : new THREE.Vector3(0, 0, 1)
+      feature.curvature = type === 'plane' ? 0 : this.estimateCurvature(adjacency, triangles, isMember)
+      // 三角形太少未被识别为平面的平坦区域（如只有两个三角形的矩形面）按平面处理，重新细分后类型保持一致
+      if (type === 'free' && feature.curvature * diagonal < 1e-3) feature.type = 'plane'
+    }
+    feature.tangent = referenceTangent(feature.direction)
+    feature.bitangent = new THREE.Vector3().crossVectors(feature.direction, feature.tangent)
+
+    // 坐标范围：圆柱面只统计沿轴高度，平面/自由曲面统计两个切向
+    const min = [Infinity, Infinity]
+    const max = [-Infinity, -Infinity]
+    const positions = geometry.getAttribute('position')
+    const indexAttribute = geometry.getIndex()
+    triangles.forEach(t => {
+      for (let k = 0; k < 3; k++) {
+        vector.fromBufferAttribute(positions, indexAttribute ? indexAttribute.getX(t * 3 + k) : t * 3 + k)
+        const coordinates = this.getFeatureExtentCoordinates(feature, vector)
+        for (let i = 0; i < 2; i++) {
+          min[i] = Math.min(min[i], coordinates[i])
+          max[i] = Math.max(max[i], coordinates[i])
+        }
+      }
+    })
+    feature.range = [min, max]
+    return feature
+  }
+
+  /**
+   * 圆柱拟合：轴向为相邻面法线叉积之和，轴上一点为到所有法线所在直线距离平方和最小的点
+   * @returns {{axis: THREE.Vector3, point: THREE.Vector3, radius: number}|null}
+   */
+  fitCylinder (adjacency, triangles, isMember) {
+    const { normals, centers, areas, neighbors } = adjacency
+    const axis = new THREE.Vector3()
+    const cross = new THREE.Vector3()
+    const a = new THREE.Vector3()
+    const b = new THREE.Vector3()
+
+    triangles.forEach(t => {
+      for (let e = 0; e < 3; e++) {
+        const n = neighbors[t * 3 + e]
+        if (n <= t || !isMember(n)) continue
+        cross.crossVectors(a.fromArray(normals, t * 3), b.fromArray(normals, n * 3))
+        if (cross.dot(axis) < 0) cross.negate()
+        axis.add(cross)
+      }
+    })
+    if (axis.lengthSq() < 1e-12) return null
+    canonicalDirection(axis.normalize())
+
+    // 法线与轴垂直，最小二乘的轴向分量自然取质心，只需解一次 3x3 方程
+    const m = [0, 0, 0, 0, 0, 0, 0, 0, 0]
+    const rhs = [0, 0, 0]
+    triangles.forEach(t => {
+      const n = [normals[t * 3], normals[t * 3 + 1], normals[t * 3 + 2]]
+      const p = [centers[t * 3], centers[t * 3 + 1], centers[t * 3 + 2]]
+      for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+          const projector = areas[t] * ((i === j ? 1 : 0) - n[i] * n[j])
+          m[i * 3 + j] += projector
+          rhs[i] += projector * p[j]
+        }
+      }
+    })
+    const matrix = new THREE.Matrix3().set(...m)
+    const scale = Math.max(...m.map(Math.abs), 1e-30)
+    if (Math.abs(matrix.determinant()) < 1e-9 * scale * scale * scale) return null
+    const point = new THREE.Vector3().fromArray(rhs).applyMatrix3(matrix.invert())
+
+    let radius = 0
+    let weight = 0
+    triangles.forEach(t => {
+      a.fromArray(centers, t * 3).sub(point)
+      radius += areas[t] * a.addScaledVector(axis, -a.dot(axis)).length()
+      weight += areas[t]
+    })
+    radius /= weight || 1
+    return radius > 0 ? { axis, point, radius } : null
+  }
+
+  /**
+   * 离散曲率估计：相邻面法线夹角与中心距离之比的平均值
+   * @returns {number}
+   */
+  estimateCurvature (adjacency, triangles, isMember) {
+    const { normals, centers, neighbors } = adjacency
+    const a = new THREE.Vector3()
+    const b = new THREE.Vector3()
+    let sum = 0
+    let count = 0
+    triangles.forEach(t => {
+      for (let e = 0; e < 3; e++) {
+        const n = neighbors[t * 3 + e]
+        if (n <= t || !isMember(n)) continue
+        const distance = a.fromArray(centers, t * 3).distanceTo(b.fromArray(centers, n * 3))
+        if (!(distance > 0)) continue
+        sum += a.fromArray(normals, t * 3).angleTo(b.fromArray(normals, n * 3)) / distance
+        count++
+      }
+    })
+    return count > 0 ? sum / count : 0
+  }
+
+  /**
+   * 点在特征坐标系下的原始坐标（圆柱面为 [角度, 高度]，平面/自由曲面为沿两个切向的距离）
+   * @returns {number[]}
+   */
+  getFeatureExtentCoordinates (feature, point) {
+    if (feature.axisPoint) {
+      const offset = point.clone().sub(feature.axisPoint)
+      const height = offset.dot(feature.direction)
+      offset.addScaledVector(feature.direction, -height)
+      return [Math.atan2(offset.dot(feature.bitangent), offset.dot(feature.tangent)), height]
+    }
+    const offset = point.clone().sub(feature.centroid)
+    return [offset.dot(feature.tangent), offset.dot(feature.bitangent)]
+  }
+
+  /**
+   * 点在特征内的相对位置（圆柱面角度保持弧度，其余坐标按特征范围归一化到 0~1）
+   * @param {Object} feature
+   * @param {THREE.Vector3} point - 局部坐标
+   * @returns {number[]} [u, v]
+   */
+  getFeatureCoordinates (feature, point) {
+    const coordinates = this.getFeatureExtentCoordinates(feature, point)
+    const [min, max] = feature.range
+    const normalize = i => (max[i] > min[i] ? (coordinates[i] - min[i]) / (max[i] - min[i]) : 0.5)
+    return feature.axisPoint ? [coordinates[0], normalize(1)] : [normalize(0), normalize(1)]
+  }
+
+  /**
+   * 由相对位置还原特征上的点（getFeatureCoordinates 的逆运算）
+   * @param {Object} feature
+   * @param {number[]} uv
+   * @returns {THREE.Vector3} 局部坐标
+   */
+  getFeaturePoint (feature, [u, v]) {
+    const [min, max] = feature.range
+    const along = i => min[i] + (i === 0 ? u : v) * (max[i] - min[i])
+    if (feature.axisPoint) {
+      return feature.axisPoint.clone()
+        .addScaledVector(feature.direction, along(1))
+        .addScaledVector(feature.tangent, Math.cos(u) * feature.radius)
+        .addScaledVector(feature.bitangent, Math.sin(u) * feature.radius)
+    }
+    return feature.centroid.clone()
+      .addScaledVector(feature.tangent, along(0))
+      .addScaledVector(feature.bitangent, along(1))
+  }
+
+  /**
+   * 把点吸附到特征表面上最近的位置
+   * @returns {{faceIndex: number, point: THREE.Vector3, normal: THREE.Vector3, distance: number}|null}
+   */
+  snapToFeature (geometry, feature, point) {
+    return this.closestTriangle(geometry, point, feature.triangles)
+  }
+
+  /**
+   * 确定附着点所在的三角形：faceIndex 对应的三角形与附着点吻合时直接使用，
+   * 否则（例如 faceIndex 来自布尔运算后的网格）在整个几何体中查找最近的三角形
+   * @returns {{faceIndex: number, point: THREE.Vector3, normal: THREE.Vector3, distance: number}|null}
+   */
+  locateTriangle (geometry, point, faceIndex) {
+    const { diagonal, labels } = this.getFeatures(geometry)
+    if (faceIndex >= 0 && faceIndex < labels.length) {
+      const located = this.closestTriangle(geometry, point, [faceIndex])
+      if (located && located.distance <= diagonal * 1e-4) return located
+    }
+    return this.closestTriangle(geometry, point, null)
+  }
+
+  /**
+   * 在给定三角形（null 表示全部）中查找离点最近的三角形
+   * @returns {{faceIndex: number, point: THREE.Vector3, normal: THREE.Vector3, distance: number}|null}
+   */
+  closestTriangle (geometry, point, triangles) {
+    const positions = geometry.getAttribute('position')
+    const index = geometry.getIndex()
+    const count = triangles ? triangles.length : (index ? index.count : positions.count) / 3
+    const triangle = new THREE.Triangle()
+    const closest = new THREE.Vector3()
+    let best = null
+
+    for (let k = 0; k < count; k++) {
+      const t = triangles ? triangles[k] : k
+      triangle.setFromAttributeAndIndices(
+        positions,
+        index ? index.getX(t * 3) : t * 3,
+        index ? index.getX(t * 3 + 1) : t * 3 + 1,
+        index ? index.getX(t * 3 + 2) : t * 3 + 2
+      )
+      triangle.closestPointToPoint(point, closest)
+      const distance = closest.distanceTo(point)
+      if (!best || distance < best.distance) {
+        best = { faceIndex: t, point: closest.clone(), normal: triangle.getNormal(new THREE.Vector3()), distance }
+      }
+    }
+    return best
+  }
+
+  /**
+   * 转换为文字系统使用的面信息（point 为世界坐标，face.normal 为局部坐标）
+   */
+  toFaceInfo (mesh, { faceIndex, point, normal }) {
+    mesh.updateMatrixWorld(true)
+    return {
+      mesh,
+      faceIndex,
+      face: { normal: normal.clone() },
+      point: mesh.localToWorld(point.clone()),
+      distance: 0,
+      uv: null
+    }
+  }
+
+  /**
+   * 特征名（FeatureBasedNaming 的顶点索引名字，过长时改用哈希）
+   * @returns {string}
+   */
+  getFeatureName (geometry, feature) {
+    if (feature.name) return feature.name
+
+    const name = this.featureNaming.generateVertexBasedName(feature, geometry, feature.index)
+    if (name.length <= MAX_FEATURE_NAME_LENGTH) {
+      feature.name = name
+    } else {
+      let hash = 0x811c9dc5
+      for (let i = 0; i < name.length; i++) {
+        hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193)
+      }
+      feature.name = `${feature.type}_h${(hash >>> 0).toString(36)}_idx${feature.index}`
+    }
+    return feature.name
+  }
+
+  /**
+   * 清空特征缓存
+   */
+  clearCache () {
+    this.featureCache = new WeakMap()
+  }
+}
+
+// 导出单例
+export const surfaceAnchor = new SurfaceAnchor()
+
+export default SurfaceAnchor
@@ -1,11 +1,18 @@
 import * as THREE from 'three'
+import { FeatureDetector } from '../facePicking/FeatureDetector.js'
 import { BooleanOperator } from './BooleanOperator.js'
+import { textLayout } from './TextLayout.js'
+import { textEffects } from './TextEffects.js'
+import { createCancelledError } from './CSGWorkerClient.js'
 import { cylinderSurfaceHelper } from './CylinderSurfaceHelper.js'
 import { simpleCylinderDetector } from './SimpleCylinderDetector.js'
 import { surfaceIdentifier } from './SurfaceIdentifier.js'
+import { surfaceAnchor } from './SurfaceAnchor.js'
+import { PathFrameSampler } from './PathTextGeometry.js'
 import { TextGeometryGenerator } from './TextGeometryGenerator.js'
 import { TextInputOverlay } from './TextInputOverlay.js'
 import { TextTransformControls } from './TextTransformControls.js'
+import { reliefGeometry, DEFAULT_RELIEF_CONFIG } from './ReliefGeometry.js'
 
 /**
  * 表面文字管理器主控制器
@@ -25,6 +32,9 @@ export class SurfaceTextManager {
     this.transformControls = new TextTransformControls(scene, camera, renderer)
     this.booleanOperator = new BooleanOperator()
 
+    // 球面/圆锥面拟合
+    this.featureDetector = new FeatureDetector()
+
     // 射线投射器（用于独立的点击检测）
     this.raycaster = new THREE.Raycaster()
 
@@ -39,6 +49,11 @@ export class SurfaceTextManager {
     // 视图模式：构造态/结果态
     this.viewMode = 'construct' // 'construct' | 'result'
     this._engravingDirtyMeshes = new Set() // mesh.uuid -> dirty
+    this._viewModeRequest = 0
+
+    // 每个目标网格当前的雕刻任务，新任务开始时会取消旧任务
+    this._engravingJobs = new Map() // mesh.uuid -> job
+    this._engravingJobSeq = 0
 
     // 编辑模式状态
     this.isEditing = false // 是否处于编辑模式（内嵌文字被选中编辑）
@@ -47,11 +62,18 @@ export class SurfaceTextManager {
     // 目标网格与文字的映射关系
     this.meshTextMap = new Map() // targetMesh.uuid -> Set<textId>
 
+    // 路径绘制状态（沿路径添加文字），null 表示未在绘制
+    this.pathDrawing = null
+
+    // 待放置的 SVG 贴花 { svg, options }，下一次点击目标网格时创建，null 表示未在放置
+    this.pendingDecoration = null
+
     // 事件系统
     this.eventListeners = new Map()
 
     // 绑定的事件处理函数
     this._boundOnClick = this._onCanvasClick.bind(this)
+    this._boundOnDblClick = this._onCanvasDblClick.bind(this)
 
     // 配置
     this.config = {
@@ -135,18 +157,24 @@ export class SurfaceTextManager {
   async setViewMode (mode, options = {}) {
     if (mode !== 'construct' && mode !== 'result') return
     if (this.viewMode === mode) return
+    const request = ++this._viewModeRequest
 
     if (mode === 'result') {
       // 结果态：禁止交互 + 应用布尔结果
       this.disableTextMode()
+      this.cancelPathDrawing()
+      this.cancelDecorationPlacement()
       this._forceClearSelection()
       await this._applyAllEngravings({ force: true })
+      // 等待布尔运算期间又切换了视图模式，以后一次为准
+      if (request !== this._viewModeRequest) return
       this.viewMode = 'result'
       this.emit('viewModeChanged', { mode: 'result' })
       return
     }
 
-    // 构造态：恢复原始几何体 + 显示所有文字 mesh
+    // 构造态：取消进行中的布尔运算，恢复原始几何体 + 显示所有文字 mesh
+    this._cancelAllEngravingJobs()
     this.viewMode = 'construct'
     this._forceClearSelection()
     this._restoreAllBaselines()
@@ -159,6 +187,178 @@ export class SurfaceTextManager {
     this._engravingDirtyMeshes.add(mesh.uuid)
   }
 
+  /**
+   * 目标网格或文字被外部整体变换（如整体缩放）后调用，下次进入结果态时重算所有布尔结果
+   */
+  invalidateEngravings () {
+    this.textObjects.forEach((textObject) => {
+      if (this._usesBoolean(textObject)) this._markEngravingDirty(textObject.targetMesh)
+    })
+  }
+
+  /**
+   * 是否为凸起的图片浮雕（结果态下与目标网格做布尔并集，而不是作为单独的网格浮在表面上）
+   * @param {Object} textObject - 文字对象
+   * @returns {boolean}
+   */
+  _isRaisedRelief (textObject) {
+    return !!textObject?.config?.relief && textObject.mode !== 'engraved'
+  }
+
+  /**
+   * 文字对象在结果态下是否参与目标网格的布尔运算
+   * @param {Object} textObject - 文字对象
+   * @returns {boolean}
+   */
+  _usesBoolean (textObject) {
+    return textObject?.mode === 'engraved' || this._isRaisedRelief(textObject)
+  }
+
+  // ==================== 雕刻任务（Worker 布尔运算） ====================
+
+  /**
+   * 开始目标网格的雕刻任务：先取消该网格上未完成的旧任务，再把参与的文字标记为 pending
+   * @param {THREE.Mesh} mesh - 目标网格
+   * @param {Object[]} textObjects - 参与本次雕刻的文字对象
+   * @returns {Object} 任务
+   */
+  _beginEngravingJob (mesh, textObjects) {
+    this._cancelEngravingJob(mesh)
+
+    const job = {
+      id: ++this._engravingJobSeq,
+      meshId: mesh.uuid,
+      textObjects,
+      cancelled: false
+    }
+    this._engravingJobs.set(mesh.uuid, job)
+    textObjects.forEach(textObject => this._setEngraveStatus(textObject, 'pending', null))
+    return job
+  }
+
+  /**
+   * 取消目标网格上未完成的雕刻任务（文字再次编辑、删除或切回构造态时调用）
+   * 被取消的任务不会再修改目标网格
+   * @param {THREE.Mesh} mesh - 目标网格
+   * @returns {boolean} 是否取消了任务
+   */
+  _cancelEngravingJob (mesh) {
+    const job = mesh?.uuid ? this._engravingJobs.get(mesh.uuid) : null
+    if (!job) return false
+
+    job.cancelled = true
+    this._engravingJobs.delete(mesh.uuid)
+    this.booleanOperator.cancel(job.meshId)
+
+    job.textObjects.forEach(textObject => {
+      if (textObject.engraveStatus === 'pending') {
+        this._setEngraveStatus(textObject, null, null)
+      }
+    })
+    console.log(`雕刻任务已取消: ${job.meshId}`)
+    return true
+  }
+
+  _cancelAllEngravingJobs () {
+    Array.from(this._engravingJobs.values()).forEach(job => {
+      this._cancelEngravingJob({ uuid: job.meshId })
+    })
+  }
+
+  /**
+   * 结束雕刻任务并同步文字的 engraveStatus / engraveError
+   * @param {Object} job - 任务
+   * @param {Error} [error] - 失败原因
+   */
+  _finishEngravingJob (job, error = null) {
+    if (this._engravingJobs.get(job.meshId) === job) {
+      this._engravingJobs.delete(job.meshId)
+    }
+
+    const status = error ? 'failed' : 'success'
+    const message = error ? (error.message || String(error)) : null
+    job.textObjects.forEach(textObject => this._setEngraveStatus(textObject, status, message))
+  }
+
+  _setEngraveStatus (textObject, status, error) {
+    if (textObject.engraveStatus === status && textObject.engraveError === error) return
+    textObject.engraveStatus = status
+    textObject.engraveError = error
+    this.emit('engraveStatusChanged', { textObject, engraveStatus: status, engraveError: error })
+  }
+
+  /**
+   * 执行雕刻任务中的一次布尔减法，并把 Worker 进度换算为整个任务的进度
+   * @param {Object} job - 任务
+   * @param {THREE.BufferGeometry} targetGeometry - 当前目标几何体
+   * @param {THREE.BufferGeometry} toolGeometry - 目标局部坐标系下的文字几何体
+   * @param {Object} textObject - 文字对象
+   * @param {number} step - 该文字在任务中的序号
+   * @returns {Promise<{geometry: THREE.BufferGeometry, materials: THREE.Material[]}>}
+   */
+  async _subtractForEngraving (job, targetGeometry, toolGeometry, textObject, step) {
+    const total = Math.max(job.textObjects.length, 1)
+
+    const result = await this.booleanOperator.subtract(targetGeometry, toolGeometry, null, {
+      textId: textObject.id,
+      jobKey: job.meshId,
+      onProgress: ({ stage, progress }) => {
+        if (job.cancelled) return
+        this.emit('engraveProgress', {
+          meshId: job.meshId,
+          textId: textObject.id,
+          stage,
+          progress: (step + progress) / total
+        })
+      }
+    })
+
+    // 主线程回退路径无法中途停止，结束后再检查一次
+    if (job.cancelled) {
+      result?.geometry?.dispose()
+      throw createCancelledError(job.meshId)
+    }
+    return result
+  }
+
+  /**
+   * 执行雕刻任务中的一次布尔并集（凸起的图片浮雕），结果作为原始表面的一部分，不区分材质组
+   * 与减法一样在 Worker 中执行，可随任务取消
+   * @param {Object} job - 任务
+   * @param {THREE.BufferGeometry} targetGeometry - 当前目标几何体
+   * @param {THREE.BufferGeometry} toolGeometry - 目标局部坐标系下的浮雕几何体
+   * @param {Object} textObject - 文字对象
+   * @param {number} step - 该对象在任务中的序号
+   * @returns {Promise<{geometry: THREE.BufferGeometry}>}
+   */
+  async _unionForRelief (job, targetGeometry, toolGeometry, textObject, step) {
+    const total = Math.max(job.textObjects.length, 1)
+
+    const geometry = await this.booleanOperator.union(targetGeometry, toolGeometry, null, {
+      textId: textObject.id,
+      jobKey: job.meshId,
+      onProgress: ({ stage, progress }) => {
+        if (job.cancelled) return
+        this.emit('engraveProgress', {
+          meshId: job.meshId,
+          textId: textObject.id,
+          stage,
+          progress: (step + progress) / total
+        })
+      }
+    })
+
+    // 主线程回退路径无法中途停止，结束后再检查一次
+    if (job.cancelled) {
+      geometry.dispose()
+      throw createCancelledError(job.meshId)
+    }
+
+    geometry.clearGroups()
+    geometry.addGroup(0, geometry.index ? geometry.index.count : geometry.attributes.position.count, 0)
+    return { geometry }
+  }
+
   _getMeshBaseline (mesh) {
     return mesh?.userData?._surfaceTextBaseline || null
   }
@@ -231,7 +431,7 @@ export class SurfaceTextManager {
 
     this.textObjects.forEach((textObject) => {
       if (!textObject?.targetMesh?.uuid) return
-      if (textObject.mode !== 'engraved') return
+      if (!this._usesBoolean(textObject)) return
 
       const uuid = textObject.targetMesh.uuid
       if (!force && !this._engravingDirtyMeshes.has(uuid)) return
@@ -239,8 +439,9 @@ export class SurfaceTextManager {
     })
 
     for (const mesh of targetMeshes.values()) {
-      await this._applyEngravingsForMesh(mesh)
-      this._engravingDirtyMeshes.delete(mesh.uuid)
+      const applied = await this._applyEngravingsForMesh(mesh)
+      // 被取消的任务保持 dirty，下次进入结果态时重算
+      if (applied) this._engravingDirtyMeshes.delete(mesh.uuid)
     }
   }
 
@@ -266,32 +467,44 @@ export class SurfaceTextManager {
     return mesh.userData._surfaceTextEngravedMaterial
   }
 
+  /**
+   * 从 baseline 开始依次合并网格上凸起的图片浮雕、雕刻全部内嵌文字
+   * @param {THREE.Mesh} mesh - 目标网格
+   * @returns {Promise<boolean>} 是否完成（任务被取消时为 false）
+   */
   async _applyEngravingsForMesh (mesh) {
-    if (!mesh) return
+    if (!mesh) return true
 
     const baseline = this._ensureMeshBaseline(mesh)
-    if (!baseline?.geometry) return
+    if (!baseline?.geometry) return true
 
     const textIds = this.meshTextMap.get(mesh.uuid)
-    if (!textIds) return
+    if (!textIds) return true
 
-    const engravedTextObjects = []
+    // 先做并集再做减法，避免凸起的浮雕填回已经雕刻的区域
+    const booleanTextObjects = []
+    const raisedReliefs = []
     for (const textId of textIds) {
       const textObject = this.textObjects.get(textId)
       if (textObject?.mode === 'engraved') {
-        engravedTextObjects.push(textObject)
+        booleanTextObjects.push(textObject)
+      } else if (this._isRaisedRelief(textObject)) {
+        raisedReliefs.push(textObject)
       }
     }
+    booleanTextObjects.unshift(...raisedReliefs)
 
-    // 没有内嵌文字：恢复原始几何体/材质并返回
-    if (engravedTextObjects.length === 0) {
+    // 没有参与布尔运算的对象：恢复原始几何体/材质并返回
+    if (booleanTextObjects.length === 0) {
+      this._cancelEngravingJob(mesh)
       this._restoreBaselineForMesh(mesh)
-      return
+      return true
     }
 
+    const job = this._beginEngravingJob(mesh, booleanTextObjects)
     let currentGeometry = baseline.geometry.clone()
     try {
-      for (const textObject of engravedTextObjects) {
+      for (const [step, textObject] of booleanTextObjects.entries()) {
         // 确保文字网格的世界矩阵最新
         textObject.mesh.updateMatrixWorld(true)
 
@@ -307,12 +520,14 @@ export class SurfaceTextManager {
           textGeometryForCSG.applyMatrix4(targetInverseMatrix)
         }
 
-        const result = await this.booleanOperator.subtract(
-          currentGeometry,
-          textGeometryForCSG,
-          null,
-          { textId: textObject.id }
-        )
+        let result
+        try {
+          result = textObject.mode === 'engraved'
+            ? await this._subtractForEngraving(job, currentGeometry, textGeometryForCSG, textObject, step)
+            : await this._unionForRelief(job, currentGeometry, textGeometryForCSG, textObject, step)
+        } finally {
+          textGeometryForCSG.dispose()
+        }
 
         if (result?.geometry) {
           if (currentGeometry !== baseline.geometry) {
@@ -320,11 +535,6 @@ export class SurfaceTextManager {
           }
           currentGeometry = result.geometry
         }
-
-        textGeometryForCSG.dispose()
-
-        // 结果态隐藏内嵌文字网格
-        textObject.mesh.visible = false
       }
 
       mesh.geometry?.dispose?.()
@@ -337,16 +547,25 @@ export class SurfaceTextManager {
       const engravedMaterial = this._getEngravedMaterialForMesh(mesh, originalMaterial)
       mesh.material = [originalMaterial, engravedMaterial]
 
+      // 结果态隐藏内嵌文字网格和已合并的浮雕网格
+      booleanTextObjects.forEach(t => { if (t?.mesh) t.mesh.visible = false })
+      this._finishEngravingJob(job)
+      return true
+
     } catch (error) {
-      // 回退到原始几何体，避免场景处于半成品状态
       try {
         if (currentGeometry && currentGeometry !== baseline.geometry) {
           currentGeometry.dispose()
         }
       } catch {}
 
+      // 被新任务或视图切换取消：网格交给后来者处理
+      if (error?.cancelled) return false
+
+      // 回退到原始几何体，避免场景处于半成品状态
       this._restoreBaselineForMesh(mesh)
-      engravedTextObjects.forEach(t => { if (t?.mesh) t.mesh.visible = true })
+      booleanTextObjects.forEach(t => { if (t?.mesh) t.mesh.visible = true })
+      this._finishEngravingJob(job, error)
       throw error
     }
   }
@@ -357,6 +576,7 @@ export class SurfaceTextManager {
   enableClickListener () {
     const canvas = this.renderer.domElement
     canvas.addEventListener('click', this._boundOnClick)
+    canvas.addEventListener('dblclick', this._boundOnDblClick)
     console.log('点击监听已启用')
   }
 
@@ -366,6 +586,7 @@ export class SurfaceTextManager {
   disableClickListener () {
     const canvas = this.renderer.domElement
     canvas.removeEventListener('click', this._boundOnClick)
+    canvas.removeEventListener('dblclick', this._boundOnDblClick)
     console.log('点击监听已禁用')
   }
 
@@ -388,6 +609,25 @@ export class SurfaceTextManager {
     // 设置射线
     this.raycaster.setFromCamera(mouse, this.camera)
 
+    // 路径绘制中：只拾取目标网格，点击用于添加路径点
+    if (this.pathDrawing) {
+      const pathMeshes = this.pathDrawing.mesh ? [this.pathDrawing.mesh] : this.targetMeshes
+      const pathHit = this.raycaster.intersectObjects(pathMeshes, false)[0]
+      if (pathHit) {
+        this._addPathPoint(pathHit, event)
+      }
+      return
+    }
+
+    // 放置 SVG 贴花：点击目标网格表面创建贴花
+    if (this.pendingDecoration) {
+      const decorationHit = this.raycaster.intersectObjects(this.targetMeshes, false)[0]
+      if (decorationHit) {
+        await this._placeDecoration(decorationHit)
+      }
+      return
+    }
+
     // 收集所有可检测的对象：目标网格 + 可见的文字网格
     const textMeshes = Array.from(this.textObjects.values()).map(t => t.mesh).filter(m => m.visible)
     const allMeshes = [
@@ -489,6 +729,391 @@ export class SurfaceTextManager {
     await this._handleClick(faceInfo, originalEvent || { clientX: 0, clientY: 0 })
   }
 
+  // ==================== 路径文字 ====================
+
+  /**
+   * 开始绘制文字路径
+   * 之后每次点击目标网格添加一个路径点，双击或调用 finishPathDrawing() 结束绘制
+   * @param {THREE.Mesh} [targetMesh] - 限定路径所在网格（省略时以第一次点击的网格为准）
+   * @param {Object} [options]
+   * @param {string} [options.curve='spline'] - 'spline' | 'polyline'
+   * @param {boolean} [options.closed=false] - 是否闭合路径
+   * @param {string} [options.align='center'] - 文字在路径上的对齐方式 'start' | 'center' | 'end'
+   * @returns {boolean} 是否成功开始
+   */
+  startPathDrawing (targetMesh = null, options = {}) {
+    if (this.viewMode !== 'construct') {
+      console.warn('结果态下不能绘制文字路径')
+      return false
+    }
+
+    if (this.pathDrawing) {
+      this.cancelPathDrawing()
+    }
+    this.cancelDecorationPlacement()
+    this.inputOverlay.hide()
+
+    this.pathDrawing = {
+      mesh: targetMesh?.isMesh ? targetMesh : null,
+      faceIndex: null,
+      points: [], // 网格局部坐标
+      normals: [], // 网格局部法线
+      options: { curve: 'spline', closed: false, align: 'center', ...options },
+      preview: null,
+      lastScreenPosition: null
+    }
+
+    console.log('文字路径绘制已开始')
+    this.emit('pathDrawingStarted', { mesh: this.pathDrawing.mesh })
+    return true
+  }
+
+  /**
+   * 是否正在绘制文字路径
+   * @returns {boolean}
+   */
+  isDrawingPath () {
+    return !!this.pathDrawing
+  }
+
+  /**
+   * 结束路径绘制并创建路径文字
+   * @param {string|null} [content] - 文字内容，省略时弹出输入框
+   * @returns {Promise<string|null>} 文字ID，取消或路径无效时返回 null
+   */
+  async finishPathDrawing (content = null) {
+    const drawing = this.pathDrawing
+    if (!drawing) return null
+
+    if (drawing.points.length < 2) {
+      console.warn('路径至少需要两个点，已取消绘制')
+      this.cancelPathDrawing()
+      return null
+    }
+
+    const path = this._serializePath(drawing)
+    const { mesh, faceIndex, lastScreenPosition } = drawing
+    this._endPathDrawing()
+    this.emit('pathDrawingFinished', { mesh, path })
+
+    let textContent = content
+    if (textContent === null) {
+      textContent = await this.inputOverlay.show(lastScreenPosition?.x ?? 0, lastScreenPosition?.y ?? 0)
+    }
+    if (!textContent || !this.validateTextContent(textContent)) return null
+
+    return this.createPathText(textContent, mesh, path, { faceIndex })
+  }
+
+  /**
+   * 取消路径绘制
+   */
+  cancelPathDrawing () {
+    if (!this.pathDrawing) return
+    this._endPathDrawing()
+    console.log('文字路径绘制已取消')
+    this.emit('pathDrawingCancelled')
+  }
+
+  /**
+   * 沿路径创建文字
+   * @param {string} content - 文字内容
+   * @param {THREE.Mesh} targetMesh - 路径所在网格
+   * @param {Object} path - 路径配置（目标网格局部坐标，格式见 PathTextGeometry）
+   * @param {Object} [options] - 同 createTextObject 的 options
+   * @param {number} [options.faceIndex] - 路径起点所在的面索引（用于生成表面标识）
+   * @returns {Promise<string>} 文字对象ID
+   */
+  async createPathText (content, targetMesh, path, options = {}) {
+    const { faceIndex = 0, ...createOptions } = options
+
+    // 以路径中间的控制点作为文字的附着点
+    const middle = Math.floor(path.points.length / 2)
+    const point = new THREE.Vector3().fromArray(path.points[middle])
+    targetMesh.updateMatrixWorld(true)
+
+    const faceInfo = {
+      mesh: targetMesh,
+      faceIndex,
+      face: { normal: new THREE.Vector3().fromArray(path.normals?.[middle] || [0, 0, 1]) },
+      point: targetMesh.localToWorld(point),
+      distance: 0,
+      uv: null
+    }
+
+    return this.createTextObject(content, faceInfo, {
+      ...createOptions,
+      config: { ...(createOptions.config || {}), path }
+    })
+  }
+
+  /**
+   * 添加路径点
+   * @param {Object} hit - 射线检测结果
+   * @param {MouseEvent} event - 鼠标事件
+   */
+  _addPathPoint (hit, event) {
+    const drawing = this.pathDrawing
+    const mesh = hit.object
+    if (!drawing.mesh) drawing.mesh = mesh
+
+    mesh.updateMatrixWorld(true)
+    const point = mesh.worldToLocal(hit.point.clone())
+    const normal = hit.face ? hit.face.normal.clone().normalize() : new THREE.Vector3(0, 0, 1)
+
+    // 双击前会先触发两次 click，忽略与上一个点重合的点
+    const last = drawing.points[drawing.points.length - 1]
+    if (last) {
+      if (!mesh.geometry.boundingSphere) mesh.geometry.computeBoundingSphere()
+      if (last.distanceTo(point) <= mesh.geometry.boundingSphere.radius * 1e-4) return
+    }
+
+    if (drawing.faceIndex === null) drawing.faceIndex = hit.faceIndex
+    drawing.points.push(point)
+    drawing.normals.push(normal)
+    drawing.lastScreenPosition = { x: event.clientX, y: event.clientY }
+
+    this._updatePathPreview()
+    this.emit('pathPointAdded', { mesh, count: drawing.points.length })
+  }
+
+  /**
+   * 画布双击：结束路径绘制
+   */
+  _onCanvasDblClick () {
+    if (!this.pathDrawing) return
+    this.finishPathDrawing().catch(error => {
+      console.error('创建路径文字失败:', error)
+    })
+  }
+
+  /**
+   * 路径配置（控制点保留有限精度，便于保存到项目配置）
+   * @param {Object} drawing - 绘制状态
+   * @returns {Object} 路径配置
+   */
+  _serializePath (drawing) {
+    const round = (value, digits) => Number(value.toFixed(digits))
+    return {
+      points: drawing.points.map(p => p.toArray().map(v => round(v, 5))),
+      normals: drawing.normals.map(n => n.toArray().map(v => round(v, 4))),
+      curve: drawing.options.curve,
+      closed: !!drawing.options.closed,
+      align: drawing.options.align,
+      offset: 0
+    }
+  }
+
+  /**
+   * 更新路径预览线（两个点以上时按实际曲线采样）
+   */
+  _updatePathPreview () {
+    const drawing = this.pathDrawing
+    this._removePathPreview()
+    if (!drawing || drawing.points.length === 0) return
+
+    const mesh = drawing.mesh
+    if (!mesh.geometry.boundingSphere) mesh.geometry.computeBoundingSphere()
+    const lift = mesh.geometry.boundingSphere.radius * 0.002
+
+    let samples = drawing.points.map((p, i) => ({ position: p, normal: drawing.normals[i] }))
+    if (drawing.points.length >= 2) {
+      try {
+        const sampler = new PathFrameSampler(this._serializePath(drawing), {
+          geometry: this._getMeshBaseline(mesh)?.geometry || mesh.geometry
+        })
+        samples = sampler.positions.map((p, i) => ({ position: p, normal: sampler.normals[i] }))
+      } catch (error) {
+        console.warn('路径预览采样失败:', error)
+      }
+    }
+
+    // 沿法线稍微抬起，避免与表面 z-fighting
+    const toWorld = (position, normal) =>
+      position.clone().addScaledVector(normal, lift).applyMatrix4(mesh.matrixWorld)
+
+    const preview = new THREE.Group()
+    preview.userData.isHelper = true
+
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(samples.map(s => toWorld(s.position, s.normal))),
+      new THREE.LineBasicMaterial({ color: 0xff6600, depthTest: false })
+    )
+    const points = new THREE.Points(
+      new THREE.BufferGeometry().setFromPoints(drawing.points.map((p, i) => toWorld(p, drawing.normals[i]))),
+      new THREE.PointsMaterial({ color: 0xff6600, size: 6, sizeAttenuation: false, depthTest: false })
+    )
+    line.renderOrder = 999
+    points.renderOrder = 999
+    preview.add(line, points)
+
+    this.scene.add(preview)
+    drawing.preview = preview
+  }
+
+  _removePathPreview () {
+    const preview = this.pathDrawing?.preview
+    if (!preview) return
+    this.scene.remove(preview)
+    preview.traverse(child => {
+      child.geometry?.dispose()
+      child.material?.dispose()
+    })
+    this.pathDrawing.preview = null
+  }
+
+  _endPathDrawing () {
+    this._removePathPreview()
+    this.pathDrawing = null
+  }
+
+  // ==================== SVG 贴花 ====================
+
+  /**
+   * 开始放置 SVG 贴花：之后点击目标网格表面时在点击处创建贴花
+   * SVG 在这里先解析一次，无效的文件直接抛出错误
+   * @param {string} svg - SVG 文件内容
+   * @param {Object} [options] - 同 createDecoration 的 options
+   * @returns {boolean} 是否成功开始
+   */
+  startDecorationPlacement (svg, options = {}) {
+    if (this.viewMode !== 'construct') {
+      console.warn('结果态下不能放置贴花')
+      return false
+    }
+
+    this.geometryGenerator.getDecalFont(svg, options.config?.angle)
+
+    if (this.pathDrawing) {
+      this.cancelPathDrawing()
+    }
+    this.inputOverlay.hide()
+
+    this.pendingDecoration = { svg, options }
+    console.log('贴花放置已开始，点击模型表面放置')
+    this.emit('decorationPlacementStarted', { name: options.name || 'SVG' })
+    return true
+  }
+
+  /**
+   * 开始放置图片浮雕：之后点击目标网格表面时在点击处创建浮雕
+   * 图片在这里先解码一次，无效的图片直接抛出错误
+   * @param {string} image - 图片 data URL（PNG/JPEG）
+   * @param {Object} [options] - 同 createRelief 的 options
+   * @returns {Promise<boolean>} 是否成功开始
+   */
+  async startReliefPlacement (image, options = {}) {
+    if (this.viewMode !== 'construct') {
+      console.warn('结果态下不能放置浮雕')
+      return false
+    }
+
+    const relief = reliefGeometry.getReliefConfig(options.config?.relief)
+    await reliefGeometry.loadHeightmap(image, relief.resolution)
+
+    if (this.pathDrawing) {
+      this.cancelPathDrawing()
+    }
+    this.inputOverlay.hide()
+
+    this.pendingDecoration = { image, options }
+    console.log('浮雕放置已开始，点击模型表面放置')
+    this.emit('decorationPlacementStarted', { name: options.name || '图片浮雕', type: 'relief' })
+    return true
+  }
+
+  /**
+   * 是否正在放置贴花
+   * @returns {boolean}
+   */
+  isPlacingDecoration () {
+    return !!this.pendingDecoration
+  }
+
+  /**
+   * 取消放置贴花
+   */
+  cancelDecorationPlacement () {
+    if (!this.pendingDecoration) return
+    this.pendingDecoration = null
+    console.log('贴花放置已取消')
+    this.emit('decorationPlacementCancelled')
+  }
+
+  async _placeDecoration (hit) {
+    const { svg, image, options } = this.pendingDecoration
+    this.pendingDecoration = null
+
+    const faceInfo = {
+      mesh: hit.object,
+      faceIndex: hit.faceIndex,
+      face: hit.face,
+      point: hit.point.clone(),
+      distance: hit.distance,
+      uv: hit.uv
+    }
+
+    try {
+      if (image) {
+        await this.createRelief(image, faceInfo, options)
+      } else {
+        await this.createDecoration(svg, faceInfo, options)
+      }
+    } catch (error) {
+      // 错误已由 createTextObject 通过 error 事件上报，这里只结束放置状态
+      console.error('放置贴花失败:', error)
+      this.emit('decorationPlacementCancelled')
+    }
+  }
+
+  /**
+   * 在表面上创建 SVG 贴花
+   * 贴花与文字共用生成、定位、凸起/内嵌和快照流程（文字对象 kind 为 'decoration'），
+   * 内容字段保存贴花名称，图形保存在 config.svg
+   * @param {string} svg - SVG 文件内容
+   * @param {Object} faceInfo - 面信息
+   * @param {Object} [options]
+   * @param {string} [options.id] - 指定贴花ID（恢复时使用）
+   * @param {string} [options.name='SVG'] - 贴花名称（一般为文件名）
+   * @param {Object} [options.config] - 贴花配置（size 为高度，thickness 为深度，angle 为旋转角度）
+   * @returns {Promise<string>} 贴花ID
+   */
+  async createDecoration (svg, faceInfo, options = {}) {
+    const { name = 'SVG', config = {}, ...createOptions } = options
+    return this.createTextObject(name, faceInfo, {
+      ...createOptions,
+      id: createOptions.id || this.generateDecorationId(),
+      kind: 'decoration',
+      config: { ...this.getDefaultDecorationConfig(), ...config, svg }
+    })
+  }
+
+  /**
+   * 在表面上创建图片浮雕（贴花的一种，config.relief 保存图片和浮雕参数）
+   * 浮雕贴合平面或圆柱面；凸起时在结果态与目标网格合并，内嵌时从目标网格中减去
+   * @param {string} image - 图片 data URL（PNG/JPEG）
+   * @param {Object} faceInfo - 面信息
+   * @param {Object} [options]
+   * @param {string} [options.id] - 指定浮雕ID（恢复时使用）
+   * @param {string} [options.name='图片浮雕'] - 浮雕名称（一般为文件名）
+   * @param {Object} [options.config] - 浮雕配置（size 为高度，thickness 为浮雕深度，relief 为分辨率/反相/底座深度）
+   * @returns {Promise<string>} 浮雕ID
+   */
+  async createRelief (image, faceInfo, options = {}) {
+    const { name = '图片浮雕', config = {}, ...createOptions } = options
+    const defaults = this.getDefaultReliefConfig()
+    return this.createTextObject(name, faceInfo, {
+      ...createOptions,
+      id: createOptions.id || this.generateDecorationId(),
+      kind: 'decoration',
+      config: {
+        ...defaults,
+        ...config,
+        relief: { ...defaults.relief, ...config.relief, image }
+      }
+    })
+  }
+
   /**
    * 从内嵌网格中查找对应的文字ID
    * 通过检测点击的面所属的材质组来判断
@@ -682,19 +1307,22 @@ export class SurfaceTextManager {
    * @param {Object} textObject - 文字对象
    */
   async reapplyEngraving (textObject) {
-    try {
-      // 获取该网格上所有的内嵌文字
-      const textIds = this.meshTextMap.get(textObject.targetMesh.uuid)
-      if (!textIds) return
+    // 获取该网格上所有的内嵌文字
+    const textIds = this.meshTextMap.get(textObject.targetMesh.uuid)
+    if (!textIds) return
 
-      // 从原始几何体开始
-      let currentGeometry = textObject.originalTargetGeometry.clone()
+    const engravedTextObjects = Array.from(textIds)
+      .map(textId => this.textObjects.get(textId))
+      .filter(textObj => textObj && textObj.mode === 'engraved')
 
-      // 依次应用所有内嵌文字的布尔操作
-      for (const textId of textIds) {
-        const textObj = this.textObjects.get(textId)
-        if (!textObj || textObj.mode !== 'engraved') continue
+    const job = this._beginEngravingJob(textObject.targetMesh, engravedTextObjects)
 
+    // 从原始几何体开始
+    let currentGeometry = textObject.originalTargetGeometry.clone()
+
+    try {
+      // 依次应用所有内嵌文字的布尔操作
+      for (const [step, textObj] of engravedTextObjects.entries()) {
         // 更新文字网格的世界矩阵
         textObj.mesh.updateMatrixWorld(true)
 
@@ -747,13 +1375,13 @@ export class SurfaceTextManager {
           textGeometryForCSG.applyMatrix4(targetInverseMatrix)
         }
 
-        // 执行布尔减法操作
-        const result = await this.booleanOperator.subtract(
-          currentGeometry,
-          textGeometryForCSG,
-          null,
-          { textId: textObj.id }
-        )
+        // 执行布尔减法操作（清理临时几何体）
+        let result
+        try {
+          result = await this._subtractForEngraving(job, currentGeometry, textGeometryForCSG, textObj, step)
+        } finally {
+          textGeometryForCSG.dispose()
+        }
 
         if (result && result.geometry) {
           // 清理上一个几何体
@@ -762,25 +1390,29 @@ export class SurfaceTextManager {
           }
           currentGeometry = result.geometry
         }
-
-        // 清理临时几何体
-        textGeometryForCSG.dispose()
-
-        // 隐藏文字网格
-        textObj.mesh.visible = false
       }
 
+      // 隐藏文字网格
+      engravedTextObjects.forEach(textObj => { textObj.mesh.visible = false })
+
       // 更新目标网格几何体
       textObject.targetMesh.geometry.dispose()
       textObject.targetMesh.geometry = currentGeometry
 
       // 更新多材质数组
       this.updateMeshMaterials(textObject.targetMesh, textObject)
+      this._finishEngravingJob(job)
 
       console.log('内嵌效果重新应用成功')
 
     } catch (error) {
+      if (currentGeometry !== textObject.originalTargetGeometry) {
+        currentGeometry.dispose()
+      }
+      if (error?.cancelled) return
+
       console.error('重新应用内嵌效果失败:', error)
+      this._finishEngravingJob(job, error)
       throw error
     }
   }
@@ -807,20 +1439,21 @@ export class SurfaceTextManager {
     }
 
     try {
-      // 检测表面类型
-      const surfaceInfo = this.analyzeSurface(faceInfo)
-
       const initialConfig = {
         ...this.config.defaultTextConfig,
         ...(options.config || {})
       }
 
+      // 检测表面类型
+      const surfaceInfo = this._createSurfaceInfo(faceInfo, initialConfig)
+
       // 生成文字几何体（根据表面类型选择生成方式）
       const geometry = await this.geometryGenerator.generate(
         content,
         initialConfig,
         surfaceInfo
       )
+      this.reportMissingGlyphs(textId, geometry)
 
       // 创建文字网格
       // 使用双面渲染，因为弯曲变换可能导致某些面的法向量翻转
@@ -831,20 +1464,18 @@ export class SurfaceTextManager {
       const mesh = new THREE.Mesh(geometry, material)
 
       // 设置文字对象的用户数据，用于识别
+      const kind = options.kind || 'text'
       mesh.userData = {
         isText: true,
         isTextObject: true,
+        isDecoration: kind === 'decoration',
         textId: textId,
-        type: 'text',
+        type: kind,
         surfaceType: surfaceInfo?.surfaceType || 'plane'
       }
 
       // 计算文字位置和方向（根据表面类型）
-      if (surfaceInfo?.surfaceType === 'cylinder') {
-        this.positionTextOnCylinder(mesh, faceInfo, surfaceInfo)
-      } else {
-        this.positionTextOnSurface(mesh, faceInfo)
-      }
+      this.positionTextBySurface(mesh, faceInfo, surfaceInfo)
 
       // 生成表面标识
       const surfaceId = surfaceIdentifier.generateSurfaceId(faceInfo)
@@ -852,6 +1483,7 @@ export class SurfaceTextManager {
       // 创建文字对象数据
       const textObject = {
         id: textId,
+        kind, // 'text' | 'decoration'
         content: content,
         mesh: mesh,
         geometry: geometry,
@@ -891,12 +1523,49 @@ export class SurfaceTextManager {
     }
   }
 
+  /**
+   * 创建文字的表面信息
+   * 路径文字吸附到目标几何体上，不需要表面检测（已有雕刻结果时使用雕刻前的基准几何体）
+   * @private
+   * @param {Object} faceInfo - 面信息
+   * @param {Object} config - 文字配置
+   * @returns {Object|null} 表面信息
+   */
+  _createSurfaceInfo (faceInfo, config) {
+    if (!config.path) return this.analyzeSurface(faceInfo, config)
+    return {
+      surfaceType: 'path',
+      attachPoint: faceInfo.point.clone(),
+      geometry: faceInfo.mesh ? this._getMeshBaseline(faceInfo.mesh)?.geometry || faceInfo.mesh.geometry : null
+    }
+  }
+
+  /**
+   * 按表面类型定位文字网格
+   * @param {THREE.Mesh} textMesh - 文字网格
+   * @param {Object} faceInfo - 面信息
+   * @param {Object|null} surfaceInfo - 表面信息
+   */
+  positionTextBySurface (textMesh, faceInfo, surfaceInfo) {
+    if (surfaceInfo?.surfaceType === 'cylinder') {
+      this.positionTextOnCylinder(textMesh, faceInfo, surfaceInfo)
+    } else if (surfaceInfo?.surfaceType === 'sphere' || surfaceInfo?.surfaceType === 'cone') {
+      this.positionTextOnRevolvedSurface(textMesh)
+    } else if (surfaceInfo?.surfaceType === 'path' || surfaceInfo?.surfaceType === 'project') {
+      this.positionTextOnPath(textMesh, faceInfo.mesh)
+    } else {
+      this.positionTextOnSurface(textMesh, faceInfo)
+    }
+  }
+
   /**
    * 分析表面类型
+   * 规则曲面（平面/球面/圆锥面/圆柱面）之外的自由曲面使用投影贴合
    * @param {Object} faceInfo - 面信息
+   * @param {Object} [config] - 文字配置，wrap 为 'project' 时强制使用投影贴合
    * @returns {Object|null} 表面信息
    */
-  analyzeSurface (faceInfo) {
+  analyzeSurface (faceInfo, config = {}) {
     const { mesh } = faceInfo
 
     console.log('🔍 开始表面分析:', {
@@ -905,6 +1574,15 @@ export class SurfaceTextManager {
       vertexCount: mesh.geometry.attributes.position?.count || 0
     })
 
+    if (config.relief) {
+      return this.analyzeReliefSurface(faceInfo)
+    }
+
+    if (config.wrap === 'project') {
+      console.log('🎭 使用投影贴合模式')
+      return this.createProjectionSurfaceInfo(faceInfo, config)
+    }
+
     // 检查几何体类型 - BoxGeometry 直接返回平面
     if (mesh.geometry.type === 'BoxGeometry' || mesh.geometry.type === 'BoxBufferGeometry') {
       console.log('📦 检测到 BoxGeometry，直接使用平面模式')
@@ -914,6 +1592,21 @@ export class SurfaceTextManager {
       }
     }
 
+    // 球面/圆锥面检测（圆柱面的拟合误差不满足要求，会继续走下面的圆柱检测）
+    const revolvedSurfaceInfo = this.detectSphereOrCone(faceInfo)
+    if (revolvedSurfaceInfo) {
+      return revolvedSurfaceInfo
+    }
+
+    // 导入的模型（非参数几何体）：点击处周围是平面时直接使用平面模式，不做整体圆柱检测和投影
+    if (!mesh.geometry.parameters && this.isPlanarAt(faceInfo, config)) {
+      console.log('📝 点击处为平面，使用平面模式')
+      return {
+        surfaceType: 'plane',
+        attachPoint: faceInfo.point.clone()
+      }
+    }
+
     // 只对 CylinderGeometry 或顶点数较多的几何体进行圆柱检测
     const vertexCount = mesh.geometry.attributes.position?.count || 0
     if (mesh.geometry.type === 'CylinderGeometry' || mesh.geometry.type === 'CylinderBufferGeometry') {
@@ -965,14 +1658,163 @@ export class SurfaceTextManager {
       }
     }
 
-    // 默认为平面
-    console.log('📝 使用平面模式')
+    // 其余自由曲面使用投影贴合
+    console.log('🎭 未识别为规则曲面，使用投影贴合模式')
+    return this.createProjectionSurfaceInfo(faceInfo, config)
+  }
+
+  /**
+   * 点击处周围（文字大致覆盖的范围）是否为平面
+   * 使用雕刻前的基准几何体，避免已有的内嵌文字把平面切碎
+   * @param {Object} faceInfo - 面信息
+   * @param {Object} [config] - 文字配置（size 决定检查范围）
+   * @returns {boolean}
+   */
+  isPlanarAt (faceInfo, config = {}) {
+    const { mesh } = faceInfo
+    if (faceInfo.faceIndex === undefined || faceInfo.faceIndex === null) return false
+
+    const geometry = this._getMeshBaseline(mesh)?.geometry || mesh.geometry
+    mesh.updateMatrixWorld(true)
+    const scale = mesh.matrixWorld.getMaxScaleOnAxis() || 1
+    const radius = (config.size || this.config.defaultTextConfig.size) * 2 / scale
+    return !!this.featureDetector.detectPlaneAt(geometry, faceInfo.faceIndex, { radius })
+  }
+
+  /**
+   * 分析图片浮雕的表面类型：浮雕只贴合平面和圆柱面，其余表面按点击处的切平面放置
+   * @param {Object} faceInfo - 面信息
+   * @returns {Object} 表面信息
+   */
+  analyzeReliefSurface (faceInfo) {
+    const surfaceInfo = this.analyzeSurface(faceInfo)
+    if (surfaceInfo?.surfaceType === 'cylinder') return surfaceInfo
+
+    console.log('🖼️ 图片浮雕使用平面模式')
     return {
       surfaceType: 'plane',
       attachPoint: faceInfo.point.clone()
     }
   }
 
+  /**
+   * 创建投影贴合的表面信息
+   * 投影在目标网格局部坐标系中进行；已有雕刻结果时投影到雕刻前的基准几何体上
+   * @param {Object} faceInfo - 面信息
+   * @param {Object} [config] - 文字配置，projectDirection 为 'view' 时沿视线方向投影，否则沿平均法线
+   * @returns {Object} 表面信息
+   */
+  createProjectionSurfaceInfo (faceInfo, config = {}) {
+    const { mesh } = faceInfo
+    mesh.updateMatrixWorld(true)
+    const inverseMatrix = mesh.matrixWorld.clone().invert()
+
+    const projectionInfo = {
+      geometry: this._getMeshBaseline(mesh)?.geometry || mesh.geometry,
+      origin: faceInfo.point.clone().applyMatrix4(inverseMatrix),
+      normal: faceInfo.face ? faceInfo.face.normal.clone() : new THREE.Vector3(0, 0, 1),
+      // 文字向上方向与世界 Y 轴一致
+      up: new THREE.Vector3(0, 1, 0).transformDirection(inverseMatrix)
+    }
+
+    // 视线方向投影：项目中保存的方向（目标网格局部坐标）优先，否则使用当前相机的视线方向
+    if (config.projectDirection === 'view') {
+      if (Array.isArray(config.projectVector) && config.projectVector.length === 3) {
+        projectionInfo.direction = new THREE.Vector3().fromArray(config.projectVector).normalize()
+      } else if (this.camera) {
+        projectionInfo.direction = this.camera.getWorldDirection(new THREE.Vector3()).transformDirection(inverseMatrix)
+      }
+    }
+
+    return {
+      surfaceType: 'project',
+      projectionInfo,
+      attachPoint: faceInfo.point.clone()
+    }
+  }
+
+  /**
+   * 检测点击面所在的球面或圆锥面
+   * 标准几何体（SphereGeometry/ConeGeometry/圆台）直接读取参数，其余网格在点击面附近拟合
+   * @param {Object} faceInfo - 面信息
+   * @returns {Object|null} 表面信息（世界坐标系），不是球面/圆锥面时返回 null
+   */
+  detectSphereOrCone (faceInfo) {
+    const { mesh } = faceInfo
+    const geometry = mesh.geometry
+    const params = geometry.parameters || {}
+    let info = null
+
+    if (geometry.type === 'SphereGeometry') {
+      info = { type: 'sphere', center: new THREE.Vector3(), radius: params.radius, confidence: 1 }
+    } else if (geometry.type === 'ConeGeometry' ||
+      (geometry.type === 'CylinderGeometry' && params.radiusTop !== params.radiusBottom)) {
+      // 沿 Y 轴的圆锥/圆台，轴向从窄端指向宽端
+      const radiusTop = geometry.type === 'ConeGeometry' ? 0 : params.radiusTop
+      const radiusBottom = geometry.type === 'ConeGeometry' ? params.radius : params.radiusBottom
+      const halfAngle = Math.atan(Math.abs(radiusBottom - radiusTop) / params.height)
+      const narrowIsTop = radiusTop < radiusBottom
+      const narrowRadius = Math.min(radiusTop, radiusBottom)
+      const apexY = (narrowIsTop ? 1 : -1) * (params.height / 2 + narrowRadius / Math.tan(halfAngle))
+      info = {
+        type: 'cone',
+        apex: new THREE.Vector3(0, apexY, 0),
+        axis: new THREE.Vector3(0, narrowIsTop ? -1 : 1, 0),
+        halfAngle,
+        confidence: 1
+      }
+    } else if (geometry.type !== 'CylinderGeometry' && faceInfo.faceIndex !== undefined) {
+      info = this.featureDetector.detectSurfaceAt(geometry, faceInfo.faceIndex)
+    }
+
+    if (!info || info.confidence <= 0.7) {
+      if (info) {
+        console.log(`⚠️ ${info.type === 'sphere' ? '球面' : '圆锥面'}置信度不足 (${(info.confidence * 100).toFixed(1)}%)`)
+      }
+      return null
+    }
+
+    // 拟合结果在几何体局部坐标系，转换到世界坐标系（假设等比缩放）
+    mesh.updateMatrixWorld(true)
+    const scale = mesh.matrixWorld.getMaxScaleOnAxis()
+
+    if (info.type === 'sphere') {
+      const sphereInfo = {
+        center: info.center.clone().applyMatrix4(mesh.matrixWorld),
+        radius: info.radius * scale,
+        confidence: info.confidence
+      }
+      console.log('✅ 识别为球面', {
+        confidence: (info.confidence * 100).toFixed(1) + '%',
+        radius: sphereInfo.radius.toFixed(2)
+      })
+      return { surfaceType: 'sphere', sphereInfo, attachPoint: faceInfo.point.clone() }
+    }
+
+    const coneInfo = {
+      apex: info.apex.clone().applyMatrix4(mesh.matrixWorld),
+      axis: info.axis.clone().transformDirection(mesh.matrixWorld),
+      halfAngle: info.halfAngle,
+      confidence: info.confidence
+    }
+    console.log('✅ 识别为圆锥面', {
+      confidence: (info.confidence * 100).toFixed(1) + '%',
+      halfAngle: THREE.MathUtils.radToDeg(info.halfAngle).toFixed(1) + '°'
+    })
+    return { surfaceType: 'cone', coneInfo, attachPoint: faceInfo.point.clone() }
+  }
+
+  /**
+   * 在球面/圆锥面上定位文字
+   * 几何体已在 SphereConeTextGeometry 中映射到世界坐标系，网格放在原点即可
+   * @param {THREE.Mesh} textMesh - 文字网格
+   */
+  positionTextOnRevolvedSurface (textMesh) {
+    textMesh.position.set(0, 0, 0)
+    textMesh.rotation.set(0, 0, 0)
+    textMesh.scale.set(1, 1, 1)
+  }
+
   /**
    * 在圆柱面上定位文字
    * @param {THREE.Mesh} textMesh - 文字网格
@@ -993,6 +1835,18 @@ export class SurfaceTextManager {
     console.log('✅ 圆柱面文字定位完成 - 网格位置归零（几何体已包含位置信息）')
   }
 
+  /**
+   * 定位路径文字
+   * 路径文字和投影文字的几何体生成在目标网格局部坐标系中，文字网格直接沿用目标网格的世界变换
+   * @param {THREE.Mesh} textMesh - 文字网格
+   * @param {THREE.Mesh} targetMesh - 路径所在网格
+   */
+  positionTextOnPath (textMesh, targetMesh) {
+    targetMesh.updateMatrixWorld(true)
+    targetMesh.matrixWorld.decompose(textMesh.position, textMesh.quaternion, textMesh.scale)
+    textMesh.updateMatrixWorld(true)
+  }
+
   /**
    * 将几何体的所有顶点沿径向向内移动
    * @param {THREE.BufferGeometry} geometry - 几何体（世界坐标系）
@@ -1465,6 +2319,9 @@ export class SurfaceTextManager {
 
     // 如果是内嵌模式：构造态不做布尔（等切回结果态统一重算）；结果态保持原逻辑
     if (textObject.mode === 'engraved') {
+      // 包含该文字的雕刻任务已经过时
+      this._cancelEngravingJob(textObject.targetMesh)
+
       // 先移除映射关系（这样在检查其他内嵌文字时不会包含当前文字）
       this.removeMeshTextMapping(textObject.targetMesh, textId)
 
@@ -1487,10 +2344,12 @@ export class SurfaceTextManager {
         if (otherEngravedTexts.length > 0) {
           console.log(`删除文字后，重新应用 ${otherEngravedTexts.length} 个其他内嵌文字`)
 
+          const job = this._beginEngravingJob(textObject.targetMesh, otherEngravedTexts)
+          let currentGeometry = textObject.originalTargetGeometry.clone()
+
           try {
-            let currentGeometry = textObject.originalTargetGeometry.clone()
 
-            for (const otherTextObj of otherEngravedTexts) {
+            for (const [step, otherTextObj] of otherEngravedTexts.entries()) {
               otherTextObj.mesh.updateMatrixWorld(true)
               const textGeometryForCSG = otherTextObj.geometry.clone()
 
@@ -1508,12 +2367,12 @@ export class SurfaceTextManager {
                 textGeometryForCSG.applyMatrix4(targetInverseMatrix)
               }
 
-              const result = await this.booleanOperator.subtract(
-                currentGeometry,
-                textGeometryForCSG,
-                null,
-                { textId: otherTextObj.id }
-              )
+              let result
+              try {
+                result = await this._subtractForEngraving(job, currentGeometry, textGeometryForCSG, otherTextObj, step)
+              } finally {
+                textGeometryForCSG.dispose()
+              }
 
               if (result && result.geometry) {
                 if (currentGeometry !== textObject.originalTargetGeometry) {
@@ -1521,20 +2380,26 @@ export class SurfaceTextManager {
                 }
                 currentGeometry = result.geometry
               }
-
-              textGeometryForCSG.dispose()
             }
 
             textObject.targetMesh.geometry.dispose()
             textObject.targetMesh.geometry = currentGeometry
             this.updateMeshMaterials(textObject.targetMesh, otherEngravedTexts[0])
+            this._finishEngravingJob(job)
 
           } catch (error) {
-            console.error('重新应用其他内嵌文字失败:', error)
-            textObject.targetMesh.geometry.dispose()
-            textObject.targetMesh.geometry = textObject.originalTargetGeometry.clone()
-            if (textObject.originalTargetMaterial) {
-              textObject.targetMesh.material = textObject.originalTargetMaterial
+            if (currentGeometry !== textObject.originalTargetGeometry) {
+              currentGeometry.dispose()
+            }
+            // 被新任务取消：目标网格交给后来的任务处理，不回退
+            if (!error?.cancelled) {
+              console.error('重新应用其他内嵌文字失败:', error)
+              this._finishEngravingJob(job, error)
+              textObject.targetMesh.geometry.dispose()
+              textObject.targetMesh.geometry = textObject.originalTargetGeometry.clone()
+              if (textObject.originalTargetMaterial) {
+                textObject.targetMesh.material = textObject.originalTargetMaterial
+              }
             }
           }
 
@@ -1556,6 +2421,19 @@ export class SurfaceTextManager {
     } else {
       // 非内嵌模式，只需移除映射关系
       this.removeMeshTextMapping(textObject.targetMesh, textId)
+
+      // 凸起的图片浮雕在结果态已合并到目标网格，需要重算
+      if (this._isRaisedRelief(textObject)) {
+        this._cancelEngravingJob(textObject.targetMesh)
+        this._markEngravingDirty(textObject.targetMesh)
+        if (!isConstructView) {
+          try {
+            await this._applyEngravingsForMesh(textObject.targetMesh)
+          } catch (error) {
+            console.error('删除浮雕后重算目标网格失败:', error)
+          }
+        }
+      }
     }
 
     // 清理原始几何体缓存（无论是否已执行布尔）
@@ -1607,7 +2485,9 @@ export class SurfaceTextManager {
 
     try {
       // 生成新的几何体（使用当前配置）
-      const newGeometry = await this.geometryGenerator.generate(newContent, textObject.config)
+      // 带上表面信息，曲面文字更新后仍保持贴合
+      const newGeometry = await this.geometryGenerator.generate(newContent, textObject.config, textObject.surfaceInfo)
+      this.reportMissingGlyphs(textId, newGeometry)
 
       // 更新网格几何体
       textObject.mesh.geometry.dispose() // 清理旧几何体
@@ -1619,8 +2499,9 @@ export class SurfaceTextManager {
       console.log(`文字内容已更新: ${textId}`, { oldContent, newContent })
       this.emit('textContentUpdated', { textObject, oldContent, newContent })
 
-      // 内嵌文字在构造态下不立即布尔，标记为待更新
+      // 内嵌文字在构造态下不立即布尔，标记为待更新；进行中的雕刻任务已过时，直接取消
       if (textObject.mode === 'engraved') {
+        this._cancelEngravingJob(textObject.targetMesh)
         this._markEngravingDirty(textObject.targetMesh)
       }
 
@@ -1635,8 +2516,10 @@ export class SurfaceTextManager {
    * 更新文字配置并重新生成几何体
    * @param {string} textId - 文字ID
    * @param {Object} configUpdates - 配置更新
+   * @param {Object} [options]
+   * @param {boolean} [options.refit] - 重新分析表面并重新定位（目标模型被缩放后贴合文字需要重新生成）
    */
-  async updateTextConfig (textId, configUpdates) {
+  async updateTextConfig (textId, configUpdates, options = {}) {
     if (!this.textObjects.has(textId)) {
       console.warn(`文字对象不存在: ${textId}`)
       return
@@ -1644,13 +2527,26 @@ export class SurfaceTextManager {
 
     const textObject = this.textObjects.get(textId)
     const oldConfig = { ...textObject.config }
+    const oldSurfaceInfo = textObject.surfaceInfo
 
     try {
       // 更新配置
       Object.assign(textObject.config, configUpdates)
 
+      // 贴合方式变化时重新分析表面（未指定投影方向时按当前视线重新计算）
+      const wrapChanged = !textObject.config.path &&
+        (configUpdates.wrap !== undefined || configUpdates.projectDirection !== undefined)
+      if (wrapChanged && configUpdates.projectVector === undefined) {
+        delete textObject.config.projectVector
+      }
+      const refit = wrapChanged || options.refit
+      if (refit) {
+        textObject.surfaceInfo = this._createSurfaceInfo(textObject.faceInfo, textObject.config)
+      }
+
       // 重新生成几何体
-      const newGeometry = await this.geometryGenerator.generate(textObject.content, textObject.config)
+      const newGeometry = await this.geometryGenerator.generate(textObject.content, textObject.config, textObject.surfaceInfo)
+      this.reportMissingGlyphs(textId, newGeometry)
 
       // 更新网格几何体
       textObject.mesh.geometry.dispose()
@@ -1658,11 +2554,17 @@ export class SurfaceTextManager {
       textObject.geometry = newGeometry
       textObject.modified = Date.now()
 
+      if (refit) {
+        textObject.mesh.userData.surfaceType = textObject.surfaceInfo?.surfaceType || 'plane'
+        this.positionTextBySurface(textObject.mesh, textObject.faceInfo, textObject.surfaceInfo)
+      }
+
       console.log(`文字配置已更新: ${textId}`, { oldConfig, newConfig: textObject.config })
       this.emit('textConfigUpdated', { textObject, oldConfig, newConfig: textObject.config })
 
-      // 内嵌文字在构造态下不立即布尔，标记为待更新
-      if (textObject.mode === 'engraved') {
+      // 内嵌文字（以及凸起的图片浮雕）在构造态下不立即布尔，标记为待更新；进行中的雕刻任务已过时，直接取消
+      if (this._usesBoolean(textObject)) {
+        this._cancelEngravingJob(textObject.targetMesh)
         this._markEngravingDirty(textObject.targetMesh)
       }
 
@@ -1670,6 +2572,7 @@ export class SurfaceTextManager {
       console.error('更新文字配置失败:', error)
       // 回滚配置
       textObject.config = oldConfig
+      textObject.surfaceInfo = oldSurfaceInfo
       this.emit('error', { type: 'configUpdate', error, textId })
       throw error
     }
@@ -1755,7 +2658,13 @@ export class SurfaceTextManager {
     }
 
     try {
-      if (mode === 'engraved') {
+      if (textObject.config.relief && this.viewMode === 'result') {
+        // 图片浮雕两种模式都参与布尔运算：结果态按新模式从 baseline 整体重算目标网格
+        textObject.mode = mode
+        textObject.mesh.visible = true
+        this._ensureMeshBaseline(textObject.targetMesh)
+        await this._applyEngravingsForMesh(textObject.targetMesh)
+      } else if (mode === 'engraved') {
         // 先更新 mode，这样后续逻辑才能正确识别内嵌文字
         textObject.mode = 'engraved'
 
@@ -1769,10 +2678,8 @@ export class SurfaceTextManager {
           textObject.engraveError = null
           this._markEngravingDirty(textObject.targetMesh)
         } else {
-          // 结果态：立即应用布尔操作
+          // 结果态：立即应用布尔操作（engraveStatus 由雕刻任务同步）
           await this.applyEngravingMode(textObject)
-          textObject.engraveStatus = 'success'
-          textObject.engraveError = null
         }
       } else {
         if (this.viewMode === 'construct') {
@@ -1836,6 +2743,7 @@ export class SurfaceTextManager {
    * 应用内嵌模式（支持多个文字）
    * 注意：仅支持平面文字，圆柱面文字在 switchTextMode 中已被拦截
    * @param {Object} textObject - 文字对象
+   * @returns {Promise<boolean>} 是否完成（被新的雕刻任务取消时为 false）
    */
   async applyEngravingMode (textObject) {
     // 保存原始几何体和材质（用于恢复）
@@ -1846,12 +2754,15 @@ export class SurfaceTextManager {
         : textObject.targetMesh.material
     }
 
+    const job = this._beginEngravingJob(textObject.targetMesh, [textObject])
+    let textGeometryForCSG = null
+
     try {
       // 更新文字网格的世界矩阵
       textObject.mesh.updateMatrixWorld(true)
 
       // 创建一个用于布尔操作的文字几何体副本
-      let textGeometryForCSG = textObject.geometry.clone()
+      textGeometryForCSG = textObject.geometry.clone()
 
       // 🔧 关键修复：检测是否是圆柱面文字
       // 圆柱面文字的几何体已经在世界坐标系中（在CurvedTextGeometry中完成变换）
@@ -1916,12 +2827,12 @@ export class SurfaceTextManager {
         toolVertexCount: textGeometryForCSG.attributes.position?.count
       })
 
-      const result = await this.booleanOperator.subtract(
-        targetGeometryForCSG,
-        textGeometryForCSG,
-        null,
-        { textId: textObject.id }
-      )
+      let result
+      try {
+        result = await this._subtractForEngraving(job, targetGeometryForCSG, textGeometryForCSG, textObject, 0)
+      } finally {
+        targetGeometryForCSG.dispose()
+      }
 
       console.log('[DEBUG] 布尔操作返回结果:', {
         hasResult: !!result,
@@ -1993,12 +2904,18 @@ export class SurfaceTextManager {
         throw new Error('布尔操作返回空结果')
       }
 
-      // 清理临时几何体
-      textGeometryForCSG.dispose()
+      this._finishEngravingJob(job)
+      return true
 
     } catch (error) {
+      if (error?.cancelled) return false
+
       console.error('应用内嵌模式失败:', error)
+      this._finishEngravingJob(job, error)
       throw error
+    } finally {
+      // 清理临时几何体（包括被取消的任务）
+      textGeometryForCSG?.dispose()
     }
   }
 
@@ -2100,12 +3017,14 @@ export class SurfaceTextManager {
         // 还有其他内嵌文字，需要重新应用它们的布尔操作
         console.log(`还有 ${otherEngravedTexts.length} 个其他内嵌文字，重新应用布尔操作`)
 
+        const job = this._beginEngravingJob(textObject.targetMesh, otherEngravedTexts)
+
         try {
           // 从原始几何体开始
           let currentGeometry = textObject.originalTargetGeometry.clone()
 
           // 依次应用其他内嵌文字的布尔操作
-          for (const otherTextObj of otherEngravedTexts) {
+          for (const [step, otherTextObj] of otherEngravedTexts.entries()) {
             // 更新文字网格的世界矩阵
             otherTextObj.mesh.updateMatrixWorld(true)
 
@@ -2132,13 +3051,13 @@ export class SurfaceTextManager {
               textGeometryForCSG.applyMatrix4(targetInverseMatrix)
             }
 
-            // 执行布尔减法操作
-            const result = await this.booleanOperator.subtract(
-              currentGeometry,
-              textGeometryForCSG,
-              null,
-              { textId: otherTextObj.id }
-            )
+            // 执行布尔减法操作（清理临时几何体）
+            let result
+            try {
+              result = await this._subtractForEngraving(job, currentGeometry, textGeometryForCSG, otherTextObj, step)
+            } finally {
+              textGeometryForCSG.dispose()
+            }
 
             if (result && result.geometry) {
               // 清理上一个几何体
@@ -2147,9 +3066,6 @@ export class SurfaceTextManager {
               }
               currentGeometry = result.geometry
             }
-
-            // 清理临时几何体
-            textGeometryForCSG.dispose()
           }
 
           // 更新目标网格几何体
@@ -2158,11 +3074,16 @@ export class SurfaceTextManager {
 
           // 更新多材质数组（使用第一个其他内嵌文字来更新）
           this.updateMeshMaterials(textObject.targetMesh, otherEngravedTexts[0])
+          this._finishEngravingJob(job)
 
           console.log('凸起模式应用成功，已重新应用其他内嵌文字')
 
         } catch (error) {
+          // 被新的雕刻任务取消：由新任务更新网格
+          if (error?.cancelled) return
+
           console.error('重新应用其他内嵌文字失败:', error)
+          this._finishEngravingJob(job, error)
           // 回退：恢复原始几何体
           textObject.targetMesh.geometry.dispose()
           textObject.targetMesh.geometry = textObject.originalTargetGeometry.clone()
@@ -2174,6 +3095,7 @@ export class SurfaceTextManager {
 
       } else {
         // 没有其他内嵌文字，直接恢复原始几何体和材质
+        this._cancelEngravingJob(textObject.targetMesh)
         textObject.targetMesh.geometry.dispose()
         textObject.targetMesh.geometry = textObject.originalTargetGeometry.clone()
 
@@ -2191,6 +3113,51 @@ export class SurfaceTextManager {
     }
   }
 
+  /**
+   * 上报字体回退链中所有字体都没有字形的字符
+   * 文字仍会生成（缺字用 '?' 字形占位），通过 error 事件提示用户更换或上传字体
+   * @param {string} textId - 文字ID
+   * @param {THREE.BufferGeometry} geometry - 生成的文字几何体
+   */
+  reportMissingGlyphs (textId, geometry) {
+    const chars = geometry?.userData?.missingGlyphs
+    if (!chars || chars.length === 0) return
+
+    const error = new Error(`字体中缺少以下字符: ${chars.join(' ')}`)
+    this.emit('error', { type: 'missingGlyphs', error, textId, chars })
+  }
+
+  /**
+   * 注册运行时字体（TTF/OTF/WOFF 文件或 typeface JSON 路径）
+   * @param {string} [name] - 字体名称，省略时使用字体族名
+   * @param {string|ArrayBuffer|Blob} source - 字体来源
+   * @param {Object} [options]
+   * @param {string} [options.label] - 显示名称
+   * @returns {Promise<string>} 注册的字体名称
+   */
+  async registerFont (name, source, options = {}) {
+    const fontName = await this.geometryGenerator.registerFont(name, source, options)
+    this.emit('fontRegistered', { name: fontName, fonts: this.getRegisteredFonts() })
+    return fontName
+  }
+
+  /**
+   * 获取已注册的字体列表
+   * @returns {Array<{name: string, label: string, builtin: boolean, loaded: boolean}>}
+   */
+  getRegisteredFonts () {
+    return this.geometryGenerator.getRegisteredFonts()
+  }
+
+  /**
+   * 获取运行时注册字体的来源（路径或文件数据），内置字体返回 null
+   * @param {string} fontName - 字体名称
+   * @returns {{name: string, label: string, source: string|null, data: ArrayBuffer|null, extension: string}|null}
+   */
+  getFontSource (fontName) {
+    return this.geometryGenerator.getFontSource(fontName)
+  }
+
   /**
    * 获取所有文字对象
    * @returns {Array} 文字对象数组
@@ -2207,6 +3174,63 @@ export class SurfaceTextManager {
     return this.selectedTextId ? this.textObjects.get(this.selectedTextId) : null
   }
 
+  /**
+   * 获取文字附着位置的表面锚点（保存项目时使用，模型重新导入后由 surfaceAnchor.resolveAnchor 重新定位）
+   * 结果态下目标网格已经过布尔运算，锚点基于原始几何体计算；附着位置创建后不再变化，结果缓存在文字对象上
+   * @param {string} textId - 文字ID
+   * @returns {Object|null} 锚点
+   */
+  getTextAnchor (textId) {
+    const textObject = this.textObjects.get(textId)
+    if (!textObject?.faceInfo?.mesh) return null
+
+    if (textObject.anchor === undefined) {
+      const targetMesh = textObject.faceInfo.mesh
+      const geometry = this._getMeshBaseline(targetMesh)?.geometry || targetMesh.geometry
+      try {
+        textObject.anchor = surfaceAnchor.createAnchor(textObject.faceInfo, geometry)
+      } catch (error) {
+        console.warn(`计算表面锚点失败: ${textId}`, error)
+        textObject.anchor = null
+      }
+    }
+    return textObject.anchor
+  }
+
+  /**
+   * 获取目标网格未经布尔运算的几何体（结果态下网格的几何体已是内嵌/浮雕的结果）
+   * @param {THREE.Mesh} mesh - 目标网格
+   * @returns {THREE.BufferGeometry|null}
+   */
+  getBaselineGeometry (mesh) {
+    return this._getMeshBaseline(mesh)?.geometry || mesh?.geometry || null
+  }
+
+  /**
+   * 获取文字的 2D 字形轮廓（逐字符，已应用描边/空心效果，不含排版位置），用于检查笔画宽度
+   * 贴花、图片浮雕和镂空底板没有字形笔画，返回空数组
+   * @param {string} textId - 文字ID
+   * @returns {Promise<THREE.Shape[]>}
+   */
+  async getGlyphShapes (textId) {
+    const textObject = this.textObjects.get(textId)
+    if (!textObject || textObject.kind === 'decoration' || textObject.config?.relief) return []
+
+    const config = textObject.config || {}
+    const effectConfig = textEffects.getEffectConfig(config)
+    if (effectConfig.effect === 'stencil') return []
+
+    const font = await this.geometryGenerator.getFontWithFallback(
+      config.font || 'helvetiker',
+      config.fallbackFonts || this.geometryGenerator.getFallbackFonts()
+    )
+    if (!font) return []
+
+    return Array.from(textObject.content || '')
+      .filter(char => char.trim())
+      .flatMap(char => textEffects.createGlyphShapes(char, font, config.size || 1, effectConfig, config.curveSegments ?? 12))
+  }
+
   /**
    * 获取文字对象快照（用于撤销/重做）
    * @param {string} textId - 文字ID
@@ -2226,6 +3250,7 @@ export class SurfaceTextManager {
     return {
       version: 1,
       id: textObject.id,
+      kind: textObject.kind || 'text',
       content: textObject.content,
       mode: textObject.mode,
       engraveStatus: textObject.engraveStatus || null,
@@ -2303,6 +3328,7 @@ export class SurfaceTextManager {
 
     const textId = await this.createTextObject(snapshot.content, faceInfo, {
       id: snapshot.id,
+      kind: snapshot.kind,
       config: snapshot.config || {}
     })
 
@@ -2357,7 +3383,7 @@ export class SurfaceTextManager {
         textObject.modified = Date.now()
         this.emit('textTransformed', textObject)
 
-        if (textObject?.mode === 'engraved') {
+        if (this._usesBoolean(textObject)) {
           this._markEngravingDirty(textObject.targetMesh)
         }
       }
@@ -2473,6 +3499,45 @@ export class SurfaceTextManager {
     })
   }
 
+  /**
+   * 文字贴合方式的项目配置字段
+   * wrap: 'path' 路径文字 | 'surface Project' 自动识别表面 | 'project' 强制投影贴合；
+   * 投影时保存 projectDirection，视线方向投影另外保存实际使用的方向（目标网格局部坐标），重新打开时不受相机影响
+   * @param {Object} textObject - 文字对象
+   * @returns {{wrap: string, projectDirection?: string, projectVector?: number[]}}
+   */
+  getWrapConfig (textObject) {
+    const config = textObject.config || {}
+    if (config.path) return { wrap: 'path' }
+
+    const wrapConfig = { wrap: config.wrap === 'project' ? 'project' : 'surface Project' }
+    if (config.projectDirection === 'view') {
+      wrapConfig.projectDirection = 'view'
+      const direction = textObject.surfaceInfo?.projectionInfo?.direction
+      if (direction) wrapConfig.projectVector = direction.toArray().map(v => Number(v.toFixed(5)))
+    } else {
+      wrapConfig.projectDirection = 'normal'
+    }
+    return wrapConfig
+  }
+
+  /**
+   * 从项目配置字段还原贴合方式（getWrapConfig 的逆过程，路径由 path 字段单独还原）
+   * @param {Object} item - 项目中的文字条目
+   * @returns {Object} 文字配置中的 wrap / projectDirection / projectVector
+   */
+  parseWrapConfig (item) {
+    const config = {}
+    if (item?.wrap === 'project') config.wrap = 'project'
+    if (item?.projectDirection === 'view') {
+      config.projectDirection = 'view'
+      if (Array.isArray(item.projectVector) && item.projectVector.length === 3) {
+        config.projectVector = [...item.projectVector]
+      }
+    }
+    return config
+  }
+
   /**
    * 导出文字配置（符合config.js格式）
    * @returns {Object} 文字配置数据
@@ -2481,6 +3546,9 @@ export class SurfaceTextManager {
     const texts = []
 
     this.textObjects.forEach((textObject, textId) => {
+      // SVG 贴花单独保存（项目的 decoration 条目）
+      if (textObject.kind === 'decoration') return
+
       const config = {
         // id 
         id: textObject.content,
@@ -2502,12 +3570,24 @@ export class SurfaceTextManager {
         position: textObject.mesh.position.toArray(),
         // 字体旋转
         rotate: textObject.mesh.rotation.toArray(),
+        // 排版：对齐方式、行高、字间距、字偶距
+        ...textLayout.getLayoutConfig(textObject.config),
+        // 文字样式：描边 / 空心 / 镂空 / 底板
+        textEffect: textEffects.getEffectConfig(textObject.config).effect,
         // 文字贴合方式
-        wrap: 'surface Project',
+        ...this.getWrapConfig(textObject),
         // 在那个表面上添加文字
         attachmentSurface: textObject.surfaceId
       }
 
+      const effectOptions = textEffects.getEffectOptions(textObject.config)
+      if (effectOptions) config.effectOptions = effectOptions
+
+      // 路径文字：保存路径（目标网格局部坐标），导入时按路径重建
+      if (textObject.config.path) {
+        config.path = textObject.config.path
+      }
+
       texts.push(config)
     })
 
@@ -2541,8 +3621,18 @@ export class SurfaceTextManager {
           color: parseInt(textConfig.color?.replace('#', '') || 'ff00ff', 16)
         }
 
-        // 创建文字对象
-        const textId = await this.createTextObject(textConfig.text, faceInfo)
+        // 创建文字对象（排版参数、文字样式和路径需要在生成时带上）
+        const createConfig = {
+          ...textLayout.getLayoutConfig(textConfig),
+          ...textEffects.getEffectConfig({ ...textConfig.effectOptions, effect: textConfig.textEffect })
+        }
+        if (textConfig.path) createConfig.path = textConfig.path
+        Object.assign(createConfig, this.parseWrapConfig(textConfig))
+        const textId = await this.createTextObject(
+          textConfig.text,
+          faceInfo,
+          { config: createConfig }
+        )
         const textObject = this.textObjects.get(textId)
 
         if (textObject) {
@@ -2595,6 +3685,11 @@ export class SurfaceTextManager {
 
     // 禁用文字模式
     this.disableTextMode()
+    this.cancelPathDrawing()
+    this.cancelDecorationPlacement()
+
+    // 取消未完成的雕刻任务
+    this._cancelAllEngravingJobs()
 
     // 删除所有文字对象
     const textIds = Array.from(this.textObjects.keys())
@@ -2621,6 +3716,7 @@ export class SurfaceTextManager {
     // 清理子系统
     this.transformControls.dispose()
     this.inputOverlay.destroy()
+    this.booleanOperator.destroy()
 
     // 清理事件监听器
     this.eventListeners.clear()
@@ -2645,6 +3741,14 @@ export class SurfaceTextManager {
     return `text_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`
   }
 
+  /**
+   * 生成唯一贴花ID
+   * @returns {string} 贴花ID
+   */
+  generateDecorationId () {
+    return `decoration_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`
+  }
+
   /**
    * 获取默认文字配置
    * @returns {Object} 默认配置
@@ -2656,6 +3760,13 @@ export class SurfaceTextManager {
       thickness: 0.5, // 深度设置为0.5
       color: 0x333333,
       mode: 'raised', // 'raised' | 'engraved'
+      align: 'center', // 多行对齐：'left' | 'center' | 'right'
+      lineHeight: 1.2, // 行高（字号的倍数）
+      letterSpacing: 0, // 字间距（字号的倍数）
+      kerning: true, // 启用字体字偶距
+      effect: 'none', // 文字样式：'none' | 'outline' 描边 | 'hollow' 空心 | 'stencil' 镂空 | 'plate' 底板
+      wrap: 'surface Project', // 'surface Project' 自动识别规则曲面，自由曲面投影贴合 | 'project' 强制投影贴合
+      projectDirection: 'normal', // 投影方向：'normal' 平均法线 | 'view' 视线方向
       curveSegments: 12,
       bevelEnabled: false,
       bevelThickness: 0.02, // 倒角厚度
@@ -2665,6 +3776,32 @@ export class SurfaceTextManager {
     }
   }
 
+  /**
+   * 获取默认贴花配置（在默认文字配置基础上覆盖）
+   * @returns {Object} 默认配置
+   */
+  getDefaultDecorationConfig () {
+    return {
+      size: 5, // 贴花高度
+      thickness: 0.5, // 凸起高度 / 内嵌深度
+      angle: 0, // 在表面内的旋转角度（度，逆时针）
+      color: 0x555555
+    }
+  }
+
+  /**
+   * 获取默认图片浮雕配置（在默认贴花配置基础上覆盖）
+   * @returns {Object} 默认配置
+   */
+  getDefaultReliefConfig () {
+    return {
+      ...this.getDefaultDecorationConfig(),
+      size: 10, // 浮雕高度（宽度按图片比例）
+      thickness: 1, // 浮雕深度（最亮处高出表面的距离）
+      relief: { ...DEFAULT_RELIEF_CONFIG }
+    }
+  }
+
   /**
    * 设置圆柱面文字生成方法
    * @param {string} method - 'csg' | 'mapping'
@@ -0,0 +1,161 @@
+/**
+ * SVG 贴花字体适配器
+ * 把 SVG 图形（logo、图标等）包装成只有一个字形的 THREE.Font，
+ * 这样平面、圆柱面、投影等文字生成流程以及凸起/内嵌、文字样式都可以直接复用
+ *
+ * 只使用带填充的路径（fill 为 none 的路径忽略），孔洞按 SVG 的 fill-rule 解析；
+ * 图形统一换算成单位高度，字号即贴花高度，angle 为贴花在表面内的旋转角度（度，逆时针）
+ */
+import * as THREE from 'three'
+import { Font } from 'three/examples/jsm/loaders/FontLoader.js'
+import { SVGLoader } from 'three/examples/jsm/loaders/SVGLoader.js'
+
+// 贴花使用的字符（Unicode 私有区，不会与真实文字冲突）
+export const DECAL_GLYPH = '\uE000'
+
+const GLYPH_RESOLUTION = 1000
+
+// SVG 曲线离散的段数
+const SVG_CURVE_DIVISIONS = 12
+
+export class SvgDecalFont extends Font {
+  /**
+   * @param {THREE.Shape[]} shapes - SVG 坐标系（y 轴向下）下的图形
+   * @param {Object} [options]
+   * @param {number} [options.angle=0] - 旋转角度（度，逆时针）
+   * @param {string} [options.name] - 名称
+   */
+  constructor (shapes, options = {}) {
+    const contours = SvgDecalFont.normalizeShapes(shapes, options.angle || 0)
+    const width = contours.width
+
+    super({
+      familyName: options.name || 'SVG',
+      resolution: GLYPH_RESOLUTION,
+      ascender: GLYPH_RESOLUTION,
+      descender: 0,
+      underlinePosition: 0,
+      underlineThickness: 0,
+      boundingBox: { xMin: 0, xMax: Math.round(width * GLYPH_RESOLUTION), yMin: 0, yMax: GLYPH_RESOLUTION },
+      glyphs: {
+        [DECAL_GLYPH]: {
+          ha: width * GLYPH_RESOLUTION,
+          x_min: 0,
+          x_max: width * GLYPH_RESOLUTION,
+          o: ''
+        }
+      }
+    })
+
+    this.name = options.name || 'SVG'
+    this.contours = contours.shapes
+    this.isSvgDecalFont = true
+  }
+
+  /**
+   * 解析 SVG 文本
+   * @param {string} svgText - SVG 文件内容
+   * @param {Object} [options] - 同构造函数
+   * @returns {SvgDecalFont}
+   */
+  static parse (svgText, options = {}) {
+    if (!svgText || typeof svgText !== 'string') {
+      throw new Error('无效的 SVG 内容')
+    }
+
+    const data = new SVGLoader().parse(svgText)
+    const shapes = []
+    data.paths.forEach(path => {
+      const style = path.userData?.style
+      if (style && (style.fill === 'none' || style.fillOpacity === 0 || style.visibility === 'hidden')) return
+      shapes.push(...SVGLoader.createShapes(path))
+    })
+
+    if (shapes.length === 0) {
+      throw new Error('SVG 中没有可用的填充路径（仅描边的路径暂不支持）')
+    }
+    return new SvgDecalFont(shapes, options)
+  }
+
+  /**
+   * 把 SVG 图形转换成单位高度的轮廓：翻转 y 轴，按原始高度归一化，绕中心旋转后左下角移到原点
+   * @param {THREE.Shape[]} shapes
+   * @param {number} angle - 旋转角度（度）
+   * @returns {{shapes: Array<{outer: THREE.Vector2[], holes: THREE.Vector2[][]}>, width: number, height: number}}
+   */
+  static normalizeShapes (shapes, angle) {
+    const contours = shapes.map(shape => {
+      const { shape: outer, holes } = shape.extractPoints(SVG_CURVE_DIVISIONS)
+      return {
+        outer: SvgDecalFont.flipContour(outer),
+        holes: holes.map(hole => SvgDecalFont.flipContour(hole)).filter(hole => hole.length >= 3)
+      }
+    }).filter(contour => contour.outer.length >= 3)
+
+    const bounds = new THREE.Box2()
+    contours.forEach(contour => contour.outer.forEach(point => bounds.expandByPoint(point)))
+    const size = bounds.getSize(new THREE.Vector2())
+    if (contours.length === 0 || !(size.x > 0) || !(size.y > 0)) {
+      throw new Error('SVG 图形尺寸无效')
+    }
+
+    const center = bounds.getCenter(new THREE.Vector2())
+    const radians = THREE.MathUtils.degToRad(angle)
+    const transformed = new THREE.Box2()
+    const transform = point => {
+      point.sub(center).divideScalar(size.y).rotateAround(new THREE.Vector2(), radians)
+      transformed.expandByPoint(point)
+      return point
+    }
+    contours.forEach(contour => {
+      contour.outer.forEach(transform)
+      contour.holes.forEach(hole => hole.forEach(transform))
+    })
+
+    const offset = transformed.min.clone()
+    contours.forEach(contour => {
+      contour.outer.forEach(point => point.sub(offset))
+      contour.holes.forEach(hole => hole.forEach(point => point.sub(offset)))
+    })
+
+    const extent = transformed.getSize(new THREE.Vector2())
+    return { shapes: contours, width: extent.x, height: extent.y }
+  }
+
+  /**
+   * 翻转 y 轴并去掉重复点（SVG 路径闭合时终点与起点重合，重复点会让拉伸体出现破面）
+   * @param {THREE.Vector2[]} points
+   * @returns {THREE.Vector2[]}
+   */
+  static flipContour (points) {
+    const result = []
+    points.forEach(({ x, y }) => {
+      const point = new THREE.Vector2(x, -y)
+      const last = result[result.length - 1]
+      if (!last || last.distanceToSquared(point) >= 1e-12) result.push(point)
+    })
+    while (result.length > 1 && result[0].distanceToSquared(result[result.length - 1]) < 1e-12) {
+      result.pop()
+    }
+    return result
+  }
+
+  /**
+   * 生成贴花图形（与 Font.generateShapes 相同的接口，TextLayout 逐字符调用，非贴花字符返回空数组）
+   * @param {string} text
+   * @param {number} [size=100] - 贴花高度（未旋转时）
+   * @returns {THREE.Shape[]}
+   */
+  generateShapes (text, size = 100) {
+    if (text !== DECAL_GLYPH) return []
+
+    const scale = point => new THREE.Vector2(point.x * size, point.y * size)
+    return this.contours.map(({ outer, holes }) => {
+      const shape = new THREE.Shape(outer.map(scale))
+      holes.forEach(hole => shape.holes.push(new THREE.Path(hole.map(scale))))
+      return shape
+    })
+  }
+}
+
+export default SvgDecalFont
@@ -0,0 +1,590 @@
+/**
+ * 文字效果
+ * 在字形轮廓（2D）层面生成描边、空心、镂空和底板，再拉伸成实体：
+ *
+ * - outline: 描边，字形外围一圈与字形分离的凸起环
+ * - hollow: 空心字，只保留字形轮廓内侧的一圈壁
+ * - stencil: 镂空字，一块底板上挖出字形（字形内部的封闭区域保留为孤岛）
+ * - plate: 底板，文字下方垫一块圆角底板，文字立在底板上
+ *
+ * 效果参数（均为文字配置中的字段）：
+ * - effect: 'none' | 'outline' | 'hollow' | 'stencil' | 'plate'
+ * - strokeWidth: 描边宽度 / 空心字壁厚，字号的倍数
+ * - outlineGap: 描边与字形之间的间隙，字号的倍数
+ * - platePadding: 底板超出文字的边距，字号的倍数
+ * - plateRadius: 底板圆角半径，字号的倍数
+ * - plateThickness: 底板厚度占文字总厚度的比例（plate 效果），总厚度仍为 thickness
+ *
+ * 所有效果的结果都由封闭实体组成，凸起和内嵌模式都可直接使用
+ */
+import * as THREE from 'three'
+import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js'
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+
+export const TEXT_EFFECTS = ['none', 'outline', 'hollow', 'stencil', 'plate']
+
+export const DEFAULT_EFFECT_CONFIG = {
+  effect: 'none',
+  strokeWidth: 0.04,
+  outlineGap: 0.04,
+  platePadding: 0.2,
+  plateRadius: 0.1,
+  plateThickness: 0.5
+}
+
+// 底板最长边（字号的倍数），底板贴合曲面时需要足够的顶点密度
+const PLATE_MAX_EDGE = 0.15
+const MAX_SUBDIVISION_PASSES = 8
+
+// 描边/空心距离场的最小网格间距（字号的倍数），开销随网格单元数 × 轮廓边数增长，细描边时限制网格规模
+// 距离场是连续的，等值线按线性插值提取，网格略粗于描边宽度时轮廓仍然准确
+const MIN_FIELD_STEP = 1 / 120
+// 每个字体缓存的描边/空心字形数
+const MAX_CACHED_GLYPHS = 256
+
+export class TextEffects {
+  constructor () {
+    // 描边/空心字形轮廓缓存：字体 → Map(`${字符}|${字号}|${效果参数}` → THREE.Shape[])
+    this.glyphShapeCache = new WeakMap()
+  }
+
+  /**
+   * 从文字配置中提取效果参数
+   * @param {Object} config - 文字配置
+   * @returns {Object}
+   */
+  getEffectConfig (config = {}) {
+    const effectConfig = {}
+    Object.keys(DEFAULT_EFFECT_CONFIG).forEach(key => {
+      effectConfig[key] = config[key] ?? DEFAULT_EFFECT_CONFIG[key]
+    })
+    if (!TEXT_EFFECTS.includes(effectConfig.effect)) effectConfig.effect = 'none'
+    effectConfig.plateThickness = THREE.MathUtils.clamp(effectConfig.plateThickness, 0.05, 0.95)
+    return effectConfig
+  }
+
+  /**
+   * 效果的细节参数（不含 effect），无效果时返回 null
+   * 项目 JSON 中 effect 字段已用于凸起/内嵌，文字效果保存为 textEffect + effectOptions
+   * @param {Object} config - 文字配置
+   * @returns {Object|null}
+   */
+  getEffectOptions (config = {}) {
+    const { effect, ...options } = this.getEffectConfig(config)
+    return effect === 'none' ? null : options
+  }
+
+  /**
+   * 是否需要生成整段文字的底板（plate / stencil）
+   * @param {Object} config - 文字配置
+   * @returns {boolean}
+   */
+  hasPlate (config = {}) {
+    const { effect } = this.getEffectConfig(config)
+    return effect === 'plate' || effect === 'stencil'
+  }
+
+  /**
+   * 创建单个字符的几何体（z 从 0 到 params.height）
+   * stencil 效果的字形由底板挖出，这里返回 null
+   * @param {string} char - 字符
+   * @param {THREE.Font} font - 字体
+   * @param {Object} params - TextGeometry 参数（size、height、curveSegments、bevel*）
+   * @param {Object} config - 文字配置
+   * @returns {THREE.BufferGeometry|null}
+   */
+  createGlyphGeometry (char, font, params, config = {}) {
+    const effectConfig = this.getEffectConfig(config)
+    if (effectConfig.effect === 'none') {
+      return new TextGeometry(char, { ...params, font })
+    }
+    if (effectConfig.effect === 'stencil') return null
+
+    const height = params.height ?? 50
+    const base = effectConfig.effect === 'plate' ? height * effectConfig.plateThickness : 0
+    const shapes = this.createGlyphShapes(char, font, params.size, effectConfig, params.curveSegments ?? 12)
+
+    const geometry = new THREE.ExtrudeGeometry(shapes, {
+      curveSegments: params.curveSegments,
+      bevelEnabled: params.bevelEnabled,
+      bevelThickness: params.bevelThickness,
+      bevelSize: params.bevelSize,
+      bevelOffset: params.bevelOffset,
+      bevelSegments: params.bevelSegments,
+      depth: height - base
+    })
+    // 底板效果：文字立在底板上
+    if (base > 0) geometry.translate(0, 0, base)
+    return geometry
+  }
+
+  /**
+   * 按效果生成字符的 2D 轮廓
+   * 描边/空心需要计算距离场，结果按字体和参数缓存（返回的形状为共享对象，调用方不能修改）
+   * @param {string} char - 字符
+   * @param {THREE.Font} font - 字体
+   * @param {number} size - 字号
+   * @param {Object} effectConfig - getEffectConfig() 的结果
+   * @param {number} curveSegments - 曲线细分段数
+   * @returns {THREE.Shape[]}
+   */
+  createGlyphShapes (char, font, size, effectConfig, curveSegments) {
+    const { effect } = effectConfig
+    if (effect !== 'outline' && effect !== 'hollow') return font.generateShapes(char, size)
+
+    let cache = this.glyphShapeCache.get(font)
+    if (!cache) {
+      cache = new Map()
+      this.glyphShapeCache.set(font, cache)
+    }
+    const gap = effect === 'outline' ? effectConfig.outlineGap : 0
+    const key = `${char}|${size}|${effect}|${effectConfig.strokeWidth}|${gap}|${curveSegments}`
+    if (cache.has(key)) return cache.get(key)
+
+    const shapes = this.createStrokeShapes(char, font, size, effectConfig, curveSegments)
+    if (cache.size >= MAX_CACHED_GLYPHS) {
+      cache.delete(cache.keys().next().value)
+    }
+    cache.set(key, shapes)
+    return shapes
+  }
+
+  /**
+   * 生成描边/空心字形轮廓
+   * @private
+   */
+  createStrokeShapes (char, font, size, effectConfig, curveSegments) {
+    const shapes = font.generateShapes(char, size)
+    const { effect } = effectConfig
+    if (shapes.length === 0) return shapes
+
+    const stroke = size * effectConfig.strokeWidth
+    const gap = size * effectConfig.outlineGap
+
+    // 统一轮廓方向：外轮廓逆时针，内轮廓顺时针（按非零环绕数判断内外）
+    const contours = []
+    shapes.forEach(shape => {
+      const { shape: outer, holes } = shape.extractPoints(curveSegments)
+      contours.push(THREE.ShapeUtils.isClockWise(outer) ? outer.slice().reverse() : outer)
+      holes.forEach(hole => contours.push(THREE.ShapeUtils.isClockWise(hole) ? hole : hole.slice().reverse()))
+    })
+
+    const step = Math.max(Math.min(stroke / 4, size / 80), size * MIN_FIELD_STEP)
+    if (effect === 'outline') {
+      // 字形本身 + 外围与字形相距 gap、宽 stroke 的一圈环（字形内部的封闭区域同样描边）
+      return [...shapes, ...this.createBandShapes(contours, gap, gap + stroke, step)]
+    }
+
+    // 空心：只保留轮廓内侧宽 stroke 的一圈壁
+    const band = this.createBandShapes(contours, -stroke, 0, step)
+    return band.length > 0 ? band : shapes
+  }
+
+  /**
+   * 创建底板几何体（plate：z 从 0 到底板厚度；stencil：z 从 0 到 params.height，字形处挖空）
+   * 底板按最长边细分，贴合曲面时不会穿过表面
+   * @param {Array<{char: string, x: number, y: number}>} placed - 已排布的字符（x 为左边界，y 为基线）
+   * @param {THREE.Font} font - 字体
+   * @param {Object} params - TextGeometry 参数
+   * @param {Object} config - 文字配置
+   * @returns {THREE.BufferGeometry|null} 非索引几何体（position、normal、uv）
+   */
+  createPlateGeometry (placed, font, params, config = {}) {
+    const effectConfig = this.getEffectConfig(config)
+    const size = params.size || 1
+    const height = params.height ?? 50
+    const curveSegments = params.curveSegments ?? 12
+    const isStencil = effectConfig.effect === 'stencil'
+
+    const outers = []
+    const islands = []
+    const bounds = new THREE.Box2()
+
+    placed.forEach(({ char, x, y }) => {
+      font.generateShapes(char, size).forEach(shape => {
+        const { shape: outer, holes } = shape.extractPoints(curveSegments)
+        const move = point => new THREE.Vector2(point.x + x, point.y + y)
+        const contour = outer.map(move)
+        contour.forEach(point => bounds.expandByPoint(point))
+        outers.push(contour)
+        holes.forEach(hole => islands.push(hole.map(move)))
+      })
+    })
+
+    if (bounds.isEmpty()) return null
+
+    bounds.expandByScalar(size * effectConfig.platePadding)
+    const plate = this.createRoundedRect(bounds, size * effectConfig.plateRadius)
+    const shapes = [plate]
+
+    if (isStencil) {
+      outers.forEach(contour => plate.holes.push(new THREE.Path(contour)))
+      islands.forEach(contour => shapes.push(new THREE.Shape(contour)))
+    }
+
+    const geometry = new THREE.ExtrudeGeometry(shapes, {
+      curveSegments,
+      bevelEnabled: false,
+      depth: isStencil ? height : height * effectConfig.plateThickness
+    })
+
+    return this.subdivideByEdgeLength(geometry, size * PLATE_MAX_EDGE)
+  }
+
+  /**
+   * 字形轮廓的带状区域 { lower < d < upper }，d 为到字形轮廓的有符号距离（字形内部为负）
+   * 在距离场上用 marching squares 提取等值线：凹角、相邻笔画的环相互合并等情况都能得到不自交的轮廓
+   * @param {THREE.Vector2[][]} contours - 字形轮廓（外轮廓逆时针，内轮廓顺时针）
+   * @param {number} lower - 下界距离
+   * @param {number} upper - 上界距离
+   * @param {number} step - 距离场网格间距
+   * @returns {THREE.Shape[]}
+   */
+  createBandShapes (contours, lower, upper, step) {
+    const field = this.computeDistanceField(contours, Math.max(Math.abs(lower), Math.abs(upper)) + step * 2, step)
+
+    // 上界等值线左侧为 d < upper；下界等值线反向后左侧为 d > lower
+    // 上界为 0 时直接使用字形轮廓：网格无法精确还原锐角凹口，等值线可能与内侧的环相交
+    const loops = [
+      ...(upper === 0 ? contours : this.traceIsolines(field, upper)),
+      ...this.traceIsolines(field, lower).map(loop => loop.reverse())
+    ]
+    return this.assembleShapes(loops)
+  }
+
+  /**
+   * 把互不相交的闭合环组装成带孔的形状：逆时针环为实体，顺时针环为孔，
+   * 每个孔归属于包含它的最小实体（多层嵌套时 ShapePath.toShapes 会把孔分错）
+   * @param {THREE.Vector2[][]} loops
+   * @returns {THREE.Shape[]}
+   */
+  assembleShapes (loops) {
+    const solids = []
+    const holes = []
+    loops.forEach(points => {
+      const area = THREE.ShapeUtils.area(points)
+      if (area > 0) solids.push({ points, area, shape: new THREE.Shape(points) })
+      else if (area < 0) holes.push({ points, area: -area })
+    })
+
+    holes.forEach(hole => {
+      let parent = null
+      solids.forEach(solid => {
+        if (solid.area <= hole.area || (parent && parent.area <= solid.area)) return
+        if (this.isPointInPolygon(hole.points[0], solid.points)) parent = solid
+      })
+      if (parent) parent.shape.holes.push(new THREE.Path(hole.points))
+    })
+
+    return solids.map(solid => solid.shape)
+  }
+
+  isPointInPolygon (point, polygon) {
+    let inside = false
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i]
+      const b = polygon[j]
+      if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside
+      }
+    }
+    return inside
+  }
+
+  /**
+   * 计算有符号距离场
+   * @param {THREE.Vector2[][]} contours - 字形轮廓
+   * @param {number} padding - 网格超出轮廓包围盒的距离
+   * @param {number} step - 网格间距
+   * @returns {{values: Float32Array, nx: number, ny: number, x0: number, y0: number, step: number}}
+   */
+  computeDistanceField (contours, padding, step) {
+    const edges = []
+    const bounds = new THREE.Box2()
+    contours.forEach(contour => {
+      contour.forEach((point, index) => {
+        const next = contour[(index + 1) % contour.length]
+        bounds.expandByPoint(point)
+        if (point.distanceToSquared(next) > 1e-12) edges.push(point.x, point.y, next.x, next.y)
+      })
+    })
+
+    bounds.expandByScalar(padding)
+    const nx = Math.ceil((bounds.max.x - bounds.min.x) / step) + 1
+    const ny = Math.ceil((bounds.max.y - bounds.min.y) / step) + 1
+    const values = new Float32Array(nx * ny)
+
+    for (let j = 0; j < ny; j++) {
+      const py = bounds.min.y + j * step
+      for (let i = 0; i < nx; i++) {
+        const px = bounds.min.x + i * step
+        let minSq = Infinity
+        let winding = 0
+
+        for (let e = 0; e < edges.length; e += 4) {
+          const ax = edges[e]
+          const ay = edges[e + 1]
+          const bx = edges[e + 2]
+          const by = edges[e + 3]
+
+          // 点到线段的距离
+          const dx = bx - ax
+          const dy = by - ay
+          const t = THREE.MathUtils.clamp(((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy), 0, 1)
+          const ex = ax + dx * t - px
+          const ey = ay + dy * t - py
+          minSq = Math.min(minSq, ex * ex + ey * ey)
+
+          // 环绕数
+          const side = dx * (py - ay) - (px - ax) * dy
+          if (ay <= py) {
+            if (by > py && side > 0) winding++
+          } else if (by <= py && side < 0) {
+            winding--
+          }
+        }
+
+        values[j * nx + i] = winding !== 0 ? -Math.sqrt(minSq) : Math.sqrt(minSq)
+      }
+    }
+
+    return { values, nx, ny, x0: bounds.min.x, y0: bounds.min.y, step }
+  }
+
+  /**
+   * marching squares 提取等值线，返回的闭合环以 d < level 的区域为左侧（外轮廓逆时针）
+   * @param {Object} field - computeDistanceField() 的结果
+   * @param {number} level - 等值
+   * @returns {THREE.Vector2[][]}
+   */
+  traceIsolines (field, level) {
+    const { values, nx, ny, x0, y0, step } = field
+    const value = (i, j) => values[j * nx + i] - level
+    const points = new Map()
+    const next = new Map()
+
+    // 网格边上的交点，按边编号缓存，相邻单元共享同一个点
+    const crossing = (key, i0, j0, i1, j1) => {
+      if (!points.has(key)) {
+        const v0 = value(i0, j0)
+        const v1 = value(i1, j1)
+        const t = v0 / (v0 - v1)
+        points.set(key, new THREE.Vector2(
+          x0 + (i0 + (i1 - i0) * t) * step,
+          y0 + (j0 + (j1 - j0) * t) * step
+        ))
+      }
+      return key
+    }
+
+    for (let j = 0; j < ny - 1; j++) {
+      for (let i = 0; i < nx - 1; i++) {
+        // 角点顺序：左下、右下、右上、左上（逆时针）
+        const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]]
+        const inside = corners.map(([ci, cj]) => value(ci, cj) < 0)
+        if (inside.every(Boolean) || !inside.some(Boolean)) continue
+
+        // 单元的四条边（与角点顺序一致），记录有交点的边
+        const edgeKeys = [`h${i}_${j}`, `v${i + 1}_${j}`, `h${i}_${j + 1}`, `v${i}_${j}`]
+        const cut = [0, 1, 2, 3].map(k => {
+          if (inside[k] === inside[(k + 1) % 4]) return null
+          const [ai, aj] = corners[k]
+          const [bi, bj] = corners[(k + 1) % 4]
+          return crossing(edgeKeys[k], ai, aj, bi, bj)
+        })
+
+        // 按角点逆时针顺序，等值线从“内→外”的边走向“外→内”的边，内部区域始终在线段左侧
+        const exits = []
+        const entries = []
+        for (let k = 0; k < 4; k++) {
+          if (!cut[k]) continue
+          if (inside[k]) entries.push(k)
+          else exits.push(k)
+        }
+
+        if (entries.length === 1) {
+          next.set(cut[entries[0]], cut[exits[0]])
+          continue
+        }
+
+        // 鞍点：按单元中心值决定两条线段的连接方式
+        const center = (value(i, j) + value(i + 1, j) + value(i + 1, j + 1) + value(i, j + 1)) / 4
+        entries.forEach(entry => {
+          // 中心在内部时内部区域连通，线段绕开外部角点；否则绕开内部角点
+          const candidates = exits.map(exit => ({ exit, turn: (exit - entry + 4) % 4 }))
+          const pick = candidates.find(({ turn }) => center < 0 ? turn === 1 : turn === 3) || candidates[0]
+          next.set(cut[entry], cut[pick.exit])
+        })
+      }
+    }
+
+    // 串联线段成闭合环
+    const loops = []
+    const visited = new Set()
+    next.forEach((_, start) => {
+      if (visited.has(start)) return
+      const loop = []
+      let key = start
+      while (key !== undefined && !visited.has(key)) {
+        visited.add(key)
+        const point = points.get(key)
+        const last = loop[loop.length - 1]
+        if (!last || last.distanceToSquared(point) > 1e-14) loop.push(point)
+        key = next.get(key)
+      }
+      if (loop.length >= 3) loops.push(this.simplifyContour(loop, step * 0.02))
+    })
+
+    return loops
+  }
+
+  /**
+   * 去掉近似共线的点
+   * @param {THREE.Vector2[]} points - 闭合轮廓
+   * @param {number} tolerance - 允许偏离的距离
+   * @returns {THREE.Vector2[]}
+   */
+  simplifyContour (points, tolerance) {
+    const result = []
+    points.forEach((point, index) => {
+      const prev = result[result.length - 1] || points[points.length - 1]
+      const next = points[(index + 1) % points.length]
+      const dx = next.x - prev.x
+      const dy = next.y - prev.y
+      const length = Math.hypot(dx, dy)
+      const deviation = length > 0 ? Math.abs(dx * (point.y - prev.y) - dy * (point.x - prev.x)) / length : 0
+      if (deviation > tolerance) result.push(point)
+    })
+    return result.length >= 3 ? result : points
+  }
+
+  /**
+   * 圆角矩形轮廓
+   * @param {THREE.Box2} bounds
+   * @param {number} radius - 圆角半径
+   * @returns {THREE.Shape}
+   */
+  createRoundedRect (bounds, radius, segments = 6) {
+    const { min, max } = bounds
+    const r = Math.min(radius, (max.x - min.x) / 2, (max.y - min.y) / 2)
+    const corners = [
+      [max.x - r, min.y + r, -Math.PI / 2],
+      [max.x - r, max.y - r, 0],
+      [min.x + r, max.y - r, Math.PI / 2],
+      [min.x + r, min.y + r, Math.PI]
+    ]
+
+    // 直接生成逆时针顶点，避免圆弧与直线衔接处出现重复点
+    const points = []
+    corners.forEach(([cx, cy, start]) => {
+      const steps = r > 0 ? segments : 0
+      for (let i = 0; i <= steps; i++) {
+        const angle = start + (Math.PI / 2) * (steps > 0 ? i / steps : 0)
+        points.push(new THREE.Vector2(cx + r * Math.cos(angle), cy + r * Math.sin(angle)))
+      }
+    })
+
+    return new THREE.Shape(points)
+  }
+
+  /**
+   * 按最长边细分：超过 maxEdge 的边取中点拆分，相邻三角形共享中点，结果保持封闭
+   * @param {THREE.BufferGeometry} geometry - 会被释放
+   * @param {number} maxEdge - 最长边
+   * @returns {THREE.BufferGeometry} 非索引几何体（position、normal、uv）
+   */
+  subdivideByEdgeLength (geometry, maxEdge) {
+    geometry.deleteAttribute('normal')
+    geometry.deleteAttribute('uv')
+    const welded = mergeVertices(geometry)
+    geometry.dispose()
+
+    const positions = Array.from(welded.attributes.position.array)
+    let indices = Array.from(welded.index.array)
+    welded.dispose()
+
+    const maxSq = maxEdge * maxEdge
+    const lengthSq = (a, b) => {
+      const dx = positions[a * 3] - positions[b * 3]
+      const dy = positions[a * 3 + 1] - positions[b * 3 + 1]
+      const dz = positions[a * 3 + 2] - positions[b * 3 + 2]
+      return dx * dx + dy * dy + dz * dz
+    }
+
+    for (let pass = 0; pass < MAX_SUBDIVISION_PASSES; pass++) {
+      const midpoints = new Map()
+      const midpoint = (a, b) => {
+        const key = a < b ? `${a}_${b}` : `${b}_${a}`
+        if (!midpoints.has(key)) {
+          midpoints.set(key, positions.length / 3)
+          for (let k = 0; k < 3; k++) {
+            positions.push((positions[a * 3 + k] + positions[b * 3 + k]) / 2)
+          }
+        }
+        return midpoints.get(key)
+      }
+
+      const next = []
+      let changed = false
+
+      for (let i = 0; i < indices.length; i += 3) {
+        let [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]]
+        let long = [lengthSq(a, b) > maxSq, lengthSq(b, c) > maxSq, lengthSq(c, a) > maxSq]
+        const count = long.filter(Boolean).length
+
+        if (count === 0) {
+          next.push(a, b, c)
+          continue
+        }
+        changed = true
+
+        if (count === 3) {
+          const ab = midpoint(a, b)
+          const bc = midpoint(b, c)
+          const ca = midpoint(c, a)
+          next.push(a, ab, ca, ab, b, bc, ca, bc, c, ab, bc, ca)
+          continue
+        }
+
+        // 旋转顶点顺序（保持绕向）：一条长边时使其为 ab，两条长边时使 ca 为短边
+        const target = count === 1 ? [true, false, false] : [true, true, false]
+        for (let turn = 0; turn < 3 && long.some((value, k) => value !== target[k]); turn++) {
+          [a, b, c] = [b, c, a]
+          long = [long[1], long[2], long[0]]
+        }
+
+        if (count === 1) {
+          const ab = midpoint(a, b)
+          next.push(a, ab, c, ab, b, c)
+        } else {
+          const ab = midpoint(a, b)
+          const bc = midpoint(b, c)
+          next.push(ab, b, bc, a, ab, bc, a, bc, c)
+        }
+      }
+
+      indices = next
+      if (!changed) break
+    }
+
+    const indexed = new THREE.BufferGeometry()
+    indexed.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+    indexed.setIndex(indices)
+    const result = indexed.toNonIndexed()
+    indexed.dispose()
+
+    const position = result.attributes.position
+    const uv = new Float32Array(position.count * 2)
+    for (let i = 0; i < position.count; i++) {
+      uv[i * 2] = position.getX(i)
+      uv[i * 2 + 1] = position.getY(i)
+    }
+    result.setAttribute('uv', new THREE.BufferAttribute(uv, 2))
+    result.computeVertexNormals()
+    return result
+  }
+}
+
+// 导出单例
+export const textEffects = new TextEffects()
@@ -1,8 +1,35 @@
 import * as THREE from 'three'
-import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js'
 import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js'
 import { CylinderTextGeometry } from './CylinderTextGeometry.js'
 import { CSGCylinderText } from './CSGCylinderText.js'
+import { pathTextGeometry } from './PathTextGeometry.js'
+import { sphereConeTextGeometry } from './SphereConeTextGeometry.js'
+import { projectedTextGeometry } from './ProjectedTextGeometry.js'
+import { textLayout } from './TextLayout.js'
+import { textEffects } from './TextEffects.js'
+import { OpenTypeFont, detectFontFormat } from './OpenTypeFont.js'
+import { FallbackFont, fontHasGlyph } from './FallbackFont.js'
+import { SvgDecalFont, DECAL_GLYPH } from './SvgDecalFont.js'
+import { reliefGeometry } from './ReliefGeometry.js'
+
+// 内置字体（three.js 自带的 typeface JSON），字体下拉框默认列出这些
+const BUILTIN_FONTS = [
+  { name: 'helvetiker', label: 'Helvetiker' },
+  { name: 'helvetiker_bold', label: 'Helvetiker Bold' },
+  { name: 'optimer', label: 'Optimer' },
+  { name: 'optimer_bold', label: 'Optimer Bold' },
+  { name: 'gentilis', label: 'Gentilis' },
+  { name: 'gentilis_bold', label: 'Gentilis Bold' }
+]
+
+// 需要在浏览器中解析的字体文件（WOFF2 会在解析时给出明确的不支持提示）
+const FONT_FILE_PATTERN = /\.(ttf|otf|woff2?)(\?.*)?$/i
+
+// 字体格式 → 文件扩展名（保存上传的字体文件时使用）
+const FONT_EXTENSIONS = { truetype: 'ttf', opentype: 'otf', woff: 'woff', woff2: 'woff2' }
+
+// SVG 贴花字体缓存上限（同一贴花调整大小/厚度时不必重新解析）
+const MAX_DECAL_FONTS = 16
 
 /**
  * 文字几何体生成器
@@ -14,6 +41,19 @@ export class TextGeometryGenerator {
     this.loadedFonts = new Map() // 字体缓存
     this.defaultFont = null
 
+    // 已注册字体：名称 → { name, label, source, data, builtin }
+    this.fontRegistry = new Map()
+    BUILTIN_FONTS.forEach(font => {
+      this.fontRegistry.set(font.name, { ...font, source: this.getFontPath(font.name), builtin: true })
+    })
+
+    // 字体回退链：主字体缺少的字形依次从这些字体中查找
+    // registerFont 注册的字体默认追加到链尾（上传一个中文字体后，中英文混排即可正常显示）
+    this.fallbackFonts = ['helvetiker']
+
+    // SVG 贴花字体缓存：`${angle}:${svg}` → SvgDecalFont
+    this.decalFonts = new Map()
+
     // 旧的圆柱面文字生成器（坐标映射方法）
     this.cylinderTextGenerator = new CylinderTextGeometry()
     
@@ -56,19 +96,115 @@ export class TextGeometryGenerator {
   }
 
   /**
-   * 加载字体文件
-   * @param {string} fontPath - 字体文件路径
+   * 加载字体
+   * 支持 typeface JSON 路径，以及 TTF/OTF/WOFF 的文件路径、File/Blob 或 ArrayBuffer
+   * OpenType 字体在浏览器中解析，字形在第一次使用时才转换为轮廓
+   * @param {string|ArrayBuffer|ArrayBufferView|Blob} source - 字体来源
+   * @param {Object} [options]
+   * @param {string} [options.name] - 字体名称
    * @returns {Promise<THREE.Font>} 字体对象
    */
-  loadFont (fontPath) {
-    return new Promise((resolve, reject) => {
-      this.fontLoader.load(
-        fontPath,
-        (font) => resolve(font),
-        (progress) => console.log('字体加载进度:', progress),
-        (error) => reject(error)
-      )
+  async loadFont (source, options = {}) {
+    if (typeof source === 'string' && !FONT_FILE_PATTERN.test(source)) {
+      return new Promise((resolve, reject) => {
+        this.fontLoader.load(
+          source,
+          (font) => resolve(font),
+          (progress) => console.log('字体加载进度:', progress),
+          (error) => reject(error)
+        )
+      })
+    }
+
+    const buffer = await this.readFontBuffer(source)
+    return OpenTypeFont.parse(buffer, options)
+  }
+
+  /**
+   * 读取字体文件内容
+   * @param {string|ArrayBuffer|ArrayBufferView|Blob} source - 字体来源
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async readFontBuffer (source) {
+    if (source instanceof ArrayBuffer) return source
+    if (ArrayBuffer.isView(source)) {
+      return source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength)
+    }
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+      return source.arrayBuffer()
+    }
+    if (typeof source === 'string') {
+      return new Promise((resolve, reject) => {
+        const loader = new THREE.FileLoader()
+        loader.setResponseType('arraybuffer')
+        loader.load(source, resolve, undefined, reject)
+      })
+    }
+    throw new Error('不支持的字体来源')
+  }
+
+  /**
+   * 注册字体，注册后可在文字配置的 font 字段中按名称使用
+   * @param {string} [name] - 字体名称，省略时使用字体族名
+   * @param {string|ArrayBuffer|ArrayBufferView|Blob} source - 字体来源
+   * @param {Object} [options]
+   * @param {string} [options.label] - 显示名称
+   * @returns {Promise<string>} 注册的字体名称
+   */
+  async registerFont (name, source, options = {}) {
+    // 文件/二进制来源保留字体数据，随项目保存后可在重新打开时再次注册
+    const data = typeof source === 'string' ? null : await this.readFontBuffer(source)
+    const font = await this.loadFont(data || source, { name })
+    const fontName = name || font.name || font.data?.familyName
+    if (!fontName) {
+      throw new Error('字体名称不能为空')
+    }
+
+    this.loadedFonts.set(fontName, font)
+    if (options.fallback !== false && !this.fallbackFonts.includes(fontName)) {
+      this.fallbackFonts.push(fontName)
+    }
+    this.fontRegistry.set(fontName, {
+      name: fontName,
+      label: options.label || font.data?.familyName || fontName,
+      // 只有路径来源可以在缓存清空后重新加载
+      source: typeof source === 'string' ? source : null,
+      data,
+      builtin: false
     })
+
+    console.log(`字体已注册: ${fontName}`)
+    return fontName
+  }
+
+  /**
+   * 获取已注册的字体列表
+   * @returns {Array<{name: string, label: string, builtin: boolean, loaded: boolean}>}
+   */
+  getRegisteredFonts () {
+    return Array.from(this.fontRegistry.values()).map(({ name, label, builtin }) => ({
+      name,
+      label,
+      builtin,
+      loaded: this.loadedFonts.has(name)
+    }))
+  }
+
+  /**
+   * 获取运行时注册字体的来源（保存项目时使用），内置字体和未注册的字体返回 null
+   * @param {string} fontName - 字体名称
+   * @returns {{name: string, label: string, source: string|null, data: ArrayBuffer|null, extension: string}|null}
+   */
+  getFontSource (fontName) {
+    const entry = this.fontRegistry.get(fontName)
+    if (!entry || entry.builtin) return null
+    return {
+      name: entry.name,
+      label: entry.label,
+      source: entry.source,
+      data: entry.data,
+      extension: FONT_EXTENSIONS[detectFontFormat(entry.data)] || 'ttf'
+    }
   }
 
   /**
@@ -87,10 +223,11 @@ export class TextGeometryGenerator {
       return this.defaultFont
     }
 
-    // 尝试加载字体
+    // 尝试加载字体（已注册的字体按注册时的来源加载）
     try {
-      const fontPath = this.getFontPath(fontName)
-      const font = await this.loadFont(fontPath)
+      const registered = this.fontRegistry.get(fontName)
+      const fontSource = registered?.data || registered?.source || this.getFontPath(fontName)
+      const font = await this.loadFont(fontSource, { name: fontName })
       this.loadedFonts.set(fontName, font)
       return font
     } catch (error) {
@@ -99,6 +236,57 @@ export class TextGeometryGenerator {
     }
   }
 
+  /**
+   * 获取带回退链的字体
+   * 每个字符使用 [主字体, ...回退字体] 中第一个包含该字形的字体
+   * @param {string} fontName - 主字体名称
+   * @param {string[]} [fallbackNames] - 回退字体名称，默认使用 this.fallbackFonts
+   * @returns {Promise<THREE.Font>} 只有一个可用字体时直接返回该字体
+   */
+  async getFontWithFallback (fontName = 'helvetiker', fallbackNames = this.fallbackFonts) {
+    const primary = await this.getFont(fontName)
+    if (!primary) return primary
+
+    const fonts = [primary]
+    for (const name of fallbackNames) {
+      // 未注册也未加载的名称会被 getFontPath 映射成 helvetiker，这里直接跳过
+      if (name === fontName || (!this.fontRegistry.has(name) && !this.loadedFonts.has(name))) continue
+      const font = await this.getFont(name)
+      if (font && !fonts.includes(font)) fonts.push(font)
+    }
+
+    return fonts.length > 1 ? new FallbackFont(fonts) : primary
+  }
+
+  /**
+   * 设置字体回退链
+   * @param {string[]} fontNames - 字体名称，按优先级排列
+   */
+  setFallbackFonts (fontNames) {
+    this.fallbackFonts = Array.isArray(fontNames) ? [...fontNames] : []
+  }
+
+  getFallbackFonts () {
+    return [...this.fallbackFonts]
+  }
+
+  /**
+   * 查找字体（含回退链）中缺少字形的字符
+   * @param {string} text - 文本内容
+   * @param {THREE.Font} font - 字体
+   * @returns {string[]} 缺少字形的字符（去重，不含空白字符）
+   */
+  findMissingGlyphs (text, font) {
+    if (!font) return []
+    if (typeof font.getMissingChars === 'function') return font.getMissingChars(text)
+
+    const missing = new Set()
+    Array.from(String(text)).forEach(char => {
+      if (char.trim() && !fontHasGlyph(font, char)) missing.add(char)
+    })
+    return Array.from(missing)
+  }
+
   /**
    * 获取字体文件路径
    * @param {string} fontName - 字体名称
@@ -130,10 +318,13 @@ export class TextGeometryGenerator {
   }
 
   /**
-   * 生成文字几何体（支持平面和圆柱面）
+   * 生成文字几何体（支持平面、圆柱面、球面、圆锥面、投影贴合和路径）
+   * config.path 存在时沿路径排布，路径文字和投影文字的结果位于目标网格局部坐标系
+   * config.svg 存在时生成 SVG 贴花（text 只作为名称，图形由 SvgDecalFont 提供）
+   * config.relief 存在时生成图片浮雕（只支持平面和圆柱面，见 ReliefGeometry）
    * @param {string} text - 文字内容
    * @param {Object} config - 配置参数
-   * @param {Object} surfaceInfo - 表面信息（可选，用于圆柱面拟合）
+   * @param {Object} surfaceInfo - 表面信息（可选，用于圆柱面/球面/圆锥面拟合和投影贴合）
    * @returns {Promise<THREE.BufferGeometry>} 文字几何体
    */
   async generate (text, config = {}, surfaceInfo = null) {
@@ -155,6 +346,15 @@ export class TextGeometryGenerator {
       ...config
     }
 
+    // 图片浮雕：不经过字体，图片解码失败直接抛出
+    if (finalConfig.relief?.image) {
+      return this.generateRelief(finalConfig, surfaceInfo)
+    }
+
+    // SVG 贴花：图形作为单个字形走文字的生成流程，解析失败直接抛出（不使用备用几何体）
+    const decalFont = finalConfig.svg ? this.getDecalFont(finalConfig.svg, finalConfig.angle) : null
+    const glyphText = decalFont ? DECAL_GLYPH : text
+
     // 检查表面信息
     if (surfaceInfo) {
       console.log('🎯 检测到表面信息:', {
@@ -163,13 +363,6 @@ export class TextGeometryGenerator {
       })
     }
 
-    // 自动检测中文，切换到中文字体
-    // 暂时禁用自动切换，因为中文字体文件还未准备好
-    // if (this.containsChinese(text) && finalConfig.font === 'helvetiker') {
-    //   finalConfig.font = 'chinese'
-    //   console.log('检测到中文内容，自动切换到中文字体')
-    // }
-
     try {
       // 检查字体加载状态
       if (!this.defaultFont) {
@@ -177,8 +370,8 @@ export class TextGeometryGenerator {
         await this.loadDefaultFont()
       }
 
-      // 获取字体
-      const font = await this.getFont(finalConfig.font)
+      // 获取字体（带回退链，中英文混排时逐字符选择字体）
+      const font = decalFont || await this.getFontWithFallback(finalConfig.font, finalConfig.fallbackFonts || this.fallbackFonts)
 
       if (!font) {
         console.warn('⚠️ 字体加载失败，使用备用几何体')
@@ -186,14 +379,39 @@ export class TextGeometryGenerator {
         return this.createFallbackGeometry(text, finalConfig)
       }
 
-      // 检查是否需要圆柱面拟合
-      if (surfaceInfo && surfaceInfo.surfaceType === 'cylinder') {
+      const missingGlyphs = decalFont ? [] : this.findMissingGlyphs(text, font)
+      if (missingGlyphs.length > 0) {
+        console.warn(`⚠️ 以下字符在所有字体中都没有字形: ${missingGlyphs.join(' ')}`)
+      }
+
+      let geometry
+      // 路径文字优先（路径保存在配置中，更新内容/配置时可直接重建）
+      if (finalConfig.path?.points?.length >= 2) {
+        console.log('〰️ 生成路径文字')
+        geometry = this.generatePathText(glyphText, font, finalConfig.path, finalConfig, surfaceInfo)
+      } else if (surfaceInfo && surfaceInfo.surfaceType === 'cylinder') {
+        // 曲面拟合
         console.log('🔄 生成圆柱面拟合文字')
-        return this.generateCylinderText(text, font, surfaceInfo, finalConfig)
+        geometry = this.generateCylinderText(glyphText, font, surfaceInfo, finalConfig)
+      } else if (surfaceInfo && surfaceInfo.surfaceType === 'sphere') {
+        console.log('🌐 生成球面拟合文字')
+        geometry = this.generateSphereText(glyphText, font, surfaceInfo, finalConfig)
+      } else if (surfaceInfo && surfaceInfo.surfaceType === 'cone') {
+        console.log('🔺 生成圆锥面拟合文字')
+        geometry = this.generateConeText(glyphText, font, surfaceInfo, finalConfig)
+      } else if (surfaceInfo && surfaceInfo.surfaceType === 'project') {
+        console.log('🎭 生成投影贴合文字')
+        geometry = this.generateProjectedText(glyphText, font, surfaceInfo, finalConfig)
       } else {
         console.log('📝 生成平面文字')
-        return this.generateFlatText(text, font, finalConfig)
+        geometry = this.generateFlatText(glyphText, font, finalConfig)
+      }
+
+      // 缺字信息交给调用方上报（SurfaceTextManager 的 error 事件）
+      if (missingGlyphs.length > 0) {
+        geometry.userData = { ...geometry.userData, missingGlyphs }
       }
+      return geometry
 
     } catch (error) {
       console.error('生成文字几何体失败:', error)
@@ -208,6 +426,40 @@ export class TextGeometryGenerator {
     }
   }
 
+  /**
+   * 获取 SVG 贴花字体（解析结果按 SVG 内容和旋转角度缓存）
+   * @param {string} svg - SVG 文件内容
+   * @param {number} [angle=0] - 旋转角度（度）
+   * @returns {SvgDecalFont}
+   */
+  getDecalFont (svg, angle = 0) {
+    const key = `${angle || 0}:${svg}`
+    if (this.decalFonts.has(key)) return this.decalFonts.get(key)
+
+    const font = SvgDecalFont.parse(svg, { angle })
+    if (this.decalFonts.size >= MAX_DECAL_FONTS) {
+      this.decalFonts.delete(this.decalFonts.keys().next().value)
+    }
+    this.decalFonts.set(key, font)
+    return font
+  }
+
+  /**
+   * 生成图片浮雕
+   * @param {Object} config - 配置（relief 为浮雕参数）
+   * @param {Object} surfaceInfo - 表面信息
+   * @returns {Promise<THREE.BufferGeometry>} 浮雕几何体
+   */
+  async generateRelief (config, surfaceInfo) {
+    const relief = reliefGeometry.getReliefConfig(config.relief)
+    const heightmap = await reliefGeometry.loadHeightmap(relief.image, relief.resolution)
+
+    console.log(surfaceInfo?.surfaceType === 'cylinder' ? '🔄 生成圆柱面图片浮雕' : '🖼️ 生成平面图片浮雕', {
+      resolution: `${heightmap.cols}x${heightmap.rows}`
+    })
+    return reliefGeometry.generate(heightmap, config, surfaceInfo)
+  }
+
   /**
    * 生成圆柱面拟合文字
    * 支持两种方法：CSG 布尔操作 和 坐标映射
@@ -232,7 +484,10 @@ export class TextGeometryGenerator {
 
     let geometry
 
-    if (this.cylinderTextMethod === 'csg') {
+    // 底板效果的文字和底板分层，CSG 方法按整体厚度切割会丢失层次，改用坐标映射
+    const useCSG = this.cylinderTextMethod === 'csg' && textEffects.getEffectConfig(config).effect !== 'plate'
+
+    if (useCSG) {
       // 使用 CSG 布尔操作方法（更精确）
       console.log('🔄 使用 CSG 布尔操作生成圆柱面文字')
       
@@ -248,7 +503,9 @@ export class TextGeometryGenerator {
             textHeight: 30,  // 切割用的文字厚度
             cylinderSegments: 64,
             curveSegments: config.curveSegments || 12,
-            bevelEnabled: config.bevelEnabled || false
+            bevelEnabled: config.bevelEnabled || false,
+            ...textLayout.getLayoutConfig(config),
+            ...textEffects.getEffectConfig(config)
           }
         )
         
@@ -271,6 +528,77 @@ export class TextGeometryGenerator {
     return geometry
   }
 
+  /**
+   * 生成沿路径排布的文字
+   * @param {string} text - 文字内容
+   * @param {THREE.Font} font - 字体
+   * @param {Object} path - 路径配置（目标网格局部坐标系）
+   * @param {Object} config - 配置
+   * @param {Object} [surfaceInfo] - 表面信息，geometry 为目标几何体时路径吸附到表面上
+   * @returns {THREE.BufferGeometry} 路径文字几何体
+   */
+  generatePathText (text, font, path, config, surfaceInfo = null) {
+    return pathTextGeometry.generate(text, font, path, this.getGlyphConfig(config), { geometry: surfaceInfo?.geometry })
+  }
+
+  /**
+   * 生成球面拟合文字
+   * @param {string} text - 文字内容
+   * @param {THREE.Font} font - 字体
+   * @param {Object} surfaceInfo - 表面信息 { sphereInfo, attachPoint }
+   * @param {Object} config - 配置
+   * @returns {THREE.BufferGeometry} 球面文字几何体（世界坐标系）
+   */
+  generateSphereText (text, font, surfaceInfo, config) {
+    const { sphereInfo, attachPoint } = surfaceInfo
+    return sphereConeTextGeometry.generateOnSphere(text, font, sphereInfo, attachPoint, this.getGlyphConfig(config))
+  }
+
+  /**
+   * 生成圆锥面拟合文字
+   * @param {string} text - 文字内容
+   * @param {THREE.Font} font - 字体
+   * @param {Object} surfaceInfo - 表面信息 { coneInfo, attachPoint }
+   * @param {Object} config - 配置
+   * @returns {THREE.BufferGeometry} 圆锥面文字几何体（世界坐标系）
+   */
+  generateConeText (text, font, surfaceInfo, config) {
+    const { coneInfo, attachPoint } = surfaceInfo
+    return sphereConeTextGeometry.generateOnCone(text, font, coneInfo, attachPoint, this.getGlyphConfig(config))
+  }
+
+  /**
+   * 生成投影贴合文字（自由曲面）
+   * @param {string} text - 文字内容
+   * @param {THREE.Font} font - 字体
+   * @param {Object} surfaceInfo - 表面信息 { projectionInfo }
+   * @param {Object} config - 配置
+   * @returns {THREE.BufferGeometry} 投影文字几何体（目标网格局部坐标系）
+   */
+  generateProjectedText (text, font, surfaceInfo, config) {
+    return projectedTextGeometry.generate(text, font, surfaceInfo.projectionInfo, this.getGlyphConfig(config))
+  }
+
+  /**
+   * 逐字排布的生成器（路径/球面/圆锥面/投影）使用的字符配置
+   * @param {Object} config - 文字配置
+   * @returns {Object}
+   */
+  getGlyphConfig (config) {
+    return {
+      size: config.size,
+      thickness: config.thickness,
+      curveSegments: config.curveSegments,
+      bevelEnabled: config.bevelEnabled,
+      bevelThickness: config.bevelThickness,
+      bevelSize: config.bevelSize,
+      bevelOffset: config.bevelOffset,
+      bevelSegments: config.bevelSegments,
+      ...textLayout.getLayoutConfig(config),
+      ...textEffects.getEffectConfig(config)
+    }
+  }
+
   /**
    * 使用坐标映射方法生成圆柱面文字
    * @param {string} text - 文字内容
@@ -342,8 +670,8 @@ export class TextGeometryGenerator {
       bevelSegments: config.bevelSegments
     }
 
-    // 生成文字几何体
-    const geometry = new TextGeometry(text, geometryParams)
+    // 生成文字几何体（按排版参数处理多行、对齐和字间距）
+    const geometry = textLayout.createTextGeometry(text, font, geometryParams, config)
 
     // 计算边界框并居中
     geometry.computeBoundingBox()
@@ -514,6 +842,8 @@ export class TextGeometryGenerator {
    */
   destroy () {
     this.clearFontCache()
+    this.decalFonts.clear()
+    reliefGeometry.clearCache()
     this.defaultFont = null
     console.log('文字几何体生成器已销毁')
   }
@@ -0,0 +1,156 @@
+/**
+ * 文字排版
+ * 负责多行文字的字符排布：换行、行对齐、行高、字间距（tracking）和字偶距（kerning）
+ *
+ * 排版参数（均为文字配置中的字段）：
+ * - align: 'left' | 'center' | 'right'，多行文字的行对齐方式
+ * - lineHeight: 行高，字号的倍数
+ * - letterSpacing: 字间距，字号的倍数，加在相邻字符之间
+ * - kerning: 是否启用字体自带的字偶距（typeface.json 的 kerning 字段或 OpenType 字体的 GPOS/kern 表）
+ * - kerningPairs: 自定义字偶距 { 'AV': -0.05 }，字号的倍数，覆盖字体自带的值
+ *
+ * 坐标约定：第一行基线 y = 0，后续各行向下排布；x 从整段文字的左边界 0 开始
+ */
+import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js'
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+import { textEffects } from './TextEffects.js'
+
+export const TEXT_ALIGNS = ['left', 'center', 'right']
+
+export const DEFAULT_LAYOUT_CONFIG = {
+  align: 'center',
+  lineHeight: 1.2,
+  letterSpacing: 0,
+  kerning: true,
+  kerningPairs: null
+}
+
+export class TextLayout {
+  /**
+   * 计算字符排布
+   * @param {string} text - 文字内容，'\n' 换行
+   * @param {THREE.Font} font - 字体
+   * @param {Object} config - 文字配置（size 与排版参数）
+   * @returns {{lines: Array, width: number, lineAdvance: number}}
+   *   lines[i] = { glyphs: [{ char, x, advance }], width, offset, baseline }，字符实际位置为 offset + x
+   */
+  layout (text, font, config = {}) {
+    const size = config.size || 1
+    const data = font.data || {}
+    const scale = size / (data.resolution || 1000)
+    const align = TEXT_ALIGNS.includes(config.align) ? config.align : DEFAULT_LAYOUT_CONFIG.align
+    const lineAdvance = size * (config.lineHeight > 0 ? config.lineHeight : DEFAULT_LAYOUT_CONFIG.lineHeight)
+    const tracking = size * (config.letterSpacing || 0)
+
+    const lines = String(text).split(/\r?\n/).map((lineText, lineIndex) => {
+      const chars = Array.from(lineText)
+      const glyphs = []
+      let cursor = 0
+
+      chars.forEach((char, index) => {
+        if (index > 0) {
+          cursor += tracking + this.getKerning(font, chars[index - 1], char, config) * size
+        }
+        const glyph = data.glyphs?.[char] || data.glyphs?.['?']
+        const advance = glyph?.ha !== undefined ? glyph.ha * scale : size * 0.5
+        glyphs.push({ char, x: cursor, advance })
+        cursor += advance
+      })
+
+      return { glyphs, width: cursor, offset: 0, baseline: -lineIndex * lineAdvance }
+    })
+
+    const width = lines.reduce((max, line) => Math.max(max, line.width), 0)
+    lines.forEach(line => {
+      if (align === 'center') line.offset = (width - line.width) / 2
+      else if (align === 'right') line.offset = width - line.width
+    })
+
+    return { lines, width, lineAdvance }
+  }
+
+  /**
+   * 相邻两个字符之间的字偶距调整（字号的倍数）
+   * @param {THREE.Font} font - 字体
+   * @param {string} left - 左侧字符
+   * @param {string} right - 右侧字符
+   * @param {Object} config - 文字配置
+   * @returns {number}
+   */
+  getKerning (font, left, right, config = {}) {
+    const custom = config.kerningPairs?.[left + right]
+    if (typeof custom === 'number') return custom
+    if (config.kerning === false) return 0
+
+    // 运行时加载的 OpenType 字体从 GPOS/kern 表读取，typeface.json 从 kerning 字段读取
+    const data = font.data || {}
+    const value = typeof font.getKerningValue === 'function'
+      ? font.getKerningValue(left, right)
+      : data.kerning?.[left]?.[right]
+    return typeof value === 'number' ? value / (data.resolution || 1000) : 0
+  }
+
+  /**
+   * 按排版结果生成拉伸文字几何体（逐字符生成后合并）
+   * 单行且没有间距调整时与 TextGeometry 的结果一致，文字效果（描边、底板等）见 TextEffects
+   * @param {string} text - 文字内容
+   * @param {THREE.Font} font - 字体
+   * @param {Object} params - TextGeometry 参数（size、height、curveSegments、bevel*）
+   * @param {Object} [config] - 排版参数和效果参数
+   * @returns {THREE.BufferGeometry} 未居中的文字几何体（第一行基线在 y = 0）
+   */
+  createTextGeometry (text, font, params, config = {}) {
+    const layout = this.layout(text, font, { ...config, size: params.size })
+    const geometries = []
+    const placed = []
+
+    layout.lines.forEach(line => {
+      line.glyphs.forEach(({ char, x }) => {
+        if (!char.trim()) return
+        placed.push({ char, x: line.offset + x, y: line.baseline })
+        const geometry = textEffects.createGlyphGeometry(char, font, params, config)
+        if (!geometry) return
+        if (!geometry.attributes.position || geometry.attributes.position.count === 0) {
+          geometry.dispose()
+          return
+        }
+        geometry.clearGroups()
+        geometry.translate(line.offset + x, line.baseline, 0)
+        geometries.push(geometry)
+      })
+    })
+
+    if (textEffects.hasPlate(config)) {
+      const plate = textEffects.createPlateGeometry(placed, font, params, config)
+      if (plate) geometries.push(plate)
+    }
+
+    if (geometries.length === 0) {
+      // 全部为空白字符：返回空几何体，由调用方按原逻辑处理
+      return new TextGeometry('', { ...params, font })
+    }
+
+    const merged = geometries.length === 1 ? geometries[0] : mergeGeometries(geometries)
+    if (merged !== geometries[0]) geometries.forEach(geometry => geometry.dispose())
+    if (!merged) {
+      throw new Error('文字几何体合并失败')
+    }
+    return merged
+  }
+
+  /**
+   * 从文字配置中提取排版参数
+   * @param {Object} config - 文字配置
+   * @returns {Object}
+   */
+  getLayoutConfig (config = {}) {
+    const layoutConfig = {}
+    Object.keys(DEFAULT_LAYOUT_CONFIG).forEach(key => {
+      layoutConfig[key] = config[key] ?? DEFAULT_LAYOUT_CONFIG[key]
+    })
+    return layoutConfig
+  }
+}
+
+// 导出单例
+export const textLayout = new TextLayout()
@@ -0,0 +1,121 @@
+/**
+ * 布尔运算 Worker
+ * 在后台线程执行文字雕刻的布尔减法和凸起浮雕的布尔并集，几何体通过可转移的 ArrayBuffer 传入和传出
+ *
+ * 消息协议：
+ * - 主线程 → Worker：{ type: 'subtract' | 'union', id, target, tool, toolMatrix }
+ * - Worker → 主线程：{ type: 'progress', id, stage, progress }
+ *                    { type: 'result', id, geometry, duration }
+ *                    { type: 'error', id, message }
+ */
+import * as THREE from 'three'
+import { Brush, Evaluator, SUBTRACTION, ADDITION } from 'three-bvh-csg'
+
+const evaluator = new Evaluator()
+evaluator.useGroups = true
+
+const TRANSFER_ATTRIBUTES = ['position', 'normal', 'uv']
+
+const OPERATIONS = { subtract: SUBTRACTION, union: ADDITION }
+
+function postProgress (id, stage, progress) {
+  self.postMessage({ type: 'progress', id, stage, progress })
+}
+
+function deserializeGeometry (data) {
+  const geometry = new THREE.BufferGeometry()
+  Object.keys(data.attributes).forEach(name => {
+    const { array, itemSize, normalized } = data.attributes[name]
+    geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize, normalized))
+  })
+  if (data.index) {
+    geometry.setIndex(new THREE.BufferAttribute(data.index, 1))
+  } else {
+    geometry.setIndex([...Array(geometry.attributes.position.count).keys()])
+  }
+  data.groups.forEach(group => geometry.addGroup(group.start, group.count, group.materialIndex))
+  return geometry
+}
+
+function serializeGeometry (geometry, transfer) {
+  // 结果缓冲区可能大于实际绘制范围，只传输有效部分
+  const vertexCount = Math.min(geometry.drawRange.count, geometry.attributes.position.count)
+  const attributes = {}
+  TRANSFER_ATTRIBUTES.forEach(name => {
+    const attribute = geometry.getAttribute(name)
+    if (!attribute) return
+    const length = vertexCount * attribute.itemSize
+    attributes[name] = {
+      array: attribute.array.length > length ? attribute.array.slice(0, length) : attribute.array,
+      itemSize: attribute.itemSize,
+      normalized: attribute.normalized
+    }
+    transfer.push(attributes[name].array.buffer)
+  })
+
+  const index = geometry.index ? geometry.index.array : null
+  if (index) transfer.push(index.buffer)
+
+  return {
+    attributes,
+    index,
+    groups: geometry.groups.map(group => ({ ...group }))
+  }
+}
+
+function evaluate ({ type, id, target, tool, toolMatrix }) {
+  const startTime = performance.now()
+  postProgress(id, 'prepare', 0.05)
+
+  // 材质仅用于区分结果中的来源分组：0 = 原始表面，1 = 雕刻区域（并集时为工具几何体的表面）
+  const targetMaterial = new THREE.MeshBasicMaterial()
+  const toolMaterial = new THREE.MeshBasicMaterial()
+
+  const targetBrush = new Brush(deserializeGeometry(target), targetMaterial)
+  const toolBrush = new Brush(deserializeGeometry(tool), toolMaterial)
+  if (toolMatrix) {
+    toolBrush.applyMatrix4(new THREE.Matrix4().fromArray(toolMatrix))
+  }
+  targetBrush.updateMatrixWorld()
+  toolBrush.updateMatrixWorld()
+
+  // 预先构建 BVH，布尔运算阶段直接复用
+  targetBrush.prepareGeometry()
+  postProgress(id, 'bvh', 0.3)
+  toolBrush.prepareGeometry()
+  postProgress(id, 'bvh', 0.4)
+
+  const resultBrush = evaluator.evaluate(targetBrush, toolBrush, OPERATIONS[type])
+  postProgress(id, 'evaluate', 0.85)
+
+  const resultGeometry = resultBrush.geometry
+  const resultMaterials = Array.isArray(resultBrush.material) ? resultBrush.material : [resultBrush.material]
+  resultGeometry.groups.forEach(group => {
+    group.materialIndex = resultMaterials[group.materialIndex] === toolMaterial ? 1 : 0
+  })
+  resultGeometry.computeVertexNormals()
+  postProgress(id, 'finalize', 0.95)
+
+  const transfer = []
+  const geometry = serializeGeometry(resultGeometry, transfer)
+  self.postMessage({
+    type: 'result',
+    id,
+    geometry,
+    duration: performance.now() - startTime
+  }, transfer)
+
+  targetBrush.geometry.dispose()
+  toolBrush.geometry.dispose()
+}
+
+self.onmessage = (event) => {
+  const message = event.data
+  if (message?.type !== 'subtract' && message?.type !== 'union') return
+
+  try {
+    evaluate(message)
+  } catch (error) {
+    self.postMessage({ type: 'error', id: message.id, message: error?.message || String(error) })
+  }
+}
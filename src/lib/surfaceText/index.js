@@ -8,6 +8,13 @@ import { SurfaceTextManager } from './SurfaceTextManager.js'
 export { BooleanOperator } from './BooleanOperator.js'
 export { SurfaceTextManager } from './SurfaceTextManager.js'
 export { TextGeometryGenerator } from './TextGeometryGenerator.js'
+export { TextLayout, textLayout } from './TextLayout.js'
+export { TextEffects, textEffects, TEXT_EFFECTS } from './TextEffects.js'
+export { OpenTypeFont, detectFontFormat } from './OpenTypeFont.js'
+export { FallbackFont, fontHasGlyph } from './FallbackFont.js'
+export { SvgDecalFont, DECAL_GLYPH } from './SvgDecalFont.js'
+export { ReliefGeometry, reliefGeometry, DEFAULT_RELIEF_CONFIG } from './ReliefGeometry.js'
+export { SurfaceAnchor, surfaceAnchor, MIN_ANCHOR_CONFIDENCE } from './SurfaceAnchor.js'
 export { TextInputOverlay } from './TextInputOverlay.js'
 export { TextPropertyPanel } from './TextPropertyPanel.js'
 export { TextTransformControls } from './TextTransformControls.js'
@@ -18,6 +25,15 @@ export { CylinderSurfaceHelper, cylinderSurfaceHelper } from './CylinderSurfaceH
 export { CylinderTextGeometry, cylinderTextGeometry } from './CylinderTextGeometry.js'
 export { CSGCylinderText, csgCylinderText } from './CSGCylinderText.js'
 
+// 路径文字
+export { PathTextGeometry, PathFrameSampler, pathTextGeometry } from './PathTextGeometry.js'
+
+// 球面/圆锥面文字
+export { SphereConeTextGeometry, sphereConeTextGeometry } from './SphereConeTextGeometry.js'
+
+// 投影贴合文字（自由曲面）
+export { ProjectedTextGeometry, projectedTextGeometry } from './ProjectedTextGeometry.js'
+
 /**
  * 创建表面文字管理器的便捷函数
  * @param {THREE.Scene} scene - Three.js场景
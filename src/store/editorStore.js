@@ -3,8 +3,9 @@
  * 兼容 Vue 2.6+ 的轻量级状态管理
  */
 import Vue from 'vue'
-import { HistoryManager } from '../lib/history/index.js'
-import { TextCommand } from '../editor/commands/index.js'
+import { HistoryManager, HistoryJournal } from '../lib/history/index.js'
+import { TextCommand, DecorationCommand, TransformCommand, serializeCommand, deserializeCommand, isJournaledCommand } from '../editor/commands/index.js'
+import { editorDatabase } from '../editor/editorDatabase.js'
 
 // ==================== 1. 核心状态 ====================
 const state = Vue.observable({
@@ -21,6 +22,10 @@ const state = Vue.observable({
   menuLoading: false,
   menuKeyword: '',
   
+  // 底座（当前底座库条目 { id, name, path }）
+  currentBase: null,
+  baseLoading: false,
+  
   // 选中状态
   selectedTextObject: null,
   selectedBaseObject: null,
@@ -29,6 +34,15 @@ const state = Vue.observable({
   // 文字列表
   textList: [],
   textCounter: 0,
+
+  // 已注册字体（字体下拉框）
+  fontList: [],
+
+  // SVG 贴花
+  decorationList: [],
+  decorationCounter: 0,
+  selectedDecoration: null,
+  decorationPlacing: false, // 已选择 SVG 或浮雕图片，等待点击模型表面放置
   
   // 撤销重做（命令历史）
   history: {
@@ -39,9 +53,37 @@ const state = Vue.observable({
     isBusy: false,
     isApplying: false,
     transactionName: null,
+    currentId: 0,
+    rootId: 0,
+    undoEntries: [], // 旧 → 新
+    redoEntries: [], // 下一条可重做的在前
+    checkpoints: [],
+    branches: [],
     lastError: null
   },
   
+  // 网格完整性检查报告（MeshIntegrityAnalyzer 汇总结果）
+  integrityReport: null,
+  integrityChecking: false,
+  
+  // 打开项目后文字/贴花重新贴合的结果（{ restored, unmatched }）
+  anchorReport: null,
+  
+  // 烘焙打印实体（模型 + 底座 + 凸起文字并集）
+  bake: {
+    running: false,
+    stage: null, // 'prepare' | 'union' | 'done'
+    progress: 0,
+    name: '',
+    error: null
+  },
+  
+  // 最终实体测量结果（表面积、体积、包围盒、OBB），见 EditorApp.measure()
+  measurement: null,
+  
+  // 内嵌文字检查结果（壁厚、最细笔画、安全深度），见 EditorApp.analyzeEngravings()
+  engravingReports: [],
+  
   // 工作区引用（用于调用 3D 操作）
   workspaceRef: null,
   
@@ -87,9 +129,14 @@ const historyManager = new HistoryManager({
   maxSize: 50,
   onChange: (snapshot) => {
     Object.assign(state.history, snapshot)
+    // 撤销/重做变换不会触发场景事件，历史变化后重新测量和检查
+    actions.getViewer()?.scheduleAnalysis?.()
   }
 })
 
+// 撤销日志：随本地项目保存，重新打开项目后仍可撤销最近的操作
+const historyJournal = new HistoryJournal({ database: editorDatabase, maxEntries: 30 })
+
 // ==================== 2. Getters ====================
 const getters = {
   // 功能菜单是否显示
@@ -163,7 +210,7 @@ const actions = {
   async executeCommand(command) {
     try {
       state.history.lastError = null
-      await this.ensureConstructMode()
+      if (command?.requiresConstructMode !== false) await this.ensureConstructMode()
       await historyManager.execute(command)
     } catch (error) {
       state.history.lastError = error
@@ -175,10 +222,14 @@ const actions = {
     historyManager.capture(command)
   },
 
+  clearHistory() {
+    historyManager.clear()
+  },
+
   async undo() {
     try {
       state.history.lastError = null
-      await this.ensureConstructMode()
+      if (historyManager.peekUndo()?.requiresConstructMode !== false) await this.ensureConstructMode()
       return await historyManager.undo()
     } catch (error) {
       state.history.lastError = error
@@ -189,7 +240,7 @@ const actions = {
   async redo() {
     try {
       state.history.lastError = null
-      await this.ensureConstructMode()
+      if (historyManager.peekRedo()?.requiresConstructMode !== false) await this.ensureConstructMode()
       return await historyManager.redo()
     } catch (error) {
       state.history.lastError = error
@@ -197,6 +248,59 @@ const actions = {
     }
   },
 
+  /**
+   * 跳转到历史位置（批量撤销/重做）
+   * @param {number} historyId - 历史条目 id，或 state.history.rootId（最早状态）
+   */
+  async jumpToHistory(historyId) {
+    try {
+      state.history.lastError = null
+      await this.ensureConstructMode()
+      await historyManager.jumpTo(historyId)
+    } catch (error) {
+      state.history.lastError = error
+      throw error
+    }
+  },
+
+  pinHistoryCheckpoint(name) {
+    return historyManager.pinCheckpoint(name)
+  },
+
+  removeHistoryCheckpoint(checkpointId) {
+    historyManager.removeCheckpoint(checkpointId)
+  },
+
+  async jumpToHistoryCheckpoint(checkpointId) {
+    try {
+      state.history.lastError = null
+      await this.ensureConstructMode()
+      await historyManager.jumpToCheckpoint(checkpointId)
+    } catch (error) {
+      state.history.lastError = error
+      throw error
+    }
+  },
+
+  /**
+   * 切换到历史分支（撤销后又执行新操作时被替换下来的重做记录）
+   * @param {number} branchId
+   */
+  async switchHistoryBranch(branchId) {
+    try {
+      state.history.lastError = null
+      await this.ensureConstructMode()
+      await historyManager.switchBranch(branchId)
+    } catch (error) {
+      state.history.lastError = error
+      throw error
+    }
+  },
+
+  removeHistoryBranch(branchId) {
+    historyManager.removeBranch(branchId)
+  },
+
   beginTransaction(name) {
     historyManager.beginTransaction(name)
   },
@@ -209,6 +313,184 @@ const actions = {
     return await historyManager.rollbackTransaction()
   },
 
+  /**
+   * 保存撤销日志（随本地项目保存调用）
+   * @param {string} projectKey - 本地项目键
+   * @returns {Promise<number>} 保存的命令条数
+   */
+  async saveHistoryJournal(projectKey) {
+    const viewer = this.getViewer()
+    if (!viewer || !projectKey) return 0
+
+    try {
+      const { saved, truncated } = await historyJournal.save(
+        projectKey,
+        historyManager.getUndoCommands().filter(isJournaledCommand),
+        command => serializeCommand(command, viewer)
+      )
+      if (truncated) {
+        console.info(`[editorStore] 撤销日志只保留了最近 ${saved} 条可持久化的操作`)
+      }
+      return saved
+    } catch (error) {
+      console.warn('[editorStore] 保存撤销日志失败:', error)
+      return 0
+    }
+  },
+
+  /**
+   * 恢复撤销日志（本地项目加载完成后调用），没有日志时清空历史
+   * @param {string} projectKey - 本地项目键
+   * @returns {Promise<number>} 恢复的命令条数
+   */
+  async restoreHistoryJournal(projectKey) {
+    const viewer = this.getViewer()
+    if (!viewer || !projectKey) return 0
+
+    try {
+      const { commands } = await historyJournal.load(projectKey, data => deserializeCommand(data, viewer))
+      historyManager.load(commands)
+      return commands.length
+    } catch (error) {
+      console.warn('[editorStore] 恢复撤销日志失败:', error)
+      historyManager.clear()
+      return 0
+    }
+  },
+
+  /**
+   * 删除撤销日志（删除本地项目时调用）
+   * @param {string} projectKey - 本地项目键
+   */
+  async removeHistoryJournal(projectKey) {
+    try {
+      await historyJournal.remove(projectKey)
+    } catch (error) {
+      console.warn('[editorStore] 删除撤销日志失败:', error)
+    }
+  },
+
+  // --- 网格完整性检查 ---
+  setIntegrityReport(report) {
+    state.integrityReport = report ? Object.freeze(report) : null
+  },
+
+  setAnchorReport(report) {
+    state.anchorReport = report ? Object.freeze(report) : null
+  },
+
+  async runIntegrityCheck(options = {}) {
+    const viewer = this.getViewer()
+    if (!viewer || state.integrityChecking) return null
+    state.integrityChecking = true
+    try {
+      // 让出一帧，便于界面先显示检查中状态
+      await new Promise(resolve => setTimeout(resolve, 0))
+      return viewer.analyzeIntegrity(null, options)
+    } finally {
+      state.integrityChecking = false
+    }
+  },
+
+  // --- 烘焙打印实体 ---
+  setBakeProgress({ stage, progress, name } = {}) {
+    Object.assign(state.bake, { stage: stage || null, progress: progress || 0, name: name || '' })
+  },
+
+  // --- 测量 ---
+  setMeasurement(measurement) {
+    state.measurement = measurement ? { ...measurement } : null
+  },
+
+  // --- 内嵌文字检查 ---
+  setEngravingReports(reports) {
+    state.engravingReports = Array.isArray(reports) ? reports.map(report => ({ ...report })) : []
+  },
+
+  getEngravingReport(textId) {
+    return state.engravingReports.find(report => report.id === textId) || null
+  },
+
+  /**
+   * 把内嵌深度限制到检查给出的安全深度（记录为一条可撤销的文字/贴花参数修改）
+   * @param {string} textId - 文字或贴花ID
+   * @returns {Promise<boolean>} 是否做了修改
+   */
+  async clampEngravingDepth(textId) {
+    const report = this.getEngravingReport(textId)
+    if (!report?.canClamp) return false
+    // 向下取整到 0.01，避免四舍五入后仍略超安全深度
+    const thickness = Math.floor(report.safeThickness * 100) / 100
+    if (!(thickness > 0)) throw new Error('文字下方壁厚过薄，无法限制到安全深度，请移动文字或改为凸起')
+    if (report.kind === 'decoration') {
+      await this.updateDecorationConfigWithHistory(textId, { thickness })
+    } else {
+      await this.updateTextConfigWithHistory(textId, { thickness })
+    }
+    return true
+  },
+
+  /**
+   * 烘焙并导出打印实体（写入项目的 models.final），烘焙前切换到结果态
+   * @param {string} [format='stl'] - 导出格式
+   * @returns {Promise<Blob|null>} 取消时返回 null
+   */
+  async exportFinalModel(format = 'stl') {
+    const viewer = this.getViewer()
+    if (!viewer || state.bake.running) return null
+    Object.assign(state.bake, { running: true, stage: 'prepare', progress: 0, name: '', error: null })
+    try {
+      await this.setViewMode('result')
+      return await viewer.exportFinalModel(format, { validate: 'warn' })
+    } catch (error) {
+      if (error.cancelled) return null
+      state.bake.error = error
+      throw error
+    } finally {
+      state.bake.running = false
+    }
+  },
+
+  /**
+   * 取消进行中的打印实体烘焙
+   */
+  cancelBake() {
+    this.getViewer()?.cancelBake()
+  },
+
+  // --- 整体缩放 ---
+  /**
+   * 整体缩放设计（模型、底座和文字），记录为一条可撤销的 TransformCommand
+   * 缩放作用在 viewer.sceneTransform 上，应用后同步到 transformStore.scene
+   * @param {{x: number, y: number, z: number}} ratio - 相对当前尺寸的缩放比例
+   * @param {Object} [options]
+   * @param {boolean} [options.scaleTexts=true] - 文字随模型缩放；为 false 时文字保持物理尺寸
+   */
+  async scaleDesign(ratio, { scaleTexts = true } = {}) {
+    const viewer = this.getViewer()
+    if (!viewer) return
+    await this.ensureConstructMode()
+
+    const target = viewer.sceneTransform
+    const before = {
+      position: viewer.getSceneScalePivot().toArray(),
+      rotation: [0, 0, 0],
+      scale: target.scale.toArray(),
+      scaleTexts
+    }
+    const after = {
+      ...before,
+      scale: [before.scale[0] * ratio.x, before.scale[1] * ratio.y, before.scale[2] * ratio.z]
+    }
+    const percent = (value) => `${Math.round(value * 1000) / 10}%`
+    const description = ratio.x === ratio.y && ratio.y === ratio.z
+      ? `整体缩放 ${percent(ratio.x)}`
+      : `整体缩放 ${[ratio.x, ratio.y, ratio.z].map(percent).join(' × ')}`
+
+    await this.executeCommand(new TransformCommand(target, before, after, { description }))
+    await viewer.waitForSceneTransform()
+  },
+
   // --- 初始化 ---
   setWorkspaceRef(ref) {
     state.workspaceRef = ref
@@ -239,6 +521,34 @@ const actions = {
     state.menuKeyword = keyword
   },
   
+  // --- 底座 ---
+  /**
+   * 加载底座库中的底座（替换当前底座，模型自动放到底座顶面上）
+   * @param {Object} item - 底座库条目 { id, name, path }
+   */
+  async selectBase(item) {
+    const viewer = this.getViewer()
+    if (!viewer || !item || state.baseLoading) return
+    state.baseLoading = true
+    try {
+      await this.ensureConstructMode()
+      await viewer.loadBase(item)
+    } finally {
+      state.baseLoading = false
+    }
+  },
+  
+  async removeBase() {
+    const viewer = this.getViewer()
+    if (!viewer) return
+    await this.ensureConstructMode()
+    viewer.removeBase()
+  },
+  
+  setCurrentBase(item) {
+    state.currentBase = item ? { ...item } : null
+  },
+  
   // --- 文字管理（被动接收，由 StateManager 调用） ---
   
   /**
@@ -268,6 +578,39 @@ const actions = {
     state.textCounter = counter
   },
   
+  // --- SVG 贴花 ---
+  addDecoration(decoration) {
+    state.decorationCounter++
+    state.decorationList.push({
+      id: decoration.id,
+      name: decoration.content,
+      displayName: `贴花${state.decorationCounter}`
+    })
+  },
+
+  removeDecoration(decorationId) {
+    const index = state.decorationList.findIndex(d => d.id === decorationId)
+    if (index !== -1) {
+      state.decorationList.splice(index, 1)
+    }
+
+    if (state.selectedDecoration?.id === decorationId) {
+      state.selectedDecoration = null
+    }
+  },
+
+  selectDecoration(decoration) {
+    state.selectedDecoration = decoration
+  },
+
+  deselectDecoration() {
+    state.selectedDecoration = null
+  },
+
+  setDecorationPlacing(placing) {
+    state.decorationPlacing = !!placing
+  },
+
   // --- 兼容旧 API（逐步废弃） ---
   addText(textObject) {
     state.textCounter++
@@ -356,6 +699,7 @@ const actions = {
       case 'surface':
         return [
           { key: 'addText', label: '添加文字', icon: 'el-icon-edit-outline' },
+          { key: 'addPathText', label: '沿路径添加文字', icon: 'el-icon-share' },
           { key: 'changeColor', label: '修改表面颜色', icon: 'el-icon-brush' },
           { divider: true },
           ...baseItems
@@ -455,6 +799,85 @@ const actions = {
     await this.executeCommand(new TextCommand('setMode', viewer, { textId, toMode: mode }))
   },
   
+  // ========== 历史集成：贴花相关 ==========
+
+  /**
+   * 读取 SVG 文件并开始放置贴花（点击模型表面后创建，创建记录由 decorationCreated 事件补录）
+   * @param {File} file - SVG 文件
+   * @returns {Promise<boolean>} 是否进入放置状态
+   */
+  async placeDecoration(file) {
+    await this.ensureConstructMode()
+    const viewer = this.getViewer()
+    if (!viewer || !file) return false
+    const svg = await file.text()
+    return viewer.startDecorationPlacement(svg, { name: file.name })
+  },
+
+  /**
+   * 读取 PNG/JPEG 图片并开始放置图片浮雕（创建记录同样由 decorationCreated 事件补录）
+   * @param {File} file - 图片文件
+   * @param {Object} [relief] - 浮雕参数 { resolution, invert, base }
+   * @returns {Promise<boolean>} 是否进入放置状态
+   */
+  async placeRelief(file, relief = {}) {
+    await this.ensureConstructMode()
+    const viewer = this.getViewer()
+    if (!viewer || !file) return false
+    const image = await new Promise((resolve, reject) => {
+      const reader = new FileReader()
+      reader.onload = (e) => resolve(e.target.result)
+      reader.onerror = reject
+      reader.readAsDataURL(file)
+    })
+    return viewer.startReliefPlacement(image, { name: file.name, config: { relief } })
+  },
+
+  async deleteDecoration(decorationId) {
+    await this.ensureConstructMode()
+    const viewer = this.getViewer()
+    if (!viewer || !decorationId) return
+    await this.executeCommand(new DecorationCommand('delete', viewer, { decorationId }))
+  },
+
+  async updateDecorationColor(decorationId, color) {
+    await this.ensureConstructMode()
+    const viewer = this.getViewer()
+    if (!viewer || !decorationId) return
+    await this.executeCommand(new DecorationCommand('updateColor', viewer, { decorationId, to: color }))
+  },
+
+  async updateDecorationConfigWithHistory(decorationId, patch) {
+    await this.ensureConstructMode()
+    const viewer = this.getViewer()
+    if (!viewer || !decorationId) return
+    await this.executeCommand(new DecorationCommand('updateConfig', viewer, { decorationId, patch }))
+  },
+
+  async switchDecorationModeWithHistory(decorationId, mode) {
+    await this.ensureConstructMode()
+    const viewer = this.getViewer()
+    if (!viewer || !decorationId) return
+    await this.executeCommand(new DecorationCommand('setMode', viewer, { decorationId, toMode: mode }))
+  },
+
+  // ========== 字体 ==========
+  setFontList(fonts) {
+    state.fontList = Array.isArray(fonts) ? fonts : []
+  },
+
+  /**
+   * 注册用户上传的字体文件
+   * @param {File} file - TTF/OTF/WOFF 文件
+   * @returns {Promise<string|null>} 注册的字体名称
+   */
+  async registerFont(file) {
+    const viewer = this.getViewer()
+    if (!viewer || !file) return null
+    const name = file.name.replace(/\.[^.]+$/, '')
+    return viewer.registerFont(file, { name, label: name })
+  },
+  
   // --- 重置 ---
   reset() {
     state.currentFeature = 'base'
@@ -462,9 +885,20 @@ const actions = {
     state.viewModeBusy = false
     state.menuVisible = true
     state.menuItems = []
+    state.currentBase = null
+    state.baseLoading = false
     state.selectedTextObject = null
     state.textList = []
     state.textCounter = 0
+    state.decorationList = []
+    state.decorationCounter = 0
+    state.selectedDecoration = null
+    state.decorationPlacing = false
+    state.integrityReport = null
+    state.anchorReport = null
+    Object.assign(state.bake, { running: false, stage: null, progress: 0, name: '', error: null })
+    state.measurement = null
+    state.engravingReports = []
     historyManager.clear()
   }
 }
@@ -250,6 +250,15 @@ const actions = {
     }
   },
   
+  // --- 底座自动对齐 ---
+  /**
+   * 底座是否自动对齐到模型下方（拖动模型或底座时另一方跟随）
+   * @param {boolean} enabled
+   */
+  setBaseAutoAlign(enabled) {
+    state.base.autoAlignToModel = !!enabled
+  },
+  
   // --- 重置变换 ---
   resetTransform(target) {
     const targetObj = this._getTargetObject(target)